@@ -1,5 +1,6 @@
 const { app, BrowserWindow, ipcMain, dialog } = require('electron');
 const path = require('path');
+const fs = require('fs');
 const isDev = process.env.NODE_ENV === 'development';
 
 // Manual reload for development (prevents full app restart)
@@ -43,20 +44,31 @@ if (isDev) {
 // Network service imports
 const NetworkService = require('./services/NetworkService');
 const PingService = require('./services/PingService');
+const GeoIpService = require('./services/GeoIpService');
 const TracerouteService = require('./services/TracerouteService');
 const PortScannerService = require('./services/PortScannerService');
+const HostDiscoveryService = require('./services/HostDiscoveryService');
+const DnsTraceService = require('./services/DnsTraceService');
+const PmtuService = require('./services/PmtuService');
 const PersistentStateManager = require('./services/PersistentStateManager');
 const AppStateManager = require('./services/AppStateManager');
 
 let mainWindow;
 let networkService;
+let hostDiscoveryService;
 let persistentStateManager;
 let appStateManager;
 
 // Process management for tab switching
 let activeProcesses = new Map();
-let tracerouteService = new TracerouteService();
-let portScannerService = new PortScannerService();
+let geoIpService = new GeoIpService();
+let tracerouteService = new TracerouteService({ geoIpService });
+let dnsTraceService = new DnsTraceService();
+let pmtuService = new PmtuService();
+let portScannerService = new PortScannerService({
+  pausedScanFile: path.join(app.getPath('userData'), 'noctool-paused-scans.json'),
+  geoIpService
+});
 
 function createWindow() {
   mainWindow = new BrowserWindow({
@@ -80,7 +92,10 @@ function createWindow() {
   }
 
   // Initialize services
-  networkService = new NetworkService();
+  networkService = new NetworkService({
+    rdapCacheDir: path.join(app.getPath('userData'), 'rdap')
+  });
+  hostDiscoveryService = new HostDiscoveryService(networkService);
   persistentStateManager = new PersistentStateManager();
   appStateManager = new AppStateManager();
   
@@ -178,7 +193,7 @@ function stopAllProcesses() {
 // IPC Handlers for network operations
 ipcMain.handle('ping:http', async (event, config) => {
   try {
-    const pingService = new PingService();
+    const pingService = new PingService({ geoIpService });
     return await pingService.httpPing(config);
   } catch (error) {
     return { error: error.message };
@@ -187,7 +202,7 @@ ipcMain.handle('ping:http', async (event, config) => {
 
 ipcMain.handle('ping:icmp', async (event, config) => {
   try {
-    const pingService = new PingService();
+    const pingService = new PingService({ geoIpService });
     return await pingService.icmpPing(config);
   } catch (error) {
     return { error: error.message };
@@ -210,7 +225,7 @@ ipcMain.handle('ping:http:realtime', async (event, config) => {
       event.sender.send('ping:update', update);
     };
     
-    const pingService = new PingService();
+    const pingService = new PingService({ geoIpService });
     const result = await pingService.httpPing(config, onUpdate);
     
     // Mark as completed but keep for monitoring
@@ -237,7 +252,7 @@ ipcMain.handle('ping:icmp:realtime', async (event, config) => {
       event.sender.send('ping:update', update);
     };
     
-    const pingService = new PingService();
+    const pingService = new PingService({ geoIpService });
     const result = await pingService.icmpPing(config, onUpdate);
     
     // Mark as completed but keep for monitoring
@@ -344,6 +359,109 @@ ipcMain.handle('traceroute:continuous:status', async (event) => {
   }
 });
 
+// MTR handlers
+ipcMain.handle('traceroute:mtr:start', async (event, config) => {
+  try {
+    const onUpdate = (update) => {
+      event.sender.send('traceroute:mtr:update', update);
+    };
+
+    const result = await tracerouteService.startMtr(config, onUpdate);
+
+    if (result.success) {
+      addActiveProcess('traceroute', result.sessionId, () => {
+        return tracerouteService.stopMtr(result.sessionId);
+      });
+    }
+
+    return result;
+  } catch (error) {
+    return { error: error.message };
+  }
+});
+
+ipcMain.handle('traceroute:mtr:stop', async (event, sessionId) => {
+  try {
+    const result = tracerouteService.stopMtr(sessionId);
+    removeActiveProcess(sessionId);
+    return result;
+  } catch (error) {
+    return { error: error.message };
+  }
+});
+
+// Multipath discovery handlers
+ipcMain.handle('traceroute:multipath:start', async (event, config) => {
+  try {
+    // Discovery finishes on its own; it may even fail before start returns
+    let finished = false;
+    const onUpdate = (update) => {
+      event.sender.send('traceroute:multipath:update', update);
+      if (update.type === 'multipath_complete' || update.type === 'multipath_error') {
+        finished = true;
+        markProcessCompleted(update.sessionId);
+      }
+    };
+
+    const result = await tracerouteService.startMultipath(config, onUpdate);
+
+    if (result.success && !finished) {
+      addActiveProcess('traceroute', result.sessionId, () => {
+        return tracerouteService.stopMultipath(result.sessionId);
+      });
+    }
+
+    return result;
+  } catch (error) {
+    return { error: error.message };
+  }
+});
+
+ipcMain.handle('traceroute:multipath:stop', async (event, sessionId) => {
+  try {
+    const result = tracerouteService.stopMultipath(sessionId);
+    removeActiveProcess(sessionId);
+    return result;
+  } catch (error) {
+    return { error: error.message };
+  }
+});
+
+ipcMain.handle('traceroute:mtr:report', async (event, sessionId) => {
+  try {
+    return tracerouteService.getMtrReport(sessionId);
+  } catch (error) {
+    return { error: error.message };
+  }
+});
+
+ipcMain.handle('traceroute:mtr:export', async (event, sessionId) => {
+  try {
+    const result = tracerouteService.getMtrReport(sessionId);
+    if (!result.success) {
+      return result;
+    }
+
+    const stamp = new Date(result.startTime).toISOString().slice(0, 19).replace(/[:T]/g, '-');
+    // IPv6 targets (colons, %zone) can't go into a filename as they are
+    const target = String(result.target).replace(/[\\/:*?"<>|%\s\x00-\x1f]/g, '_');
+    const { canceled, filePath } = await dialog.showSaveDialog(BrowserWindow.fromWebContents(event.sender), {
+      title: 'Export MTR report',
+      defaultPath: `mtr-${target}-${stamp}.txt`,
+      filters: [{ name: 'Text', extensions: ['txt'] }]
+    });
+
+    if (canceled || !filePath) {
+      return { success: false, canceled: true };
+    }
+
+    await fs.promises.writeFile(filePath, result.report, 'utf8');
+    return { success: true, filePath };
+  } catch (error) {
+    return { error: error.message };
+  }
+});
+
 // Ping statistics handlers
 ipcMain.handle('traceroute:ping-stats', async (event, hopKey) => {
   try {
@@ -368,12 +486,10 @@ ipcMain.handle('port-scan', async (event, config) => {
     
     // Add to active processes
     addActiveProcess('portscan', sessionId, () => {
-      // Port scanning is not easily cancellable, but we can track it
-      removeActiveProcess(sessionId);
-      return Promise.resolve({ success: true, message: 'Port scan process tracked' });
+      return Promise.resolve(portScannerService.stopScan(sessionId));
     });
     
-    const result = await portScannerService.scan(config);
+    const result = await portScannerService.scan(config, null, sessionId);
     
     // Mark as completed but keep for monitoring
     markProcessCompleted(sessionId);
@@ -391,8 +507,7 @@ ipcMain.handle('port-scan:realtime', async (event, config) => {
     
     // Add to active processes
     addActiveProcess('portscan', sessionId, () => {
-      removeActiveProcess(sessionId);
-      return Promise.resolve({ success: true, message: 'Real-time port scan process tracked' });
+      return Promise.resolve(portScannerService.stopScan(sessionId));
     });
     
     // Set up real-time updates
@@ -400,7 +515,7 @@ ipcMain.handle('port-scan:realtime', async (event, config) => {
       event.sender.send('port-scan:update', progress);
     };
     
-    const result = await portScannerService.scan(config, onProgress);
+    const result = await portScannerService.scan(config, onProgress, sessionId);
     
     // Mark as completed but keep for monitoring
     markProcessCompleted(sessionId);
@@ -411,6 +526,121 @@ ipcMain.handle('port-scan:realtime', async (event, config) => {
   }
 });
 
+ipcMain.handle('port-scan:stop', async (event, sessionId) => {
+  try {
+    return portScannerService.stopScan(sessionId);
+  } catch (error) {
+    return { error: error.message };
+  }
+});
+
+ipcMain.handle('port-scan:pause', async (event, sessionId) => {
+  try {
+    return portScannerService.pauseScan(sessionId);
+  } catch (error) {
+    return { error: error.message };
+  }
+});
+
+// Resume a paused scan - keeps its original session ID so it can be paused again
+ipcMain.handle('port-scan:resume', async (event, sessionId) => {
+  try {
+    addActiveProcess('portscan', sessionId, () => {
+      return Promise.resolve(portScannerService.stopScan(sessionId));
+    });
+    
+    const onProgress = (progress) => {
+      event.sender.send('port-scan:update', progress);
+    };
+    
+    const result = await portScannerService.resumeScan(sessionId, onProgress);
+    
+    markProcessCompleted(sessionId);
+    
+    return result;
+  } catch (error) {
+    return { error: error.message };
+  }
+});
+
+ipcMain.handle('port-scan:paused', async (event) => {
+  try {
+    return portScannerService.getPausedScans();
+  } catch (error) {
+    return { error: error.message };
+  }
+});
+
+ipcMain.handle('port-scan:discard', async (event, sessionId) => {
+  try {
+    return portScannerService.discardPausedScan(sessionId);
+  } catch (error) {
+    return { error: error.message };
+  }
+});
+
+// Host discovery (ping sweep) handlers
+ipcMain.handle('host-discovery:start', async (event, config) => {
+  try {
+    const sessionId = `discovery_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    
+    addActiveProcess('discovery', sessionId, () => {
+      return Promise.resolve(hostDiscoveryService.stopDiscovery(sessionId));
+    });
+    
+    const onUpdate = (update) => {
+      event.sender.send('host-discovery:update', update);
+    };
+    
+    const result = await hostDiscoveryService.discover(config, onUpdate, sessionId);
+    
+    markProcessCompleted(sessionId);
+    
+    return result;
+  } catch (error) {
+    return { error: error.message };
+  }
+});
+
+ipcMain.handle('host-discovery:stop', async (event, sessionId) => {
+  try {
+    return hostDiscoveryService.stopDiscovery(sessionId);
+  } catch (error) {
+    return { error: error.message };
+  }
+});
+
+// Path MTU discovery handlers
+ipcMain.handle('pmtu:discover', async (event, config) => {
+  try {
+    const sessionId = `pmtu_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    
+    addActiveProcess('pmtu', sessionId, () => {
+      return Promise.resolve(pmtuService.stopDiscovery(sessionId));
+    });
+    
+    const onUpdate = (update) => {
+      event.sender.send('pmtu:update', update);
+    };
+    
+    const result = await pmtuService.discover(config, onUpdate, sessionId);
+    
+    markProcessCompleted(sessionId);
+    
+    return result;
+  } catch (error) {
+    return { error: error.message };
+  }
+});
+
+ipcMain.handle('pmtu:stop', async (event, sessionId) => {
+  try {
+    return pmtuService.stopDiscovery(sessionId);
+  } catch (error) {
+    return { error: error.message };
+  }
+});
+
 // Process management handlers
 ipcMain.handle('process:get-active', async (event) => {
   return getActiveProcesses();
@@ -605,9 +835,71 @@ ipcMain.handle('network:interfaces', async () => {
   }
 });
 
-ipcMain.handle('dns:lookup', async (event, domain) => {
+ipcMain.handle('network:arp', async () => {
+  try {
+    return await networkService.getArpTable();
+  } catch (error) {
+    return { error: error.message };
+  }
+});
+
+ipcMain.handle('dns:lookup', async (event, domain, options) => {
+  try {
+    return await networkService.dnsLookup(domain, options);
+  } catch (error) {
+    return { error: error.message };
+  }
+});
+
+ipcMain.handle('dns:compare', async (event, domain, options) => {
   try {
-    return await networkService.dnsLookup(domain);
+    return await networkService.compareResolvers(domain, options);
+  } catch (error) {
+    return { error: error.message };
+  }
+});
+
+ipcMain.handle('dns:dnssec', async (event, domain, options) => {
+  try {
+    return await networkService.dnssecCheck(domain, options);
+  } catch (error) {
+    return { error: error.message };
+  }
+});
+
+ipcMain.handle('dns:trace', async (event, domain, options) => {
+  try {
+    return await dnsTraceService.trace(domain, options);
+  } catch (error) {
+    return { error: error.message };
+  }
+});
+
+ipcMain.handle('dns:reverse', async (event, config) => {
+  try {
+    const sessionId = `reverse_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    
+    addActiveProcess('reverse-dns', sessionId, () => {
+      return Promise.resolve(networkService.stopBulkReverseLookup(sessionId));
+    });
+    
+    const onUpdate = (update) => {
+      event.sender.send('dns:reverse:update', update);
+    };
+    
+    const result = await networkService.bulkReverseLookup(config, onUpdate, sessionId);
+    
+    markProcessCompleted(sessionId);
+    
+    return result;
+  } catch (error) {
+    return { error: error.message };
+  }
+});
+
+ipcMain.handle('dns:reverse:stop', async (event, sessionId) => {
+  try {
+    return networkService.stopBulkReverseLookup(sessionId);
   } catch (error) {
     return { error: error.message };
   }
@@ -621,6 +913,22 @@ ipcMain.handle('whois:lookup', async (event, query) => {
   }
 });
 
+ipcMain.handle('rdap:lookup', async (event, query) => {
+  try {
+    return await networkService.rdapLookup(query);
+  } catch (error) {
+    return { error: error.message };
+  }
+});
+
+ipcMain.handle('rdap:bootstrap', async (event, refresh) => {
+  try {
+    return await networkService.rdapBootstrap(refresh);
+  } catch (error) {
+    return { error: error.message };
+  }
+});
+
 // Manual reload handler for development
 ipcMain.handle('reload:webview', async (event) => {
   if (isDev) {
@@ -15,6 +15,28 @@ contextBridge.exposeInMainWorld('electronAPI', {
   traceroute: (config) => ipcRenderer.invoke('traceroute', config),
   tracerouteRealtime: (config) => ipcRenderer.invoke('traceroute:realtime', config),
   
+  // MTR mode
+  startMtr: (config) => ipcRenderer.invoke('traceroute:mtr:start', config),
+  stopMtr: (sessionId) => ipcRenderer.invoke('traceroute:mtr:stop', sessionId),
+  getMtrReport: (sessionId) => ipcRenderer.invoke('traceroute:mtr:report', sessionId),
+  exportMtrReport: (sessionId) => ipcRenderer.invoke('traceroute:mtr:export', sessionId),
+  onMtrUpdate: (callback) => {
+    ipcRenderer.on('traceroute:mtr:update', (event, data) => callback(data));
+  },
+  removeMtrListeners: () => {
+    ipcRenderer.removeAllListeners('traceroute:mtr:update');
+  },
+
+  // Multipath discovery
+  startMultipath: (config) => ipcRenderer.invoke('traceroute:multipath:start', config),
+  stopMultipath: (sessionId) => ipcRenderer.invoke('traceroute:multipath:stop', sessionId),
+  onMultipathUpdate: (callback) => {
+    ipcRenderer.on('traceroute:multipath:update', (event, data) => callback(data));
+  },
+  removeMultipathListeners: () => {
+    ipcRenderer.removeAllListeners('traceroute:multipath:update');
+  },
+
   // Continuous traceroute
   startContinuousTraceroute: (config) => ipcRenderer.invoke('traceroute:continuous:start', config),
   stopContinuousTraceroute: (sessionId) => ipcRenderer.invoke('traceroute:continuous:stop', sessionId),
@@ -48,6 +70,30 @@ contextBridge.exposeInMainWorld('electronAPI', {
     ipcRenderer.removeAllListeners('port-scan:update');
   },
   
+  // Host discovery real-time updates
+  onHostDiscoveryUpdate: (callback) => {
+    ipcRenderer.on('host-discovery:update', (event, data) => callback(data));
+  },
+  removeHostDiscoveryUpdate: () => {
+    ipcRenderer.removeAllListeners('host-discovery:update');
+  },
+  
+  // Path MTU discovery real-time updates
+  onPmtuUpdate: (callback) => {
+    ipcRenderer.on('pmtu:update', (event, data) => callback(data));
+  },
+  removePmtuUpdate: () => {
+    ipcRenderer.removeAllListeners('pmtu:update');
+  },
+  
+  // Bulk reverse DNS updates
+  onReverseLookupUpdate: (callback) => {
+    ipcRenderer.on('dns:reverse:update', (event, data) => callback(data));
+  },
+  removeReverseLookupUpdate: () => {
+    ipcRenderer.removeAllListeners('dns:reverse:update');
+  },
+  
   // Continuous traceroute updates
   onContinuousTracerouteUpdate: (callback) => {
     ipcRenderer.on('traceroute:continuous:update', (event, data) => callback(data));
@@ -63,13 +109,34 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // Port scanning
   portScan: (config) => ipcRenderer.invoke('port-scan', config),
   portScanRealtime: (config) => ipcRenderer.invoke('port-scan:realtime', config),
+  stopPortScan: (sessionId) => ipcRenderer.invoke('port-scan:stop', sessionId),
+  pausePortScan: (sessionId) => ipcRenderer.invoke('port-scan:pause', sessionId),
+  resumePortScan: (sessionId) => ipcRenderer.invoke('port-scan:resume', sessionId),
+  getPausedPortScans: () => ipcRenderer.invoke('port-scan:paused'),
+  discardPausedPortScan: (sessionId) => ipcRenderer.invoke('port-scan:discard', sessionId),
+
+  // Host discovery
+  startHostDiscovery: (config) => ipcRenderer.invoke('host-discovery:start', config),
+  stopHostDiscovery: (sessionId) => ipcRenderer.invoke('host-discovery:stop', sessionId),
+
+  // Path MTU discovery
+  discoverPathMtu: (config) => ipcRenderer.invoke('pmtu:discover', config),
+  stopPathMtu: (sessionId) => ipcRenderer.invoke('pmtu:stop', sessionId),
 
   // Network information
   getNetworkInterfaces: () => ipcRenderer.invoke('network:interfaces'),
+  getArpTable: () => ipcRenderer.invoke('network:arp'),
 
   // DNS and WHOIS
-  dnsLookup: (domain) => ipcRenderer.invoke('dns:lookup', domain),
+  dnsLookup: (domain, options) => ipcRenderer.invoke('dns:lookup', domain, options),
+  compareResolvers: (domain, options) => ipcRenderer.invoke('dns:compare', domain, options),
+  dnssecCheck: (domain, options) => ipcRenderer.invoke('dns:dnssec', domain, options),
+  traceDns: (domain, options) => ipcRenderer.invoke('dns:trace', domain, options),
+  bulkReverseLookup: (config) => ipcRenderer.invoke('dns:reverse', config),
+  stopBulkReverseLookup: (sessionId) => ipcRenderer.invoke('dns:reverse:stop', sessionId),
   whoisLookup: (query) => ipcRenderer.invoke('whois:lookup', query),
+  rdapLookup: (query) => ipcRenderer.invoke('rdap:lookup', query),
+  rdapBootstrap: (refresh) => ipcRenderer.invoke('rdap:bootstrap', refresh),
 
   // Process management
   getActiveProcesses: () => ipcRenderer.invoke('process:get-active'),
@@ -0,0 +1,263 @@
+const dns = require('dns').promises;
+const net = require('net');
+
+/**
+ * IPv4 and IPv6 address handling shared by the network services
+ *
+ * Accepts every textual IPv6 form: compressed (2001:db8::1), embedded IPv4
+ * tails (::ffff:192.0.2.1), zone IDs (fe80::1%eth0) and the bracketed
+ * literals used in URLs ([2001:db8::1]). Hostnames can be resolved to a
+ * chosen family ('auto', 'ipv4' or 'ipv6').
+ */
+class AddressParser {
+  constructor(options = {}) {
+    this.lookup = options.lookup || dns.lookup;
+    this.platform = options.platform || process.platform;
+    this.families = { auto: 0, ipv4: 4, ipv6: 6 };
+
+    this.privateRanges = [
+      ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+      ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+      ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+      ['224.0.0.0', 4], ['240.0.0.0', 4]
+    ];
+  }
+
+  /**
+   * Split an address literal into { address, family, zone }, or null for
+   * anything that isn't one (hostnames included)
+   */
+  parse(input) {
+    if (!input || typeof input !== 'string') return null;
+
+    let text = input.trim();
+    if (text.startsWith('[') && text.endsWith(']')) {
+      text = text.slice(1, -1);
+    }
+
+    let zone = null;
+    const zoneIndex = text.indexOf('%');
+    if (zoneIndex !== -1) {
+      zone = text.slice(zoneIndex + 1);
+      text = text.slice(0, zoneIndex);
+      if (!zone || !/^[\w.-]+$/.test(zone)) return null;
+    }
+
+    const family = net.isIP(text);
+    if (family === 0 || (zone && family !== 6)) return null;
+
+    return { address: family === 6 ? text.toLowerCase() : text, family, zone };
+  }
+
+  /**
+   * 4, 6, or 0 when the input is not an address literal
+   */
+  getFamily(input) {
+    const parsed = this.parse(input);
+    return parsed ? parsed.family : 0;
+  }
+
+  isIP(input) {
+    return this.parse(input) !== null;
+  }
+
+  isIPv4(input) {
+    return this.getFamily(input) === 4;
+  }
+
+  isIPv6(input) {
+    return this.getFamily(input) === 6;
+  }
+
+  /**
+   * The address as a socket or command-line argument: brackets dropped, zone kept
+   */
+  format(parsed) {
+    return parsed.zone ? `${parsed.address}%${parsed.zone}` : parsed.address;
+  }
+
+  /**
+   * 'auto' | 'ipv4' | 'ipv6' (or 0/4/6) as the numeric family dns.lookup takes
+   */
+  normalizeFamily(family) {
+    if (family === 4 || family === 6) return family;
+    if (family === undefined || family === null || family === '' || family === 0) return 0;
+
+    const value = this.families[String(family).toLowerCase()];
+    if (value === undefined) {
+      throw new Error(`Invalid address family: ${family} (expected auto, ipv4 or ipv6)`);
+    }
+    return value;
+  }
+
+  familyName(family) {
+    return family === 6 ? 'IPv6' : family === 4 ? 'IPv4' : 'auto';
+  }
+
+  /**
+   * Resolve a hostname or address literal to { address, family, hostname }
+   * An explicit family applies to both: an IPv4 literal with family 'ipv6' is an error
+   */
+  async resolve(target, family = 'auto') {
+    const requested = this.normalizeFamily(family);
+    const parsed = this.parse(target);
+
+    if (parsed) {
+      if (requested && parsed.family !== requested) {
+        throw new Error(`${target} is an ${this.familyName(parsed.family)} address but ${this.familyName(requested)} was requested`);
+      }
+      return { address: this.format(parsed), family: parsed.family, hostname: null };
+    }
+
+    try {
+      const resolved = await this.lookup(target, { family: requested });
+      return { address: resolved.address, family: resolved.family, hostname: target };
+    } catch (error) {
+      const suffix = requested ? ` to an ${this.familyName(requested)} address` : '';
+      throw new Error(`Cannot resolve ${target}${suffix}: ${error.message}`);
+    }
+  }
+
+  /**
+   * IPv6 address as eight zero-padded groups
+   * Handles :: compression, zone IDs and an embedded IPv4 tail (::ffff:192.0.2.1)
+   */
+  expandIPv6(ip) {
+    let address = ip.split('%')[0].replace(/^\[|\]$/g, '');
+
+    const v4Tail = address.match(/(\d{1,3}(?:\.\d{1,3}){3})$/);
+    if (v4Tail) {
+      const octets = v4Tail[1].split('.').map(Number);
+      const high = ((octets[0] << 8) | octets[1]).toString(16);
+      const low = ((octets[2] << 8) | octets[3]).toString(16);
+      address = address.slice(0, -v4Tail[1].length) + `${high}:${low}`;
+    }
+
+    const [head, tail] = address.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const groups = tail === undefined
+      ? headGroups
+      : [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+
+    return groups.map(group => group.padStart(4, '0').toLowerCase()).join(':');
+  }
+
+  /**
+   * The IPv4 address inside an IPv4-mapped IPv6 address (::ffff:192.0.2.1), or null
+   */
+  unmapIPv4(ip) {
+    const parsed = this.parse(ip);
+    if (!parsed || parsed.family !== 6) return null;
+
+    const groups = this.expandIPv6(parsed.address).split(':');
+    if (groups.slice(0, 5).some(group => group !== '0000') || groups[5] !== 'ffff') return null;
+    return [groups[6].slice(0, 2), groups[6].slice(2), groups[7].slice(0, 2), groups[7].slice(2)]
+      .map(octet => parseInt(octet, 16))
+      .join('.');
+  }
+
+  /**
+   * Address as a BigInt for prefix comparisons
+   */
+  toBigInt(ip) {
+    const parsed = this.parse(ip);
+    if (!parsed) throw new Error(`Not an IP address: ${ip}`);
+
+    if (parsed.family === 4) {
+      return parsed.address.split('.').reduce((value, octet) => (value << 8n) + BigInt(parseInt(octet, 10)), 0n);
+    }
+    return this.expandIPv6(parsed.address).split(':')
+      .reduce((value, group) => (value << 16n) + BigInt(parseInt(group, 16)), 0n);
+  }
+
+  /**
+   * Inverse of toBigInt; IPv6 comes back in compressed (RFC 5952) form
+   */
+  fromBigInt(value, family) {
+    if (family === 4) {
+      return [24n, 16n, 8n, 0n].map(shift => Number((value >> shift) & 0xFFn)).join('.');
+    }
+
+    const groups = [];
+    for (let shift = 112n; shift >= 0n; shift -= 16n) {
+      groups.push(Number((value >> shift) & 0xFFFFn).toString(16));
+    }
+
+    // The longest run of two or more zero groups becomes ::
+    let run = { start: -1, length: 1 };
+    for (let i = 0; i < groups.length; i++) {
+      if (groups[i] !== '0') continue;
+      let end = i;
+      while (end < groups.length && groups[end] === '0') end++;
+      if (end - i > run.length) run = { start: i, length: end - i };
+      i = end;
+    }
+
+    if (run.start === -1) return groups.join(':');
+    return `${groups.slice(0, run.start).join(':')}::${groups.slice(run.start + run.length).join(':')}`;
+  }
+
+  /**
+   * Labels for reverse-tree lookups: 192.0.2.1 -> 1.2.0.192,
+   * IPv6 -> its 32 nibbles in reverse order
+   */
+  reverseLabels(ip) {
+    const parsed = this.parse(ip);
+    if (!parsed) throw new Error(`Not an IP address: ${ip}`);
+
+    if (parsed.family === 4) {
+      return parsed.address.split('.').reverse().join('.');
+    }
+    return this.expandIPv6(parsed.address).replace(/:/g, '').split('').reverse().join('.');
+  }
+
+  /**
+   * PTR query name: 1.2.0.192.in-addr.arpa or <nibbles>.ip6.arpa
+   */
+  buildReverseName(ip) {
+    return `${this.reverseLabels(ip)}.${this.isIPv4(ip) ? 'in-addr.arpa' : 'ip6.arpa'}`;
+  }
+
+  /**
+   * RFC 1918, loopback, link-local, CGNAT, documentation, multicast and reserved ranges
+   */
+  isPrivate(ip) {
+    const parsed = this.parse(ip);
+    if (!parsed) return false;
+
+    if (parsed.family === 6) {
+      const mapped = this.unmapIPv4(parsed.address);
+      if (mapped) return this.isPrivate(mapped);
+
+      const groups = this.expandIPv6(parsed.address).split(':');
+      const first = parseInt(groups[0], 16);
+      return groups.every(group => group === '0000') || // ::
+        groups.join(':') === '0000:0000:0000:0000:0000:0000:0000:0001' || // ::1
+        (first & 0xfe00) === 0xfc00 || // fc00::/7 unique local
+        (first & 0xffc0) === 0xfe80 || // fe80::/10 link-local
+        (first & 0xff00) === 0xff00 || // ff00::/8 multicast
+        (groups[0] === '2001' && groups[1] === '0db8'); // 2001:db8::/32 documentation
+    }
+
+    const value = Number(this.toBigInt(parsed.address));
+    return this.privateRanges.some(([network, bits]) => {
+      const mask = bits === 0 ? 0 : (~0 << (32 - bits)) >>> 0;
+      return ((value & mask) >>> 0) === Number(this.toBigInt(network));
+    });
+  }
+
+  /**
+   * Options for the ping package's probe() with the family set explicitly
+   * macOS ping6 has no timeout flag, so SystemPing's time limit covers it
+   */
+  pingOptions(ip, options = {}) {
+    const v6 = this.isIPv6(ip);
+    if (v6 && this.platform === 'darwin') {
+      return { ...options, v6, timeout: false };
+    }
+    return { ...options, v6 };
+  }
+}
+
+module.exports = AddressParser;
@@ -1,3 +1,5 @@
+const RouteChangeTracker = require('./RouteChangeTracker');
+
 /**
  * Manages continuous traceroute operations
  */
@@ -19,6 +21,9 @@ class ContinuousTracerouteManager {
       timeout = 0,
       protocol = 'icmp',
       port = null,
+      family = 0,
+      probesPerHop = 3,
+      paris = false,
       resolveHosts = true,
       pingHops = true,
       realTime = true,
@@ -35,6 +40,7 @@ class ContinuousTracerouteManager {
     let isRunning = true;
     let runCount = 0;
     let allHops = new Map(); // Track all hops across runs
+    const routeTracker = new RouteChangeTracker();
     let startTime = Date.now();
     let currentRunPromise = null;
 
@@ -46,6 +52,7 @@ class ContinuousTracerouteManager {
       runCount,
       startTime,
       allHops,
+      routeTracker,
       currentRunPromise,
       stop: () => {
         isRunning = false;
@@ -61,6 +68,9 @@ class ContinuousTracerouteManager {
       runCount++;
       console.log(`🔄 [ContinuousTracerouteManager] Run #${runCount} for ${target}`);
 
+      // Hop processing (DNS, pings) can outlast the traceroute itself
+      const pendingHops = [];
+
       try {
         // Execute traceroute with custom hop processing
         const result = await this.tracerouteExecutor.execute({
@@ -69,36 +79,58 @@ class ContinuousTracerouteManager {
           timeout,
           protocol,
           port,
+          family,
+          probesPerHop,
+          paris,
           resolveHosts,
           pingHops,
           realTime: false // We handle real-time updates ourselves
-        }, async (update) => {
+        }, (update) => {
           if (update.type === 'hop') {
-            // Process the hop data
-            const processedHop = await this.hopProcessor.processHop(
-              update.rawData,
-              config,
-              runCount,
-              sessionId
-            );
-
-            // Update hop history
-            const updatedHop = this.hopProcessor.updateHopHistory(processedHop, allHops);
-
-            // Send real-time update
-            if (onHopUpdate && typeof onHopUpdate === 'function') {
-              onHopUpdate({
-                type: 'continuous_hop',
-                data: updatedHop,
+            pendingHops.push(this.processRunHop(update.rawData, config, runCount, sessionId, allHops, (updatedHop) => {
+              // Send real-time update
+              if (onHopUpdate && typeof onHopUpdate === 'function') {
+                onHopUpdate({
+                  type: 'continuous_hop',
+                  data: updatedHop,
+                  sessionId,
+                  runNumber: runCount,
+                  totalRuns: runCount,
+                  duration: Date.now() - startTime,
+                  allHops: Array.from(allHops.values())
+                });
+              }
+            }));
+          }
+        });
+
+        const runHops = await Promise.all(pendingHops);
+
+        // Compare this run's path with the previous and baseline paths
+        if (result.success) {
+          const routeChange = routeTracker.recordRun(runCount, runHops);
+          this.pruneStaleHops(allHops, routeTracker);
+
+          if (routeChange.changed) {
+            console.log(`🔀 [ContinuousTracerouteManager] Route to ${target} changed at ${routeChange.changes.length} hop(s) in run #${runCount} (v${routeChange.previousVersion} → v${routeChange.version})`);
+
+            if (onComplete && typeof onComplete === 'function') {
+              onComplete({
+                type: 'route_changed',
                 sessionId,
                 runNumber: runCount,
-                totalRuns: runCount,
-                duration: Date.now() - startTime,
+                timestamp: Date.now(),
+                changes: routeChange.changes,
+                baselineChanges: routeChange.baselineChanges,
+                version: routeChange.version,
+                previousVersion: routeChange.previousVersion,
+                isNewVersion: routeChange.isNewVersion,
+                routeHistory: routeTracker.getHistory(),
                 allHops: Array.from(allHops.values())
               });
             }
           }
-        });
+        }
 
         // Send run completion update
         if (onComplete && typeof onComplete === 'function') {
@@ -115,7 +147,8 @@ class ContinuousTracerouteManager {
             result,
             allHops: Array.from(allHops.values()),
             duration: Date.now() - startTime,
-            statistics: sessionStats
+            statistics: sessionStats,
+            routeHistory: routeTracker.getHistory()
           });
         }
 
@@ -149,6 +182,29 @@ class ContinuousTracerouteManager {
     };
   }
 
+  /**
+   * Process one hop of a run into the session's hop history
+   * Resolves with the processed hop so the run's path can be compared once it ends
+   */
+  async processRunHop(rawHop, config, runNumber, sessionId, allHops, onUpdated) {
+    const processedHop = await this.hopProcessor.processHop(rawHop, config, runNumber, sessionId);
+    const updatedHop = this.hopProcessor.updateHopHistory(processedHop, allHops);
+    onUpdated(updatedHop);
+    return processedHop;
+  }
+
+  /**
+   * Drop hop entries the latest path no longer goes through, so a TTL that
+   * moved to another router doesn't keep showing the old one
+   */
+  pruneStaleHops(allHops, routeTracker) {
+    allHops.forEach((hop, key) => {
+      if (routeTracker.isStale(hop.hop, hop.ip)) {
+        allHops.delete(key);
+      }
+    });
+  }
+
   /**
    * Stop a continuous traceroute session
    */
@@ -245,6 +301,7 @@ class ContinuousTracerouteManager {
       startTime: session.startTime,
       duration: Date.now() - session.startTime,
       allHops: Array.from(session.allHops.values()),
+      routeHistory: session.routeTracker.getHistory(),
       isRunning: session.isRunning
     };
   }
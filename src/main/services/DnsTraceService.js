@@ -0,0 +1,217 @@
+const dns = require('dns').promises;
+const DnsWireClient = require('./DnsWireClient');
+const rootHints = require('../data/root-hints.json');
+
+/**
+ * Iterative DNS resolution from the root servers down (like `dig +trace`)
+ *
+ * Every query is sent without recursion desired. Each referral's NS set and
+ * glue choose the next servers; name servers without glue are resolved with
+ * the system resolver. One step is recorded per zone cut.
+ */
+class DnsTraceService {
+  constructor(wireClient = null) {
+    this.wireClient = wireClient || new DnsWireClient();
+    this.rootHints = rootHints;
+
+    this.defaultConfig = {
+      timeout: 3000,
+      maxSteps: 16,
+      serversPerZone: 3 // servers tried before giving up on a zone
+    };
+  }
+
+  /**
+   * Walk the delegation chain for a name and record type
+   */
+  async trace(domain, options = {}) {
+    const type = (options.type || 'A').toUpperCase();
+    const timeout = options.timeout || this.defaultConfig.timeout;
+
+    if (!domain || !domain.trim()) {
+      return { success: false, error: 'Domain is required' };
+    }
+    if (!this.wireClient.types[type] || type === 'OPT') {
+      return { success: false, error: `Unsupported record type: ${type}` };
+    }
+
+    const name = this.normalizeName(domain);
+    const steps = [];
+    const startTime = Date.now();
+    let zone = '.';
+    let servers = this.shuffle(this.rootHints.map(hint => ({ name: hint.name, address: hint.ipv4 })));
+
+    console.log(`🔍 [DNS] Starting trace for ${name} ${type}`);
+
+    try {
+      while (steps.length < this.defaultConfig.maxSteps) {
+        const { response, server, failures } = await this.queryZone(servers, name, type, timeout);
+
+        if (!response) {
+          steps.push({ zone, failures, error: `No name server for ${zone} answered` });
+          return this.buildResult(name, type, steps, startTime, `No name server for ${zone} answered`);
+        }
+
+        const step = {
+          zone,
+          server: server.name,
+          address: server.address,
+          latency: response.latency,
+          transport: response.transport,
+          size: response.size,
+          rcode: response.rcode,
+          flags: response.flags,
+          answers: response.answers,
+          authority: response.authority,
+          additional: response.additional,
+          failures
+        };
+        steps.push(step);
+        console.log(`📡 [DNS] ${zone} via ${server.name} (${server.address}): ${response.rcode}, ${response.answers.length} answers`);
+
+        if (response.rcode !== 'NOERROR' || response.answers.length) {
+          return this.buildResult(name, type, steps, startTime);
+        }
+
+        const nsRecords = response.authority.filter(record => record.type === 'NS');
+        if (!nsRecords.length) {
+          // NOERROR with an empty answer and an SOA in authority - the name exists without this type
+          return this.buildResult(name, type, steps, startTime);
+        }
+
+        const nextZone = this.normalizeName(nsRecords[0].name);
+        if (nextZone === zone || !this.isSubdomain(nextZone, zone) || !this.isSubdomain(name, nextZone)) {
+          step.error = `Lame referral from ${zone} to ${nextZone}`;
+          return this.buildResult(name, type, steps, startTime, step.error);
+        }
+
+        step.referral = {
+          zone: nextZone,
+          nameservers: this.collectNameservers(nsRecords, response.additional)
+        };
+
+        servers = await this.resolveNameservers(step.referral.nameservers);
+        if (!servers.length) {
+          step.error = `Could not resolve any name server for ${nextZone}`;
+          return this.buildResult(name, type, steps, startTime, step.error);
+        }
+
+        zone = nextZone;
+      }
+
+      return this.buildResult(name, type, steps, startTime, `Gave up after ${this.defaultConfig.maxSteps} delegations`);
+    } catch (error) {
+      console.log('❌ [DNS] Trace error:', error.message);
+      return { success: false, error: error.message, steps };
+    }
+  }
+
+  /**
+   * Query the servers for a zone in order until one answers
+   */
+  async queryZone(servers, name, type, timeout) {
+    const failures = [];
+
+    for (const server of servers.slice(0, this.defaultConfig.serversPerZone)) {
+      try {
+        const response = await this.wireClient.query(name, type, {
+          server: server.address,
+          timeout,
+          recursionDesired: false,
+          edns: true
+        });
+        return { response, server, failures };
+      } catch (error) {
+        failures.push({ server: server.name, address: server.address, error: error.message });
+      }
+    }
+
+    return { response: null, server: null, failures };
+  }
+
+  /**
+   * Pair each NS name in a referral with its IPv4 glue from the additional section
+   */
+  collectNameservers(nsRecords, additional) {
+    return nsRecords.map((record) => {
+      const nsName = this.normalizeName(record.data);
+      const addresses = additional
+        .filter(glue => glue.type === 'A' && this.normalizeName(glue.name) === nsName)
+        .map(glue => glue.data);
+      return { name: nsName, addresses, glue: addresses.length > 0 };
+    });
+  }
+
+  /**
+   * Turn a referral's name servers into query targets, resolving glueless
+   * names through the system resolver only when no glue is available
+   */
+  async resolveNameservers(nameservers) {
+    const withGlue = nameservers.filter(ns => ns.glue);
+    if (withGlue.length) {
+      return this.shuffle(withGlue.flatMap(ns => ns.addresses.map(address => ({ name: ns.name, address }))));
+    }
+
+    const servers = [];
+    for (const ns of nameservers.slice(0, this.defaultConfig.serversPerZone)) {
+      try {
+        const addresses = await dns.resolve4(ns.name);
+        ns.addresses = addresses;
+        servers.push(...addresses.map(address => ({ name: ns.name, address })));
+      } catch (error) {
+        console.log(`⚠️ [DNS] Cannot resolve name server ${ns.name}: ${error.message}`);
+      }
+    }
+    return servers;
+  }
+
+  /**
+   * Summarize a finished trace
+   */
+  buildResult(name, type, steps, startTime, error = null) {
+    const last = steps[steps.length - 1] || {};
+
+    return {
+      success: !error,
+      error: error || undefined,
+      domain: name,
+      type,
+      rcode: last.rcode || null,
+      answers: last.answers || [],
+      authoritative: !!(last.flags && last.flags.aa),
+      steps,
+      duration: Date.now() - startTime,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Lower-case a name and strip the trailing dot (the root stays '.')
+   */
+  normalizeName(name) {
+    const normalized = String(name).trim().toLowerCase().replace(/\.$/, '');
+    return normalized || '.';
+  }
+
+  /**
+   * True when child equals parent or sits below it
+   */
+  isSubdomain(child, parent) {
+    if (parent === '.') return true;
+    return child === parent || child.endsWith(`.${parent}`);
+  }
+
+  /**
+   * Randomize server order so repeated traces spread load like a resolver would
+   */
+  shuffle(items) {
+    const copy = [...items];
+    for (let i = copy.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+  }
+}
+
+module.exports = DnsTraceService;
@@ -0,0 +1,657 @@
+const dgram = require('dgram');
+const net = require('net');
+const dns = require('dns');
+const AddressParser = require('./AddressParser');
+
+/**
+ * DNS wire-format client (RFC 1035)
+ *
+ * Used for record types the Node resolver cannot query (DS, DNSKEY, ...) and
+ * wherever the full response matters: header flags, rcode and the authority
+ * and additional sections. Queries go over UDP and fall back to TCP when the
+ * answer is truncated. Record data is decoded into the same shapes
+ * `dns.promises` returns, plus a ttl field.
+ */
+class DnsWireClient {
+  constructor(options = {}) {
+    this.addressParser = options.addressParser || new AddressParser();
+    this.defaultConfig = {
+      timeout: 5000,
+      port: 53,
+      retries: 1,
+      ednsUdpSize: 1232
+    };
+
+    this.types = {
+      A: 1, NS: 2, CNAME: 5, SOA: 6, PTR: 12, MX: 15, TXT: 16, AAAA: 28,
+      SRV: 33, NAPTR: 35, DNAME: 39, OPT: 41, DS: 43, RRSIG: 46, NSEC: 47, DNSKEY: 48,
+      NSEC3: 50, NSEC3PARAM: 51, CAA: 257, ANY: 255
+    };
+    this.typeNames = Object.fromEntries(Object.entries(this.types).map(([name, code]) => [code, name]));
+
+    this.rcodes = ['NOERROR', 'FORMERR', 'SERVFAIL', 'NXDOMAIN', 'NOTIMP', 'REFUSED'];
+  }
+
+  /**
+   * Query a record type and return the decoded message
+   *
+   * options: server, port, timeout, tcp (skip UDP), recursionDesired (default
+   * true), edns (add an OPT record), dnssecOk (set the DO bit, implies edns),
+   * checkingDisabled (set CD), rawRdata (keep canonical RDATA for validation)
+   */
+  async query(name, type, options = {}) {
+    const system = options.server ? null : this.systemServer();
+    const server = options.server || (system && system.server);
+    const port = options.port || (system && system.port) || this.defaultConfig.port;
+    const timeout = options.timeout || this.defaultConfig.timeout;
+
+    if (!server) {
+      throw new Error('No DNS server configured');
+    }
+
+    const typeCode = this.types[type];
+    if (!typeCode) {
+      throw new Error(`Unsupported record type: ${type}`);
+    }
+
+    const { id, message } = this.buildQuery(name, typeCode, options);
+    const startTime = Date.now();
+    let transport = options.tcp ? 'tcp' : 'udp';
+    let response = transport === 'tcp'
+      ? await this.sendTcp(message, server, port, timeout)
+      : await this.sendUdp(message, server, port, timeout, id);
+    let parsed = this.parseMessage(response, options);
+
+    // Truncated over UDP - retry the same query over TCP for the full answer
+    if (transport === 'udp' && parsed.flags.tc) {
+      transport = 'tcp';
+      response = await this.sendTcp(message, server, port, timeout);
+      parsed = this.parseMessage(response, options);
+    }
+
+    if (parsed.id !== id) {
+      throw new Error('Response ID mismatch');
+    }
+
+    return {
+      server,
+      port,
+      transport,
+      latency: Date.now() - startTime,
+      size: response.length,
+      ...parsed
+    };
+  }
+
+  /**
+   * First system resolver as { server, port }; dns.getServers() lists
+   * non-default ports as 192.0.2.1:5353 or [2001:db8::1]:5353
+   */
+  systemServer() {
+    const entry = dns.getServers()[0];
+    if (!entry) return null;
+
+    const bracketed = entry.match(/^\[([^\]]+)\](?::(\d+))?$/);
+    if (bracketed) {
+      return { server: bracketed[1], port: bracketed[2] ? parseInt(bracketed[2]) : null };
+    }
+    const hostPort = entry.match(/^([^:]+):(\d+)$/);
+    if (hostPort) {
+      return { server: hostPort[1], port: parseInt(hostPort[2]) };
+    }
+    return { server: entry, port: null };
+  }
+
+  /**
+   * Encode a query message with a random ID, recursion desired unless disabled
+   * and an optional EDNS0 OPT record (RFC 6891)
+   */
+  buildQuery(name, typeCode, options = {}) {
+    // DoH uses ID 0 so responses stay cacheable (RFC 8484 4.1)
+    const id = options.id !== undefined ? options.id : Math.floor(Math.random() * 0x10000);
+    const header = Buffer.alloc(12);
+    const edns = options.edns || options.dnssecOk;
+
+    header.writeUInt16BE(id, 0);
+    header.writeUInt16BE(
+      (options.recursionDesired === false ? 0x0000 : 0x0100) | (options.checkingDisabled ? 0x0010 : 0x0000), 2
+    ); // RD, CD
+    header.writeUInt16BE(1, 4); // QDCOUNT
+    header.writeUInt16BE(edns ? 1 : 0, 10); // ARCOUNT
+
+    const parts = [
+      header,
+      this.encodeName(name),
+      Buffer.from([typeCode >> 8, typeCode & 0xff, 0x00, 0x01]) // QTYPE, QCLASS IN
+    ];
+
+    if (edns) {
+      const opt = Buffer.alloc(11);
+      opt[0] = 0; // root owner name
+      opt.writeUInt16BE(this.types.OPT, 1);
+      opt.writeUInt16BE(this.defaultConfig.ednsUdpSize, 3); // requestor's UDP payload size
+      opt.writeUInt32BE(options.dnssecOk ? 0x00008000 : 0, 5); // extended rcode, version, DO bit
+      opt.writeUInt16BE(0, 9); // no options
+      parts.push(opt);
+    }
+
+    return { id, message: Buffer.concat(parts) };
+  }
+
+  /**
+   * Encode a domain name as a sequence of length-prefixed labels
+   */
+  encodeName(name) {
+    const labels = name.replace(/\.$/, '').split('.').filter(Boolean);
+    const parts = [];
+
+    for (const label of labels) {
+      const bytes = Buffer.from(label, 'ascii');
+      if (bytes.length > 63) {
+        throw new Error(`Label too long: ${label}`);
+      }
+      parts.push(Buffer.from([bytes.length]), bytes);
+    }
+    parts.push(Buffer.from([0]));
+
+    return Buffer.concat(parts);
+  }
+
+  /**
+   * Send a message over UDP and wait for the matching response
+   */
+  sendUdp(message, server, port, timeout, id) {
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket(net.isIPv6(server) ? 'udp6' : 'udp4');
+      let attempts = 0;
+      let timer = null;
+      let finished = false;
+
+      const finish = (error, response) => {
+        if (finished) return;
+        finished = true;
+        clearTimeout(timer);
+        socket.close();
+        if (error) {
+          reject(error);
+        } else {
+          resolve(response);
+        }
+      };
+
+      const send = () => {
+        attempts++;
+        socket.send(message, port, server, (error) => {
+          if (error) finish(error);
+        });
+        timer = setTimeout(() => {
+          if (attempts <= this.defaultConfig.retries) {
+            send();
+          } else {
+            finish(new Error(`Query to ${server} timed out`));
+          }
+        }, timeout);
+      };
+
+      socket.on('message', (response) => {
+        // Ignore stray datagrams that don't belong to this query
+        if (response.length >= 2 && response.readUInt16BE(0) === id) {
+          finish(null, response);
+        }
+      });
+      socket.on('error', (error) => finish(error));
+
+      send();
+    });
+  }
+
+  /**
+   * Send a message over TCP with the two-byte length prefix (RFC 1035 4.2.2)
+   */
+  async sendTcp(message, server, port, timeout) {
+    const socket = new net.Socket();
+    const exchange = this.exchangeStream(socket, message, server, timeout, 'connect');
+    socket.connect(port, server);
+    return (await exchange).response;
+  }
+
+  /**
+   * Length-prefixed exchange over a stream socket (TCP or TLS)
+   *
+   * The query is written once connectEvent fires. Resolves with the response
+   * and the connect/finish timestamps so callers can split handshake time
+   * from query time.
+   */
+  exchangeStream(socket, message, server, timeout, connectEvent) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let received = 0;
+      let connectedAt = null;
+      let finished = false;
+
+      const finish = (error, response) => {
+        if (finished) return;
+        finished = true;
+        socket.destroy();
+        if (error) {
+          reject(error);
+        } else {
+          resolve({ response, connectedAt, finishedAt: Date.now() });
+        }
+      };
+
+      socket.setTimeout(timeout);
+      socket.on('timeout', () => finish(new Error(`Query to ${server} timed out`)));
+      socket.on('error', (error) => finish(error));
+      socket.on('close', () => finish(new Error(`${server} closed the connection before answering`)));
+
+      socket.on('data', (chunk) => {
+        chunks.push(chunk);
+        received += chunk.length;
+        if (received < 2) return;
+
+        const buffer = Buffer.concat(chunks);
+        const length = buffer.readUInt16BE(0);
+        if (buffer.length >= length + 2) {
+          finish(null, buffer.slice(2, length + 2));
+        }
+      });
+
+      socket.once(connectEvent, () => {
+        connectedAt = Date.now();
+        const prefix = Buffer.alloc(2);
+        prefix.writeUInt16BE(message.length, 0);
+        socket.write(Buffer.concat([prefix, message]));
+      });
+    });
+  }
+
+  /**
+   * Decode a full response: header flags, question, answer, authority and
+   * additional sections. The EDNS OPT pseudo-record is split out of additional.
+   */
+  parseMessage(buffer, options = {}) {
+    if (buffer.length < 12) {
+      throw new Error('Truncated DNS message');
+    }
+
+    const id = buffer.readUInt16BE(0);
+    const rawFlags = buffer.readUInt16BE(2);
+    const counts = {
+      question: buffer.readUInt16BE(4),
+      answer: buffer.readUInt16BE(6),
+      authority: buffer.readUInt16BE(8),
+      additional: buffer.readUInt16BE(10)
+    };
+
+    let offset = 12;
+    const questions = [];
+    for (let i = 0; i < counts.question; i++) {
+      const { name, offset: afterName } = this.readName(buffer, offset);
+      const typeCode = buffer.readUInt16BE(afterName);
+      questions.push({
+        name,
+        type: this.typeNames[typeCode] || `TYPE${typeCode}`,
+        class: buffer.readUInt16BE(afterName + 2)
+      });
+      offset = afterName + 4;
+    }
+
+    const readSection = (count) => {
+      const records = [];
+      for (let i = 0; i < count; i++) {
+        const record = this.readRecord(buffer, offset, options);
+        records.push(record.record);
+        offset = record.offset;
+      }
+      return records;
+    };
+
+    const answers = readSection(counts.answer);
+    const authority = readSection(counts.authority);
+    let additional = readSection(counts.additional);
+
+    let edns = null;
+    const opt = additional.find(record => record.type === 'OPT');
+    if (opt) {
+      // OPT reuses CLASS for the UDP payload size and TTL for extended rcode/version/flags
+      edns = {
+        udpSize: opt.class,
+        version: (opt.ttl >>> 16) & 0xff,
+        dnssecOk: (opt.ttl & 0x8000) === 0x8000
+      };
+      additional = additional.filter(record => record !== opt);
+    }
+
+    const rcode = ((opt ? (opt.ttl >>> 24) << 4 : 0) | (rawFlags & 0x0f));
+    return {
+      id,
+      flags: {
+        qr: (rawFlags & 0x8000) !== 0,
+        opcode: (rawFlags >> 11) & 0x0f,
+        aa: (rawFlags & 0x0400) !== 0,
+        tc: (rawFlags & 0x0200) !== 0,
+        rd: (rawFlags & 0x0100) !== 0,
+        ra: (rawFlags & 0x0080) !== 0,
+        ad: (rawFlags & 0x0020) !== 0,
+        cd: (rawFlags & 0x0010) !== 0
+      },
+      rcode: this.rcodes[rcode] || `RCODE${rcode}`,
+      questions,
+      answers,
+      authority,
+      additional,
+      edns
+    };
+  }
+
+  /**
+   * Read a resource record starting at offset
+   * With options.rawRdata the record also carries its canonical RDATA bytes
+   */
+  readRecord(buffer, offset, options = {}) {
+    const { name, offset: afterName } = this.readName(buffer, offset);
+    const typeCode = buffer.readUInt16BE(afterName);
+    const recordClass = buffer.readUInt16BE(afterName + 2);
+    const ttl = buffer.readUInt32BE(afterName + 4);
+    const length = buffer.readUInt16BE(afterName + 8);
+    const dataOffset = afterName + 10;
+
+    if (dataOffset + length > buffer.length) {
+      throw new Error('Truncated resource record');
+    }
+
+    const type = this.typeNames[typeCode] || `TYPE${typeCode}`;
+    const data = this.parseRecordData(type, buffer, dataOffset, length);
+    const record = { name, type, class: recordClass, ttl, data };
+
+    if (options.rawRdata) {
+      record.rdata = this.canonicalRdata(type, buffer, dataOffset, length);
+    }
+
+    return { record, offset: dataOffset + length };
+  }
+
+  /**
+   * RDATA in DNSSEC canonical form (RFC 4034 6.2): embedded names are
+   * decompressed and lower-cased, everything else is copied as received
+   */
+  canonicalRdata(type, buffer, offset, length) {
+    const end = offset + length;
+    const name = (at) => {
+      const result = this.readName(buffer, at);
+      return { bytes: this.encodeName(result.name.toLowerCase()), offset: result.offset };
+    };
+
+    switch (type) {
+      case 'NS':
+      case 'CNAME':
+      case 'PTR':
+      case 'DNAME':
+        return name(offset).bytes;
+      case 'MX':
+        return Buffer.concat([buffer.slice(offset, offset + 2), name(offset + 2).bytes]);
+      case 'SRV':
+        return Buffer.concat([buffer.slice(offset, offset + 6), name(offset + 6).bytes]);
+      case 'SOA': {
+        const primary = name(offset);
+        const admin = name(primary.offset);
+        return Buffer.concat([primary.bytes, admin.bytes, buffer.slice(admin.offset, end)]);
+      }
+      case 'NAPTR': {
+        let position = offset + 4;
+        for (let i = 0; i < 3; i++) {
+          position = this.readCharacterString(buffer, position).offset;
+        }
+        return Buffer.concat([buffer.slice(offset, position), name(position).bytes]);
+      }
+      default:
+        return Buffer.from(buffer.slice(offset, end));
+    }
+  }
+
+  /**
+   * Read a possibly compressed domain name
+   */
+  readName(buffer, offset) {
+    const labels = [];
+    let position = offset;
+    let endOffset = null;
+    let jumps = 0;
+
+    while (true) {
+      if (position >= buffer.length) {
+        throw new Error('Name runs past end of message');
+      }
+
+      const length = buffer[position];
+
+      if ((length & 0xc0) === 0xc0) {
+        if (++jumps > 64) {
+          throw new Error('Compression loop in name');
+        }
+        if (endOffset === null) {
+          endOffset = position + 2;
+        }
+        position = ((length & 0x3f) << 8) | buffer[position + 1];
+        continue;
+      }
+
+      if (length === 0) {
+        position += 1;
+        break;
+      }
+
+      labels.push(buffer.toString('ascii', position + 1, position + 1 + length));
+      position += 1 + length;
+    }
+
+    return { name: labels.join('.'), offset: endOffset !== null ? endOffset : position };
+  }
+
+  /**
+   * Decode RDATA into Node-style record objects
+   */
+  parseRecordData(type, buffer, offset, length) {
+    const end = offset + length;
+
+    switch (type) {
+      case 'A':
+        return Array.from(buffer.slice(offset, end)).join('.');
+      case 'AAAA': {
+        const value = (buffer.readBigUInt64BE(offset) << 64n) | buffer.readBigUInt64BE(offset + 8);
+        return this.addressParser.fromBigInt(value, 6);
+      }
+      case 'NS':
+      case 'CNAME':
+      case 'PTR':
+        return this.readName(buffer, offset).name;
+      case 'MX':
+        return {
+          priority: buffer.readUInt16BE(offset),
+          exchange: this.readName(buffer, offset + 2).name
+        };
+      case 'TXT': {
+        const strings = [];
+        let position = offset;
+        while (position < end) {
+          const size = buffer[position];
+          strings.push(buffer.toString('utf8', position + 1, position + 1 + size));
+          position += 1 + size;
+        }
+        return strings;
+      }
+      case 'SOA': {
+        const primary = this.readName(buffer, offset);
+        const admin = this.readName(buffer, primary.offset);
+        const position = admin.offset;
+        return {
+          nsname: primary.name,
+          hostmaster: admin.name,
+          serial: buffer.readUInt32BE(position),
+          refresh: buffer.readUInt32BE(position + 4),
+          retry: buffer.readUInt32BE(position + 8),
+          expire: buffer.readUInt32BE(position + 12),
+          minttl: buffer.readUInt32BE(position + 16)
+        };
+      }
+      case 'SRV':
+        return {
+          priority: buffer.readUInt16BE(offset),
+          weight: buffer.readUInt16BE(offset + 2),
+          port: buffer.readUInt16BE(offset + 4),
+          name: this.readName(buffer, offset + 6).name
+        };
+      case 'DS':
+        return {
+          keyTag: buffer.readUInt16BE(offset),
+          algorithm: buffer[offset + 2],
+          digestType: buffer[offset + 3],
+          digest: buffer.slice(offset + 4, end).toString('hex').toUpperCase()
+        };
+      case 'DNSKEY': {
+        const rdata = buffer.slice(offset, end);
+        return {
+          flags: rdata.readUInt16BE(0),
+          protocol: rdata[2],
+          algorithm: rdata[3],
+          publicKey: rdata.slice(4).toString('base64'),
+          keyTag: this.computeKeyTag(rdata),
+          isKSK: (rdata.readUInt16BE(0) & 0x0001) === 0x0001
+        };
+      }
+      case 'RRSIG': {
+        const signer = this.readName(buffer, offset + 18);
+        return {
+          typeCovered: this.typeNames[buffer.readUInt16BE(offset)] || `TYPE${buffer.readUInt16BE(offset)}`,
+          algorithm: buffer[offset + 2],
+          labels: buffer[offset + 3],
+          originalTtl: buffer.readUInt32BE(offset + 4),
+          expiration: buffer.readUInt32BE(offset + 8),
+          inception: buffer.readUInt32BE(offset + 12),
+          keyTag: buffer.readUInt16BE(offset + 16),
+          signerName: signer.name,
+          signature: buffer.slice(signer.offset, end).toString('base64')
+        };
+      }
+      case 'NAPTR': {
+        const flags = this.readCharacterString(buffer, offset + 4);
+        const service = this.readCharacterString(buffer, flags.offset);
+        const regexp = this.readCharacterString(buffer, service.offset);
+        return {
+          order: buffer.readUInt16BE(offset),
+          preference: buffer.readUInt16BE(offset + 2),
+          flags: flags.value,
+          service: service.value,
+          regexp: regexp.value,
+          replacement: this.readName(buffer, regexp.offset).name
+        };
+      }
+      case 'NSEC': {
+        const next = this.readName(buffer, offset);
+        return {
+          nextDomain: next.name,
+          types: this.readTypeBitmap(buffer, next.offset, end)
+        };
+      }
+      case 'NSEC3': {
+        const saltLength = buffer[offset + 4];
+        const hashOffset = offset + 5 + saltLength;
+        const hashLength = buffer[hashOffset];
+        return {
+          hashAlgorithm: buffer[offset],
+          flags: buffer[offset + 1],
+          optOut: (buffer[offset + 1] & 0x01) === 0x01,
+          iterations: buffer.readUInt16BE(offset + 2),
+          salt: buffer.slice(offset + 5, hashOffset).toString('hex'),
+          nextHashed: this.encodeBase32Hex(buffer.slice(hashOffset + 1, hashOffset + 1 + hashLength)),
+          types: this.readTypeBitmap(buffer, hashOffset + 1 + hashLength, end)
+        };
+      }
+      case 'CAA': {
+        const tagLength = buffer[offset + 1];
+        return {
+          critical: buffer[offset],
+          tag: buffer.toString('ascii', offset + 2, offset + 2 + tagLength),
+          value: buffer.toString('utf8', offset + 2 + tagLength, end)
+        };
+      }
+      default:
+        return { rdata: buffer.slice(offset, end).toString('hex') };
+    }
+  }
+
+  /**
+   * Read a single length-prefixed <character-string>
+   */
+  readCharacterString(buffer, offset) {
+    const length = buffer[offset];
+    return {
+      value: buffer.toString('utf8', offset + 1, offset + 1 + length),
+      offset: offset + 1 + length
+    };
+  }
+
+  /**
+   * Decode an NSEC/NSEC3 type bitmap into type names (RFC 4034 4.1.2)
+   */
+  readTypeBitmap(buffer, offset, end) {
+    const types = [];
+    let position = offset;
+
+    while (position + 2 <= end) {
+      const windowBlock = buffer[position];
+      const length = buffer[position + 1];
+      for (let i = 0; i < length; i++) {
+        const byte = buffer[position + 2 + i];
+        for (let bit = 0; bit < 8; bit++) {
+          if (byte & (0x80 >> bit)) {
+            const code = windowBlock * 256 + i * 8 + bit;
+            types.push(this.typeNames[code] || `TYPE${code}`);
+          }
+        }
+      }
+      position += 2 + length;
+    }
+
+    return types;
+  }
+
+  /**
+   * Base32 with the extended hex alphabet, as used for NSEC3 hashes (RFC 4648 7)
+   */
+  encodeBase32Hex(bytes) {
+    const alphabet = '0123456789abcdefghijklmnopqrstuv';
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of bytes) {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += alphabet[(value >>> (bits - 5)) & 0x1f];
+        bits -= 5;
+      }
+    }
+    if (bits > 0) {
+      output += alphabet[(value << (5 - bits)) & 0x1f];
+    }
+
+    return output;
+  }
+
+  /**
+   * Compute the key tag of a DNSKEY RDATA (RFC 4034 Appendix B)
+   */
+  computeKeyTag(rdata) {
+    let accumulator = 0;
+    for (let i = 0; i < rdata.length; i++) {
+      accumulator += (i & 1) ? rdata[i] : rdata[i] << 8;
+    }
+    accumulator += (accumulator >> 16) & 0xffff;
+    return accumulator & 0xffff;
+  }
+}
+
+module.exports = DnsWireClient;
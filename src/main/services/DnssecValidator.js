@@ -0,0 +1,641 @@
+const crypto = require('crypto');
+const DnsWireClient = require('./DnsWireClient');
+const rootAnchors = require('../data/root-anchors.json');
+
+/**
+ * DNSSEC chain-of-trust validation (RFC 4033-4035, RFC 5155)
+ *
+ * Walks from the root trust anchor down to the zone holding the name. For
+ * every zone cut it checks the parent's signed DS RRset (or the signed
+ * NSEC/NSEC3 proof that there is none), matches the DS digests against the
+ * child's DNSKEYs and verifies the DNSKEY RRset self-signature. The final
+ * answer RRset is then verified with the deepest zone's keys.
+ *
+ * Queries go through a recursive resolver with DO and CD set so the resolver
+ * hands back the raw signed data even when its own validation fails.
+ */
+class DnssecValidator {
+  constructor(wireClient = null) {
+    this.wireClient = wireClient || new DnsWireClient();
+    this.trustAnchors = rootAnchors;
+
+    this.algorithms = {
+      8: { name: 'RSASHA256', kind: 'rsa', hash: 'sha256' },
+      10: { name: 'RSASHA512', kind: 'rsa', hash: 'sha512' },
+      13: { name: 'ECDSAP256SHA256', kind: 'ec', hash: 'sha256', curve: 'P-256', size: 32 },
+      14: { name: 'ECDSAP384SHA384', kind: 'ec', hash: 'sha384', curve: 'P-384', size: 48 },
+      15: { name: 'ED25519', kind: 'ed25519', hash: null }
+    };
+    this.digestTypes = { 1: 'sha1', 2: 'sha256', 4: 'sha384' };
+
+    this.defaultConfig = {
+      type: 'A',
+      timeout: 5000,
+      expiryWarning: 3 * 24 * 3600 // flag signatures that expire within three days
+    };
+  }
+
+  /**
+   * Validate the chain of trust for a name and record type
+   * options: type, server, port, timeout, now (unix seconds, for testing)
+   */
+  async validate(domain, options = {}) {
+    const name = this.normalizeName(domain || '');
+    const type = (options.type || this.defaultConfig.type).toUpperCase();
+    const startTime = Date.now();
+
+    if (!domain || !domain.trim()) {
+      return { success: false, error: 'Domain is required' };
+    }
+    if (!this.wireClient.types[type] || ['ANY', 'OPT', 'RRSIG'].includes(type)) {
+      return { success: false, error: `Unsupported record type: ${type}` };
+    }
+
+    const context = {
+      now: options.now || Math.floor(Date.now() / 1000),
+      queryOptions: {
+        server: options.server,
+        port: options.port,
+        timeout: options.timeout || this.defaultConfig.timeout,
+        dnssecOk: true,
+        checkingDisabled: true,
+        rawRdata: true
+      },
+      zones: new Map() // zone -> { status, keys } for every zone validated so far
+    };
+
+    console.log(`🔐 [DNSSEC] Validating ${name} ${type}`);
+
+    const steps = [];
+    let parent = null;
+
+    try {
+      for (const candidate of this.candidateZones(name)) {
+        let dnskeyResponse;
+
+        if (candidate !== '.') {
+          const cut = await this.findZoneCut(candidate, context);
+          if (!cut.exists) break;
+          if (!cut.zone) continue;
+          dnskeyResponse = cut.response;
+        } else {
+          dnskeyResponse = await this.query('.', 'DNSKEY', context);
+        }
+
+        const { step, keys } = await this.validateZone(candidate, parent, dnskeyResponse, context);
+        steps.push(step);
+        console.log(`🔐 [DNSSEC] ${candidate}: ${step.status}`);
+
+        parent = { zone: candidate, status: step.status, keys };
+        context.zones.set(candidate, parent);
+
+        if (step.status === 'bogus') break;
+      }
+
+      if (parent && parent.status !== 'bogus') {
+        steps.push(await this.validateAnswer(name, type, parent, context));
+      }
+
+      return this.buildResult(name, type, steps, startTime, options);
+    } catch (error) {
+      console.log('❌ [DNSSEC] Validation error:', error.message);
+      return { success: false, error: error.message, domain: name, type, steps };
+    }
+  }
+
+  /**
+   * Root first, then each ancestor of the name down to the name itself
+   */
+  candidateZones(name) {
+    if (name === '.') return ['.'];
+    const labels = name.split('.');
+    const zones = ['.'];
+    for (let i = labels.length - 1; i >= 0; i--) {
+      zones.push(labels.slice(i).join('.'));
+    }
+    return zones;
+  }
+
+  /**
+   * Decide whether a name is a zone apex - it has a DNSKEY RRset or an SOA
+   */
+  async findZoneCut(name, context) {
+    const response = await this.query(name, 'DNSKEY', context);
+    if (response.rcode === 'NXDOMAIN') {
+      return { exists: false };
+    }
+    if (this.extractRRset(response.answers, name, 'DNSKEY').length) {
+      return { exists: true, zone: true, response };
+    }
+
+    const soa = await this.query(name, 'SOA', context);
+    return {
+      exists: soa.rcode !== 'NXDOMAIN',
+      zone: this.extractRRset(soa.answers, name, 'SOA').length > 0,
+      response
+    };
+  }
+
+  /**
+   * Validate one zone cut: DS (or trust anchor) -> DNSKEY -> DNSKEY self-signature
+   * Returns the report step plus the zone's keys when they can be trusted
+   */
+  async validateZone(zone, parent, dnskeyResponse, context) {
+    const step = { zone, kind: 'zone', status: 'secure', ds: [], keys: [], signatures: [], messages: [], warnings: [] };
+    const keys = this.extractRRset(dnskeyResponse.answers, zone, 'DNSKEY');
+    const keySignatures = this.extractSignatures(dnskeyResponse.answers, zone, 'DNSKEY');
+    step.keys = keys.map(key => this.describeKey(key, false));
+
+    const fail = (message) => {
+      step.status = 'bogus';
+      step.messages.push(message);
+      return { step, keys: [] };
+    };
+
+    // 1. Where does trust come from - the root anchor or the parent's signed DS RRset
+    let dsRecords;
+    if (zone === '.') {
+      dsRecords = this.trustAnchors.map(({ keyTag, algorithm, digestType, digest }) => ({ keyTag, algorithm, digestType, digest }));
+      step.messages.push('Trust anchored at the IANA root KSKs');
+    } else if (!parent || parent.status !== 'secure') {
+      step.status = 'insecure';
+      step.messages.push(`Parent zone ${parent ? parent.zone : '.'} is not secure, so ${zone} cannot be validated`);
+      return { step, keys: [] };
+    } else {
+      const dsResponse = await this.query(zone, 'DS', context);
+      const dsRRset = this.extractRRset(dsResponse.answers, zone, 'DS');
+
+      if (!dsRRset.length) {
+        const proof = this.verifyNoDs(zone, dsResponse, parent, context);
+        if (!proof.proven) {
+          return fail(`${parent.zone} returned no DS for ${zone} without a valid denial proof: ${proof.error}`);
+        }
+        step.status = 'insecure';
+        step.signatures.push({ rrset: proof.method, signer: parent.zone, ...proof.signature });
+        step.messages.push(`Unsigned delegation - ${proof.method} from ${parent.zone} proves there is no DS for ${zone}`);
+        return { step, keys: [] };
+      }
+
+      const signature = this.verifyRRset(dsRRset, this.extractSignatures(dsResponse.answers, zone, 'DS'), parent.keys, parent.zone, context);
+      step.signatures.push({ rrset: 'DS', signer: parent.zone, ...signature });
+      this.collectWarnings(step, 'DS', signature);
+      if (!signature.valid) {
+        return fail(`DS RRset for ${zone} in ${parent.zone} does not validate: ${signature.error}`);
+      }
+      dsRecords = dsRRset.map(record => record.data);
+    }
+
+    step.ds = dsRecords.map(ds => ({
+      ...ds,
+      supported: !!this.digestTypes[ds.digestType] && !!this.algorithms[ds.algorithm],
+      matched: false
+    }));
+
+    // 2. The zone must publish a DNSKEY matching one of the usable DS records
+    if (!keys.length) {
+      return fail(`${zone} has a DS record but publishes no DNSKEY`);
+    }
+
+    if (!step.ds.some(ds => ds.supported)) {
+      // RFC 4035 5.2 - no supported algorithm means the zone is treated as unsigned
+      step.status = 'insecure';
+      step.messages.push('DS records only use unsupported algorithms or digest types');
+      return { step, keys: [] };
+    }
+
+    const entryKeys = [];
+    for (const ds of step.ds.filter(entry => entry.supported)) {
+      const key = keys.find(candidate =>
+        candidate.data.keyTag === ds.keyTag &&
+        candidate.data.algorithm === ds.algorithm &&
+        this.computeDsDigest(zone, candidate, ds.digestType) === ds.digest.toUpperCase()
+      );
+      if (key) {
+        ds.matched = true;
+        if (!entryKeys.includes(key)) entryKeys.push(key);
+      }
+    }
+    step.keys = keys.map(key => this.describeKey(key, entryKeys.includes(key)));
+
+    if (!entryKeys.length) {
+      return fail(zone === '.'
+        ? 'No root DNSKEY matches the trust anchor'
+        : `No DNSKEY in ${zone} matches the DS records published in ${parent.zone}`);
+    }
+
+    // 3. The DNSKEY RRset must be signed by a key the DS vouches for
+    const signature = this.verifyRRset(keys, keySignatures, entryKeys, zone, context);
+    step.signatures.push({ rrset: 'DNSKEY', signer: zone, ...signature });
+    this.collectWarnings(step, 'DNSKEY', signature);
+    if (!signature.valid) {
+      return fail(`DNSKEY RRset for ${zone} does not validate: ${signature.error}`);
+    }
+
+    step.messages.push(`DNSKEY RRset signed by key ${signature.keyTag} (${this.algorithmName(signature.algorithm)})`);
+    return { step, keys };
+  }
+
+  /**
+   * Validate the answer RRset (or the signed denial) for the queried name
+   */
+  async validateAnswer(name, type, zone, context) {
+    const response = await this.query(name, type, context);
+    const step = {
+      zone: name,
+      kind: 'answer',
+      type,
+      rcode: response.rcode,
+      records: response.answers.filter(record => record.type !== 'RRSIG').map(({ rdata, ...record }) => record),
+      status: 'secure',
+      signatures: [],
+      messages: [],
+      warnings: []
+    };
+
+    if (zone.status !== 'secure') {
+      step.status = 'insecure';
+      step.messages.push(`${zone.zone} is not signed, so the answer cannot be validated`);
+      return step;
+    }
+
+    const answerSets = this.groupRRsets(response.answers);
+    const denial = !answerSets.length;
+    const rrsets = denial ? this.groupRRsets(response.authority) : answerSets;
+    const section = denial ? response.authority : response.answers;
+
+    for (const { owner, rrtype, records } of rrsets) {
+      const signatures = this.extractSignatures(section, owner, rrtype);
+      const signer = signatures.length ? this.normalizeName(signatures[0].data.signerName) : zone.zone;
+      const signerZone = context.zones.get(signer);
+
+      if (!signerZone || signerZone.status !== 'secure') {
+        // e.g. a CNAME pointing into another zone - its chain is not part of this walk
+        step.warnings.push(`${owner} ${rrtype} is signed by ${signer}, outside the validated chain`);
+        continue;
+      }
+
+      const signature = this.verifyRRset(records, signatures, signerZone.keys, signer, context);
+      step.signatures.push({ rrset: `${owner} ${rrtype}`, signer, ...signature });
+      this.collectWarnings(step, `${owner} ${rrtype}`, signature);
+
+      if (!signature.valid) {
+        step.status = 'bogus';
+        step.messages.push(`${owner} ${rrtype} does not validate: ${signature.error}`);
+      }
+    }
+
+    if (step.status === 'secure') {
+      if (denial && !step.signatures.length) {
+        step.status = 'bogus';
+        step.messages.push(`Unsigned ${response.rcode === 'NXDOMAIN' ? 'NXDOMAIN' : 'empty'} response from a signed zone`);
+      } else if (denial) {
+        step.messages.push(`${response.rcode === 'NXDOMAIN' ? 'Name does not exist' : `No ${type} records`} - signed denial of existence`);
+      } else {
+        step.messages.push(`${type} answer validated`);
+      }
+    }
+
+    return step;
+  }
+
+  /**
+   * Check the parent's NSEC/NSEC3 proof that a delegation has no DS
+   */
+  verifyNoDs(zone, response, parent, context) {
+    const authority = response.authority;
+
+    const nsec = this.extractRRset(authority, zone, 'NSEC')[0];
+    if (nsec) {
+      if (nsec.data.types.includes('DS')) {
+        return { proven: false, error: 'NSEC bitmap says a DS exists' };
+      }
+      const signature = this.verifyRRset([nsec], this.extractSignatures(authority, zone, 'NSEC'), parent.keys, parent.zone, context);
+      return signature.valid
+        ? { proven: true, method: 'NSEC', signature }
+        : { proven: false, error: signature.error };
+    }
+
+    for (const record of authority.filter(entry => entry.type === 'NSEC3')) {
+      const { hashAlgorithm, salt, iterations, optOut, nextHashed, types } = record.data;
+      if (hashAlgorithm !== 1) continue;
+
+      const hash = this.nsec3Hash(zone, salt, iterations);
+      const ownerHash = this.normalizeName(record.name).split('.')[0];
+      const matches = ownerHash === hash;
+      const covered = optOut && this.nsec3Covers(ownerHash, nextHashed, hash);
+
+      if (!matches && !covered) continue;
+      if (matches && types.includes('DS')) {
+        return { proven: false, error: 'NSEC3 bitmap says a DS exists' };
+      }
+
+      const signature = this.verifyRRset([record], this.extractSignatures(authority, record.name, 'NSEC3'), parent.keys, parent.zone, context);
+      if (signature.valid) {
+        return { proven: true, method: matches ? 'NSEC3' : 'NSEC3 opt-out', signature };
+      }
+      return { proven: false, error: signature.error };
+    }
+
+    return { proven: false, error: 'no NSEC or NSEC3 record covers the delegation' };
+  }
+
+  /**
+   * Verify an RRset against its RRSIGs with the given keys
+   * Returns the first signature that verifies, or the reason the last one failed
+   */
+  verifyRRset(records, signatures, keys, signerZone, context) {
+    const candidates = signatures.filter(signature => this.normalizeName(signature.data.signerName) === signerZone);
+    if (!candidates.length) {
+      return {
+        valid: false,
+        error: signatures.length
+          ? `signed by ${signatures[0].data.signerName || '.'}, expected ${signerZone}`
+          : 'no RRSIG covers this RRset'
+      };
+    }
+
+    let failure = null;
+    for (const signature of candidates) {
+      const { keyTag, algorithm, inception, expiration } = signature.data;
+      const info = { keyTag, algorithm, inception, expiration };
+
+      if (!this.algorithms[algorithm]) {
+        failure = { ...info, error: `unsupported algorithm ${algorithm}` };
+        continue;
+      }
+      if (context.now < inception) {
+        failure = { ...info, error: `signature not valid until ${this.formatTime(inception)}` };
+        continue;
+      }
+      if (context.now > expiration) {
+        failure = { ...info, error: `signature expired ${this.formatTime(expiration)}` };
+        continue;
+      }
+
+      const matchingKeys = keys.filter(key =>
+        key.data.keyTag === keyTag &&
+        key.data.algorithm === algorithm &&
+        (key.data.flags & 0x0100) && // zone key
+        !(key.data.flags & 0x0080) // not revoked
+      );
+      if (!matchingKeys.length) {
+        failure = { ...info, error: `no DNSKEY with key tag ${keyTag}` };
+        continue;
+      }
+
+      const signedData = this.buildSignedData(signature, records);
+      for (const key of matchingKeys) {
+        if (this.verifySignature(algorithm, key.data.publicKey, signedData, signature.data.signature)) {
+          return { ...info, valid: true, expiresIn: expiration - context.now };
+        }
+      }
+      failure = { ...info, error: `signature does not verify with key ${keyTag}` };
+    }
+
+    return { valid: false, ...failure };
+  }
+
+  /**
+   * Build the data an RRSIG signs (RFC 4034 3.1.8.1):
+   * RRSIG RDATA without the signature, then the RRset in canonical form and order
+   */
+  buildSignedData(signature, records) {
+    const { labels, originalTtl, signerName } = signature.data;
+    const prefix = Buffer.concat([
+      signature.rdata.slice(0, 18),
+      this.wireClient.encodeName(this.normalizeName(signerName))
+    ]);
+
+    const seen = new Set();
+    const entries = [];
+    for (const record of records) {
+      const key = record.rdata.toString('hex');
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      // Expanded wildcards are signed under their *.closest-encloser owner
+      let owner = this.normalizeName(record.name);
+      const ownerLabels = owner === '.' ? [] : owner.split('.');
+      if (ownerLabels.length > labels) {
+        owner = ['*', ...ownerLabels.slice(ownerLabels.length - labels)].join('.');
+      }
+
+      const fixed = Buffer.alloc(10);
+      fixed.writeUInt16BE(this.typeCode(record.type), 0);
+      fixed.writeUInt16BE(record.class, 2);
+      fixed.writeUInt32BE(originalTtl, 4);
+      fixed.writeUInt16BE(record.rdata.length, 8);
+
+      entries.push({
+        rdata: record.rdata,
+        bytes: Buffer.concat([this.wireClient.encodeName(owner), fixed, record.rdata])
+      });
+    }
+
+    entries.sort((a, b) => Buffer.compare(a.rdata, b.rdata));
+    return Buffer.concat([prefix, ...entries.map(entry => entry.bytes)]);
+  }
+
+  /**
+   * Verify a signature with a DNSKEY public key
+   */
+  verifySignature(algorithm, publicKey, data, signature) {
+    const spec = this.algorithms[algorithm];
+    try {
+      const key = this.createPublicKey(algorithm, Buffer.from(publicKey, 'base64'));
+      const signatureBytes = Buffer.from(signature, 'base64');
+
+      switch (spec.kind) {
+        case 'rsa':
+          return crypto.verify(spec.hash, data, key, signatureBytes);
+        case 'ec':
+          // DNSSEC carries ECDSA signatures as raw r|s (RFC 6605 4)
+          return crypto.verify(spec.hash, data, { key, dsaEncoding: 'ieee-p1363' }, signatureBytes);
+        case 'ed25519':
+          return crypto.verify(null, data, key, signatureBytes);
+        default:
+          return false;
+      }
+    } catch (error) {
+      console.log(`⚠️ [DNSSEC] Signature check error: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Convert DNSKEY public key material into a KeyObject via JWK
+   * RSA keys use the RFC 3110 exponent-length prefix, ECDSA keys are x|y,
+   * Ed25519 keys are the raw 32-byte point
+   */
+  createPublicKey(algorithm, keyBytes) {
+    const spec = this.algorithms[algorithm];
+    const encode = bytes => Buffer.from(bytes).toString('base64url');
+
+    switch (spec.kind) {
+      case 'rsa': {
+        let exponentLength = keyBytes[0];
+        let offset = 1;
+        if (exponentLength === 0) {
+          exponentLength = keyBytes.readUInt16BE(1);
+          offset = 3;
+        }
+        return crypto.createPublicKey({
+          format: 'jwk',
+          key: {
+            kty: 'RSA',
+            e: encode(keyBytes.slice(offset, offset + exponentLength)),
+            n: encode(keyBytes.slice(offset + exponentLength))
+          }
+        });
+      }
+      case 'ec':
+        return crypto.createPublicKey({
+          format: 'jwk',
+          key: {
+            kty: 'EC',
+            crv: spec.curve,
+            x: encode(keyBytes.slice(0, spec.size)),
+            y: encode(keyBytes.slice(spec.size, spec.size * 2))
+          }
+        });
+      case 'ed25519':
+        return crypto.createPublicKey({ format: 'jwk', key: { kty: 'OKP', crv: 'Ed25519', x: encode(keyBytes) } });
+      default:
+        throw new Error(`Unsupported algorithm ${algorithm}`);
+    }
+  }
+
+  /**
+   * DS digest of a DNSKEY: hash(owner name | DNSKEY RDATA), upper-case hex
+   */
+  computeDsDigest(zone, key, digestType) {
+    const hash = this.digestTypes[digestType];
+    if (!hash) return null;
+    return crypto.createHash(hash)
+      .update(Buffer.concat([this.wireClient.encodeName(zone), key.rdata]))
+      .digest('hex')
+      .toUpperCase();
+  }
+
+  /**
+   * NSEC3 owner hash: iterated SHA-1 over the canonical name and salt (RFC 5155 5)
+   */
+  nsec3Hash(name, saltHex, iterations) {
+    const salt = Buffer.from(saltHex, 'hex');
+    let digest = crypto.createHash('sha1').update(Buffer.concat([this.wireClient.encodeName(name), salt])).digest();
+    for (let i = 0; i < iterations; i++) {
+      digest = crypto.createHash('sha1').update(Buffer.concat([digest, salt])).digest();
+    }
+    return this.wireClient.encodeBase32Hex(digest);
+  }
+
+  /**
+   * True when hash falls strictly between an NSEC3 owner and its next hash (wrapping at the end)
+   */
+  nsec3Covers(ownerHash, nextHash, hash) {
+    if (ownerHash < nextHash) {
+      return ownerHash < hash && hash < nextHash;
+    }
+    return hash > ownerHash || hash < nextHash;
+  }
+
+  /**
+   * Send a DO+CD query through the configured recursive resolver
+   */
+  async query(name, type, context) {
+    const response = await this.wireClient.query(name, type, context.queryOptions);
+    if (response.rcode !== 'NOERROR' && response.rcode !== 'NXDOMAIN') {
+      throw new Error(`${type} query for ${name} failed: ${response.rcode}`);
+    }
+    return response;
+  }
+
+  extractRRset(section, name, type) {
+    const owner = this.normalizeName(name);
+    return section.filter(record => record.type === type && this.normalizeName(record.name) === owner);
+  }
+
+  extractSignatures(section, name, type) {
+    const owner = this.normalizeName(name);
+    return section.filter(record =>
+      record.type === 'RRSIG' && record.data.typeCovered === type && this.normalizeName(record.name) === owner
+    );
+  }
+
+  /**
+   * Group a section into RRsets by owner and type, leaving out the RRSIGs themselves
+   */
+  groupRRsets(section) {
+    const sets = new Map();
+    for (const record of section) {
+      if (record.type === 'RRSIG' || record.type === 'OPT') continue;
+      const owner = this.normalizeName(record.name);
+      const key = `${owner}|${record.type}`;
+      if (!sets.has(key)) {
+        sets.set(key, { owner, rrtype: record.type, records: [] });
+      }
+      sets.get(key).records.push(record);
+    }
+    return [...sets.values()];
+  }
+
+  collectWarnings(step, rrset, signature) {
+    if (signature.valid && signature.expiresIn < this.defaultConfig.expiryWarning) {
+      step.warnings.push(`${rrset} signature expires in ${Math.round(signature.expiresIn / 3600)}h`);
+    }
+  }
+
+  describeKey(key, trusted) {
+    return {
+      keyTag: key.data.keyTag,
+      algorithm: key.data.algorithm,
+      algorithmName: this.algorithmName(key.data.algorithm),
+      flags: key.data.flags,
+      isKSK: key.data.isKSK,
+      revoked: (key.data.flags & 0x0080) === 0x0080,
+      trusted
+    };
+  }
+
+  /**
+   * Overall verdict: bogus anywhere wins, then insecure, otherwise secure
+   */
+  buildResult(name, type, steps, startTime, options) {
+    const broken = steps.find(step => step.status === 'bogus');
+    const status = broken ? 'bogus' : steps.some(step => step.status === 'insecure') ? 'insecure' : 'secure';
+
+    return {
+      success: true,
+      domain: name,
+      type,
+      status,
+      brokenAt: broken ? broken.zone : null,
+      warnings: steps.reduce((count, step) => count + step.warnings.length, 0),
+      steps,
+      server: options.server || 'system',
+      duration: Date.now() - startTime,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  algorithmName(algorithm) {
+    return this.algorithms[algorithm] ? this.algorithms[algorithm].name : `Algorithm ${algorithm}`;
+  }
+
+  typeCode(type) {
+    if (this.wireClient.types[type]) return this.wireClient.types[type];
+    const generic = /^TYPE(\d+)$/.exec(type);
+    return generic ? parseInt(generic[1]) : 0;
+  }
+
+  normalizeName(name) {
+    const normalized = String(name).trim().toLowerCase().replace(/\.$/, '');
+    return normalized || '.';
+  }
+
+  formatTime(seconds) {
+    return new Date(seconds * 1000).toISOString();
+  }
+}
+
+module.exports = DnssecValidator;
@@ -0,0 +1,187 @@
+const dns = require('dns');
+const AddressParser = require('./AddressParser');
+
+/**
+ * Location and origin-AS enrichment for IP addresses
+ *
+ * Country, city and coordinates come from the geoip-lite database, which is
+ * loaded on first use (it is ~150MB in memory). The origin AS, announced
+ * prefix and AS name come from Team Cymru's IP-to-ASN DNS service. Results
+ * are cached per address; private and reserved addresses are never looked up.
+ */
+class GeoIpService {
+  constructor(options = {}) {
+    this.timeout = options.timeout || 2000;
+    this.resolver = new dns.promises.Resolver({ timeout: this.timeout, tries: 1 });
+    this.geoip = null;
+    this.cache = new Map(); // ip -> Promise<enrichment>
+    this.asNames = new Map(); // 'AS15169' -> Promise<name>
+    this.maxCacheSize = 4096;
+    this.addressParser = options.addressParser || new AddressParser();
+  }
+
+  /**
+   * Enrich one address
+   * Returns { ip, scope, country, region, city, latitude, longitude, timezone,
+   * asn, asName, prefix, registry } with null for anything unknown, or null
+   * when the input is not an IP address
+   */
+  lookup(ip) {
+    if (!this.addressParser.isIP(ip)) {
+      return Promise.resolve(null);
+    }
+
+    if (!this.cache.has(ip)) {
+      if (this.cache.size >= this.maxCacheSize) {
+        this.cache.delete(this.cache.keys().next().value);
+      }
+      this.cache.set(ip, this.resolveEnrichment(ip));
+    }
+    return this.cache.get(ip);
+  }
+
+  /**
+   * Enrich several addresses with a bounded number of Team Cymru queries in flight
+   * Returns a Map of ip -> enrichment
+   */
+  async lookupMany(ips, concurrency = 8) {
+    const unique = [...new Set(ips.filter(Boolean))];
+    const results = new Map();
+    let index = 0;
+
+    const worker = async () => {
+      while (index < unique.length) {
+        const ip = unique[index++];
+        results.set(ip, await this.lookup(ip));
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, unique.length) }, worker));
+    return results;
+  }
+
+  async resolveEnrichment(ip) {
+    const enrichment = {
+      ip,
+      scope: this.addressParser.isPrivate(ip) ? 'private' : 'public',
+      country: null,
+      region: null,
+      city: null,
+      latitude: null,
+      longitude: null,
+      timezone: null,
+      asn: null,
+      asName: null,
+      prefix: null,
+      registry: null
+    };
+
+    if (enrichment.scope === 'private') {
+      return enrichment;
+    }
+
+    const geoip = this.loadGeoip();
+    const location = geoip ? geoip.lookup(ip) : null;
+    if (location) {
+      enrichment.country = location.country || null;
+      enrichment.region = location.region || null;
+      enrichment.city = location.city || null;
+      enrichment.latitude = Array.isArray(location.ll) ? location.ll[0] : null;
+      enrichment.longitude = Array.isArray(location.ll) ? location.ll[1] : null;
+      enrichment.timezone = location.timezone || null;
+    }
+
+    try {
+      const origin = await this.lookupOrigin(ip);
+      if (origin) {
+        enrichment.asn = origin.asn;
+        enrichment.prefix = origin.prefix;
+        enrichment.registry = origin.registry;
+        enrichment.asName = await this.lookupAsName(origin.asn);
+        // Fall back to the registry country when geoip-lite has no entry
+        enrichment.country = enrichment.country || origin.country;
+      }
+    } catch (error) {
+      console.log(`⚠️ [GeoIP] ASN lookup failed for ${ip}: ${error.message}`);
+    }
+
+    return enrichment;
+  }
+
+  /**
+   * Load geoip-lite on first use; a missing or broken database disables location only
+   */
+  loadGeoip() {
+    if (this.geoip === null) {
+      try {
+        this.geoip = require('geoip-lite');
+        console.log('🌍 [GeoIP] Location database loaded');
+      } catch (error) {
+        console.log('⚠️ [GeoIP] Location database unavailable:', error.message);
+        this.geoip = false;
+      }
+    }
+    return this.geoip || null;
+  }
+
+  /**
+   * Origin AS and announced prefix from origin(6).asn.cymru.com
+   * TXT: "15169 | 8.8.8.0/24 | US | arin | 2023-12-28" (several ASNs when multi-origin)
+   */
+  async lookupOrigin(ip) {
+    const records = await this.queryTxt(this.buildOriginName(ip));
+    if (!records.length) return null;
+
+    const [asns, prefix, country, registry] = records[0].split('|').map(field => field.trim());
+    const asn = asns.split(/\s+/)[0];
+    if (!/^\d+$/.test(asn)) return null;
+
+    return {
+      asn: `AS${asn}`,
+      prefix: prefix || null,
+      registry: registry || null,
+      country: country || null
+    };
+  }
+
+  /**
+   * AS name from AS<n>.asn.cymru.com
+   * TXT: "15169 | US | arin | 2000-03-30 | GOOGLE - Google LLC, US"
+   */
+  lookupAsName(asn) {
+    if (!this.asNames.has(asn)) {
+      this.asNames.set(asn, this.queryTxt(`${asn}.asn.cymru.com`)
+        .then(records => (records.length ? records[0].split('|').pop().trim() : null) || null)
+        .catch(() => {
+          this.asNames.delete(asn);
+          return null;
+        }));
+    }
+    return this.asNames.get(asn);
+  }
+
+  async queryTxt(name) {
+    try {
+      const records = await this.resolver.resolveTxt(name);
+      return records.map(chunks => chunks.join(''));
+    } catch (error) {
+      if (error.code === 'ENOTFOUND' || error.code === 'ENODATA') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 8.8.8.8 -> 8.8.8.8.origin.asn.cymru.com (reversed octets),
+   * IPv6 -> reversed nibbles under origin6.asn.cymru.com
+   */
+  buildOriginName(ip) {
+    // IPv4-mapped addresses are announced as their IPv4 prefix
+    const address = this.addressParser.unmapIPv4(ip) || ip;
+    const zone = this.addressParser.isIPv4(address) ? 'origin' : 'origin6';
+    return `${this.addressParser.reverseLabels(address)}.${zone}.asn.cymru.com`;
+  }
+}
+
+module.exports = GeoIpService;
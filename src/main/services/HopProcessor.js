@@ -1,12 +1,16 @@
 const dns = require('dns').promises;
 const ping = require('ping');
+const GeoIpService = require('./GeoIpService');
+const AddressParser = require('./AddressParser');
 
 /**
  * Processes and enriches individual hop data
  */
 class HopProcessor {
-  constructor() {
+  constructor(options = {}) {
     this.hopPingCounters = new Map(); // Track ping count per hop
+    this.geoIpService = options.geoIpService || new GeoIpService();
+    this.addressParser = options.addressParser || new AddressParser();
   }
 
   /**
@@ -27,11 +31,23 @@ class HopProcessor {
       const pingCount = this.hopPingCounters.get(hopKey) + 1;
       this.hopPingCounters.set(hopKey, pingCount);
       
+      // Older single-probe hops only carry ip/rtt1
+      const probes = Array.isArray(hop.probes) ? hop.probes : [{
+        ip: hop.ip === '*' ? null : hop.ip,
+        rtt: hop.rtt1 === '*' ? null : parseFloat(hop.rtt1)
+      }];
+      const responders = this.buildResponders(probes);
+
       const hopInfo = {
         hop: hop.hop,
         ip: hop.ip === '*' ? null : hop.ip,
         hostname: null,
-        times: hop.rtt1 === '*' ? [] : [parseFloat(hop.rtt1)],
+        geo: null,
+        times: probes.filter(probe => typeof probe.rtt === 'number' && !isNaN(probe.rtt)).map(probe => probe.rtt),
+        probes,
+        // Every address that answered at this TTL; more than one means the path is load balanced
+        responders,
+        loadBalanced: responders.length > 1,
         pingResults: null,
         isReachable: false,
         avgLatency: null,
@@ -43,16 +59,35 @@ class HopProcessor {
         timestamp: Date.now()
       };
 
-      // Try to resolve hostname if IP is available
-      if (hopInfo.ip && config.resolveHosts) {
-        try {
+      // Resolve hostname and location/ASN for every responder in parallel
+      const lookups = [];
+
+      responders.forEach((responder) => {
+        if (config.resolveHosts) {
           // Use configurable timeout for hostname resolution
-          const hostname = await this.resolveHostnameWithTimeout(hopInfo.ip, config.hostnameTimeout || 5000);
-          hopInfo.hostname = hostname;
-        } catch (error) {
-          // Hostname resolution failed, keep as null
-          console.log(`⚠️ [HopProcessor] Could not resolve hostname for ${hopInfo.ip}: ${error.message}`);
+          lookups.push(this.resolveHostnameWithTimeout(responder.ip, config.hostnameTimeout || 5000)
+            .then((hostname) => {
+              responder.hostname = hostname;
+            })
+            .catch((error) => {
+              // Hostname resolution failed, keep as null
+              console.log(`⚠️ [HopProcessor] Could not resolve hostname for ${responder.ip}: ${error.message}`);
+            }));
         }
+
+        if (config.enrichHops !== false) {
+          lookups.push(this.geoIpService.lookup(responder.ip).then((geo) => {
+            responder.geo = geo;
+          }));
+        }
+      });
+
+      await Promise.all(lookups);
+
+      const primary = responders.find(responder => responder.ip === hopInfo.ip);
+      if (primary) {
+        hopInfo.hostname = primary.hostname;
+        hopInfo.geo = primary.geo;
       }
 
       // Ping the hop if enabled, IP is available, and pingImmediately is true
@@ -67,6 +102,23 @@ class HopProcessor {
     }
   }
 
+  /**
+   * Group probes by responding address, in the order they first answered
+   */
+  buildResponders(probes) {
+    const responders = new Map();
+    probes.forEach((probe) => {
+      if (!probe.ip) return;
+      if (!responders.has(probe.ip)) {
+        responders.set(probe.ip, { ip: probe.ip, hostname: null, geo: null, times: [] });
+      }
+      if (typeof probe.rtt === 'number' && !isNaN(probe.rtt)) {
+        responders.get(probe.ip).times.push(probe.rtt);
+      }
+    });
+    return Array.from(responders.values());
+  }
+
   /**
    * Ping a specific hop and update hop information
    */
@@ -108,12 +160,20 @@ class HopProcessor {
     }
 
     const hop = allHops.get(hopKey);
+
+    // Latest probes; responders accumulate across runs since each run may
+    // hash onto a different load-balanced path
+    hop.times = hopData.times;
+    hop.probes = hopData.probes;
+    hop.responders = this.mergeResponders(hop.responders, hopData.responders);
+    hop.loadBalanced = hop.responders.length > 1;
     
     // Add to run history
     hop.history.push({
       runNumber: hopData.runNumber,
       timestamp: hopData.timestamp,
       times: hopData.times,
+      responders: (hopData.responders || []).map(responder => responder.ip),
       avgLatency: hopData.avgLatency,
       isReachable: hopData.isReachable
     });
@@ -141,6 +201,17 @@ class HopProcessor {
     return hop;
   }
 
+  /**
+   * Union of responders seen so far, with the latest RTTs for each address
+   */
+  mergeResponders(previous = [], latest = []) {
+    const merged = new Map(previous.map(responder => [responder.ip, responder]));
+    latest.forEach((responder) => {
+      merged.set(responder.ip, { ...merged.get(responder.ip), ...responder });
+    });
+    return Array.from(merged.values());
+  }
+
   /**
    * Get ping statistics for a specific hop
    */
@@ -663,10 +734,10 @@ class HopProcessor {
       });
 
              // Create the ping promise with ultra-fast timeout
-       const pingPromise = ping.promise.probe(ip, {
+       const pingPromise = ping.promise.probe(ip, this.addressParser.pingOptions(ip, {
          timeout: Math.max(timeout / 1000, 0.05), // Minimum 50ms timeout for ultra-speed
          min_reply: 1
-       });
+       }));
 
       // Race between ping and timeout - whichever resolves first wins
       const pingResult = await Promise.race([pingPromise, timeoutPromise]);
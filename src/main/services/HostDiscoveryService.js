@@ -0,0 +1,351 @@
+const net = require('net');
+const AddressParser = require('./AddressParser');
+const SystemPing = require('./SystemPing');
+const TargetParser = require('./TargetParser');
+const OuiLookup = require('./OuiLookup');
+
+/**
+ * Host discovery (ping sweep) across a CIDR block, range or host list
+ *
+ * A host counts as live when it answers an ICMP echo, completes or refuses a
+ * TCP connection on one of the probe ports (a RST still proves the host is
+ * up), or has a neighbor entry after the sweep that confirms it answered.
+ * Entries that were already cached beforehand only supply the MAC address.
+ */
+class HostDiscoveryService {
+  constructor(networkService) {
+    this.networkService = networkService;
+    this.addressParser = new AddressParser();
+    this.systemPing = new SystemPing();
+    this.targetParser = new TargetParser({ addressParser: this.addressParser });
+    this.ouiLookup = new OuiLookup();
+    this.activeSweeps = new Map(); // sessionId -> { stopped: boolean }
+
+    this.defaultConfig = {
+      methods: ['icmp', 'tcp', 'arp'],
+      tcpPorts: [22, 80, 443, 445, 3389],
+      timeout: 1000,
+      concurrency: 32
+    };
+  }
+
+  /**
+   * Sweep the target range and stream each live host through onUpdate
+   */
+  async discover(config, onUpdate = null, sessionId = null) {
+    const {
+      target,
+      methods = this.defaultConfig.methods,
+      tcpPorts = this.defaultConfig.tcpPorts,
+      timeout = this.defaultConfig.timeout,
+      concurrency = this.defaultConfig.concurrency
+    } = config;
+
+    if (!target) {
+      return { success: false, error: 'Target is required' };
+    }
+    if (!methods.length) {
+      return { success: false, error: 'Select at least one discovery method' };
+    }
+
+    const { targets, errors } = this.targetParser.parse(target);
+    if (errors.length) {
+      return { success: false, error: `Invalid target: ${errors.join('; ')}` };
+    }
+
+    const sweepId = sessionId || `discovery_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const control = { stopped: false };
+    this.activeSweeps.set(sweepId, control);
+
+    const emit = (update) => {
+      if (onUpdate && typeof onUpdate === 'function') {
+        onUpdate({ sessionId: sweepId, ...update });
+      }
+    };
+
+    const startTime = Date.now();
+    const liveHosts = new Map();
+    let completed = 0;
+
+    try {
+      // Resolve hostnames up front so the sweep and ARP correlation work on IPs
+      const addresses = [];
+      const unresolved = [];
+      for (const host of targets) {
+        try {
+          const resolved = await this.addressParser.resolve(host);
+          addresses.push({ target: host, ip: resolved.address });
+        } catch (error) {
+          console.log(`⚠️ [HostDiscovery] ${error.message}`);
+          unresolved.push({ target: host, error: error.message });
+        }
+      }
+      if (!addresses.length) {
+        return { success: false, error: unresolved.length === 1 ? unresolved[0].error : 'None of the targets could be resolved' };
+      }
+
+      const cachedEntries = methods.includes('arp') ? await this.readArpTable() : new Map();
+
+      const probeConfig = { methods, tcpPorts, timeout };
+      let nextIndex = 0;
+
+      const worker = async () => {
+        while (nextIndex < addresses.length && !control.stopped) {
+          const address = addresses[nextIndex++];
+          const host = await this.probeHost(address, probeConfig);
+          completed++;
+
+          if (host.alive) {
+            this.applyArpEntry(host, cachedEntries.get(host.ip));
+            liveHosts.set(host.ip, host);
+            emit({ type: 'host', host });
+          }
+
+          emit({
+            type: 'progress',
+            progress: {
+              completed,
+              total: addresses.length,
+              alive: liveHosts.size,
+              percentage: (completed / addresses.length) * 100
+            }
+          });
+        }
+      };
+
+      const workerCount = Math.min(Math.max(1, parseInt(concurrency) || 1), addresses.length || 1);
+      await Promise.all(Array.from({ length: workerCount }, worker));
+
+      // Our probes populate the neighbor cache - hosts that ignored ICMP and TCP
+      // but answered ARP are still on the wire
+      if (methods.includes('arp') && !control.stopped) {
+        const arpEntries = await this.readArpTable();
+        const swept = new Map(addresses.map(address => [address.ip, address.target]));
+
+        for (const [ip, entry] of arpEntries) {
+          if (!swept.has(ip)) continue;
+
+          const confirmed = this.isArpConfirmed(entry, cachedEntries.get(ip));
+          const existing = liveHosts.get(ip);
+          if (existing) {
+            if (this.applyArpEntry(existing, entry, confirmed)) {
+              emit({ type: 'host', host: existing });
+            }
+          } else if (confirmed) {
+            const host = {
+              ip,
+              target: swept.get(ip),
+              alive: true,
+              latency: null,
+              methods: ['arp'],
+              openPorts: [],
+              mac: null,
+              vendor: null,
+              timestamp: new Date().toISOString()
+            };
+            this.applyArpEntry(host, entry, true);
+            liveHosts.set(ip, host);
+            emit({ type: 'host', host });
+          }
+        }
+      }
+
+      const hosts = [...liveHosts.values()].sort((a, b) => this.compareIPs(a.ip, b.ip));
+
+      return {
+        success: true,
+        sessionId: sweepId,
+        cancelled: control.stopped,
+        target,
+        hosts,
+        unresolved,
+        statistics: {
+          scanned: completed,
+          total: addresses.length,
+          alive: hosts.length,
+          byMethod: {
+            icmp: hosts.filter(host => host.methods.includes('icmp')).length,
+            tcp: hosts.filter(host => host.methods.includes('tcp')).length,
+            arp: hosts.filter(host => host.methods.includes('arp')).length
+          },
+          duration: Date.now() - startTime
+        },
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    } finally {
+      this.activeSweeps.delete(sweepId);
+    }
+  }
+
+  /**
+   * Stop a running sweep
+   */
+  stopDiscovery(sessionId) {
+    const control = this.activeSweeps.get(sessionId);
+    if (!control) {
+      return { success: false, message: 'Discovery not found or already finished' };
+    }
+    control.stopped = true;
+    return { success: true, message: 'Host discovery stopping' };
+  }
+
+  /**
+   * Probe a single host with the selected methods
+   */
+  async probeHost(address, config) {
+    const { methods, tcpPorts, timeout } = config;
+    const host = {
+      ip: address.ip,
+      target: address.target,
+      alive: false,
+      latency: null,
+      methods: [],
+      openPorts: [],
+      mac: null,
+      vendor: null,
+      timestamp: new Date().toISOString()
+    };
+
+    const probes = [];
+
+    if (methods.includes('icmp')) {
+      probes.push(this.icmpProbe(address.ip, timeout).then((result) => {
+        if (result.alive) {
+          host.methods.push('icmp');
+          host.latency = result.latency;
+        }
+      }));
+    }
+
+    if (methods.includes('tcp') && tcpPorts.length) {
+      probes.push(Promise.all(tcpPorts.map(port => this.tcpProbe(address.ip, port, timeout))).then((results) => {
+        const responders = results.filter(result => result.alive);
+        if (responders.length) {
+          host.methods.push('tcp');
+          host.openPorts = responders.filter(result => result.open).map(result => result.port);
+          const fastest = Math.min(...responders.map(result => result.latency));
+          if (host.latency === null || fastest < host.latency) {
+            host.latency = fastest;
+          }
+        }
+      }));
+    }
+
+    await Promise.all(probes);
+    host.alive = host.methods.length > 0;
+    return host;
+  }
+
+  /**
+   * ICMP echo using the system ping
+   */
+  async icmpProbe(ip, timeout) {
+    try {
+      const result = await this.systemPing.probe(ip, this.addressParser.pingOptions(ip, {
+        timeout: Math.max(1, Math.ceil(timeout / 1000)), // ping library expects seconds
+        min_reply: 1
+      }), timeout + 1000);
+      const latency = parseFloat(result.time);
+      return { alive: result.alive, latency: isNaN(latency) ? null : latency };
+    } catch (error) {
+      return { alive: false, latency: null };
+    }
+  }
+
+  /**
+   * TCP connect probe - a completed handshake or a RST both mean the host is up
+   */
+  tcpProbe(ip, port, timeout) {
+    return new Promise((resolve) => {
+      const socket = new net.Socket();
+      const startTime = Date.now();
+      let resolved = false;
+
+      const finish = (alive, open) => {
+        if (resolved) return;
+        resolved = true;
+        socket.destroy();
+        resolve({ port, alive, open, latency: Date.now() - startTime });
+      };
+
+      socket.setTimeout(timeout);
+      socket.on('connect', () => finish(true, true));
+      socket.on('timeout', () => finish(false, false));
+      socket.on('error', (error) => finish(error.code === 'ECONNREFUSED' || error.code === 'ECONNRESET', false));
+
+      socket.connect(port, ip);
+    });
+  }
+
+  /**
+   * Read the ARP table as a Map of ip -> entry (resolved entries only)
+   */
+  async readArpTable() {
+    const entries = new Map();
+    if (!this.networkService) return entries;
+
+    const arp = await this.networkService.getArpTable();
+    if (!arp.success || !arp.entries) return entries;
+
+    for (const entry of arp.entries) {
+      const mac = this.ouiLookup.normalizeMac(entry.mac);
+      if (mac && mac !== '00:00:00:00:00:00' && mac !== 'FF:FF:FF:FF:FF:FF') {
+        entries.set(entry.ip, { ...entry, mac, source: arp.source });
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Whether a neighbor entry read after the sweep shows the host answered
+   * Only iproute2 reports NUD states (stale entries are not proof); the
+   * other tables only say an entry is complete, so there it has to be one
+   * our probes resolved rather than one cached before the sweep
+   */
+  isArpConfirmed(entry, cachedEntry) {
+    if (['permanent', 'static'].includes(entry.state)) return true;
+    if (entry.source === 'ip neigh') {
+      return ['reachable', 'delay', 'probe'].includes(entry.state);
+    }
+    return !cachedEntry || cachedEntry.mac !== entry.mac;
+  }
+
+  /**
+   * Copy MAC/vendor from an ARP entry onto a host and, when the entry
+   * confirms the host is up, count ARP as a method; returns true if anything changed
+   */
+  applyArpEntry(host, entry, confirmsLiveness = false) {
+    if (!entry) return false;
+
+    let changed = false;
+    if (host.mac !== entry.mac) {
+      host.mac = entry.mac;
+      host.vendor = this.ouiLookup.lookup(entry.mac);
+      host.interface = entry.interface;
+      changed = true;
+    }
+    if (confirmsLiveness && !host.methods.includes('arp')) {
+      host.methods.push('arp');
+      changed = true;
+    }
+    return changed;
+  }
+
+  /**
+   * Numeric address order, IPv4 before IPv6 (other strings sort lexically)
+   */
+  compareIPs(a, b) {
+    const familyA = this.addressParser.getFamily(a);
+    const familyB = this.addressParser.getFamily(b);
+    if (familyA && familyB) {
+      if (familyA !== familyB) return familyA - familyB;
+      const difference = this.addressParser.toBigInt(a) - this.addressParser.toBigInt(b);
+      return difference === 0n ? 0 : (difference < 0n ? -1 : 1);
+    }
+    return a.localeCompare(b);
+  }
+}
+
+module.exports = HostDiscoveryService;
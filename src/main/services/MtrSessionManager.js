@@ -0,0 +1,273 @@
+const os = require('os');
+
+/**
+ * Manages MTR-style sessions
+ * One traceroute discovers the path, then every hop is probed each interval
+ * and its running counters (Snt, Loss%, Last, Avg, Best, Wrst, StDev, Javg)
+ * are updated in place. Stopped sessions are kept so their report can still
+ * be exported.
+ */
+class MtrSessionManager {
+  constructor(tracerouteExecutor, hopProcessor, statisticsCalculator) {
+    this.tracerouteExecutor = tracerouteExecutor;
+    this.hopProcessor = hopProcessor;
+    this.statisticsCalculator = statisticsCalculator;
+    this.sessions = new Map(); // sessionId -> session
+    this.maxStoppedSessions = 5;
+  }
+
+  /**
+   * Start a session; discovery and probing run in the background and are
+   * reported through onUpdate ('mtr_discovering', 'mtr_update', 'mtr_error')
+   */
+  async startSession(config, onUpdate = null) {
+    const { target, interval = 1000 } = config;
+
+    if (!target) {
+      return { success: false, error: 'Target is required' };
+    }
+
+    const sessionId = `mtr_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const session = {
+      sessionId,
+      target,
+      config,
+      startTime: Date.now(),
+      cycle: 0,
+      isRunning: true,
+      hops: [],
+      method: null,
+      destination: null,
+      family: null,
+      timer: null,
+      discoveryProcessId: null
+    };
+    this.sessions.set(sessionId, session);
+
+    const send = (update) => {
+      if (onUpdate && typeof onUpdate === 'function') {
+        onUpdate({ sessionId, target, ...update });
+      }
+    };
+
+    // Never rejects: a failed cycle stops the session instead of leaving it marked running
+    const runCycle = async () => {
+      if (!session.isRunning) return;
+
+      try {
+        const cycleStart = Date.now();
+        session.cycle++;
+        await this.probeHops(session);
+
+        if (!session.isRunning) return;
+
+        send({
+          type: 'mtr_update',
+          cycle: session.cycle,
+          duration: Date.now() - session.startTime,
+          method: session.method,
+          family: session.family,
+          hops: this.getSnapshot(session)
+        });
+
+        session.timer = setTimeout(runCycle, Math.max(0, interval - (Date.now() - cycleStart)));
+      } catch (error) {
+        console.error(`❌ [MtrSessionManager] Cycle ${session.cycle} failed for ${target}:`, error);
+        this.stopSession(sessionId);
+        try {
+          send({ type: 'mtr_error', error: error.message });
+        } catch (sendError) {
+          // The window that started the session is gone
+        }
+      }
+    };
+
+    console.log(`📡 [MtrSessionManager] Starting session ${sessionId} for ${target}`);
+    send({ type: 'mtr_discovering' });
+
+    this.discoverPath(session)
+      .then((discovered) => {
+        if (!session.isRunning) return;
+
+        if (!discovered.success) {
+          this.stopSession(sessionId);
+          send({ type: 'mtr_error', error: discovered.error });
+          return;
+        }
+
+        console.log(`🗺️ [MtrSessionManager] Path to ${target} has ${session.hops.length} hops, probing every ${interval}ms`);
+        runCycle();
+      })
+      .catch((error) => {
+        console.error(`❌ [MtrSessionManager] Discovery failed for ${target}:`, error);
+        this.stopSession(sessionId);
+        send({ type: 'mtr_error', error: error.message });
+      });
+
+    return {
+      success: true,
+      sessionId,
+      message: 'MTR session started'
+    };
+  }
+
+  /**
+   * Trace the path once and set up a counter row per TTL
+   */
+  async discoverPath(session) {
+    const { target, maxHops = 30, timeout = 0, protocol = 'icmp', port = null, probesPerHop = 3, family = 0, paris = false } = session.config;
+    const processId = `${session.sessionId}_discovery`;
+    session.discoveryProcessId = processId;
+
+    let result;
+    try {
+      result = await this.tracerouteExecutor.execute({ target, maxHops, timeout, protocol, port, probesPerHop, family, paris, processId });
+    } finally {
+      session.discoveryProcessId = null;
+    }
+
+    if (!result.success) {
+      return result;
+    }
+
+    const hops = await Promise.all(result.rawHops.map(rawHop => this.hopProcessor.processHop(
+      rawHop,
+      { ...session.config, continuousPing: false },
+      null,
+      session.sessionId,
+      false
+    )));
+
+    // Routers past the last answer are just timeouts up to maxHops
+    let lastAnswered = hops.length - 1;
+    while (lastAnswered >= 0 && !hops[lastAnswered].ip) {
+      lastAnswered--;
+    }
+
+    session.hops = hops.slice(0, lastAnswered + 1).map(hop => ({
+      hop: hop.hop,
+      ip: hop.ip,
+      hostname: hop.hostname,
+      geo: hop.geo,
+      responders: hop.responders || [],
+      counters: this.statisticsCalculator.createMtrCounters()
+    }));
+    session.method = result.method || null;
+    session.destination = result.ipAddress || null;
+    session.family = result.family || null;
+
+    return { success: true };
+  }
+
+  /**
+   * One probe per hop, all hops in parallel
+   * TTLs that never answered during discovery count as lost, like mtr's ??? rows
+   */
+  async probeHops(session) {
+    const probeTimeout = session.config.probeTimeout || 1000;
+
+    await Promise.all(session.hops.map(async (hop) => {
+      if (!hop.ip) {
+        this.statisticsCalculator.recordMtrProbe(hop.counters, null);
+        return;
+      }
+
+      const result = await this.hopProcessor.pingHopWithRetry(hop.ip, probeTimeout);
+      const time = parseFloat(result.time);
+      this.statisticsCalculator.recordMtrProbe(hop.counters, result.alive && !isNaN(time) ? time : null);
+    }));
+  }
+
+  /**
+   * Current figures for every hop
+   */
+  getSnapshot(session) {
+    return session.hops.map(hop => ({
+      hop: hop.hop,
+      hopKey: `${hop.hop}_${hop.ip || 'unknown'}`,
+      ip: hop.ip,
+      hostname: hop.hostname,
+      geo: hop.geo,
+      responders: hop.responders,
+      stats: this.statisticsCalculator.getMtrStatistics(hop.counters)
+    }));
+  }
+
+  /**
+   * mtr --report style text for a running or stopped session
+   */
+  getReport(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return { success: false, error: 'MTR session not found' };
+    }
+
+    const report = this.statisticsCalculator.formatMtrReport({
+      localHostname: os.hostname(),
+      startTime: session.startTime,
+      hops: this.getSnapshot(session).map(hop => ({
+        hop: hop.hop,
+        host: hop.hostname || hop.ip || '???',
+        extraHosts: hop.responders
+          .filter(responder => responder.ip !== hop.ip)
+          .map(responder => responder.hostname || responder.ip),
+        stats: hop.stats
+      }))
+    });
+
+    return { success: true, target: session.target, startTime: session.startTime, report };
+  }
+
+  /**
+   * Stop probing; the session's figures stay available for reports
+   */
+  stopSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      console.log(`⚠️ [MtrSessionManager] Session not found: ${sessionId}`);
+      return { success: true, message: 'Session already stopped or not found' };
+    }
+
+    if (session.isRunning) {
+      session.isRunning = false;
+      if (session.timer) clearTimeout(session.timer);
+      if (session.discoveryProcessId) this.tracerouteExecutor.cleanupProcess(session.discoveryProcessId);
+      console.log(`🛑 [MtrSessionManager] Stopped session ${sessionId} after ${session.cycle} cycles`);
+    }
+
+    // Forget the oldest stopped sessions
+    const stopped = Array.from(this.sessions.values()).filter(entry => !entry.isRunning);
+    stopped.slice(0, Math.max(0, stopped.length - this.maxStoppedSessions))
+      .forEach(entry => this.sessions.delete(entry.sessionId));
+
+    return { success: true, message: 'MTR session stopped', cycles: session.cycle };
+  }
+
+  /**
+   * Stop all running sessions
+   */
+  stopAllSessions() {
+    this.sessions.forEach((session, sessionId) => {
+      if (session.isRunning) {
+        this.stopSession(sessionId);
+      }
+    });
+  }
+
+  /**
+   * Running sessions
+   */
+  getActiveSessions() {
+    return Array.from(this.sessions.values())
+      .filter(session => session.isRunning)
+      .map(session => ({
+        sessionId: session.sessionId,
+        target: session.target,
+        cycle: session.cycle,
+        startTime: session.startTime,
+        duration: Date.now() - session.startTime
+      }));
+  }
+}
+
+module.exports = MtrSessionManager;
@@ -0,0 +1,280 @@
+/**
+ * Multipath discovery over Paris traceroute
+ *
+ * Every flow is one flow-stable traceroute with its own flow ID, so it
+ * follows exactly one of the load-balanced paths. Flows are added in small
+ * batches until the stopping rule of the Multipath Detection Algorithm says
+ * one more next hop at the widest TTL would have shown up by now with 95%
+ * confidence, or maxFlows is reached. The flows are merged into a graph of
+ * (TTL, address) nodes with an edge for every consecutive pair of answers.
+ */
+class MultipathDiscovery {
+  constructor(tracerouteExecutor, hopProcessor = null, options = {}) {
+    this.tracerouteExecutor = tracerouteExecutor;
+    this.hopProcessor = hopProcessor;
+    this.sessions = new Map(); // sessionId -> session
+    this.concurrency = options.concurrency || 4;
+    // Flows needed to rule out another next hop once n have been seen (MDA, 95% confidence)
+    this.stoppingPoints = [1, 6, 11, 16, 21, 27, 33, 38, 44, 51, 57, 63, 70, 76, 83, 90, 96];
+  }
+
+  /**
+   * Start a discovery; flows run in the background and are reported through
+   * onUpdate ('multipath_flow', 'multipath_complete', 'multipath_error')
+   */
+  async startSession(config, onUpdate = null) {
+    const { target } = config;
+
+    if (!target) {
+      return { success: false, error: 'Target is required' };
+    }
+
+    const sessionId = `multipath_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const session = {
+      sessionId,
+      target,
+      config,
+      startTime: Date.now(),
+      isRunning: true,
+      flows: [],
+      failedFlows: 0,
+      processIds: new Set()
+    };
+    this.sessions.set(sessionId, session);
+
+    const send = (update) => {
+      if (onUpdate && typeof onUpdate === 'function') {
+        onUpdate({ sessionId, target, ...update });
+      }
+    };
+
+    console.log(`🔀 [MultipathDiscovery] Starting session ${sessionId} for ${target}`);
+
+    this.discover(session, send)
+      .catch((error) => {
+        console.error(`❌ [MultipathDiscovery] Discovery failed for ${target}:`, error);
+        send({ type: 'multipath_error', error: error.message });
+      })
+      .finally(() => {
+        session.isRunning = false;
+        this.sessions.delete(sessionId);
+      });
+
+    return {
+      success: true,
+      sessionId,
+      message: 'Multipath discovery started'
+    };
+  }
+
+  /**
+   * Trace flows until the stopping rule or maxFlows is reached
+   */
+  async discover(session, send) {
+    const maxFlows = session.config.maxFlows || 16;
+    let planned = Math.min(maxFlows, this.getStoppingPoint(1));
+    let nextFlowId = 0;
+    let graph = null;
+    let method = null;
+    let stoppedBy = null;
+
+    while (session.isRunning && nextFlowId < planned) {
+      // The first flow runs alone: no point tracing more if the method can't hold a flow
+      const batchSize = session.flows.length === 0 ? 1 : this.concurrency;
+      const batch = [];
+      while (batch.length < batchSize && nextFlowId < planned) {
+        batch.push(nextFlowId++);
+      }
+
+      const results = await Promise.all(batch.map(flowId => this.traceFlow(session, flowId)));
+      if (!session.isRunning) return;
+
+      results.forEach((result) => {
+        if (result.success) {
+          session.flows.push(result);
+        } else {
+          session.failedFlows++;
+        }
+      });
+
+      if (session.flows.length === 0) {
+        send({ type: 'multipath_error', error: results[0].error });
+        return;
+      }
+
+      method = method || session.flows[0].method;
+      graph = this.buildGraph(session.flows);
+      planned = Math.min(maxFlows, this.getStoppingPoint(graph.maxWidth));
+
+      if (!method.flowStable) {
+        stoppedBy = 'not-flow-stable';
+        break;
+      }
+
+      send({
+        type: 'multipath_flow',
+        completed: session.flows.length,
+        failed: session.failedFlows,
+        planned,
+        method,
+        graph
+      });
+    }
+
+    if (!session.isRunning) return;
+
+    if (!stoppedBy) {
+      stoppedBy = this.getStoppingPoint(graph.maxWidth) <= maxFlows ? 'confidence' : 'max-flows';
+    }
+
+    if (session.config.resolveHosts && this.hopProcessor) {
+      await this.resolveNodeHostnames(graph, session.config.hostnameTimeout);
+    }
+
+    console.log(`✅ [MultipathDiscovery] ${session.target}: ${graph.distinctPaths} path(s) from ${session.flows.length} flows (${stoppedBy})`);
+    send({
+      type: 'multipath_complete',
+      completed: session.flows.length,
+      failed: session.failedFlows,
+      planned,
+      method,
+      graph,
+      stoppedBy,
+      destination: session.flows[0].ipAddress,
+      family: session.flows[0].family,
+      duration: Date.now() - session.startTime
+    });
+  }
+
+  /**
+   * One flow-stable traceroute with the given flow ID
+   */
+  async traceFlow(session, flowId) {
+    const processId = `${session.sessionId}_flow${flowId}`;
+    session.processIds.add(processId);
+
+    try {
+      const result = await this.tracerouteExecutor.execute({
+        ...session.config,
+        paris: true,
+        flowId,
+        processId
+      });
+      return { ...result, flowId };
+    } finally {
+      session.processIds.delete(processId);
+    }
+  }
+
+  /**
+   * Flows needed before a TTL with this many next hops can be called complete
+   */
+  getStoppingPoint(width) {
+    return this.stoppingPoints[Math.min(width, this.stoppingPoints.length - 1)];
+  }
+
+  /**
+   * Merge flows into { nodes, edges, maxWidth, branchingHops, distinctPaths }
+   * Nodes are (TTL, address) pairs plus a 'source' node at TTL 0; an edge's
+   * gap counts the unanswered TTLs it spans
+   */
+  buildGraph(flows) {
+    const nodes = new Map([['source', { id: 'source', hop: 0, ip: null, flows: new Set(), isDestination: false }]]);
+    const edges = new Map();
+    const paths = new Set();
+
+    flows.forEach((flow) => {
+      let previous = ['source'];
+      let previousHop = 0;
+      const pathKey = [];
+      nodes.get('source').flows.add(flow.flowId);
+
+      [...flow.rawHops].sort((a, b) => a.hop - b.hop).forEach((rawHop) => {
+        const probes = Array.isArray(rawHop.probes) ? rawHop.probes : [{ ip: rawHop.ip === '*' ? null : rawHop.ip }];
+        const responders = [...new Set(probes.map(probe => probe.ip).filter(Boolean))];
+        if (responders.length === 0) return;
+
+        const current = responders.map((ip) => {
+          const id = `${rawHop.hop}_${ip}`;
+          if (!nodes.has(id)) {
+            nodes.set(id, { id, hop: rawHop.hop, ip, flows: new Set(), isDestination: ip === flow.ipAddress });
+          }
+          nodes.get(id).flows.add(flow.flowId);
+          return id;
+        });
+
+        previous.forEach((from) => {
+          current.forEach((to) => {
+            const key = `${from}>${to}`;
+            if (!edges.has(key)) {
+              edges.set(key, { from, to, flows: new Set(), gap: rawHop.hop - previousHop - 1 });
+            }
+            edges.get(key).flows.add(flow.flowId);
+          });
+        });
+
+        pathKey.push(current.join('|'));
+        previous = current;
+        previousHop = rawHop.hop;
+      });
+
+      paths.add(pathKey.join(' '));
+    });
+
+    const widths = new Map();
+    nodes.forEach((node) => {
+      if (node.hop > 0) widths.set(node.hop, (widths.get(node.hop) || 0) + 1);
+    });
+
+    return {
+      nodes: Array.from(nodes.values()).map(node => ({ ...node, flows: Array.from(node.flows) })),
+      edges: Array.from(edges.values()).map(edge => ({ ...edge, flows: Array.from(edge.flows) })),
+      maxWidth: Math.max(1, ...widths.values()),
+      branchingHops: Array.from(widths.entries()).filter(([, width]) => width > 1).map(([hop]) => hop).sort((a, b) => a - b),
+      distinctPaths: paths.size
+    };
+  }
+
+  /**
+   * Reverse DNS for every node, each address looked up once
+   */
+  async resolveNodeHostnames(graph, timeoutMs = 5000) {
+    const lookups = new Map();
+    graph.nodes.forEach((node) => {
+      if (node.ip && !lookups.has(node.ip)) {
+        lookups.set(node.ip, this.hopProcessor.resolveHostnameWithTimeout(node.ip, timeoutMs).catch(() => null));
+      }
+    });
+
+    await Promise.all(graph.nodes.map(async (node) => {
+      node.hostname = node.ip ? await lookups.get(node.ip) : null;
+    }));
+  }
+
+  /**
+   * Stop a discovery and any flows still tracing
+   */
+  stopSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      console.log(`⚠️ [MultipathDiscovery] Session not found: ${sessionId}`);
+      return { success: true, message: 'Session already stopped or not found' };
+    }
+
+    session.isRunning = false;
+    session.processIds.forEach(processId => this.tracerouteExecutor.cleanupProcess(processId));
+    this.sessions.delete(sessionId);
+    console.log(`🛑 [MultipathDiscovery] Stopped session ${sessionId} after ${session.flows.length} flows`);
+
+    return { success: true, message: 'Multipath discovery stopped', flows: session.flows.length };
+  }
+
+  /**
+   * Stop all running discoveries
+   */
+  stopAllSessions() {
+    Array.from(this.sessions.keys()).forEach(sessionId => this.stopSession(sessionId));
+  }
+}
+
+module.exports = MultipathDiscovery;
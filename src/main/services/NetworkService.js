@@ -2,15 +2,40 @@ const os = require('os');
 const dns = require('dns').promises;
 const { exec } = require('child_process');
 const { promisify } = require('util');
+const fs = require('fs');
+const net = require('net');
+const whois = require('whois');
+const OuiLookup = require('./OuiLookup');
+const DnsWireClient = require('./DnsWireClient');
+const SecureDnsResolver = require('./SecureDnsResolver');
+const DnssecValidator = require('./DnssecValidator');
+const TargetParser = require('./TargetParser');
+const WhoisParser = require('./WhoisParser');
+const RdapClient = require('./RdapClient');
+const AddressParser = require('./AddressParser');
 
 const execAsync = promisify(exec);
 
 class NetworkService {
-  constructor() {
+  constructor(options = {}) {
     this.config = {
       timeout: 5000,
       retries: 3
     };
+    this.ouiLookup = new OuiLookup();
+    this.dnsWireClient = new DnsWireClient();
+    this.dnssecValidator = new DnssecValidator(this.dnsWireClient);
+    this.targetParser = new TargetParser({ maxHosts: 1024 });
+    this.whoisParser = new WhoisParser();
+    this.addressParser = new AddressParser();
+    this.rdapClient = new RdapClient({ cacheDir: options.rdapCacheDir, addressParser: this.addressParser });
+    this.maxWhoisReferrals = 3;
+    this.activeReverseLookups = new Map(); // sessionId -> { stopped: boolean }
+
+    this.defaultRecordTypes = ['A', 'AAAA', 'MX', 'NS', 'TXT', 'CNAME', 'SOA', 'CAA'];
+    this.supportedRecordTypes = [
+      'A', 'AAAA', 'MX', 'NS', 'TXT', 'CNAME', 'SOA', 'SRV', 'CAA', 'PTR', 'NAPTR', 'DS', 'DNSKEY', 'ANY'
+    ];
   }
 
   /**
@@ -40,25 +65,64 @@ class NetworkService {
 
   /**
    * DNS lookup for various record types
+   *
+   * options.types selects the record types to query (defaults to the common
+   * set). A string is accepted for a single type. Every type except ANY is
+   * queried with its TTLs (A/AAAA through the resolver, the rest over the
+   * wire); when a plain-DNS wire query can't be sent the resolver's own
+   * method answers without them. options.server sends the queries to a
+   * specific resolver instead of the system one, and options.transport
+   * ('udp', 'dot', 'doh', 'doh-json') picks how they are sent. An IPv4/IPv6
+   * address is reverse-resolved with a PTR query instead.
    */
-  async dnsLookup(domain, recordType = 'A') {
+  async dnsLookup(domain, options = {}) {
     try {
-      console.log('🔍 [DNS] Starting DNS lookup for domain:', domain);
+      if (typeof options === 'string') {
+        options = { types: [options] };
+      }
+
+      if (!domain || !domain.trim()) {
+        return { success: false, error: 'Domain is required' };
+      }
+      domain = domain.trim().replace(/\.$/, '');
+
+      const literal = this.addressParser.parse(domain);
+      if (literal) {
+        return await this.reverseLookup(literal.address, options);
+      }
+
+      const recordTypes = (options.types && options.types.length ? options.types : this.defaultRecordTypes)
+        .map(type => type.toUpperCase());
+      const unsupported = recordTypes.filter(type => !this.supportedRecordTypes.includes(type));
+      if (unsupported.length) {
+        return { success: false, error: `Unsupported record type: ${unsupported.join(', ')}` };
+      }
+
+      let resolver;
+      try {
+        resolver = this.createResolver(options.server, options.transport);
+      } catch (error) {
+        return { success: false, error: `Invalid DNS server: ${error.message}` };
+      }
+
+      console.log('🔍 [DNS] Starting DNS lookup for domain:', domain, recordTypes, options.server || 'system resolver');
       const records = {};
-      
-      // Common record types to check
-      const recordTypes = ['A', 'AAAA', 'MX', 'NS', 'TXT', 'CNAME'];
-      
+      const errors = {};
+      const startTime = Date.now();
+
       for (const type of recordTypes) {
         try {
           console.log(`🔍 [DNS] Looking up ${type} record for ${domain}`);
-          const result = await dns.resolve(domain, type);
+          const result = await this.resolveRecordType(domain, type, resolver, options.server);
           console.log(`✅ [DNS] Found ${type} records:`, result);
-          records[type] = result;
+          if (result.length) {
+            records[type] = result;
+          } else {
+            errors[type] = 'ENODATA';
+          }
         } catch (err) {
           console.log(`⚠️ [DNS] No ${type} record found for ${domain}:`, err.message);
-          // Record type not found, skip
-          continue;
+          errors[type] = err.code || err.message;
         }
       }
 
@@ -66,10 +130,21 @@ class NetworkService {
       
       // Check if we found any records
       if (Object.keys(records).length === 0) {
-        return { success: false, error: `No DNS records found for ${domain}` };
+        return { success: false, error: `No DNS records found for ${domain}`, errors };
       }
 
-      return { success: true, data: records };
+      return {
+        success: true,
+        domain,
+        queriedTypes: recordTypes,
+        data: records,
+        errors,
+        resolver: options.server || 'system',
+        servers: resolver.getServers(),
+        transport: resolver.transport || 'udp',
+        timings: resolver.timings || null,
+        latency: Date.now() - startTime
+      };
     } catch (error) {
       console.log('❌ [DNS] DNS lookup error:', error.message);
       return { success: false, error: error.message };
@@ -77,46 +152,470 @@ class NetworkService {
   }
 
   /**
-   * WHOIS lookup using public WHOIS servers
+   * Reverse-resolve an IP address via its in-addr.arpa / ip6.arpa PTR name
+   */
+  async reverseLookup(ip, options = {}) {
+    let resolver;
+    try {
+      resolver = this.createResolver(options.server, options.transport);
+    } catch (error) {
+      return { success: false, error: `Invalid DNS server: ${error.message}` };
+    }
+
+    const ptrName = this.addressParser.buildReverseName(ip);
+    const startTime = Date.now();
+    console.log('🔍 [DNS] Starting reverse lookup for:', ip, ptrName);
+
+    try {
+      const hostnames = await this.resolveRecordType(ptrName, 'PTR', resolver, options.server);
+      console.log(`✅ [DNS] Found PTR records:`, hostnames);
+
+      if (!hostnames.length) {
+        return { success: false, error: `No PTR record found for ${ip}`, errors: { PTR: 'ENODATA' } };
+      }
+
+      return {
+        success: true,
+        domain: ip,
+        reverse: true,
+        ptrName,
+        queriedTypes: ['PTR'],
+        data: { PTR: hostnames },
+        errors: {},
+        resolver: options.server || 'system',
+        servers: resolver.getServers(),
+        transport: resolver.transport || 'udp',
+        timings: resolver.timings || null,
+        latency: Date.now() - startTime
+      };
+    } catch (error) {
+      console.log(`⚠️ [DNS] No PTR record found for ${ip}:`, error.message);
+      return { success: false, error: `No PTR record found for ${ip} (${error.code || error.message})`, errors: { PTR: error.code || error.message } };
+    }
+  }
+
+  /**
+   * Reverse-resolve a list of addresses or CIDR blocks, streaming each answer
+   *
+   * config.targets accepts anything TargetParser understands (a pasted list,
+   * a /24, a dash range). Non-IP entries are reported as errors.
+   */
+  async bulkReverseLookup(config, onUpdate = null, sessionId = null) {
+    const { targets: input, server, transport, concurrency = 16 } = config || {};
+
+    const { targets, errors } = this.targetParser.parse(input);
+    const invalid = targets.filter(target => !this.addressParser.isIP(target));
+    if (errors.length || invalid.length) {
+      const messages = [...errors, ...invalid.map(target => `${target}: not an IP address`)];
+      return { success: false, error: `Invalid target: ${messages.join('; ')}` };
+    }
+    if (!targets.length) {
+      return { success: false, error: 'At least one IP address is required' };
+    }
+
+    let resolver;
+    try {
+      resolver = this.createResolver(server, transport);
+    } catch (error) {
+      return { success: false, error: `Invalid DNS server: ${error.message}` };
+    }
+
+    const lookupId = sessionId || `reverse_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const control = { stopped: false };
+    this.activeReverseLookups.set(lookupId, control);
+
+    const emit = (update) => {
+      if (onUpdate && typeof onUpdate === 'function') {
+        onUpdate({ sessionId: lookupId, ...update });
+      }
+    };
+
+    console.log(`🔍 [DNS] Starting bulk reverse lookup of ${targets.length} addresses`);
+    const startTime = Date.now();
+    const results = [];
+    let nextIndex = 0;
+
+    const worker = async () => {
+      while (nextIndex < targets.length && !control.stopped) {
+        const ip = targets[nextIndex++];
+        const ptrName = this.addressParser.buildReverseName(ip);
+        const result = { ip, ptrName, hostnames: [], error: null };
+
+        try {
+          const records = await this.resolveRecordType(ptrName, 'PTR', resolver, server);
+          result.hostnames = records.map(record => record.value);
+        } catch (error) {
+          result.error = error.code || error.message;
+        }
+
+        results.push(result);
+        emit({
+          type: 'result',
+          result,
+          progress: {
+            completed: results.length,
+            total: targets.length,
+            resolved: results.filter(r => r.hostnames.length).length,
+            percentage: (results.length / targets.length) * 100
+          }
+        });
+      }
+    };
+
+    try {
+      const workerCount = Math.min(Math.max(1, parseInt(concurrency) || 1), targets.length);
+      await Promise.all(Array.from({ length: workerCount }, worker));
+
+      const order = new Map(targets.map((ip, index) => [ip, index]));
+      results.sort((a, b) => order.get(a.ip) - order.get(b.ip));
+
+      return {
+        success: true,
+        sessionId: lookupId,
+        cancelled: control.stopped,
+        resolver: server || 'system',
+        transport: resolver.transport || 'udp',
+        results,
+        statistics: {
+          total: targets.length,
+          completed: results.length,
+          resolved: results.filter(result => result.hostnames.length).length,
+          duration: Date.now() - startTime
+        },
+        timestamp: new Date().toISOString()
+      };
+    } finally {
+      this.activeReverseLookups.delete(lookupId);
+    }
+  }
+
+  /**
+   * Stop a running bulk reverse lookup
+   */
+  stopBulkReverseLookup(sessionId) {
+    const control = this.activeReverseLookups.get(sessionId);
+    if (!control) {
+      return { success: false, message: 'Reverse lookup not found or already finished' };
+    }
+    control.stopped = true;
+    return { success: true, message: 'Reverse lookup stopping' };
+  }
+
+  /**
+   * Resolve a single record type
+   * A/AAAA come back as { address, ttl }; every other type except ANY is
+   * fetched with the wire client (or the encrypted resolver's own transport)
+   * so each record carries its TTL. If a plain-DNS wire query can't get
+   * through, the resolver's own method still answers, just without TTLs.
+   */
+  async resolveRecordType(domain, type, resolver = dns, server = null) {
+    switch (type) {
+      case 'A':
+        return await resolver.resolve4(domain, { ttl: true });
+      case 'AAAA':
+        return await resolver.resolve6(domain, { ttl: true });
+      case 'ANY':
+        return await resolver.resolveAny(domain);
+      default: {
+        let response;
+        try {
+          response = resolver.queryWire
+            ? await resolver.queryWire(domain, type)
+            : await this.dnsWireClient.query(domain, type, server ? this.parseServerAddress(server) : {});
+        } catch (error) {
+          if (resolver.queryWire || type === 'DS' || type === 'DNSKEY') throw error;
+          console.log(`⚠️ [DNS] Wire ${type} query failed (${error.message}), resolving without TTLs`);
+          const records = type === 'SOA' ? [await resolver.resolveSoa(domain)] : await resolver.resolve(domain, type);
+          return records.map(record => (
+            typeof record === 'string' ? { value: record } : Array.isArray(record) ? { entries: record } : record
+          ));
+        }
+
+        if (response.rcode !== 'NOERROR') {
+          const error = new Error(`${type} query failed: ${response.rcode}`);
+          error.code = response.rcode;
+          throw error;
+        }
+        const records = response.answers
+          .filter(answer => answer.type === type)
+          .map(answer => this.toTtlRecord(answer));
+        if (!records.length) {
+          const error = new Error(`No ${type} records for ${domain}`);
+          error.code = 'ENODATA';
+          throw error;
+        }
+        return records;
+      }
+    }
+  }
+
+  /**
+   * A decoded wire answer in the shape dns.promises gives it (with resolveAny's
+   * value/entries keys for names and TXT strings) plus its TTL
+   */
+  toTtlRecord(answer) {
+    const { type, data, ttl } = answer;
+    switch (type) {
+      case 'NS':
+      case 'CNAME':
+      case 'PTR':
+        return { value: data, ttl };
+      case 'TXT':
+        return { entries: data, ttl };
+      case 'CAA':
+        return { critical: data.critical, [data.tag]: data.value, ttl };
+      default:
+        return { ...data, ttl };
+    }
+  }
+
+  /**
+   * Create a resolver bound to a specific server, or the system resolver when none is given
+   * Encrypted transports (or tls:// and https:// servers) get a SecureDnsResolver
+   */
+  createResolver(server, transport = 'udp') {
+    if (!server || server === 'system') {
+      if (transport && transport !== 'udp') {
+        throw new Error('Encrypted transports need a resolver address or URL');
+      }
+      return dns;
+    }
+
+    const endpoint = this.parseEndpoint(server, transport);
+    if (endpoint.transport !== 'udp') {
+      return new SecureDnsResolver(endpoint, this.dnsWireClient, { timeout: this.config.timeout });
+    }
+
+    const resolver = new dns.Resolver({ timeout: this.config.timeout, tries: 2 });
+    resolver.setServers([server]);
+    return resolver;
+  }
+
+  /**
+   * Split "host", "host:port", "[v6]:port" or bare IPv6 into { server, port }
+   */
+  parseServerAddress(server, defaultPort = 53) {
+    const bracketed = server.match(/^\[([^\]]+)\](?::(\d+))?$/);
+    if (bracketed) {
+      return { server: bracketed[1], port: bracketed[2] ? parseInt(bracketed[2]) : defaultPort };
+    }
+
+    const hostPort = server.match(/^([^:]+):(\d+)$/);
+    if (hostPort) {
+      return { server: hostPort[1], port: parseInt(hostPort[2]) };
+    }
+
+    return { server, port: defaultPort };
+  }
+
+  /**
+   * Work out the transport and address for a resolver
+   *
+   * tls://host[:port] selects DoT and https://... URLs select DoH regardless
+   * of transport. A bare host with transport 'dot' uses port 853; with 'doh'
+   * or 'doh-json' it becomes https://host/dns-query.
+   */
+  parseEndpoint(server, transport = 'udp') {
+    const value = server.trim();
+
+    if (/^tls:\/\//i.test(value)) {
+      return { transport: 'dot', ...this.parseServerAddress(value.replace(/^tls:\/\//i, '').replace(/\/$/, ''), 853) };
+    }
+    if (/^https:\/\//i.test(value)) {
+      return { transport: transport === 'doh-json' ? 'doh-json' : 'doh', url: value };
+    }
+
+    switch (transport) {
+      case 'dot':
+        return { transport: 'dot', ...this.parseServerAddress(value, 853) };
+      case 'doh':
+      case 'doh-json': {
+        const host = net.isIPv6(value) ? `[${value}]` : value;
+        return { transport, url: `https://${host}/dns-query` };
+      }
+      case 'udp':
+      case undefined:
+      case null:
+        return { transport: 'udp', ...this.parseServerAddress(value) };
+      default:
+        throw new Error(`Unknown DNS transport: ${transport}`);
+    }
+  }
+
+  /**
+   * Run the same query against several resolvers and flag answers that differ
+   *
+   * The answer returned by most resolvers is taken as the consensus; every
+   * other answer (including errors) is marked with differs: true. Servers
+   * may be tls:// or https:// endpoints to compare against encrypted resolvers.
+   */
+  async compareResolvers(domain, options = {}) {
+    const type = (options.type || 'A').toUpperCase();
+    const servers = options.servers && options.servers.length ? options.servers : ['system'];
+
+    if (!domain || !domain.trim()) {
+      return { success: false, error: 'Domain is required' };
+    }
+    if (!this.supportedRecordTypes.includes(type)) {
+      return { success: false, error: `Unsupported record type: ${type}` };
+    }
+    domain = domain.trim().replace(/\.$/, '');
+
+    console.log(`🔍 [DNS] Comparing ${type} ${domain} across resolvers:`, servers);
+
+    const results = await Promise.all(servers.map(async (server) => {
+      const startTime = Date.now();
+      try {
+        const resolver = this.createResolver(server);
+        const records = await this.resolveRecordType(domain, type, resolver, server === 'system' ? null : server);
+        return {
+          server,
+          success: true,
+          transport: resolver.transport || 'udp',
+          timing: resolver.timings ? resolver.timings[0] : null,
+          records,
+          answer: this.normalizeAnswer(records),
+          latency: Date.now() - startTime
+        };
+      } catch (error) {
+        return {
+          server,
+          success: false,
+          error: error.code || error.message,
+          answer: `error:${error.code || error.message}`,
+          latency: Date.now() - startTime
+        };
+      }
+    }));
+
+    // Most common answer wins - successful answers take precedence over errors
+    const tally = new Map();
+    for (const result of results) {
+      tally.set(result.answer, (tally.get(result.answer) || 0) + (result.success ? 1 : 0.5));
+    }
+    const consensus = [...tally.entries()].sort((a, b) => b[1] - a[1])[0][0];
+
+    const comparison = results.map(({ answer, ...result }) => ({
+      ...result,
+      differs: answer !== consensus
+    }));
+
+    return {
+      success: true,
+      domain,
+      type,
+      results: comparison,
+      consistent: comparison.every(result => !result.differs),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * DNSSEC chain-of-trust report for a domain
+   * options.server picks the recursive resolver the signed data is fetched through
+   */
+  async dnssecCheck(domain, options = {}) {
+    try {
+      if (!domain || !domain.trim()) {
+        return { success: false, error: 'Domain is required' };
+      }
+
+      const server = options.server && options.server !== 'system'
+        ? this.parseServerAddress(options.server)
+        : {};
+      return await this.dnssecValidator.validate(domain.trim(), { type: options.type, ...server });
+    } catch (error) {
+      console.log('❌ [DNSSEC] DNSSEC check error:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Canonical, TTL-independent representation of an answer set for comparison
+   */
+  normalizeAnswer(records) {
+    return records
+      .map(record => {
+        if (typeof record !== 'object' || Array.isArray(record)) {
+          return JSON.stringify(record);
+        }
+        const { ttl, ...rest } = record;
+        return JSON.stringify(Object.keys(rest).sort().map(key => [key, rest[key]]));
+      })
+      .sort()
+      .join('|');
+  }
+
+  /**
+   * WHOIS lookup for a domain, IP address or AS number
+   * Starts at the registry for the TLD (or IANA), follows refer:/whois:/registrar
+   * referrals to the authoritative server and parses every response
    */
   async whoisLookup(query) {
     try {
       console.log('🔍 [WHOIS] Starting WHOIS lookup for query:', query);
-      
-      // Determine if query is IP or domain
-      const isIP = this.validateIP(query);
-      const isDomain = this.validateDomain(query);
-      
-      if (!isIP && !isDomain) {
-        return { success: false, error: 'Invalid query format. Please enter a valid IP address or domain name.' };
+
+      const target = this.parseWhoisQuery(query);
+      if (!target) {
+        return { success: false, error: 'Invalid query format. Please enter a valid IP address, domain name or AS number.' };
       }
 
-      // Try multiple WHOIS servers
-      const whoisServers = [
-        { host: 'whois.iana.org', port: 43 },
-        { host: 'whois.arin.net', port: 43 },
-        { host: 'whois.ripe.net', port: 43 },
-        { host: 'whois.apnic.net', port: 43 }
-      ];
+      const responses = [];
+      const chain = [];
+      const visited = new Set();
+      let server = this.selectWhoisServer(target);
+
+      while (server && chain.length <= this.maxWhoisReferrals) {
+        visited.add(server.host.toLowerCase());
+        const startTime = Date.now();
 
-      for (const server of whoisServers) {
         try {
-          console.log(`🔍 [WHOIS] Trying server: ${server.host}:${server.port}`);
-          const result = await this.queryWhoisServer(server.host, server.port, query);
-          if (result.success) {
-            console.log('✅ [WHOIS] WHOIS lookup successful');
-            return result;
-          }
+          console.log(`🔍 [WHOIS] Querying ${server.host}:${server.port || 43}`);
+          const data = await this.queryWhoisServer(server, target);
+          const referral = this.findWhoisReferral(data, visited);
+
+          responses.push({ server: server.host, data });
+          chain.push({ server: server.host, latency: Date.now() - startTime, referral: referral ? referral.host : null });
+          server = referral;
         } catch (error) {
           console.log(`⚠️ [WHOIS] Server ${server.host} failed:`, error.message);
-          continue;
+          chain.push({ server: server.host, latency: Date.now() - startTime, error: error.message });
+          server = null;
         }
       }
 
-      // If all servers fail, try a simple HTTP-based approach
-      console.log('🔍 [WHOIS] Trying HTTP-based WHOIS lookup');
-      return await this.httpWhoisLookup(query);
-      
+      if (!responses.length) {
+        // Port 43 blocked or the registry has dropped WHOIS - ask its RDAP service instead
+        console.log('🔍 [WHOIS] No WHOIS server answered, trying RDAP');
+        const result = await this.rdapLookup(target.query);
+        return result.success ? { ...result, chain: [...chain, ...result.chain] } : result;
+      }
+
+      // IANA's answer describes the TLD or the RIR allocation, not the object itself
+      const authoritative = responses.length > 1
+        ? responses.filter(response => response.server !== 'whois.iana.org')
+        : responses;
+      const parsed = this.whoisParser.merge(
+        authoritative.map(response => this.whoisParser.parse(response.data, target.type))
+      );
+      const raw = authoritative[authoritative.length - 1].data;
+
+      console.log(`✅ [WHOIS] WHOIS lookup completed via ${chain.map(hop => hop.server).join(' → ') || 'HTTP'}`);
+
+      return {
+        success: true,
+        protocol: 'whois',
+        query: target.query,
+        type: target.type,
+        found: parsed.found,
+        server: authoritative[authoritative.length - 1].server,
+        chain,
+        parsed,
+        raw,
+        responses,
+        data: raw,
+        timestamp: new Date().toISOString()
+      };
     } catch (error) {
       console.log('❌ [WHOIS] WHOIS lookup error:', error.message);
       return { success: false, error: error.message };
@@ -124,136 +623,342 @@ class NetworkService {
   }
 
   /**
-   * Query a WHOIS server directly
+   * Classify a WHOIS query as an IP address, AS number or domain name
    */
-  async queryWhoisServer(host, port, query) {
-    return new Promise((resolve) => {
-      const net = require('net');
-      const client = new net.Socket();
-      let data = '';
+  parseWhoisQuery(query) {
+    const value = String(query || '').trim();
 
-      client.setTimeout(10000);
+    const address = this.addressParser.parse(value);
+    if (address) {
+      return { type: 'ip', query: address.address };
+    }
 
-      client.connect(port, host, () => {
-        console.log(`🔍 [WHOIS] Connected to ${host}:${port}`);
-        client.write(query + '\r\n');
-      });
+    const asn = value.match(/^(?:AS)?(\d+)$/i);
+    if (asn) {
+      return { type: 'asn', query: `AS${asn[1]}`, number: asn[1] };
+    }
 
-      client.on('data', (chunk) => {
-        data += chunk.toString();
-      });
+    const domain = value.toLowerCase().replace(/\.$/, '');
+    if (this.validateDomain(domain) && domain.includes('.')) {
+      return { type: 'domain', query: domain };
+    }
 
-      client.on('end', () => {
-        client.destroy();
-        if (data.trim()) {
-          resolve({ success: true, data: data.trim() });
-        } else {
-          resolve({ success: false, error: 'No data received from WHOIS server' });
+    return null;
+  }
+
+  /**
+   * First server to ask: the registry for the domain's TLD when known,
+   * otherwise IANA, which refers IPs and ASNs on to the right RIR
+   */
+  selectWhoisServer(target) {
+    if (target.type === 'domain') {
+      const labels = target.query.split('.');
+      for (let i = 1; i < labels.length; i++) {
+        const server = whois.SERVERS[labels.slice(i).join('.')];
+        if (server) {
+          return typeof server === 'string' ? { host: server } : { ...server };
         }
-      });
+      }
+    }
 
-      client.on('error', (error) => {
-        client.destroy();
-        resolve({ success: false, error: error.message });
-      });
+    return { host: 'whois.iana.org' };
+  }
+
+  /**
+   * Send one WHOIS query through the whois package, without its own referral following
+   * Registries with their own query syntax (ARIN, Verisign, DENIC...) get it from the package's server table
+   */
+  queryWhoisServer(server, target) {
+    const options = {
+      server: {
+        host: server.host,
+        port: server.port || 43,
+        query: this.whoisQueryFormat(server, target),
+        punycode: target.type === 'domain' && server.punycode !== false
+      },
+      follow: 0,
+      timeout: 10000,
+      punycode: target.type === 'domain'
+    };
+    const address = target.type === 'asn' && server.host === 'whois.arin.net' ? target.number : target.query;
 
-      client.on('timeout', () => {
-        client.destroy();
-        resolve({ success: false, error: 'WHOIS query timed out' });
+    return new Promise((resolve, reject) => {
+      whois.lookup(address, options, (error, data) => {
+        if (error) {
+          reject(error);
+        } else if (!data || !data.trim()) {
+          reject(new Error('No data received from WHOIS server'));
+        } else {
+          resolve(data.trim());
+        }
       });
     });
   }
 
+  whoisQueryFormat(server, target) {
+    if (server.host === 'whois.arin.net') {
+      return target.type === 'asn' ? 'a + $addr\r\n' : target.type === 'ip' ? 'n + $addr\r\n' : '$addr\r\n';
+    }
+    if (server.query) {
+      return server.query;
+    }
+
+    const known = Object.values(whois.SERVERS).find(entry => entry && entry.host === server.host && entry.query);
+    return target.type === 'domain' && known ? known.query : '$addr\r\n';
+  }
+
   /**
-   * HTTP-based WHOIS lookup as fallback
+   * Next server from refer:, whois:, ReferralServer or Registrar WHOIS Server lines
+   * Web URLs, rwhois servers and servers already asked are ignored
    */
-  async httpWhoisLookup(query) {
+  findWhoisReferral(data, visited) {
+    const pattern = /^\s*(?:refer|whois|ReferralServer|Registrar WHOIS Server|Whois Server)\s*:[^\S\n]*(\S+)/gim;
+    let match;
+
+    while ((match = pattern.exec(data.replace(/\r/g, ''))) !== null) {
+      const value = match[1].replace(/^whois:\/\//i, '').replace(/\/$/, '');
+      if (/^[a-z]+:\/\//i.test(value)) continue;
+
+      const [host, port] = value.split(':');
+      if (!/^[a-z0-9.-]+\.[a-z]{2,}$/i.test(host) || visited.has(host.toLowerCase())) continue;
+
+      return port ? { host, port: parseInt(port) } : { host };
+    }
+
+    return null;
+  }
+
+  /**
+   * RDAP lookup for a domain, IP address or AS number
+   * Returns the same shape as whoisLookup, with the JSON responses as raw text
+   */
+  async rdapLookup(query) {
     try {
-      const https = require('https');
-      
-      return new Promise((resolve) => {
-        const options = {
-          hostname: 'whois.domaintools.com',
-          port: 443,
-          path: `/${encodeURIComponent(query)}`,
-          method: 'GET',
-          headers: {
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-          }
-        };
+      console.log('🔍 [RDAP] Starting RDAP lookup for query:', query);
 
-        const req = https.request(options, (res) => {
-          let data = '';
-          
-          res.on('data', (chunk) => {
-            data += chunk;
-          });
-          
-          res.on('end', () => {
-            if (res.statusCode === 200 && data.trim()) {
-              // Extract WHOIS information from the HTML response
-              const whoisMatch = data.match(/<pre[^>]*>([\s\S]*?)<\/pre>/i);
-              if (whoisMatch && whoisMatch[1]) {
-                const whoisData = whoisMatch[1].replace(/<[^>]*>/g, '').trim();
-                resolve({ success: true, data: whoisData });
-              } else {
-                resolve({ success: false, error: 'WHOIS data not found in response' });
-              }
-            } else {
-              resolve({ success: false, error: `HTTP ${res.statusCode}: WHOIS lookup failed` });
-            }
-          });
-        });
+      const target = this.parseWhoisQuery(query);
+      if (!target) {
+        return { success: false, error: 'Invalid query format. Please enter a valid IP address, domain name or AS number.' };
+      }
 
-        req.on('error', (error) => {
-          resolve({ success: false, error: `HTTP WHOIS failed: ${error.message}` });
-        });
+      const result = await this.rdapClient.lookup(target);
+      if (!result.success) {
+        return result;
+      }
 
-        req.setTimeout(10000, () => {
-          req.destroy();
-          resolve({ success: false, error: 'HTTP WHOIS lookup timed out' });
-        });
+      const parsed = this.whoisParser.merge(result.responses.map(response => response.parsed));
+      const responses = result.responses.map(response => ({
+        server: response.server,
+        url: response.url,
+        data: response.json ? JSON.stringify(response.json, null, 2) : 'Object not found (HTTP 404)'
+      }));
+      const last = responses[responses.length - 1];
 
-        req.end();
-      });
+      console.log(`✅ [RDAP] RDAP lookup completed via ${result.chain.map(hop => hop.server).join(' → ')}`);
+
+      return {
+        success: true,
+        protocol: 'rdap',
+        query: target.query,
+        type: target.type,
+        found: parsed.found,
+        server: last.server,
+        chain: result.chain,
+        parsed,
+        raw: last.data,
+        responses,
+        data: last.data,
+        timestamp: new Date().toISOString()
+      };
     } catch (error) {
+      console.log('❌ [RDAP] RDAP lookup error:', error.message);
       return { success: false, error: error.message };
     }
   }
 
   /**
-   * Get ARP table
+   * Bootstrap registry publication dates, optionally refreshing them from IANA first
+   */
+  async rdapBootstrap(refresh = false) {
+    if (refresh) {
+      return this.rdapClient.refreshBootstrap();
+    }
+    return { success: true, registries: this.rdapClient.getBootstrapInfo() };
+  }
+
+  /**
+   * Get ARP / neighbor table as structured entries
+   * On Linux reads `ip neigh`, then /proc/net/arp, then falls back to `arp -n`
    */
   async getArpTable() {
     try {
-      let command;
-      
-      if (process.platform === 'win32') {
-        command = 'arp -a';
-      } else {
-        command = 'arp -n';
+      let table = null;
+
+      if (process.platform === 'linux') {
+        table = await this.readIpNeigh() || this.readProcArp();
       }
 
-      const { stdout, stderr } = await execAsync(command, { timeout: 5000 });
-      
-      if (stderr) {
-        return { success: false, error: stderr };
+      if (!table) {
+        let command;
+        
+        if (process.platform === 'win32') {
+          command = 'arp -a';
+        } else if (process.platform === 'darwin') {
+          command = 'arp -an';
+        } else {
+          command = 'arp -n';
+        }
+
+        const { stdout, stderr } = await execAsync(command, { timeout: 5000 });
+        
+        if (stderr) {
+          return { success: false, error: stderr };
+        }
+
+        table = { source: command, data: stdout, entries: this.parseArpOutput(stdout) };
       }
 
-      return { success: true, data: stdout };
+      const entries = table.entries.map(entry => {
+        const mac = this.ouiLookup.normalizeMac(entry.mac);
+        return {
+          ...entry,
+          family: entry.ip.includes(':') ? 'IPv6' : 'IPv4',
+          mac,
+          vendor: mac ? this.ouiLookup.lookup(mac) : null
+        };
+      });
+
+      return { success: true, source: table.source, data: table.data, entries };
     } catch (error) {
       return { success: false, error: error.message };
     }
   }
 
   /**
-   * Validate IP address format
+   * Read the neighbor table with iproute2 (IPv4 and IPv6), null if unavailable
+   */
+  async readIpNeigh() {
+    try {
+      const { stdout } = await execAsync('ip neigh show', { timeout: 5000 });
+      return { source: 'ip neigh', data: stdout, entries: this.parseIpNeighOutput(stdout) };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Parse `ip neigh` output
+   * e.g. "192.168.1.1 dev eth0 lladdr aa:bb:cc:dd:ee:ff router REACHABLE"
    */
-  validateIP(ip) {
-    const ipv4Regex = /^(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/;
-    const ipv6Regex = /^(?:[0-9a-fA-F]{1,4}:){7}[0-9a-fA-F]{1,4}$/;
-    
-    return ipv4Regex.test(ip) || ipv6Regex.test(ip);
+  parseIpNeighOutput(output) {
+    const entries = [];
+
+    for (const line of output.split('\n')) {
+      const match = line.trim().match(/^(\S+)\s+dev\s+(\S+)(?:\s+lladdr\s+(\S+))?.*?\s*([A-Z_]+)?$/);
+      if (!match) continue;
+
+      entries.push({
+        ip: match[1],
+        mac: match[3] || null,
+        interface: match[2],
+        state: match[4] ? match[4].toLowerCase() : 'unknown',
+        router: /\srouter(\s|$)/.test(line)
+      });
+    }
+
+    return entries;
+  }
+
+  /**
+   * Read the kernel IPv4 ARP cache from /proc/net/arp, null if unavailable
+   */
+  readProcArp() {
+    try {
+      const data = fs.readFileSync('/proc/net/arp', 'utf8');
+      return { source: '/proc/net/arp', data, entries: this.parseProcArp(data) };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Parse /proc/net/arp
+   * Columns: IP address, HW type, Flags, HW address, Mask, Device
+   */
+  parseProcArp(data) {
+    const entries = [];
+
+    for (const line of data.split('\n').slice(1)) {
+      const columns = line.trim().split(/\s+/);
+      if (columns.length < 6) continue;
+
+      const flags = parseInt(columns[2], 16);
+      const complete = (flags & 0x2) !== 0; // ATF_COM
+      const permanent = (flags & 0x4) !== 0; // ATF_PERM
+
+      entries.push({
+        ip: columns[0],
+        mac: complete ? columns[3] : null,
+        interface: columns[5],
+        state: permanent ? 'permanent' : (complete ? 'reachable' : 'incomplete')
+      });
+    }
+
+    return entries;
+  }
+
+  /**
+   * Parse `arp` output into { ip, mac, interface, state } entries
+   * Handles the Linux net-tools table, BSD/macOS and Windows formats
+   */
+  parseArpOutput(output) {
+    const entries = [];
+    let windowsInterface = null;
+
+    for (const rawLine of output.split(/\r?\n/)) {
+      const line = rawLine.trim();
+      if (!line) continue;
+
+      // BSD/macOS: ? (192.168.1.1) at aa:bb:cc:dd:ee:ff on en0 ifscope [ethernet]
+      let match = line.match(/^\S+ \(([^)]+)\) at (\S+)(?: \[\w+\])? on (\S+)(.*)$/);
+      if (match) {
+        const incomplete = match[2] === '(incomplete)';
+        entries.push({
+          ip: match[1],
+          mac: incomplete ? null : match[2],
+          interface: match[3],
+          state: incomplete ? 'incomplete' : (/permanent/.test(match[4]) ? 'permanent' : 'reachable')
+        });
+        continue;
+      }
+
+      // Windows: "Interface: 192.168.1.10 --- 0xb" header followed by rows
+      match = line.match(/^Interface:\s+(\S+)/);
+      if (match) {
+        windowsInterface = match[1];
+        continue;
+      }
+
+      match = line.match(/^(\d{1,3}(?:\.\d{1,3}){3})\s+([0-9a-fA-F]{2}(?:-[0-9a-fA-F]{2}){5})\s+(\w+)$/);
+      if (match) {
+        entries.push({ ip: match[1], mac: match[2], interface: windowsInterface, state: match[3].toLowerCase() });
+        continue;
+      }
+
+      // Linux net-tools: Address HWtype HWaddress Flags Mask Iface
+      match = line.match(/^(\d{1,3}(?:\.\d{1,3}){3})\s+(?:\S+\s+)?([0-9a-fA-F:]{11,17}|\(incomplete\))\s+(?:([CMP]+)\s+)?(?:\S+\s+)?(\S+)$/);
+      if (match) {
+        const incomplete = match[2] === '(incomplete)';
+        entries.push({
+          ip: match[1],
+          mac: incomplete ? null : match[2],
+          interface: match[4],
+          state: incomplete ? 'incomplete' : (match[3] && match[3].includes('M') ? 'permanent' : 'reachable')
+        });
+      }
+    }
+
+    return entries;
   }
 
   /**
@@ -266,11 +971,12 @@ class NetworkService {
 
   /**
    * Resolve domain to IP
+   * family is 'auto', 'ipv4' or 'ipv6'
    */
-  async resolveDomain(domain, family = 4) {
+  async resolveDomain(domain, family = 'auto') {
     try {
-      const addresses = await dns.lookup(domain, { family });
-      return { success: true, data: addresses };
+      const resolved = await this.addressParser.resolve(domain, family);
+      return { success: true, data: { address: resolved.address, family: resolved.family } };
     } catch (error) {
       return { success: false, error: error.message };
     }
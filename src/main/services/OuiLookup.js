@@ -0,0 +1,78 @@
+const ouiTable = require('../data/oui.json');
+
+/**
+ * MAC address vendor lookup against the bundled OUI table
+ *
+ * The table is the IEEE registry (MA-L, MA-M and MA-S blocks) trimmed to
+ * organization names; MA-M/MA-S entries are keyed by their longer prefix,
+ * e.g. 00:1B:C5:00:0, and win over the MA-L block they sit in. Locally
+ * administered (randomized) and multicast addresses are recognised from the
+ * address bits.
+ */
+class OuiLookup {
+  constructor() {
+    this.table = ouiTable;
+
+    // Well-known prefixes inside the locally administered range
+    this.localPrefixes = {
+      '52:54:00': 'QEMU/KVM',
+      '02:42': 'Docker'
+    };
+  }
+
+  /**
+   * Normalize a MAC address to upper-case colon-separated form
+   * Accepts aa:bb:cc:dd:ee:ff, aa-bb-cc-dd-ee-ff, aabb.ccdd.eeff and
+   * single-digit octets as printed by some arp implementations
+   */
+  normalizeMac(mac) {
+    if (!mac || typeof mac !== 'string') return null;
+
+    const trimmed = mac.trim();
+    let octets;
+
+    if (/^[0-9a-fA-F]{4}\.[0-9a-fA-F]{4}\.[0-9a-fA-F]{4}$/.test(trimmed)) {
+      octets = trimmed.replace(/\./g, '').match(/.{2}/g);
+    } else {
+      octets = trimmed.split(/[:-]/);
+    }
+
+    if (octets.length !== 6 || !octets.every(octet => /^[0-9a-fA-F]{1,2}$/.test(octet))) {
+      return null;
+    }
+
+    return octets.map(octet => octet.padStart(2, '0').toUpperCase()).join(':');
+  }
+
+  /**
+   * Look up the vendor for a MAC address
+   */
+  lookup(mac) {
+    const normalized = this.normalizeMac(mac);
+    if (!normalized) return null;
+
+    if (normalized === 'FF:FF:FF:FF:FF:FF') return 'Broadcast';
+    if (normalized === '00:00:00:00:00:00') return null;
+
+    const firstOctet = parseInt(normalized.slice(0, 2), 16);
+
+    if (firstOctet & 0x01) {
+      return 'Multicast';
+    }
+
+    if (firstOctet & 0x02) {
+      for (const [prefix, vendor] of Object.entries(this.localPrefixes)) {
+        if (normalized.startsWith(prefix)) return vendor;
+      }
+      return 'Locally administered (randomized)';
+    }
+
+    // 36-bit (MA-S), 28-bit (MA-M), then 24-bit (MA-L) prefixes
+    return this.table[normalized.slice(0, 13)] ||
+      this.table[normalized.slice(0, 10)] ||
+      this.table[normalized.slice(0, 8)] ||
+      null;
+  }
+}
+
+module.exports = OuiLookup;
@@ -1,9 +1,13 @@
-const ping = require('ping');
 const axios = require('axios');
-const dns = require('dns').promises;
+const GeoIpService = require('./GeoIpService');
+const AddressParser = require('./AddressParser');
+const SystemPing = require('./SystemPing');
 
 class PingService {
-  constructor() {
+  constructor(options = {}) {
+    this.geoIpService = options.geoIpService || new GeoIpService();
+    this.addressParser = options.addressParser || new AddressParser();
+    this.systemPing = options.systemPing || new SystemPing();
     this.defaultConfig = {
       timeout: 5000,
       count: 4,
@@ -22,15 +26,24 @@ class PingService {
       timeout = 5000,
       method = 'GET',
       headers = {},
-      body = null
+      body = null,
+      family = 'auto'
     } = config;
 
     if (!url) {
       return { success: false, error: 'URL is required' };
     }
 
+    let addressFamily;
+    try {
+      addressFamily = this.addressParser.normalizeFamily(family);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+
     const results = [];
     const startTime = Date.now();
+    const targetInfo = this.resolveUrlHost(url, addressFamily);
 
     try {
       for (let i = 0; i < count; i++) {
@@ -43,6 +56,7 @@ class PingService {
             headers: headers,
             data: body,
             timeout: timeout,
+            family: addressFamily || undefined,
             validateStatus: () => true // Accept all status codes
           });
 
@@ -124,9 +138,14 @@ class PingService {
         stats.jitter = this.calculateJitter(latencies);
       }
 
+      const { ipAddress, family: resolvedFamily, geo } = await targetInfo;
+
       const finalResult = {
         success: true,
         target: url,
+        ipAddress: ipAddress,
+        family: resolvedFamily,
+        geo: geo,
         method: method,
         results: results,
         statistics: stats,
@@ -159,7 +178,8 @@ class PingService {
       timeout = 5000,
       interval = 1000,
       packetSize = 56,
-      ttl = 128
+      ttl = 128,
+      family = 'auto'
     } = config;
 
     if (!target) {
@@ -167,26 +187,29 @@ class PingService {
     }
 
     try {
-      // Resolve domain to IP if needed
-      let ipAddress = target;
-      if (!this.isIPAddress(target)) {
-        try {
-          const resolved = await dns.lookup(target);
-          ipAddress = resolved.address;
-        } catch (error) {
-          return { success: false, error: `Cannot resolve ${target}: ${error.message}` };
-        }
+      // Resolve domain to IP if needed, in the requested address family
+      let ipAddress;
+      let addressFamily;
+      try {
+        const resolved = await this.addressParser.resolve(target, family);
+        ipAddress = resolved.address;
+        addressFamily = resolved.family;
+      } catch (error) {
+        return { success: false, error: error.message };
       }
 
       const results = [];
       const startTime = Date.now();
+      // Location/ASN lookup runs while the pings are in flight
+      const geoLookup = this.geoIpService.lookup(ipAddress);
 
       for (let i = 0; i < count; i++) {
         try {
-          const result = await ping.promise.probe(ipAddress, {
+          const result = await this.systemPing.probe(ipAddress, this.addressParser.pingOptions(ipAddress, {
             timeout: timeout / 1000, // ping library expects seconds
-            min_reply: 1
-          });
+            min_reply: 1,
+            packetSize: parseInt(packetSize)
+          }), timeout + 1000);
 
           const pingResult = {
             sequence: i + 1,
@@ -272,6 +295,8 @@ class PingService {
         success: true,
         target: target,
         ipAddress: ipAddress,
+        family: addressFamily,
+        geo: await geoLookup,
         results: results,
         statistics: stats,
         totalTime: totalTime
@@ -293,6 +318,19 @@ class PingService {
     }
   }
 
+  /**
+   * Resolve the host of an HTTP ping URL and enrich its address
+   * Never rejects - an unresolvable host just leaves the fields null
+   */
+  async resolveUrlHost(url, family = 0) {
+    try {
+      const { address, family: resolvedFamily } = await this.addressParser.resolve(new URL(url).hostname, family);
+      return { ipAddress: address, family: resolvedFamily, geo: await this.geoIpService.lookup(address) };
+    } catch (error) {
+      return { ipAddress: null, family: null, geo: null };
+    }
+  }
+
   /**
    * Calculate jitter (standard deviation of latency)
    */
@@ -305,16 +343,6 @@ class PingService {
     
     return Math.sqrt(variance);
   }
-
-  /**
-   * Check if string is a valid IP address
-   */
-  isIPAddress(str) {
-    const ipv4Regex = /^(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/;
-    const ipv6Regex = /^(?:[0-9a-fA-F]{1,4}:){7}[0-9a-fA-F]{1,4}$/;
-    
-    return ipv4Regex.test(str) || ipv6Regex.test(str);
-  }
 }
 
 module.exports = PingService; 
\ No newline at end of file
@@ -0,0 +1,442 @@
+const { spawn } = require('child_process');
+const readline = require('readline');
+const AddressParser = require('./AddressParser');
+const SystemPing = require('./SystemPing');
+
+/**
+ * Path MTU discovery and MTU black-hole detection
+ *
+ * The system ping sends echo requests with Don't Fragment set (IPv6 is never
+ * fragmented by routers anyway) and the largest size that still gets a reply
+ * is binary-searched. A router in front of a smaller link should answer an
+ * oversized packet with ICMP "fragmentation needed" / "packet too big"
+ * carrying its MTU, which is used to jump straight to that size. When the
+ * packet just above the path MTU vanishes without that ICMP error the path
+ * has a black hole, located with TTL-limited probes: the first TTL where a
+ * small probe still draws "time exceeded" but a large one doesn't. On Linux
+ * tracepath adds the MTU at every hop.
+ */
+class PmtuService {
+  constructor(options = {}) {
+    this.addressParser = options.addressParser || new AddressParser();
+    this.platform = options.platform || process.platform;
+    this.prober = options.prober || new SystemPing({ platform: this.platform }); // { probe(ip, options, limit, control) }
+    this.activeSessions = new Map(); // sessionId -> { stopped, child }
+
+    this.defaultConfig = {
+      maxMtu: 1500,
+      timeout: 2000,
+      attempts: 2,
+      maxHops: 30,
+      perHop: true,
+      locateBlackHole: true
+    };
+    // IP + ICMP echo headers: the MTU is the ping payload plus these
+    this.headerSizes = { 4: 28, 6: 48 };
+    // Smallest MTU a link may have
+    this.minMtus = { 4: 68, 6: 1280 };
+
+    this.fragNeededPattern = /frag(?:mentation)? needed|needs to be fragmented|packet too big/i;
+    this.localLimitPattern = /message too long/i;
+    this.ttlExceededPattern = /time to live exceeded|time exceeded|ttl expired/i;
+    this.mtuPattern = /mtu\s*[=:]?\s*(\d+)/i;
+    this.reporterPattern = /(?:^|\s)(?:from|reply from)\s+([0-9a-fA-F:.]+)|bytes from ([0-9a-fA-F:.]+)/i;
+  }
+
+  /**
+   * Measure the path MTU to a target, streaming each probe through onUpdate
+   * ('pmtu_phase', 'pmtu_probe', 'pmtu_hop')
+   */
+  async discover(config, onUpdate = null, sessionId = null) {
+    const {
+      target,
+      family = 'auto',
+      maxMtu = this.defaultConfig.maxMtu,
+      timeout = this.defaultConfig.timeout,
+      attempts = this.defaultConfig.attempts,
+      maxHops = this.defaultConfig.maxHops,
+      perHop = this.defaultConfig.perHop,
+      locateBlackHole = this.defaultConfig.locateBlackHole
+    } = config;
+
+    if (!target) {
+      return { success: false, error: 'Target is required' };
+    }
+    if (maxMtu < 576 || maxMtu > 9216) {
+      return { success: false, error: 'Max MTU must be between 576 and 9216 bytes' };
+    }
+    if (attempts < 1 || attempts > 5) {
+      return { success: false, error: 'Attempts per size must be between 1 and 5' };
+    }
+
+    const discoveryId = sessionId || `pmtu_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const control = { stopped: false, child: null };
+    this.activeSessions.set(discoveryId, control);
+
+    const emit = (update) => {
+      if (onUpdate && typeof onUpdate === 'function') {
+        onUpdate({ sessionId: discoveryId, ...update });
+      }
+    };
+
+    try {
+      const resolved = await this.addressParser.resolve(target, family);
+      if (maxMtu < this.minMtus[resolved.family]) {
+        return { success: false, error: `Max MTU must be at least ${this.minMtus[resolved.family]} bytes for ${this.addressParser.familyName(resolved.family)}` };
+      }
+      const startTime = Date.now();
+      const settings = { family: resolved.family, timeout: parseInt(timeout), attempts: parseInt(attempts), control, emit };
+
+      console.log(`📏 [PmtuService] Searching path MTU to ${target} (${resolved.address}) up to ${maxMtu} bytes`);
+      emit({ type: 'pmtu_phase', phase: 'search' });
+      const search = await this.searchPathMtu(resolved.address, parseInt(maxMtu), settings);
+
+      let hops = null;
+      let hopsNote = null;
+      if (perHop && !control.stopped) {
+        emit({ type: 'pmtu_phase', phase: 'hops' });
+        ({ hops, note: hopsNote } = await this.traceHopMtus(resolved.address, parseInt(maxHops), settings));
+      }
+
+      const blackHole = search.blackHole
+        ? { detected: true, size: search.failedMtu, location: null }
+        : { detected: false, size: null, location: null };
+      if (blackHole.detected && locateBlackHole && !control.stopped) {
+        emit({ type: 'pmtu_phase', phase: 'locate' });
+        blackHole.location = await this.locateBlackHole(resolved.address, search.pathMtu, search.failedMtu, parseInt(maxHops), settings);
+      }
+
+      if (blackHole.detected) {
+        console.log(`🕳️ [PmtuService] ${target}: ${search.failedMtu}-byte packets vanish without an ICMP error`);
+      }
+
+      return {
+        success: true,
+        sessionId: discoveryId,
+        cancelled: control.stopped,
+        target,
+        ipAddress: resolved.address,
+        family: resolved.family,
+        pathMtu: search.pathMtu,
+        maxMtu: parseInt(maxMtu),
+        reachedMax: search.pathMtu === parseInt(maxMtu),
+        headerSize: this.headerSizes[resolved.family],
+        probes: search.probes,
+        fragNeeded: search.fragNeeded,
+        blackHole,
+        hops,
+        hopsNote,
+        duration: Date.now() - startTime,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    } finally {
+      this.activeSessions.delete(discoveryId);
+    }
+  }
+
+  /**
+   * Binary search between the minimum link MTU (must get through) and maxMtu
+   * Returns { pathMtu, failedMtu, blackHole, probes, fragNeeded }
+   */
+  async searchPathMtu(ip, maxMtu, settings) {
+    const { family, control, emit } = settings;
+    const probes = [];
+    const fragNeeded = [];
+
+    let low = this.minMtus[family];
+    let high = maxMtu + 1; // smallest size known not to get through
+    let highOutcome = null;
+    let hint = null;
+    let claimedMtu = null;
+
+    const run = async (mtu) => {
+      const probe = await this.probeSize(ip, mtu, settings);
+      probes.push(probe);
+
+      if (probe.outcome === 'reply') {
+        low = mtu;
+        // The router's own MTU got through, so anything bigger would be refused again
+        if (mtu === claimedMtu && high > mtu + 1) {
+          high = mtu + 1;
+          highOutcome = 'frag-needed';
+        }
+      } else {
+        high = mtu;
+        highOutcome = probe.outcome;
+        if (probe.outcome === 'frag-needed' || probe.outcome === 'local-limit') {
+          fragNeeded.push({ mtu: probe.reportedMtu, reporter: probe.reporter, probeSize: mtu });
+          // The router told us its link MTU - try exactly that next
+          if (probe.reportedMtu && probe.reportedMtu > low && probe.reportedMtu < mtu) {
+            hint = probe.reportedMtu;
+            claimedMtu = probe.reportedMtu;
+          }
+        }
+      }
+
+      emit({ type: 'pmtu_probe', probe, low, high: Math.min(high, maxMtu + 1) });
+      return probe;
+    };
+
+    const baseline = await run(low);
+    if (!control.stopped && baseline.outcome !== 'reply') {
+      throw new Error(`${ip} does not answer ${low}-byte pings, so its path MTU can't be measured`);
+    }
+
+    if (!control.stopped) {
+      await run(maxMtu);
+    }
+
+    while (!control.stopped && high - low > 1) {
+      const next = hint || Math.floor((low + high) / 2);
+      hint = null;
+      await run(next);
+    }
+
+    const failedMtu = high <= maxMtu ? high : null;
+    return {
+      pathMtu: low,
+      failedMtu,
+      // Silence right above the path MTU - the packet was dropped with no ICMP error
+      blackHole: !control.stopped && failedMtu !== null && highOutcome === 'silent',
+      probes,
+      fragNeeded
+    };
+  }
+
+  /**
+   * Send up to `attempts` DF pings of one total size
+   * outcome: 'reply' | 'frag-needed' | 'local-limit' | 'ttl-exceeded' | 'silent'
+   */
+  async probeSize(ip, mtu, settings, ttl = null) {
+    const { family, timeout, attempts, control } = settings;
+    const payload = mtu - this.headerSizes[family];
+    let last = null;
+
+    for (let attempt = 1; attempt <= attempts && !control.stopped; attempt++) {
+      const output = await this.sendPing(ip, payload, timeout, control, ttl);
+      last = { mtu, payload, ttl, attempt, ...this.classifyOutput(output) };
+      if (last.outcome !== 'silent') break;
+    }
+
+    return last || { mtu, payload, ttl, attempt: 0, outcome: 'silent', reportedMtu: null, reporter: null, rtt: null };
+  }
+
+  /**
+   * One echo request; resolves { alive, time, output } and never rejects
+   */
+  async sendPing(ip, payload, timeout, control, ttl = null) {
+    const options = this.addressParser.pingOptions(ip, {
+      timeout: Math.max(1, Math.round(timeout / 1000)),
+      min_reply: 1,
+      packetSize: payload,
+      extra: [...this.dfArgs(this.addressParser.getFamily(ip)), ...(ttl ? this.ttlArgs(ttl, ip) : [])]
+    });
+
+    try {
+      return await this.prober.probe(ip, options, timeout + 1000, control);
+    } catch (error) {
+      return { alive: false, time: null, output: error.message };
+    }
+  }
+
+  /**
+   * Read what happened to a probe from the ping output
+   */
+  classifyOutput(result) {
+    const output = result.output || '';
+    const lines = output.split('\n');
+    const find = pattern => lines.find(line => pattern.test(line));
+    const reporterOf = (line) => {
+      const match = line.match(this.reporterPattern);
+      return match ? (match[1] || match[2]).replace(/:$/, '') : null;
+    };
+    const mtuOf = (line) => {
+      const match = line.match(this.mtuPattern);
+      return match ? parseInt(match[1], 10) : null;
+    };
+
+    if (result.alive) {
+      const rtt = parseFloat(result.time);
+      return { outcome: 'reply', reportedMtu: null, reporter: null, rtt: isNaN(rtt) ? null : rtt };
+    }
+
+    const fragLine = find(this.fragNeededPattern);
+    if (fragLine) {
+      return { outcome: 'frag-needed', reportedMtu: mtuOf(fragLine), reporter: reporterOf(fragLine), rtt: null };
+    }
+
+    // Bigger than our own interface allows - ping fails before sending
+    const localLine = find(this.localLimitPattern);
+    if (localLine) {
+      return { outcome: 'local-limit', reportedMtu: mtuOf(localLine), reporter: 'local', rtt: null };
+    }
+
+    const ttlLine = find(this.ttlExceededPattern);
+    if (ttlLine) {
+      return { outcome: 'ttl-exceeded', reportedMtu: null, reporter: reporterOf(ttlLine), rtt: null };
+    }
+
+    return { outcome: 'silent', reportedMtu: null, reporter: null, rtt: null };
+  }
+
+  /**
+   * Don't Fragment for each platform's ping; IPv6 routers never fragment, but
+   * macOS ping6 would otherwise fragment at the source
+   */
+  dfArgs(family) {
+    if (this.platform === 'linux') return ['-M', 'do'];
+    if (this.platform === 'darwin') return family === 6 ? ['-m'] : ['-D'];
+    if (this.platform === 'win32') return family === 6 ? [] : ['-f'];
+    return [];
+  }
+
+  ttlArgs(ttl, ip) {
+    if (this.platform === 'win32') return ['-i', `${ttl}`];
+    if (this.platform === 'darwin') return this.addressParser.isIPv6(ip) ? ['-h', `${ttl}`] : ['-m', `${ttl}`];
+    return ['-t', `${ttl}`];
+  }
+
+  /**
+   * Walk the TTLs with a small and a large probe; the black hole sits in
+   * front of the first router that answers the small one but not the large one
+   * Returns { hop, router, previousRouter } or null when it couldn't be pinned down
+   */
+  async locateBlackHole(ip, pathMtu, failedMtu, maxHops, settings) {
+    const { control, emit } = settings;
+    let previousRouter = null;
+
+    for (let ttl = 1; ttl <= maxHops && !control.stopped; ttl++) {
+      const small = await this.probeSize(ip, pathMtu, settings, ttl);
+      emit({ type: 'pmtu_probe', probe: small, locating: true });
+
+      // Routers that never send time exceeded can't be tested
+      if (small.outcome === 'silent') continue;
+
+      const large = await this.probeSize(ip, failedMtu, settings, ttl);
+      emit({ type: 'pmtu_probe', probe: large, locating: true });
+
+      const smallReached = small.outcome === 'reply' || small.outcome === 'ttl-exceeded';
+      if (smallReached && large.outcome === 'silent') {
+        return { hop: ttl, router: small.outcome === 'reply' ? ip : small.reporter, previousRouter };
+      }
+      if (small.outcome === 'reply') break;
+
+      previousRouter = small.reporter;
+    }
+
+    return null;
+  }
+
+  /**
+   * tracepath's per-hop MTU: "pmtu N" marks where the MTU drops and applies
+   * to that hop and every one after it
+   * Returns { hops, note } - hops is null when tracepath isn't available
+   */
+  traceHopMtus(ip, maxHops, settings) {
+    const { control, emit } = settings;
+
+    if (this.platform !== 'linux') {
+      return Promise.resolve({ hops: null, note: 'Per-hop MTU needs tracepath, which is only available on Linux' });
+    }
+
+    return new Promise((resolve) => {
+      const hops = new Map();
+      let currentMtu = null;
+      let finalMtu = null;
+      let settled = false;
+      let timer = null;
+
+      const finish = (note = null) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        control.child = null;
+        const list = Array.from(hops.values()).sort((a, b) => a.hop - b.hop);
+        resolve({ hops: list.length ? list : null, note: note || (finalMtu ? null : 'tracepath did not report a path MTU') });
+      };
+
+      let child;
+      try {
+        child = spawn('tracepath', ['-n', '-m', `${maxHops}`, ip]);
+      } catch (error) {
+        finish(`tracepath could not be started: ${error.message}`);
+        return;
+      }
+      control.child = child;
+
+      // A silent path can keep tracepath busy for a long time
+      timer = setTimeout(() => {
+        child.kill();
+        finish('tracepath timed out');
+      }, maxHops * 3000);
+
+      readline.createInterface({ input: child.stdout, terminal: false })
+        .on('line', (line) => {
+          const resume = line.match(/Resume:\s+pmtu\s+(\d+)/);
+          if (resume) {
+            finalMtu = parseInt(resume[1], 10);
+            return;
+          }
+
+          const match = line.match(/^\s*(\d+)\??:\s+(\[LOCALHOST\]|no reply|[0-9a-fA-F:.]+)(.*)$/);
+          if (!match) return;
+
+          const hop = parseInt(match[1], 10);
+          const mtu = match[3].match(/pmtu\s+(\d+)/);
+          if (mtu) currentMtu = parseInt(mtu[1], 10);
+          if (match[2] === '[LOCALHOST]') return;
+
+          const address = match[2] === 'no reply' ? null : match[2];
+          const rtt = match[3].match(/([\d.]+)ms/);
+          const existing = hops.get(hop);
+          if (existing) {
+            existing.ip = existing.ip || address;
+            existing.reached = existing.reached || /\breached\b/.test(match[3]);
+            if (mtu) {
+              existing.mtu = currentMtu;
+              existing.mtuChanged = true;
+            }
+            return;
+          }
+
+          const entry = {
+            hop,
+            ip: address,
+            rtt: rtt ? parseFloat(rtt[1]) : null,
+            mtu: currentMtu,
+            mtuChanged: !!mtu,
+            reached: /\breached\b/.test(match[3])
+          };
+          hops.set(hop, entry);
+          emit({ type: 'pmtu_hop', hop: entry });
+        });
+
+      child.on('error', (error) => {
+        finish(error.code === 'ENOENT' ? 'tracepath is not installed' : error.message);
+      });
+
+      child.on('close', () => {
+        finish(control.stopped ? 'Stopped before tracepath finished' : null);
+      });
+    });
+  }
+
+  /**
+   * Stop a running discovery
+   */
+  stopDiscovery(sessionId) {
+    const control = this.activeSessions.get(sessionId);
+    if (!control) {
+      return { success: false, message: 'Discovery not found or already finished' };
+    }
+    control.stopped = true;
+    if (control.child) {
+      control.child.kill();
+    }
+    return { success: true, message: 'Path MTU discovery stopping' };
+  }
+}
+
+module.exports = PmtuService;
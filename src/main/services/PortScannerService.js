@@ -1,27 +1,52 @@
 const net = require('net');
-const dns = require('dns').promises;
+const dgram = require('dgram');
+const fs = require('fs');
 const findPort = require('find-open-port');
+const ServiceFingerprinter = require('./ServiceFingerprinter');
+const TargetParser = require('./TargetParser');
+const GeoIpService = require('./GeoIpService');
+const AddressParser = require('./AddressParser');
 
 class PortScannerService {
-  constructor() {
+  constructor(options = {}) {
     this.defaultConfig = {
       timeout: 5000,
       concurrency: 10,
-      scanType: 'connect'
+      scanType: 'connect',
+      progressInterval: 250, // Minimum ms between batched progress events
+      adaptive: {
+        sampleSize: 20,
+        backoffRatio: 0.5,
+        recoverRatio: 0.1
+      }
     };
+    this.fingerprinter = new ServiceFingerprinter();
+    this.targetParser = new TargetParser();
+    this.geoIpService = options.geoIpService || new GeoIpService();
+    this.addressParser = options.addressParser || new AddressParser();
+    this.activeScans = new Map(); // sessionId -> { state: 'running' | 'paused' | 'stopped' }
+    this.pausedScanFile = options.pausedScanFile || null;
+    this.pausedScans = {};
   }
 
   /**
-   * Scan ports on target host
+   * Scan ports on one or more target hosts
+   *
+   * The target may be a single host or a list of hosts, CIDR blocks and
+   * dash ranges (see TargetParser). Results are returned flattened and
+   * grouped per host. Passing a sessionId makes the scan stoppable and
+   * pausable through stopScan/pauseScan.
    */
-  async scan(config, onProgress = null) {
+  async scan(config, onProgress = null, sessionId = null) {
     const {
       target,
       ports = '1-1024',
       scanType = 'connect',
       timeout = 5000,
       concurrency = 10,
-      serviceDetection = false
+      maxRate = 0,
+      serviceDetection = false,
+      family = 'auto'
     } = config;
 
     if (!target) {
@@ -29,15 +54,12 @@ class PortScannerService {
     }
 
     try {
-      // Resolve domain to IP if needed
-      let ipAddress = target;
-      if (!this.isIPAddress(target)) {
-        try {
-          const resolved = await dns.lookup(target);
-          ipAddress = resolved.address;
-        } catch (error) {
-          return { success: false, error: `Cannot resolve ${target}: ${error.message}` };
-        }
+      const { targets, errors } = this.targetParser.parse(target);
+      if (errors.length) {
+        return { success: false, error: `Invalid target: ${errors.join('; ')}` };
+      }
+      if (!targets.length) {
+        return { success: false, error: 'Target is required' };
       }
 
       // Parse port range
@@ -46,31 +68,293 @@ class PortScannerService {
         return { success: false, error: 'Invalid port range' };
       }
 
-      const results = await this.scanPorts(ipAddress, portList, {
+      // Resolve domains to IPs if needed, in the requested address family
+      this.addressParser.normalizeFamily(family); // Rejects an unknown family before any lookups
+      const hosts = [];
+      for (const host of targets) {
+        try {
+          const resolved = await this.addressParser.resolve(host, family);
+          hosts.push({ target: host, ipAddress: resolved.address, family: resolved.family });
+        } catch (error) {
+          if (targets.length === 1) {
+            return { success: false, error: error.message };
+          }
+          hosts.push({ target: host, ipAddress: null, family: null, error: error.message });
+        }
+      }
+
+      const scannableHosts = hosts.filter(host => host.ipAddress);
+      if (!scannableHosts.length) {
+        return { success: false, error: 'None of the targets could be resolved' };
+      }
+
+      // One job per host x port so progress covers the whole matrix
+      const jobs = [];
+      for (const host of scannableHosts) {
+        for (const port of portList) {
+          jobs.push({ target: host.target, ipAddress: host.ipAddress, port });
+        }
+      }
+
+      const session = {
+        sessionId: sessionId || `portscan_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        target,
         scanType,
-        timeout,
-        concurrency,
-        serviceDetection
+        portList,
+        hosts,
+        scanConfig: {
+          scanType,
+          timeout,
+          concurrency: Math.max(1, parseInt(concurrency) || this.defaultConfig.concurrency),
+          serviceDetection,
+          maxRate: Math.max(0, parseFloat(maxRate) || 0),
+          hostCount: scannableHosts.length
+        },
+        totalJobs: jobs.length,
+        pendingJobs: jobs,
+        completedResults: [],
+        elapsed: 0,
+        backoffs: 0
+      };
+
+      return await this.runScan(session, onProgress);
+
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Run (or continue) the pending jobs of a scan session and build the result
+   */
+  async runScan(session, onProgress) {
+    const control = { state: 'running' };
+    this.activeScans.set(session.sessionId, control);
+
+    let scanOutcome;
+    try {
+      scanOutcome = await this.scanPorts(session.pendingJobs, {
+        ...session.scanConfig,
+        control,
+        sessionId: session.sessionId,
+        completedOffset: session.completedResults.length,
+        totalJobs: session.totalJobs
       }, onProgress);
+    } finally {
+      this.activeScans.delete(session.sessionId);
+    }
+
+    const { results: newResults, performance, pendingJobs } = scanOutcome;
+    session.completedResults = session.completedResults.concat(newResults);
+    session.pendingJobs = pendingJobs;
+    session.elapsed += performance.duration;
+    session.backoffs += performance.backoffs;
 
-      const statistics = this.calculateScanStatistics(results);
+    await this.enrichHosts(session.hosts);
+
+    const paused = control.state === 'paused' && pendingJobs.length > 0;
+    const cancelled = control.state === 'stopped' && pendingJobs.length > 0;
+
+    if (paused) {
+      this.savePausedScan(session);
+      console.log(`⏸️ [PortScanner] Scan ${session.sessionId} paused with ${pendingJobs.length} probes pending`);
+    } else {
+      this.removePausedScan(session.sessionId);
+      if (cancelled) {
+        console.log(`🛑 [PortScanner] Scan ${session.sessionId} stopped with ${pendingJobs.length} probes skipped`);
+      }
+    }
+
+    return this.buildScanResult(session, {
+      ...performance,
+      duration: session.elapsed,
+      averageRate: (session.completedResults.length / Math.max(session.elapsed, 1)) * 1000,
+      backoffs: session.backoffs
+    }, { paused, cancelled });
+  }
+
+  /**
+   * Attach location and origin AS to every resolved host that doesn't have them yet
+   */
+  async enrichHosts(hosts) {
+    const pending = hosts.filter(host => host.ipAddress && host.geo === undefined);
+    if (!pending.length) return;
 
+    const enrichments = await this.geoIpService.lookupMany(pending.map(host => host.ipAddress));
+    for (const host of pending) {
+      host.geo = enrichments.get(host.ipAddress) || null;
+    }
+  }
+
+  /**
+   * Assemble the flattened and per-host scan result for a session
+   */
+  buildScanResult(session, performance, flags = {}) {
+    const hostOrder = new Map(session.hosts.map((host, index) => [host.ipAddress, index]));
+    const results = [...session.completedResults].sort((a, b) =>
+      (hostOrder.get(a.host) - hostOrder.get(b.host)) || (a.port - b.port)
+    );
+
+    const hostResults = session.hosts.map(host => {
+      if (!host.ipAddress) {
+        return { ...host, results: [], statistics: this.calculateScanStatistics([]) };
+      }
+      const ownResults = results.filter(result => result.host === host.ipAddress);
       return {
-        success: true,
-        target: target,
-        ipAddress: ipAddress,
-        scanType: scanType,
-        ports: portList,
-        results: results,
-        statistics: statistics,
-        timestamp: new Date().toISOString()
+        target: host.target,
+        ipAddress: host.ipAddress,
+        family: host.family || null,
+        geo: host.geo || null,
+        results: ownResults,
+        statistics: this.calculateScanStatistics(ownResults)
       };
+    });
+
+    const statistics = this.calculateScanStatistics(results);
+    statistics.hosts = session.hosts.length;
+    statistics.hostsWithOpenPorts = hostResults.filter(host => host.statistics.open > 0).length;
+
+    return {
+      success: true,
+      sessionId: session.sessionId,
+      paused: !!flags.paused,
+      cancelled: !!flags.cancelled,
+      pending: session.pendingJobs.length,
+      target: session.target,
+      ipAddress: session.hosts.length === 1 ? session.hosts[0].ipAddress : null,
+      family: session.hosts.length === 1 ? session.hosts[0].family || null : null,
+      scanType: session.scanType,
+      ports: session.portList,
+      hosts: hostResults,
+      results: results,
+      statistics: statistics,
+      performance: performance,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Stop a running scan - in-flight probes finish, pending ones are skipped
+   */
+  stopScan(sessionId) {
+    const control = this.activeScans.get(sessionId);
+    if (!control) {
+      return { success: false, message: 'Scan not found or already finished' };
+    }
+    control.state = 'stopped';
+    return { success: true, message: 'Port scan stopping' };
+  }
+
+  /**
+   * Pause a running scan - pending probes are saved so the scan can be resumed later
+   */
+  pauseScan(sessionId) {
+    const control = this.activeScans.get(sessionId);
+    if (!control) {
+      return { success: false, message: 'Scan not found or already finished' };
+    }
+    control.state = 'paused';
+    return { success: true, message: 'Port scan pausing' };
+  }
+
+  /**
+   * Resume a paused scan, including scans paused before an app restart
+   */
+  async resumeScan(sessionId, onProgress = null) {
+    const session = this.loadPausedScans()[sessionId];
+    if (!session) {
+      return { success: false, error: 'Paused scan not found' };
+    }
+    if (this.activeScans.has(sessionId)) {
+      return { success: false, error: 'Scan is already running' };
+    }
 
+    console.log(`▶️ [PortScanner] Resuming scan ${sessionId} with ${session.pendingJobs.length} probes pending`);
+    try {
+      return await this.runScan(session, onProgress);
     } catch (error) {
       return { success: false, error: error.message };
     }
   }
 
+  /**
+   * List paused scans that can be resumed
+   */
+  getPausedScans() {
+    return Object.values(this.loadPausedScans()).map(session => ({
+      sessionId: session.sessionId,
+      target: session.target,
+      scanType: session.scanType,
+      ports: session.portList.length,
+      hosts: session.hosts.length,
+      completed: session.completedResults.length,
+      total: session.totalJobs,
+      open: session.completedResults.filter(result => result.state === 'open').length,
+      pausedAt: session.pausedAt
+    }));
+  }
+
+  /**
+   * Drop a paused scan without resuming it
+   */
+  discardPausedScan(sessionId) {
+    const removed = this.removePausedScan(sessionId);
+    return removed
+      ? { success: true, message: 'Paused scan discarded' }
+      : { success: false, message: 'Paused scan not found' };
+  }
+
+  /**
+   * Read paused scans from disk
+   */
+  loadPausedScans() {
+    if (!this.pausedScanFile) return this.pausedScans;
+
+    try {
+      if (fs.existsSync(this.pausedScanFile)) {
+        this.pausedScans = JSON.parse(fs.readFileSync(this.pausedScanFile, 'utf8'));
+      }
+    } catch (error) {
+      console.error('❌ [PortScanner] Failed to load paused scans:', error);
+    }
+    return this.pausedScans;
+  }
+
+  /**
+   * Persist a paused scan session
+   */
+  savePausedScan(session) {
+    const pausedScans = this.loadPausedScans();
+    pausedScans[session.sessionId] = { ...session, pausedAt: new Date().toISOString() };
+    this.writePausedScans(pausedScans);
+  }
+
+  /**
+   * Remove a paused scan session, returns true if it existed
+   */
+  removePausedScan(sessionId) {
+    const pausedScans = this.loadPausedScans();
+    if (!pausedScans[sessionId]) return false;
+
+    delete pausedScans[sessionId];
+    this.writePausedScans(pausedScans);
+    return true;
+  }
+
+  /**
+   * Write paused scans to disk (kept in memory only when no file is configured)
+   */
+  writePausedScans(pausedScans) {
+    this.pausedScans = pausedScans;
+    if (!this.pausedScanFile) return;
+
+    try {
+      fs.writeFileSync(this.pausedScanFile, JSON.stringify(pausedScans));
+    } catch (error) {
+      console.error('❌ [PortScanner] Failed to save paused scans:', error);
+    }
+  }
+
   /**
    * Parse port range string into array of ports
    */
@@ -102,36 +386,159 @@ class PortScannerService {
   }
 
   /**
-   * Scan ports with specified configuration
+   * Scan a list of host/port jobs with specified configuration
+   *
+   * Uses a sliding-window pool: as soon as one probe finishes the next one
+   * starts, so a slow or filtered port only occupies its own slot. The window
+   * shrinks when the timeout ratio spikes and grows back once it recovers,
+   * and an optional maxRate caps probe starts per second.
    */
-  async scanPorts(target, ports, config, onProgress) {
-    const { scanType, timeout, concurrency, serviceDetection } = config;
-    const results = [];
-    const chunks = this.chunkArray(ports, concurrency);
+  async scanPorts(jobs, config, onProgress) {
+    const {
+      scanType,
+      timeout,
+      concurrency,
+      serviceDetection,
+      maxRate = 0,
+      hostCount = 1,
+      control = { state: 'running' },
+      sessionId = null,
+      completedOffset = 0,
+      totalJobs = jobs.length
+    } = config;
+    const results = new Array(jobs.length);
+    const running = new Set();
+    const controller = this.createRateController(concurrency);
+    const startTime = Date.now();
+    const minInterval = maxRate > 0 ? 1000 / maxRate : 0;
+    let nextSlot = startTime;
+    let nextIndex = 0;
     let completedPorts = 0;
+    let pendingResults = [];
+    let lastProgress = 0;
+
+    const reportProgress = (force = false) => {
+      if (!onProgress || typeof onProgress !== 'function') return;
+
+      const now = Date.now();
+      if (!force && now - lastProgress < this.defaultConfig.progressInterval) return;
+      lastProgress = now;
+
+      const elapsed = now - startTime;
+      const rate = elapsed > 0 ? (completedPorts / elapsed) * 1000 : 0;
+
+      onProgress({
+        sessionId: sessionId,
+        state: control.state,
+        completed: completedOffset + completedPorts,
+        total: totalJobs,
+        percentage: ((completedOffset + completedPorts) / totalJobs) * 100,
+        inFlight: running.size,
+        concurrency: controller.window,
+        rate: rate,
+        estimatedRemaining: rate > 0 ? ((jobs.length - completedPorts) / rate) * 1000 : null,
+        currentHost: jobs.length ? jobs[Math.max(nextIndex - 1, 0)].ipAddress : null,
+        totalHosts: hostCount,
+        recentResults: pendingResults
+      });
+      pendingResults = [];
+    };
 
-    for (let i = 0; i < chunks.length; i++) {
-      const chunk = chunks[i];
-      const promises = chunk.map(port => this.scanPort(target, port, scanType, timeout, serviceDetection));
-      const chunkResults = await Promise.all(promises);
-      results.push(...chunkResults);
-      
-      completedPorts += chunkResults.length;
-      
-      // Report progress
-      if (onProgress && typeof onProgress === 'function') {
-        onProgress({
-          completed: completedPorts,
-          total: ports.length,
-          percentage: (completedPorts / ports.length) * 100,
-          currentChunk: i + 1,
-          totalChunks: chunks.length,
-          recentResults: chunkResults
-        });
+    while (nextIndex < jobs.length && control.state === 'running') {
+      if (running.size >= controller.window) {
+        await Promise.race(running);
+        continue;
       }
+
+      // Packets-per-second cap
+      if (minInterval > 0) {
+        const wait = nextSlot - Date.now();
+        if (wait > 0) {
+          await this.sleep(wait);
+          continue;
+        }
+        nextSlot = Math.max(Date.now(), nextSlot) + minInterval;
+      }
+
+      const index = nextIndex++;
+      const job = jobs[index];
+      const task = this.scanPort(job.ipAddress, job.port, scanType, timeout, serviceDetection)
+        .then((result) => {
+          result.host = job.ipAddress;
+          result.target = job.target;
+          results[index] = result;
+          completedPorts++;
+          pendingResults.push(result);
+          this.recordProbeOutcome(controller, result);
+          running.delete(task);
+          reportProgress();
+        });
+      running.add(task);
     }
 
-    return results;
+    await Promise.all(running);
+    reportProgress(true);
+
+    const performance = {
+      duration: Date.now() - startTime,
+      averageRate: (completedPorts / Math.max(Date.now() - startTime, 1)) * 1000,
+      finalConcurrency: controller.window,
+      backoffs: controller.backoffs,
+      maxRate: maxRate || null
+    };
+
+    return {
+      results: results.slice(0, nextIndex),
+      performance,
+      pendingJobs: jobs.slice(nextIndex)
+    };
+  }
+
+  /**
+   * Create the adaptive concurrency state for a scan
+   */
+  createRateController(concurrency) {
+    return {
+      maxWindow: concurrency,
+      // Never back off below a quarter of the requested concurrency - a host that
+      // drops everything would otherwise be scanned one port at a time
+      minWindow: Math.max(1, Math.ceil(concurrency / 4)),
+      window: concurrency,
+      samples: [],
+      backoffs: 0
+    };
+  }
+
+  /**
+   * Feed a probe result into the adaptive controller
+   *
+   * Halves the window when more than half of the recent probes timed out and
+   * grows it by one when timeouts drop below 10% (AIMD).
+   */
+  recordProbeOutcome(controller, result) {
+    const { sampleSize, backoffRatio, recoverRatio } = this.defaultConfig.adaptive;
+    const timedOut = result.errorCode === 'ETIMEDOUT';
+
+    controller.samples.push(timedOut);
+    if (controller.samples.length < sampleSize) return;
+
+    const ratio = controller.samples.filter(Boolean).length / controller.samples.length;
+    controller.samples = [];
+
+    if (ratio > backoffRatio && controller.window > controller.minWindow) {
+      controller.window = Math.max(controller.minWindow, Math.floor(controller.window / 2));
+      controller.backoffs++;
+      console.log(`🐢 [PortScanner] ${(ratio * 100).toFixed(0)}% timeouts - reducing concurrency to ${controller.window}`);
+    } else if (ratio < recoverRatio && controller.window < controller.maxWindow) {
+      controller.window++;
+    }
+  }
+
+  /**
+   * Sleep helper
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
   }
 
   /**
@@ -149,28 +556,45 @@ class PortScannerService {
     try {
       const startTime = Date.now();
       
-      if (scanType === 'connect') {
-        const isOpen = await this.tcpConnect(target, port, timeout);
-        result.state = isOpen ? 'open' : 'closed';
+      if (scanType === 'connect' || scanType === 'syn') {
+        // SYN scan requires raw sockets - simplified implementation uses a full connect
+        const probe = await this.tcpConnect(target, port, timeout);
+        result.state = probe.state;
+        result.protocol = 'tcp';
+
+        if (probe.errorCode) {
+          result.errorCode = probe.errorCode;
+        }
         
-        if (isOpen) {
+        if (probe.state === 'open') {
           result.latency = Date.now() - startTime;
           
           if (serviceDetection) {
-            result.service = this.detectService(port);
+            const fingerprint = await this.fingerprinter.fingerprint(target, port, timeout);
+            result.service = fingerprint.name || this.detectService(port);
+            result.product = fingerprint.product;
+            result.version = fingerprint.version;
+            result.banner = fingerprint.banner;
+            result.detectionMethod = fingerprint.name ? fingerprint.method : 'port';
+            result.tls = fingerprint.tls;
           }
         }
-      } else if (scanType === 'syn') {
-        // SYN scan requires raw sockets - simplified implementation
-        const isOpen = await this.tcpConnect(target, port, timeout);
-        result.state = isOpen ? 'open' : 'closed';
-        
-        if (isOpen) {
+      } else if (scanType === 'udp') {
+        const probe = await this.udpProbe(target, port, timeout);
+        result.state = probe.state;
+        result.protocol = 'udp';
+
+        if (probe.state === 'open') {
           result.latency = Date.now() - startTime;
-          
-          if (serviceDetection) {
-            result.service = this.detectService(port);
-          }
+          result.responseSize = probe.responseSize;
+        }
+
+        if (probe.errorCode) {
+          result.errorCode = probe.errorCode;
+        }
+
+        if (serviceDetection && probe.state !== 'closed') {
+          result.service = this.detectService(port);
         }
       }
 
@@ -184,51 +608,199 @@ class PortScannerService {
 
   /**
    * TCP connect scan
+   *
+   * Resolves with the port state and the socket error code (if any):
+   * open (handshake completed), closed (RST / refused), filtered (no answer
+   * before the timeout) or unreachable (ICMP host/network unreachable).
    */
   async tcpConnect(target, port, timeout) {
     return new Promise((resolve) => {
       const socket = new net.Socket();
       let resolved = false;
 
-      const timer = setTimeout(() => {
+      const finish = (outcome) => {
         if (!resolved) {
           resolved = true;
+          clearTimeout(timer);
           socket.destroy();
-          resolve(false);
+          resolve(outcome);
         }
+      };
+
+      const timer = setTimeout(() => {
+        finish({ state: 'filtered', errorCode: 'ETIMEDOUT' });
       }, timeout);
 
       socket.on('connect', () => {
-        if (!resolved) {
-          resolved = true;
-          clearTimeout(timer);
-          socket.destroy();
-          resolve(true);
-        }
+        finish({ state: 'open', errorCode: null });
       });
 
-      socket.on('error', () => {
-        if (!resolved) {
-          resolved = true;
-          clearTimeout(timer);
-          socket.destroy();
-          resolve(false);
+      socket.on('error', (error) => {
+        finish({ state: this.classifySocketError(error.code), errorCode: error.code || null });
+      });
+
+      socket.connect(port, target);
+    });
+  }
+
+  /**
+   * Map a TCP socket error code to a port state
+   */
+  classifySocketError(code) {
+    switch (code) {
+      case 'ECONNREFUSED':
+      case 'ECONNRESET':
+        return 'closed';
+      case 'ETIMEDOUT':
+      case 'EACCES':
+      case 'EPERM':
+        return 'filtered';
+      case 'EHOSTUNREACH':
+      case 'ENETUNREACH':
+      case 'EHOSTDOWN':
+      case 'ENETDOWN':
+        return 'unreachable';
+      default:
+        return 'error';
+    }
+  }
+
+  /**
+   * UDP probe scan
+   *
+   * A reply means the port is open, an ICMP port-unreachable (surfaced by
+   * the connected socket as ECONNREFUSED) means closed, any other ICMP
+   * error means filtered, and silence is ambiguous (open|filtered) and
+   * reported as a timeout so it feeds the adaptive back-off.
+   */
+  async udpProbe(target, port, timeout) {
+    return new Promise((resolve) => {
+      const socket = dgram.createSocket(this.addressParser.isIPv6(target) ? 'udp6' : 'udp4');
+      const payload = this.getUdpPayload(port);
+      let resolved = false;
+      let retryTimer = null;
+
+      const finish = (outcome) => {
+        if (resolved) return;
+        resolved = true;
+        clearTimeout(timer);
+        clearTimeout(retryTimer);
+        try {
+          socket.close();
+        } catch (error) {
+          // Socket already closed
         }
+        resolve(outcome);
+      };
+
+      const timer = setTimeout(() => {
+        finish({ state: 'open|filtered', errorCode: 'ETIMEDOUT' });
+      }, timeout);
+
+      socket.on('message', (message) => {
+        finish({ state: 'open', responseSize: message.length });
       });
 
-      socket.on('timeout', () => {
-        if (!resolved) {
-          resolved = true;
-          clearTimeout(timer);
-          socket.destroy();
-          resolve(false);
+      socket.on('error', (error) => {
+        if (error.code === 'ECONNREFUSED') {
+          finish({ state: 'closed', errorCode: error.code });
+        } else {
+          finish({ state: 'filtered', errorCode: error.code });
         }
       });
 
-      socket.connect(port, target);
+      socket.connect(port, target, (error) => {
+        if (error) {
+          finish({ state: 'filtered', errorCode: error.code });
+          return;
+        }
+
+        const send = () => {
+          if (resolved) return;
+          socket.send(payload, (sendError) => {
+            if (sendError) {
+              finish({ state: 'filtered', errorCode: sendError.code });
+            }
+          });
+        };
+
+        send();
+
+        // UDP is lossy - retransmit once halfway through the timeout window
+        retryTimer = setTimeout(send, Math.floor(timeout / 2));
+      });
     });
   }
 
+  /**
+   * Get a protocol-specific UDP payload for a port
+   *
+   * Most UDP services ignore empty datagrams, so well-known ports get a
+   * minimal valid request that is likely to elicit a reply.
+   */
+  getUdpPayload(port) {
+    const payloads = {
+      // DNS: standard query for the root NS records
+      53: Buffer.from([
+        0x4e, 0x43, 0x01, 0x00, 0x00, 0x01, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0x00, 0x00, 0x02, 0x00, 0x01
+      ]),
+      // TFTP: read request for a file that does not exist (an error reply still proves the port open)
+      69: Buffer.concat([Buffer.from([0x00, 0x01]), Buffer.from('noctool\0octet\0', 'binary')]),
+      // NTP: version 3 client request
+      123: Buffer.concat([Buffer.from([0x1b]), Buffer.alloc(47)]),
+      // NetBIOS: node status request for the wildcard name
+      137: Buffer.concat([
+        Buffer.from([0x4e, 0x43, 0x00, 0x00, 0x00, 0x01, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x20]),
+        Buffer.from('CKAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA', 'ascii'),
+        Buffer.from([0x00, 0x00, 0x21, 0x00, 0x01])
+      ]),
+      // SNMP: v1 get-request for sysDescr.0 with community "public"
+      161: Buffer.from([
+        0x30, 0x29, 0x02, 0x01, 0x00, 0x04, 0x06, 0x70, 0x75, 0x62, 0x6c, 0x69, 0x63,
+        0xa0, 0x1c, 0x02, 0x04, 0x00, 0x00, 0x00, 0x01, 0x02, 0x01, 0x00, 0x02, 0x01, 0x00,
+        0x30, 0x0e, 0x30, 0x0c, 0x06, 0x08, 0x2b, 0x06, 0x01, 0x02, 0x01, 0x01, 0x01, 0x00,
+        0x05, 0x00
+      ]),
+      // MSSQL Browser: client broadcast/unicast enumeration request
+      1434: Buffer.from([0x02]),
+      // SSDP: discovery request for all devices and services
+      1900: Buffer.from(
+        'M-SEARCH * HTTP/1.1\r\n' +
+        'HOST: 239.255.255.250:1900\r\n' +
+        'MAN: "ssdp:discover"\r\n' +
+        'MX: 1\r\n' +
+        'ST: ssdp:all\r\n\r\n',
+        'ascii'
+      ),
+      // SIP: OPTIONS request
+      5060: Buffer.from(
+        'OPTIONS sip:nm SIP/2.0\r\n' +
+        'Via: SIP/2.0/UDP nm;branch=z9hG4bK-noctool;rport\r\n' +
+        'From: <sip:nm@nm>;tag=noctool\r\n' +
+        'To: <sip:nm2@nm2>\r\n' +
+        'Call-ID: noctool\r\n' +
+        'CSeq: 1 OPTIONS\r\n' +
+        'Max-Forwards: 70\r\n' +
+        'Content-Length: 0\r\n\r\n',
+        'ascii'
+      ),
+      // mDNS: service enumeration query
+      5353: Buffer.concat([
+        Buffer.from([0x00, 0x00, 0x00, 0x00, 0x00, 0x01, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]),
+        Buffer.from('\x09_services\x07_dns-sd\x04_udp\x05local\x00', 'binary'),
+        Buffer.from([0x00, 0x0c, 0x00, 0x01])
+      ]),
+      // Memcached: stats command with the UDP frame header
+      11211: Buffer.concat([
+        Buffer.from([0x00, 0x01, 0x00, 0x00, 0x00, 0x01, 0x00, 0x00]),
+        Buffer.from('stats\r\n', 'ascii')
+      ])
+    };
+
+    return payloads[port] || Buffer.alloc(0);
+  }
+
   /**
    * Check if a port is available on localhost using find-open-port
    */
@@ -238,7 +810,8 @@ class PortScannerService {
       return isAvailable;
     } catch (error) {
       // Fallback to TCP connect method if find-open-port fails
-      return this.tcpConnect('localhost', port, 1000);
+      const probe = await this.tcpConnect('localhost', port, 1000);
+      return probe.state === 'open';
     }
   }
 
@@ -322,6 +895,9 @@ class PortScannerService {
       total: results.length,
       open: results.filter(r => r.state === 'open').length,
       closed: results.filter(r => r.state === 'closed').length,
+      filtered: results.filter(r => r.state === 'filtered').length,
+      unreachable: results.filter(r => r.state === 'unreachable').length,
+      openFiltered: results.filter(r => r.state === 'open|filtered').length,
       error: results.filter(r => r.state === 'error').length,
       openRate: 0
     };
@@ -342,27 +918,6 @@ class PortScannerService {
 
     return stats;
   }
-
-  /**
-   * Split array into chunks for concurrent processing
-   */
-  chunkArray(array, size) {
-    const chunks = [];
-    for (let i = 0; i < array.length; i += size) {
-      chunks.push(array.slice(i, i + size));
-    }
-    return chunks;
-  }
-
-  /**
-   * Check if string is a valid IP address
-   */
-  isIPAddress(str) {
-    const ipv4Regex = /^(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/;
-    const ipv6Regex = /^(?:[0-9a-fA-F]{1,4}:){7}[0-9a-fA-F]{1,4}$/;
-    
-    return ipv4Regex.test(str) || ipv6Regex.test(str);
-  }
 }
 
 module.exports = PortScannerService; 
\ No newline at end of file
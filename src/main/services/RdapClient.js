@@ -0,0 +1,395 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const AddressParser = require('./AddressParser');
+
+/**
+ * RDAP (RFC 9082/9083) client for domains, IP networks and AS numbers
+ *
+ * Servers are chosen from IANA's RDAP bootstrap registries (RFC 9224). A copy
+ * ships in data/rdap so lookups work without fetching them; refreshBootstrap()
+ * downloads the current files into cacheDir, and whichever copy has the newer
+ * publication date is used (a bundled file without one yields to a download).
+ * RIR servers redirect queries for resources held by another RIR, so
+ * redirects are followed.
+ */
+class RdapClient {
+  constructor(options = {}) {
+    this.cacheDir = options.cacheDir || null;
+    this.timeout = options.timeout || 10000;
+    this.maxRedirects = 3;
+    this.bootstrapUrl = 'https://data.iana.org/rdap/';
+    this.registries = ['dns', 'ipv4', 'ipv6', 'asn'];
+    this.bundledDir = path.join(__dirname, '..', 'data', 'rdap');
+    this.bootstrap = {};
+    this.addressParser = options.addressParser || new AddressParser();
+
+    this.loadBootstrap();
+  }
+
+  /**
+   * Load each registry from the bundled snapshot or the refreshed cache, whichever is newer
+   */
+  loadBootstrap() {
+    for (const registry of this.registries) {
+      const bundled = JSON.parse(fs.readFileSync(path.join(this.bundledDir, `${registry}.json`), 'utf8'));
+      let file = { ...bundled, source: 'bundled' };
+
+      if (this.cacheDir) {
+        try {
+          const cachePath = path.join(this.cacheDir, `${registry}.json`);
+          if (fs.existsSync(cachePath)) {
+            const cached = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+            const bundledDate = Date.parse(bundled.publication);
+            if (Array.isArray(cached.services) && (isNaN(bundledDate) || Date.parse(cached.publication) > bundledDate)) {
+              file = { ...cached, source: 'cache' };
+            }
+          }
+        } catch (error) {
+          console.log(`⚠️ [RDAP] Ignoring cached ${registry} bootstrap:`, error.message);
+        }
+      }
+
+      this.bootstrap[registry] = file;
+    }
+  }
+
+  /**
+   * Publication date and origin of each loaded bootstrap registry
+   */
+  getBootstrapInfo() {
+    return this.registries.map(registry => ({
+      registry,
+      publication: this.bootstrap[registry].publication,
+      services: this.bootstrap[registry].services.length,
+      source: this.bootstrap[registry].source
+    }));
+  }
+
+  /**
+   * Download the current bootstrap registries from IANA into cacheDir
+   */
+  async refreshBootstrap() {
+    if (!this.cacheDir) {
+      return { success: false, error: 'No cache directory configured for RDAP bootstrap files' };
+    }
+
+    try {
+      const files = {};
+      for (const registry of this.registries) {
+        const { body } = await this.request(`${this.bootstrapUrl}${registry}.json`, 'application/json');
+        const file = JSON.parse(body);
+        if (!Array.isArray(file.services) || !file.publication) {
+          throw new Error(`${registry}.json is not an RDAP bootstrap file`);
+        }
+        files[registry] = file;
+      }
+
+      fs.mkdirSync(this.cacheDir, { recursive: true });
+      for (const [registry, file] of Object.entries(files)) {
+        fs.writeFileSync(path.join(this.cacheDir, `${registry}.json`), JSON.stringify(file));
+      }
+
+      this.loadBootstrap();
+      console.log('✅ [RDAP] Bootstrap registries refreshed from IANA');
+      return { success: true, registries: this.getBootstrapInfo() };
+    } catch (error) {
+      console.log('❌ [RDAP] Bootstrap refresh failed:', error.message);
+      return { success: false, error: error.message, registries: this.getBootstrapInfo() };
+    }
+  }
+
+  /**
+   * Base URLs for a target ({ type: 'domain'|'ip'|'asn', query, number })
+   * Domains match the longest listed suffix, addresses the longest prefix
+   */
+  findServers(target) {
+    if (target.type === 'domain') {
+      const labels = target.query.toLowerCase().split('.');
+      for (let i = 0; i < labels.length; i++) {
+        const suffix = labels.slice(i).join('.');
+        const service = this.bootstrap.dns.services.find(([entries]) => entries.includes(suffix));
+        if (service) return service[1];
+      }
+      return [];
+    }
+
+    if (target.type === 'asn') {
+      const number = parseInt(target.number);
+      const service = this.bootstrap.asn.services.find(([ranges]) => ranges.some((range) => {
+        const [start, end = start] = range.split('-').map(Number);
+        return number >= start && number <= end;
+      }));
+      return service ? service[1] : [];
+    }
+
+    const family = this.addressParser.getFamily(target.query);
+    const registry = family === 6 ? this.bootstrap.ipv6 : this.bootstrap.ipv4;
+    const address = this.addressParser.toBigInt(target.query);
+    const bits = family === 6 ? 128 : 32;
+    let best = null;
+
+    for (const [prefixes, urls] of registry.services) {
+      for (const prefix of prefixes) {
+        const [network, length] = prefix.split('/');
+        const prefixLength = parseInt(length);
+        const shift = BigInt(bits - prefixLength);
+        if (this.addressParser.getFamily(network) !== family || (best && prefixLength <= best.prefixLength)) continue;
+
+        if ((this.addressParser.toBigInt(network) >> shift) === (address >> shift)) {
+          best = { prefixLength, urls };
+        }
+      }
+    }
+
+    return best ? best.urls : [];
+  }
+
+  /**
+   * Query the RDAP object for a target
+   * Follows redirects and, for domains, the registry's "related" link to the
+   * registrar's RDAP server. Responses are returned registry first.
+   */
+  async lookup(target) {
+    const servers = this.findServers(target);
+    if (!servers.length) {
+      const scope = target.type === 'domain' ? `.${target.query.split('.').pop()}` : target.query;
+      return { success: false, error: `No RDAP service is listed for ${scope} in the bootstrap registry` };
+    }
+
+    // Prefer HTTPS when a registry lists both
+    const base = servers.find(url => url.startsWith('https:')) || servers[0];
+    const objectPath = target.type === 'domain'
+      ? `domain/${encodeURIComponent(target.query)}`
+      : target.type === 'asn' ? `autnum/${target.number}` : `ip/${target.query}`;
+
+    const chain = [];
+    const responses = [];
+    let url = new URL(objectPath, base.endsWith('/') ? base : `${base}/`).toString();
+
+    while (url && responses.length < 2) {
+      const startTime = Date.now();
+      try {
+        console.log(`🔍 [RDAP] GET ${url}`);
+        const result = await this.request(url, 'application/rdap+json, application/json', chain);
+        const json = result.status === 404 ? null : JSON.parse(result.body);
+
+        chain.push({ server: new URL(result.url).host, url: result.url, status: result.status, latency: Date.now() - startTime });
+        responses.push({ server: new URL(result.url).host, url: result.url, json, parsed: this.normalize(json, target.type) });
+
+        url = target.type === 'domain' && json ? this.findRelatedLink(json, result.url) : null;
+      } catch (error) {
+        if (!responses.length) throw error;
+        // A failing registrar server still leaves the registry's answer
+        chain.push({ server: new URL(url).host, url, error: error.message, latency: Date.now() - startTime });
+        url = null;
+      }
+    }
+
+    return { success: true, chain, responses };
+  }
+
+  /**
+   * Registrar RDAP URL from a registry response's links
+   */
+  findRelatedLink(json, currentUrl) {
+    const link = (json.links || []).find(entry =>
+      entry.rel === 'related' && /rdap\+json/i.test(entry.type || '') && entry.href && entry.href !== currentUrl
+    );
+    return link ? link.href : null;
+  }
+
+  /**
+   * GET a URL, following up to maxRedirects redirects
+   * Redirect hops are appended to chain when one is passed
+   */
+  request(url, accept, chain = null, redirects = 0) {
+    return new Promise((resolve, reject) => {
+      const client = url.startsWith('https:') ? https : http;
+      const request = client.get(url, { headers: { accept }, timeout: this.timeout }, (response) => {
+        const { statusCode, headers } = response;
+
+        if (statusCode >= 300 && statusCode < 400 && headers.location) {
+          response.resume();
+          if (redirects >= this.maxRedirects) {
+            reject(new Error(`Too many redirects from ${url}`));
+            return;
+          }
+          const next = new URL(headers.location, url).toString();
+          if (chain) {
+            chain.push({ server: new URL(url).host, url, status: statusCode, redirect: next });
+          }
+          resolve(this.request(next, accept, chain, redirects + 1));
+          return;
+        }
+
+        const chunks = [];
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('end', () => {
+          const body = Buffer.concat(chunks).toString('utf8');
+          if (statusCode === 200 || statusCode === 404) {
+            resolve({ url, status: statusCode, body });
+            return;
+          }
+          reject(new Error(this.describeError(statusCode, body)));
+        });
+        response.on('error', reject);
+      });
+
+      request.on('timeout', () => request.destroy(new Error(`RDAP request to ${url} timed out`)));
+      request.on('error', reject);
+    });
+  }
+
+  /**
+   * "HTTP 429: Too many requests" from an RDAP error response (RFC 9083 section 6)
+   */
+  describeError(statusCode, body) {
+    try {
+      const json = JSON.parse(body);
+      const detail = json.title || (Array.isArray(json.description) ? json.description.join(' ') : null);
+      if (detail) return `HTTP ${statusCode}: ${detail}`;
+    } catch (error) {
+      // Not JSON - fall through to the bare status
+    }
+    return `HTTP ${statusCode}: RDAP lookup failed`;
+  }
+
+  /**
+   * Map an RDAP object onto the field names WhoisParser produces
+   */
+  normalize(json, type) {
+    if (!json) {
+      return { found: false };
+    }
+
+    const parsed = {};
+    const events = this.readEvents(json.events);
+    const registrant = this.findEntity(json.entities, 'registrant');
+    const abuse = this.findEntity(json.entities, 'abuse');
+    const abuseCard = abuse ? this.readVcard(abuse) : {};
+    const registrantCard = registrant ? this.readVcard(registrant) : {};
+
+    if (type === 'domain') {
+      const registrar = this.findEntity(json.entities, 'registrar');
+      const registrarCard = registrar ? this.readVcard(registrar) : {};
+      const ianaId = registrar && (registrar.publicIds || []).find(id => /iana/i.test(id.type));
+      const registrarUrl = registrar && (registrar.links || []).find(link => link.rel === 'about' || /text\/html/i.test(link.type || ''));
+
+      Object.assign(parsed, {
+        domainName: (json.ldhName || json.unicodeName || '').toLowerCase() || undefined,
+        registrar: registrarCard.org || registrarCard.fn,
+        registrarUrl: registrarUrl ? registrarUrl.href : registrarCard.url,
+        registrarIanaId: ianaId ? ianaId.identifier : undefined,
+        createdDate: events.registration,
+        updatedDate: events['last changed'],
+        expiryDate: events.expiration,
+        nameServers: (json.nameservers || []).map(ns => String(ns.ldhName || '').toLowerCase().replace(/\.$/, '')).filter(Boolean),
+        status: (json.status || []).map(status => this.toEppStatus(status)),
+        dnssec: json.secureDNS ? (json.secureDNS.delegationSigned ? 'signedDelegation' : 'unsigned') : undefined,
+        registrantOrganization: registrantCard.org || registrantCard.fn,
+        registrantCountry: registrantCard.country,
+        abuseEmail: abuseCard.email
+      });
+    } else {
+      const owner = registrantCard.org || registrantCard.fn ? registrantCard : this.readVcard(this.findEntity(json.entities, 'administrative') || {});
+
+      if (type === 'ip') {
+        const cidrs = (json.cidr0_cidrs || []).map(cidr => `${cidr.v4prefix || cidr.v6prefix}/${cidr.length}`);
+        const originAs = json.arin_originas0_originautnums || [];
+        Object.assign(parsed, {
+          netRange: json.startAddress && json.endAddress ? `${json.startAddress} - ${json.endAddress}` : undefined,
+          cidr: cidrs.length ? cidrs.join(', ') : undefined,
+          netName: json.name,
+          asn: originAs.length ? `AS${originAs[0]}` : undefined
+        });
+      } else {
+        const range = json.endAutnum && json.endAutnum !== json.startAutnum ? `-${json.endAutnum}` : '';
+        Object.assign(parsed, {
+          asn: json.startAutnum !== undefined ? `AS${json.startAutnum}${range}` : undefined,
+          asName: json.name
+        });
+      }
+
+      Object.assign(parsed, {
+        organization: owner.org || owner.fn,
+        country: json.country || owner.country,
+        abuseEmail: abuseCard.email,
+        createdDate: events.registration,
+        updatedDate: events['last changed']
+      });
+    }
+
+    for (const [field, value] of Object.entries(parsed)) {
+      if (value === undefined || (Array.isArray(value) && !value.length)) {
+        delete parsed[field];
+      }
+    }
+
+    parsed.found = true;
+    return parsed;
+  }
+
+  /**
+   * eventAction -> ISO date
+   */
+  readEvents(events = []) {
+    const dates = {};
+    for (const event of events) {
+      const time = Date.parse(event.eventDate);
+      if (event.eventAction && !isNaN(time)) {
+        dates[event.eventAction] = new Date(time).toISOString();
+      }
+    }
+    return dates;
+  }
+
+  /**
+   * Depth-first search for the first entity with a role - abuse contacts
+   * are usually nested inside the registrar or organisation entity
+   */
+  findEntity(entities = [], role) {
+    for (const entity of entities) {
+      if ((entity.roles || []).includes(role)) {
+        return entity;
+      }
+      const nested = this.findEntity(entity.entities, role);
+      if (nested) return nested;
+    }
+    return null;
+  }
+
+  /**
+   * Pull fn, org, email, url and country out of an entity's jCard (RFC 7095)
+   */
+  readVcard(entity) {
+    const card = {};
+    const properties = Array.isArray(entity.vcardArray) ? entity.vcardArray[1] || [] : [];
+
+    for (const [name, params, , value] of properties) {
+      const text = Array.isArray(value) ? value.filter(Boolean).join(' ') : value;
+      if ((name === 'fn' || name === 'org' || name === 'email' || name === 'url') && !card[name] && text) {
+        card[name] = String(text);
+      }
+      if (name === 'adr' && !card.country) {
+        const countryName = Array.isArray(value) ? value[6] : null;
+        card.country = (params && params.cc) || countryName || undefined;
+      }
+    }
+
+    return card;
+  }
+
+  /**
+   * "client transfer prohibited" -> "clientTransferProhibited", the form WHOIS uses
+   */
+  toEppStatus(status) {
+    return String(status)
+      .split(/\s+/)
+      .map((word, index) => index === 0 ? word.toLowerCase() : word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+      .join('');
+  }
+}
+
+module.exports = RdapClient;
@@ -0,0 +1,186 @@
+/**
+ * Tracks the path of a continuous traceroute session across runs
+ *
+ * Each run's path is compared with the previous run and with the baseline
+ * (first complete run). A TTL counts as changed when both runs got an
+ * answer and the new address isn't one of the previous responders at that
+ * TTL, so lost probes and load-balanced hops don't look like route flaps;
+ * a TTL present in only one path means the path got longer or shorter.
+ * Distinct paths are numbered as versions; the timeline records which
+ * version was in use for which runs, including flaps back to an older path.
+ */
+class RouteChangeTracker {
+  constructor() {
+    this.baseline = null;
+    this.previous = null;
+    this.versions = []; // [{ version, path, firstSeenRun, lastSeenRun, firstSeen, lastSeen, runs }]
+    this.timeline = []; // [{ version, fromRun, toRun, startedAt }]
+    this.maxTimelineEntries = 100;
+  }
+
+  /**
+   * Record a finished run's hops and report how its path differs
+   * Returns { changed, changes, baselineChanges, version, previousVersion, isNewVersion }
+   */
+  recordRun(runNumber, hops, timestamp = Date.now()) {
+    const path = this.buildPath(hops);
+    const previous = this.previous;
+    const previousVersion = this.timeline.length ? this.timeline[this.timeline.length - 1].version : null;
+
+    const changes = previous ? this.comparePaths(previous, path) : [];
+    const baselineChanges = this.baseline ? this.comparePaths(this.baseline, path) : [];
+
+    if (!this.baseline) {
+      this.baseline = path;
+    }
+    this.previous = path;
+
+    // Same path as the version in use, or a return to an older one?
+    let entry = previousVersion !== null && changes.length === 0
+      ? this.versions.find(version => version.version === previousVersion)
+      : this.versions.find(version => this.comparePaths(version.path, path).length === 0);
+    const isNewVersion = !entry;
+
+    if (!entry) {
+      entry = {
+        version: this.versions.length + 1,
+        path,
+        firstSeenRun: runNumber,
+        lastSeenRun: runNumber,
+        firstSeen: timestamp,
+        lastSeen: timestamp,
+        runs: 0
+      };
+      this.versions.push(entry);
+    }
+
+    entry.runs++;
+    entry.lastSeenRun = runNumber;
+    entry.lastSeen = timestamp;
+    // Keep the fullest view of the path - later runs may answer TTLs that timed out
+    entry.path = this.mergePaths(entry.path, path);
+
+    const current = this.timeline[this.timeline.length - 1];
+    if (current && current.version === entry.version) {
+      current.toRun = runNumber;
+    } else {
+      this.timeline.push({ version: entry.version, fromRun: runNumber, toRun: runNumber, startedAt: timestamp });
+      if (this.timeline.length > this.maxTimelineEntries) {
+        this.timeline.shift();
+      }
+    }
+
+    return {
+      changed: changes.length > 0,
+      changes,
+      baselineChanges,
+      version: entry.version,
+      previousVersion,
+      isNewVersion
+    };
+  }
+
+  /**
+   * One entry per TTL: { hop, ip, responders } with ip null when nothing answered
+   */
+  buildPath(hops) {
+    const byHop = new Map();
+
+    hops.forEach((hop) => {
+      const responders = (hop.responders || []).map(responder => responder.ip);
+      if (hop.ip && !responders.includes(hop.ip)) {
+        responders.unshift(hop.ip);
+      }
+
+      const existing = byHop.get(hop.hop);
+      if (existing) {
+        responders.forEach(ip => {
+          if (!existing.responders.includes(ip)) existing.responders.push(ip);
+        });
+        existing.ip = existing.ip || hop.ip || null;
+      } else {
+        byHop.set(hop.hop, { hop: hop.hop, ip: hop.ip || null, responders });
+      }
+    });
+
+    return Array.from(byHop.values()).sort((a, b) => a.hop - b.hop);
+  }
+
+  /**
+   * TTLs whose answer moved between two paths: [{ hop, from, to }]
+   * from/to are null when the TTL only exists in one path - traceroute stops
+   * at the destination, so the path got shorter or longer
+   */
+  comparePaths(from, to) {
+    const fromByHop = new Map(from.map(entry => [entry.hop, entry]));
+    const toByHop = new Map(to.map(entry => [entry.hop, entry]));
+    const changes = [];
+
+    const hopNumbers = [...new Set([...fromByHop.keys(), ...toByHop.keys()])].sort((a, b) => a - b);
+    hopNumbers.forEach((hop) => {
+      const before = fromByHop.get(hop);
+      const after = toByHop.get(hop);
+
+      if (before && before.ip && after && after.ip) {
+        if (!before.responders.includes(after.ip) && !after.responders.includes(before.ip)) {
+          changes.push({ hop, from: before.ip, to: after.ip });
+        }
+      } else if (before && before.ip && !after) {
+        changes.push({ hop, from: before.ip, to: null });
+      } else if (after && after.ip && !before) {
+        changes.push({ hop, from: null, to: after.ip });
+      }
+    });
+
+    return changes;
+  }
+
+  /**
+   * Fill unanswered TTLs of a stored path from a matching newer run
+   */
+  mergePaths(stored, latest) {
+    const latestByHop = new Map(latest.map(entry => [entry.hop, entry]));
+    const merged = stored.map((entry) => {
+      const update = latestByHop.get(entry.hop);
+      if (!update) return entry;
+      return {
+        hop: entry.hop,
+        ip: entry.ip || update.ip,
+        responders: [...new Set([...entry.responders, ...update.responders])]
+      };
+    });
+
+    latest.forEach((entry) => {
+      if (!merged.some(existing => existing.hop === entry.hop)) merged.push(entry);
+    });
+    return merged.sort((a, b) => a.hop - b.hop);
+  }
+
+  /**
+   * Whether a hop entry no longer belongs to the path of the latest run: its
+   * TTL is now past the end of the path, or answered by other addresses.
+   * TTLs that timed out in the latest run keep their older entries.
+   */
+  isStale(hop, ip) {
+    if (!this.previous) return false;
+
+    const entry = this.previous.find(item => item.hop === hop);
+    if (!entry) return true;
+    if (!entry.ip) return false;
+    return !ip || !entry.responders.includes(ip);
+  }
+
+  /**
+   * Versions, timeline and baseline for display
+   */
+  getHistory() {
+    return {
+      baselineVersion: this.versions.length ? 1 : null,
+      currentVersion: this.timeline.length ? this.timeline[this.timeline.length - 1].version : null,
+      versions: this.versions.map(version => ({ ...version, path: version.path.map(entry => ({ ...entry })) })),
+      timeline: this.timeline.map(entry => ({ ...entry }))
+    };
+  }
+}
+
+module.exports = RouteChangeTracker;
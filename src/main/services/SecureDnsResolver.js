@@ -0,0 +1,386 @@
+const tls = require('tls');
+const https = require('https');
+const net = require('net');
+
+/**
+ * Encrypted DNS transport with the dns.promises Resolver interface
+ *
+ * Speaks DNS-over-TLS (RFC 7858), DNS-over-HTTPS wire format (RFC 8484) and
+ * the DoH JSON API. resolve4/resolve6/resolve/resolveSoa/resolveAny return
+ * the same record shapes as Node's resolver and fail with the same error
+ * codes, so existing lookup code can use it in place of a dns.Resolver.
+ * Each query records its TLS handshake and query time in `timings`.
+ */
+class SecureDnsResolver {
+  constructor(endpoint, wireClient, options = {}) {
+    this.endpoint = endpoint; // { transport: 'dot'|'doh'|'doh-json', server, port, url }
+    this.transport = endpoint.transport;
+    this.wireClient = wireClient;
+    this.timeout = options.timeout || 5000;
+    this.timings = [];
+
+    this.rcodeErrors = {
+      NXDOMAIN: 'ENOTFOUND',
+      SERVFAIL: 'ESERVFAIL',
+      REFUSED: 'EREFUSED',
+      NOTIMP: 'ENOTIMP',
+      FORMERR: 'EFORMERR'
+    };
+  }
+
+  getServers() {
+    return [this.endpoint.url || `${this.endpoint.server}:${this.endpoint.port}`];
+  }
+
+  async resolve4(name, options = {}) {
+    return this.resolveRecords(name, 'A', options.ttl);
+  }
+
+  async resolve6(name, options = {}) {
+    return this.resolveRecords(name, 'AAAA', options.ttl);
+  }
+
+  async resolveSoa(name) {
+    const records = await this.resolveRecords(name, 'SOA');
+    return records[0];
+  }
+
+  async resolveAny(name) {
+    const response = await this.queryWire(name, 'ANY');
+    return response.answers.map(answer => this.toNodeRecord(answer, true));
+  }
+
+  async resolve(name, type = 'A') {
+    if (type === 'SOA') {
+      return this.resolveSoa(name);
+    }
+    return this.resolveRecords(name, type, false);
+  }
+
+  /**
+   * Query and keep only answers of the requested type, in Node's shapes
+   */
+  async resolveRecords(name, type, withTtl = false) {
+    const response = await this.queryWire(name, type);
+    const answers = response.answers.filter(answer => answer.type === type);
+
+    if (!answers.length) {
+      throw this.createError('ENODATA', name, type);
+    }
+
+    return answers.map((answer) => {
+      if ((type === 'A' || type === 'AAAA') && !withTtl) {
+        return answer.data;
+      }
+      return this.toNodeRecord(answer, false);
+    });
+  }
+
+  /**
+   * Send one query over the configured transport
+   * Returns the decoded message; non-NOERROR rcodes throw Node-style errors
+   */
+  async queryWire(name, type) {
+    const startTime = Date.now();
+    let result;
+
+    if (this.transport === 'doh-json') {
+      result = await this.queryJson(name, type);
+    } else {
+      const { message } = this.wireClient.buildQuery(name, this.wireClient.types[type], { id: 0 });
+      const exchange = this.transport === 'dot'
+        ? await this.sendTls(message)
+        : await this.sendHttps(message);
+      result = { ...exchange, response: this.wireClient.parseMessage(exchange.response) };
+    }
+
+    this.timings.push({
+      name,
+      type,
+      transport: this.transport,
+      handshake: result.handshake,
+      query: result.query,
+      total: Date.now() - startTime
+    });
+
+    const response = result.response;
+    if (response.rcode !== 'NOERROR') {
+      throw this.createError(this.rcodeErrors[response.rcode] || response.rcode, name, type);
+    }
+    return response;
+  }
+
+  /**
+   * DNS-over-TLS: length-prefixed messages over a TLS session on port 853
+   */
+  async sendTls(message) {
+    const { server, port } = this.endpoint;
+    const startTime = Date.now();
+    const socket = tls.connect({
+      host: server,
+      port,
+      // SNI must be a hostname - certificates for IP endpoints are checked against the IP SAN
+      servername: net.isIP(server) ? undefined : server
+    });
+
+    const { response, connectedAt, finishedAt } = await this.wireClient.exchangeStream(
+      socket, message, server, this.timeout, 'secureConnect'
+    );
+
+    return { response, handshake: connectedAt - startTime, query: finishedAt - connectedAt };
+  }
+
+  /**
+   * DNS-over-HTTPS wire format: POST application/dns-message
+   */
+  async sendHttps(message) {
+    const result = await this.httpsRequest(this.endpoint.url, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/dns-message',
+        accept: 'application/dns-message',
+        'content-length': message.length
+      }
+    }, message);
+
+    if (!/application\/dns-message/i.test(result.headers['content-type'] || '')) {
+      throw new Error(`Unexpected DoH content type: ${result.headers['content-type'] || 'none'}`);
+    }
+    return { response: result.body, handshake: result.handshake, query: result.query };
+  }
+
+  /**
+   * DNS-over-HTTPS JSON API (application/dns-json, as served by Cloudflare and Google)
+   */
+  async queryJson(name, type) {
+    const url = new URL(this.endpoint.url);
+    url.searchParams.set('name', name);
+    url.searchParams.set('type', type);
+
+    const result = await this.httpsRequest(url.toString(), {
+      method: 'GET',
+      headers: { accept: 'application/dns-json' }
+    });
+
+    let json;
+    try {
+      json = JSON.parse(result.body.toString('utf8'));
+    } catch (error) {
+      throw new Error('DoH server did not return JSON');
+    }
+
+    return { response: this.parseJsonResponse(json), handshake: result.handshake, query: result.query };
+  }
+
+  /**
+   * HTTPS request on a fresh connection so the TLS handshake can be timed
+   */
+  httpsRequest(url, options, body = null) {
+    return new Promise((resolve, reject) => {
+      const startTime = Date.now();
+      let connectedAt = null;
+
+      const request = https.request(url, { ...options, agent: false, timeout: this.timeout }, (response) => {
+        const chunks = [];
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('end', () => {
+          if (response.statusCode !== 200) {
+            reject(new Error(`DoH server returned HTTP ${response.statusCode}`));
+            return;
+          }
+          const finishedAt = Date.now();
+          const handshakeEnd = connectedAt || startTime;
+          resolve({
+            headers: response.headers,
+            body: Buffer.concat(chunks),
+            handshake: handshakeEnd - startTime,
+            query: finishedAt - handshakeEnd
+          });
+        });
+        response.on('error', reject);
+      });
+
+      request.on('socket', (socket) => {
+        socket.once('secureConnect', () => {
+          connectedAt = Date.now();
+        });
+      });
+      request.on('timeout', () => request.destroy(new Error(`DoH request to ${url} timed out`)));
+      request.on('error', reject);
+
+      if (body) {
+        request.write(body);
+      }
+      request.end();
+    });
+  }
+
+  /**
+   * Map a DoH JSON response onto the wire client's message shape
+   */
+  parseJsonResponse(json) {
+    const toRecord = (record) => {
+      const type = this.wireClient.typeNames[record.type] || `TYPE${record.type}`;
+      return {
+        name: String(record.name).replace(/\.$/, ''),
+        type,
+        class: 1,
+        ttl: record.TTL,
+        data: this.parsePresentation(type, String(record.data))
+      };
+    };
+
+    return {
+      id: 0,
+      flags: {
+        qr: true,
+        opcode: 0,
+        aa: false,
+        tc: !!json.TC,
+        rd: !!json.RD,
+        ra: !!json.RA,
+        ad: !!json.AD,
+        cd: !!json.CD
+      },
+      rcode: this.wireClient.rcodes[json.Status] || `RCODE${json.Status}`,
+      questions: (json.Question || []).map(question => ({
+        name: String(question.name).replace(/\.$/, ''),
+        type: this.wireClient.typeNames[question.type] || `TYPE${question.type}`,
+        class: 1
+      })),
+      answers: (json.Answer || []).map(toRecord),
+      authority: (json.Authority || []).map(toRecord),
+      additional: (json.Additional || []).map(toRecord),
+      edns: null
+    };
+  }
+
+  /**
+   * Parse presentation-format RDATA from the JSON API into wire client shapes
+   * Handles the RFC 3597 "\# length hex" form some servers use for CAA and others
+   */
+  parsePresentation(type, text) {
+    const generic = text.match(/^\\#\s+(\d+)\s*([0-9a-fA-F\s]*)$/);
+    if (generic) {
+      const rdata = Buffer.from(generic[2].replace(/\s+/g, ''), 'hex');
+      return this.wireClient.parseRecordData(type, rdata, 0, rdata.length);
+    }
+
+    const fields = text.trim().split(/\s+/);
+    const stripDot = value => value.replace(/\.$/, '');
+
+    switch (type) {
+      case 'A':
+      case 'AAAA':
+        return text.trim();
+      case 'NS':
+      case 'CNAME':
+      case 'PTR':
+        return stripDot(text.trim());
+      case 'MX':
+        return { priority: parseInt(fields[0]), exchange: stripDot(fields[1]) };
+      case 'TXT':
+        return text.trim().startsWith('"') ? this.parseQuotedStrings(text) : [text];
+      case 'SOA':
+        return {
+          nsname: stripDot(fields[0]),
+          hostmaster: stripDot(fields[1]),
+          serial: parseInt(fields[2]),
+          refresh: parseInt(fields[3]),
+          retry: parseInt(fields[4]),
+          expire: parseInt(fields[5]),
+          minttl: parseInt(fields[6])
+        };
+      case 'SRV':
+        return { priority: parseInt(fields[0]), weight: parseInt(fields[1]), port: parseInt(fields[2]), name: stripDot(fields[3]) };
+      case 'CAA':
+        return { critical: parseInt(fields[0]), tag: fields[1], value: this.parseQuotedStrings(fields.slice(2).join(' ')).join('') };
+      case 'NAPTR': {
+        const [flags, service, regexp] = this.parseQuotedStrings(fields.slice(2).join(' '));
+        return {
+          order: parseInt(fields[0]),
+          preference: parseInt(fields[1]),
+          flags,
+          service,
+          regexp,
+          replacement: stripDot(fields[fields.length - 1])
+        };
+      }
+      case 'DS':
+        return { keyTag: parseInt(fields[0]), algorithm: parseInt(fields[1]), digestType: parseInt(fields[2]), digest: fields.slice(3).join('').toUpperCase() };
+      case 'DNSKEY': {
+        // Rebuild the RDATA to compute the key tag the same way the wire client does
+        const publicKey = fields.slice(3).join('');
+        const rdata = Buffer.concat([
+          Buffer.from([parseInt(fields[0]) >> 8, parseInt(fields[0]) & 0xff, parseInt(fields[1]), parseInt(fields[2])]),
+          Buffer.from(publicKey, 'base64')
+        ]);
+        return this.wireClient.parseRecordData('DNSKEY', rdata, 0, rdata.length);
+      }
+      default:
+        return { rdata: text };
+    }
+  }
+
+  /**
+   * Split "a" "b c" "d\"e" into its character-strings
+   */
+  parseQuotedStrings(text) {
+    const strings = [];
+    const pattern = /"((?:[^"\\]|\\.)*)"/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      strings.push(match[1].replace(/\\(.)/g, '$1'));
+    }
+    return strings.length ? strings : [text];
+  }
+
+  /**
+   * Convert a decoded answer to the shape dns.promises returns for its type
+   * withType adds the type field and value/entries keys used by resolveAny
+   */
+  toNodeRecord(answer, withType) {
+    const { type, data, ttl } = answer;
+    let record;
+
+    switch (type) {
+      case 'A':
+      case 'AAAA':
+        record = { address: data, ttl };
+        break;
+      case 'NS':
+      case 'CNAME':
+      case 'PTR':
+        if (!withType) return data;
+        record = { value: data };
+        break;
+      case 'TXT':
+        if (!withType) return data;
+        record = { entries: data };
+        break;
+      case 'CAA':
+        record = { critical: data.critical, [data.tag]: data.value };
+        break;
+      case 'DS':
+      case 'DNSKEY':
+        record = { ...data, ttl };
+        break;
+      default:
+        record = typeof data === 'object' ? { ...data } : { value: data };
+    }
+
+    return withType ? { type, ...record } : record;
+  }
+
+  /**
+   * Error shaped like the ones dns.promises throws
+   */
+  createError(code, name, type) {
+    const error = new Error(`query${type} ${code} ${name}`);
+    error.code = code;
+    error.hostname = name;
+    return error;
+  }
+}
+
+module.exports = SecureDnsResolver;
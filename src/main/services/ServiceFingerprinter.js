@@ -0,0 +1,329 @@
+const net = require('net');
+const tls = require('tls');
+
+/**
+ * Active service fingerprinting for open TCP ports
+ * Reads the service banner, falls back to HTTP HEAD and TLS ClientHello probes,
+ * and matches the responses against a signature table
+ */
+class ServiceFingerprinter {
+  constructor() {
+    this.defaultConfig = {
+      timeout: 3000,
+      bannerWait: 1500, // How long to wait for a server-first banner
+      maxBannerLength: 1024
+    };
+
+    // Ordered signature table - the first match wins within a probe type
+    this.signatures = [
+      // Server-first banners
+      { probe: 'banner', name: 'SSH', product: 'OpenSSH', pattern: /^SSH-[\d.]+-OpenSSH_([\w.]+)/ },
+      { probe: 'banner', name: 'SSH', product: 'Dropbear', pattern: /^SSH-[\d.]+-dropbear_([\w.]+)/i },
+      { probe: 'banner', name: 'SSH', productGroup: 1, versionGroup: 2, pattern: /^SSH-[\d.]+-([A-Za-z][\w-]*?)[_-]?([\d][\w.]*)?(?:\s|$)/ },
+      { probe: 'banner', name: 'FTP', product: 'vsftpd', pattern: /^220[ -].*vsFTPd ([\d.]+)/i },
+      { probe: 'banner', name: 'FTP', product: 'ProFTPD', pattern: /^220[ -].*ProFTPD ([\d.]+\w*)/i },
+      { probe: 'banner', name: 'FTP', product: 'FileZilla Server', pattern: /^220[ -].*FileZilla Server(?: version)? ([\w.]+)/i },
+      { probe: 'banner', name: 'FTP', product: 'Pure-FTPd', pattern: /^220[ -].*Pure-FTPd/i },
+      { probe: 'banner', name: 'FTP', pattern: /^220[ -].*FTP/i },
+      { probe: 'banner', name: 'SMTP', product: 'Postfix', pattern: /^220[ -].*ESMTP Postfix/i },
+      { probe: 'banner', name: 'SMTP', product: 'Exim', pattern: /^220[ -].*Exim ([\d.]+)/i },
+      { probe: 'banner', name: 'SMTP', product: 'Microsoft ESMTP', pattern: /^220[ -].*Microsoft ESMTP MAIL Service(?:, Version: ([\d.]+))?/i },
+      { probe: 'banner', name: 'SMTP', product: 'Sendmail', pattern: /^220[ -].*Sendmail ([\w.\/]+)/i },
+      { probe: 'banner', name: 'SMTP', pattern: /^220[ -].*SMTP/i },
+      { probe: 'banner', name: 'POP3', product: 'Dovecot', pattern: /^\+OK.*Dovecot/i },
+      { probe: 'banner', name: 'POP3', pattern: /^\+OK/ },
+      { probe: 'banner', name: 'IMAP', product: 'Dovecot', pattern: /^\* OK.*Dovecot/i },
+      { probe: 'banner', name: 'IMAP', product: 'Courier', pattern: /^\* OK.*Courier-IMAP/i },
+      { probe: 'banner', name: 'IMAP', pattern: /^\* OK.*IMAP/i },
+      { probe: 'banner', name: 'MySQL', product: 'MariaDB', pattern: /^[\s\S]{4}\x0a([\d.]+-MariaDB)/ },
+      { probe: 'banner', name: 'MySQL', product: 'MySQL', pattern: /^[\s\S]{4}\x0a(\d+\.\d+\.\d+[\w.-]*)\x00/ },
+      { probe: 'banner', name: 'VNC', product: 'RFB', pattern: /^RFB (\d{3}\.\d{3})/ },
+      { probe: 'banner', name: 'TELNET', pattern: /^\xff[\xfb-\xfe]/ },
+      { probe: 'banner', name: 'Redis', product: 'Redis', pattern: /^-(?:ERR|NOAUTH|DENIED)/ },
+
+      // Responses to the HTTP HEAD probe (matched against the Server header first)
+      { probe: 'http', name: 'HTTP', product: 'nginx', pattern: /^Server:\s*nginx(?:\/([\d.]+))?/im },
+      { probe: 'http', name: 'HTTP', product: 'Apache httpd', pattern: /^Server:\s*Apache(?:\/([\d.]+))?/im },
+      { probe: 'http', name: 'HTTP', product: 'Microsoft IIS', pattern: /^Server:\s*Microsoft-IIS\/([\d.]+)/im },
+      { probe: 'http', name: 'HTTP', product: 'lighttpd', pattern: /^Server:\s*lighttpd(?:\/([\d.]+))?/im },
+      { probe: 'http', name: 'HTTP', product: 'Caddy', pattern: /^Server:\s*Caddy/im },
+      { probe: 'http', name: 'HTTP', product: 'gunicorn', pattern: /^Server:\s*gunicorn(?:\/([\d.]+))?/im },
+      { probe: 'http', name: 'HTTP', product: 'Werkzeug', pattern: /^Server:\s*Werkzeug\/([\d.]+)/im },
+      { probe: 'http', name: 'HTTP', product: 'Jetty', pattern: /^Server:\s*Jetty\(([\w.-]+)\)/im },
+      { probe: 'http', name: 'HTTP', product: 'Kestrel', pattern: /^Server:\s*Kestrel/im },
+      { probe: 'http', name: 'HTTP', productGroup: 1, versionGroup: 2, pattern: /^Server:\s*([^\/\r\n\s]+)(?:\/([\w.-]+))?/im },
+      { probe: 'http', name: 'HTTP', pattern: /^HTTP\/\d(?:\.\d)? \d{3}/ },
+      { probe: 'http', name: 'Redis', product: 'Redis', pattern: /^-(?:ERR|NOAUTH|DENIED)/ }
+    ];
+  }
+
+  /**
+   * Fingerprint the service listening on an open port
+   */
+  async fingerprint(target, port, timeout = this.defaultConfig.timeout) {
+    const probeTimeout = Math.min(timeout, this.defaultConfig.timeout);
+
+    try {
+      // 1. Passive banner grab - many protocols speak first
+      const banner = await this.grabBanner(target, port, probeTimeout);
+      if (banner && banner.length > 0) {
+        const match = this.matchSignatures(banner, 'banner');
+        if (match) {
+          return this.buildResult(match, banner, 'banner');
+        }
+      }
+
+      // 2. HTTP HEAD probe over plain TCP
+      const httpResponse = await this.sendProbe(target, port, this.buildHttpProbe(target), probeTimeout);
+      if (httpResponse && httpResponse.length > 0) {
+        if (this.isTlsRecord(httpResponse)) {
+          // The server answered our plaintext with a TLS alert - retry with a handshake
+          return await this.probeTls(target, port, probeTimeout);
+        }
+
+        const match = this.matchSignatures(httpResponse, 'http') || this.matchSignatures(httpResponse, 'banner');
+        if (match) {
+          return this.buildResult(match, httpResponse, 'http');
+        }
+      }
+
+      // 3. TLS ClientHello probe for silent or TLS-only services
+      const tlsResult = await this.probeTls(target, port, probeTimeout);
+      if (tlsResult.tls) {
+        return tlsResult;
+      }
+
+      // Nothing matched - still report whatever raw data we saw
+      const raw = banner && banner.length > 0 ? banner : httpResponse;
+      return {
+        name: null,
+        product: null,
+        version: null,
+        banner: raw && raw.length > 0 ? this.sanitizeBanner(raw) : null,
+        method: raw && raw.length > 0 ? 'unmatched' : 'none',
+        tls: null
+      };
+    } catch (error) {
+      console.log(`⚠️ [ServiceFingerprinter] Fingerprinting ${target}:${port} failed: ${error.message}`);
+      return { name: null, product: null, version: null, banner: null, method: 'error', tls: null, error: error.message };
+    }
+  }
+
+  /**
+   * Connect and wait for the server to send data without sending anything
+   */
+  grabBanner(target, port, timeout) {
+    return this.sendProbe(target, port, null, Math.min(timeout, this.defaultConfig.bannerWait));
+  }
+
+  /**
+   * Connect, optionally send a payload, and collect the first response bytes
+   */
+  sendProbe(target, port, payload, timeout) {
+    return new Promise((resolve) => {
+      const socket = new net.Socket();
+      const chunks = [];
+      let received = 0;
+      let resolved = false;
+
+      const finish = () => {
+        if (resolved) return;
+        resolved = true;
+        clearTimeout(timer);
+        socket.destroy();
+        resolve(Buffer.concat(chunks, received));
+      };
+
+      const timer = setTimeout(finish, timeout);
+
+      socket.on('connect', () => {
+        if (payload) {
+          socket.write(payload);
+        }
+      });
+
+      socket.on('data', (chunk) => {
+        chunks.push(chunk);
+        received += chunk.length;
+        if (received >= this.defaultConfig.maxBannerLength) {
+          finish();
+        } else if (payload) {
+          // Give the rest of the response a moment to arrive
+          clearTimeout(timer);
+          setTimeout(finish, 200);
+        } else {
+          // Banners usually arrive as one line - stop at the first newline
+          if (chunk.includes(0x0a)) {
+            finish();
+          }
+        }
+      });
+
+      socket.on('end', finish);
+      socket.on('error', finish);
+      socket.on('close', finish);
+
+      socket.connect(port, target);
+    });
+  }
+
+  /**
+   * Perform a TLS handshake and, if it succeeds, an HTTP HEAD inside the tunnel
+   */
+  probeTls(target, port, timeout) {
+    return new Promise((resolve) => {
+      const chunks = [];
+      let received = 0;
+      let tlsInfo = null;
+      let resolved = false;
+
+      const socket = tls.connect({
+        host: target,
+        port,
+        servername: net.isIP(target) ? undefined : target,
+        rejectUnauthorized: false,
+        ALPNProtocols: ['http/1.1']
+      });
+
+      const finish = () => {
+        if (resolved) return;
+        resolved = true;
+        clearTimeout(timer);
+        socket.destroy();
+
+        const response = Buffer.concat(chunks, received);
+        if (!tlsInfo) {
+          resolve({ name: null, product: null, version: null, banner: null, method: 'tls', tls: null });
+          return;
+        }
+
+        const match = response.length > 0
+          ? (this.matchSignatures(response, 'banner') || this.matchSignatures(response, 'http'))
+          : null;
+
+        const result = match
+          ? this.buildResult(match, response, 'tls')
+          : { name: null, product: null, version: null, banner: response.length > 0 ? this.sanitizeBanner(response) : null, method: 'tls' };
+
+        // Prefix the service name so HTTPS/IMAPS/etc. are distinguishable from plaintext
+        result.name = result.name ? (result.name === 'HTTP' ? 'HTTPS' : `${result.name}/TLS`) : 'TLS';
+        result.tls = tlsInfo;
+        resolve(result);
+      };
+
+      const timer = setTimeout(finish, timeout);
+
+      socket.on('secureConnect', () => {
+        const certificate = socket.getPeerCertificate() || {};
+        const cipher = socket.getCipher() || {};
+        tlsInfo = {
+          protocol: socket.getProtocol(),
+          cipher: cipher.name || null,
+          alpn: socket.alpnProtocol || null,
+          subject: certificate.subject ? certificate.subject.CN || null : null,
+          issuer: certificate.issuer ? certificate.issuer.O || certificate.issuer.CN || null : null,
+          validTo: certificate.valid_to || null
+        };
+
+        // Server-first protocols (IMAPS, POP3S, SMTPS) send a banner right away,
+        // otherwise ask for an HTTP response
+        setTimeout(() => {
+          if (!resolved && received === 0) {
+            socket.write(this.buildHttpProbe(target));
+          }
+        }, 300);
+      });
+
+      socket.on('data', (chunk) => {
+        chunks.push(chunk);
+        received += chunk.length;
+        if (received >= this.defaultConfig.maxBannerLength) {
+          finish();
+        } else {
+          clearTimeout(timer);
+          setTimeout(finish, 200);
+        }
+      });
+
+      socket.on('end', finish);
+      socket.on('error', finish);
+      socket.on('close', finish);
+    });
+  }
+
+  /**
+   * Build an HTTP HEAD request
+   */
+  buildHttpProbe(target) {
+    return Buffer.from(
+      `HEAD / HTTP/1.0\r\nHost: ${target}\r\nUser-Agent: Noctool/1.0\r\nAccept: */*\r\n\r\n`,
+      'ascii'
+    );
+  }
+
+  /**
+   * Check if data starts with a TLS record header (handshake or alert)
+   */
+  isTlsRecord(data) {
+    return data.length >= 3 && (data[0] === 0x15 || data[0] === 0x16) && data[1] === 0x03 && data[2] <= 0x04;
+  }
+
+  /**
+   * Match a response against the signature table for a probe type
+   */
+  matchSignatures(data, probe) {
+    const text = data.toString('latin1');
+
+    for (const signature of this.signatures) {
+      if (signature.probe !== probe) continue;
+
+      const match = signature.pattern.exec(text);
+      if (match) {
+        const product = signature.productGroup ? match[signature.productGroup] : signature.product;
+        const version = match[signature.versionGroup || 1];
+        return {
+          name: signature.name,
+          product: product || null,
+          version: signature.productGroup && !signature.versionGroup ? null : (version || null)
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Build a fingerprint result from a signature match
+   */
+  buildResult(match, data, method) {
+    return {
+      name: match.name,
+      product: match.product,
+      version: match.version,
+      banner: this.sanitizeBanner(data),
+      method,
+      tls: null
+    };
+  }
+
+  /**
+   * Make raw banner bytes safe to display - printable ASCII is kept,
+   * everything else is escaped as \xNN
+   */
+  sanitizeBanner(data) {
+    const bytes = data.slice(0, this.defaultConfig.maxBannerLength);
+    let text = '';
+
+    for (const byte of bytes) {
+      if (byte === 0x0a || byte === 0x0d || byte === 0x09 || (byte >= 0x20 && byte < 0x7f)) {
+        text += String.fromCharCode(byte);
+      } else {
+        text += `\\x${byte.toString(16).padStart(2, '0')}`;
+      }
+    }
+
+    return text.trim();
+  }
+}
+
+module.exports = ServiceFingerprinter;
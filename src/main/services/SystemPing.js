@@ -0,0 +1,57 @@
+const { spawn } = require('child_process');
+const pingBuilders = require('ping/lib/builder/factory');
+const pingParsers = require('ping/lib/parser/factory');
+
+/**
+ * Single run of the system ping with a hard time limit
+ *
+ * Uses the ping package's arguments and parser, but spawns the process
+ * itself so it can be killed after `limit` ms - macOS ping6 has no timeout
+ * flag and would otherwise keep running after the caller gave up on it.
+ */
+class SystemPing {
+  constructor(options = {}) {
+    this.platform = options.platform || process.platform;
+  }
+
+  /**
+   * Resolves the ping package's result plus the raw output; the child is
+   * kept on control.child while it runs so callers can stop it early
+   */
+  probe(ip, options, limit, control = {}) {
+    return new Promise((resolve, reject) => {
+      const builder = pingBuilders.createBuilder(this.platform);
+      const child = spawn(
+        pingBuilders.getExecutablePath(this.platform, options.v6),
+        builder.getCommandArguments(ip, options),
+        builder.getSpawnOptions()
+      );
+      const output = [];
+      let timer = null;
+
+      const release = () => {
+        clearTimeout(timer);
+        if (control.child === child) control.child = null;
+      };
+
+      control.child = child;
+      child.stdout.on('data', data => output.push(String(data)));
+      child.stderr.on('data', data => output.push(String(data)));
+      child.once('error', (error) => {
+        release();
+        reject(error);
+      });
+      child.once('close', () => {
+        release();
+        const text = output.join('');
+        const parser = pingParsers.createParser(ip, this.platform, options);
+        text.split('\n').forEach(parser.eat, parser);
+        resolve({ ...parser.getResult(), output: text });
+      });
+
+      timer = setTimeout(() => child.kill(), limit);
+    });
+  }
+}
+
+module.exports = SystemPing;
@@ -0,0 +1,181 @@
+const AddressParser = require('./AddressParser');
+
+/**
+ * Expands scan target specifications into individual hosts
+ *
+ * Supported forms (separated by commas, spaces or new lines):
+ * - single IPs and hostnames: 192.168.1.1, 2001:db8::1, [::1], example.com
+ * - CIDR blocks: 10.0.0.0/24, or IPv6 prefixes small enough to list (2001:db8::/120)
+ * - dash ranges: 10.0.0.1-50 (last octet) or 10.0.0.1-10.0.1.20 (full address)
+ */
+class TargetParser {
+  constructor(options = {}) {
+    this.maxHosts = options.maxHosts || 4096;
+    this.addressParser = options.addressParser || new AddressParser();
+  }
+
+  /**
+   * Parse a target specification into a de-duplicated host list
+   */
+  parse(input) {
+    const targets = [];
+    const errors = [];
+
+    if (!input || typeof input !== 'string') {
+      return { targets, errors: ['Target is required'] };
+    }
+
+    const parts = input.split(/[\s,]+/).map(p => p.trim()).filter(Boolean);
+
+    for (const part of parts) {
+      try {
+        let expanded;
+        if (part.includes('/')) {
+          expanded = this.expandCidr(part);
+        } else if (/^\d{1,3}(\.\d{1,3}){3}-[\d.]+$/.test(part)) {
+          expanded = this.expandRange(part);
+        } else {
+          // Address literals in their plain form: [::1] -> ::1
+          const parsed = this.addressParser.parse(part);
+          expanded = [parsed ? this.addressParser.format(parsed) : part];
+        }
+
+        targets.push(...expanded);
+
+        if (new Set(targets).size > this.maxHosts) {
+          return { targets: [], errors: [`Too many hosts: target list exceeds the limit of ${this.maxHosts}`] };
+        }
+      } catch (error) {
+        errors.push(`${part}: ${error.message}`);
+      }
+    }
+
+    return { targets: [...new Set(targets)], errors };
+  }
+
+  /**
+   * Expand a CIDR block - IPv4 network and broadcast addresses are skipped for prefixes below /31
+   */
+  expandCidr(cidr) {
+    const [addressText, prefixText] = cidr.split('/');
+    const prefix = parseInt(prefixText, 10);
+    const parsed = this.addressParser.parse(addressText);
+
+    if (!parsed) {
+      throw new Error('Invalid network address');
+    }
+    const bits = parsed.family === 6 ? 128 : 32;
+    if (isNaN(prefix) || prefix < 0 || prefix > bits || String(prefix) !== prefixText.trim()) {
+      throw new Error('Invalid prefix length');
+    }
+    if (parsed.family === 6) {
+      return this.expandIPv6Cidr(parsed, prefix);
+    }
+
+    const address = parsed.address;
+
+    const hostCount = Math.pow(2, 32 - prefix);
+    if (hostCount > this.maxHosts + 2) {
+      throw new Error(`/${prefix} contains ${hostCount} addresses, limit is ${this.maxHosts}`);
+    }
+
+    const mask = prefix === 0 ? 0 : (0xFFFFFFFF << (32 - prefix)) >>> 0;
+    const network = (this.ipToInt(address) & mask) >>> 0;
+
+    let first = network;
+    let last = network + hostCount - 1;
+    if (prefix < 31) {
+      first += 1;
+      last -= 1;
+    }
+
+    const hosts = [];
+    for (let i = first; i <= last; i++) {
+      hosts.push(this.intToIp(i));
+    }
+    return hosts;
+  }
+
+  /**
+   * Expand an IPv6 prefix - only ones with at most maxHosts addresses
+   * (/116 and longer by default); IPv6 has no broadcast, so every address is kept
+   */
+  expandIPv6Cidr(parsed, prefix) {
+    const hostBits = BigInt(128 - prefix);
+    const hostCount = 1n << hostBits;
+    if (hostCount > BigInt(this.maxHosts)) {
+      const longest = 128 - Math.floor(Math.log2(this.maxHosts));
+      throw new Error(`/${prefix} contains ${hostCount} addresses, limit is ${this.maxHosts} (use /${longest} or longer for IPv6)`);
+    }
+
+    const network = (this.addressParser.toBigInt(parsed.address) >> hostBits) << hostBits;
+    const hosts = [];
+    for (let i = 0n; i < hostCount; i++) {
+      const address = this.addressParser.fromBigInt(network + i, 6);
+      hosts.push(parsed.zone ? `${address}%${parsed.zone}` : address);
+    }
+    return hosts;
+  }
+
+  /**
+   * Expand a dash range: either a last-octet range or a full start-end address pair
+   */
+  expandRange(range) {
+    const [startText, endText] = range.split('-');
+
+    if (!this.isIPv4(startText)) {
+      throw new Error('Invalid range start address');
+    }
+
+    let endAddress;
+    if (/^\d{1,3}$/.test(endText)) {
+      const octets = startText.split('.');
+      octets[3] = endText;
+      endAddress = octets.join('.');
+    } else {
+      endAddress = endText;
+    }
+
+    if (!this.isIPv4(endAddress)) {
+      throw new Error('Invalid range end address');
+    }
+
+    const start = this.ipToInt(startText);
+    const end = this.ipToInt(endAddress);
+    if (start > end) {
+      throw new Error('Range start is after range end');
+    }
+    if (end - start + 1 > this.maxHosts) {
+      throw new Error(`Range contains ${end - start + 1} addresses, limit is ${this.maxHosts}`);
+    }
+
+    const hosts = [];
+    for (let i = start; i <= end; i++) {
+      hosts.push(this.intToIp(i));
+    }
+    return hosts;
+  }
+
+  /**
+   * Check if string is a valid dotted IPv4 address
+   */
+  isIPv4(str) {
+    return /^(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/.test(str);
+  }
+
+  /**
+   * Convert dotted IPv4 address to an unsigned integer
+   */
+  ipToInt(ip) {
+    return ip.split('.').reduce((acc, octet) => ((acc << 8) + parseInt(octet, 10)) >>> 0, 0);
+  }
+
+  /**
+   * Convert an unsigned integer to a dotted IPv4 address
+   */
+  intToIp(value) {
+    return [24, 16, 8, 0].map(shift => (value >>> shift) & 0xFF).join('.');
+  }
+}
+
+module.exports = TargetParser;
@@ -0,0 +1,240 @@
+const AddressParser = require('./AddressParser');
+
+/**
+ * Builds system traceroute command lines for a protocol/port and parses their output
+ *
+ * Linux uses traceroute(8) from the traceroute package (-I ICMP echo,
+ * -U UDP to a fixed port, -T TCP SYN) with tracepath as the unprivileged
+ * fallback; macOS/BSD use the LBL traceroute (-I, -P tcp); Windows only
+ * has tracert, which is ICMP-only. Each attempt describes the method it
+ * really uses so the result can report it. An explicit address family adds
+ * -4/-6 (traceroute6 on BSD) so hostnames resolve to that family.
+ *
+ * Paris mode keeps the flow identifiers (the 5-tuple ECMP routers hash on)
+ * the same for every probe, so all TTLs follow one of the load-balanced
+ * paths instead of a different one per probe. On Linux that is UDP or TCP to
+ * a fixed destination port from a fixed source port chosen by the flow ID;
+ * LBL traceroute's -e keeps the destination port fixed and its source port
+ * is already constant for a run. tracert has no equivalent.
+ */
+class TracerouteCommand {
+  constructor(options = {}) {
+    this.platform = options.platform || process.platform;
+    this.addressParser = options.addressParser || new AddressParser();
+    this.defaultPorts = { udp: 53, tcp: 80 };
+    // Paris source ports are parisBasePort + flow ID
+    this.parisBasePort = 33000;
+  }
+
+  /**
+   * Ordered list of methods to try for the requested protocol - the first is
+   * exactly what was asked for, later ones are fallbacks when the command is
+   * missing or needs privileges the app doesn't have
+   */
+  buildAttempts(config) {
+    const { maxHops = 30, protocol = 'icmp', port = null, probesPerHop = 3, family = 0, paris = false, flowId = 0 } = config;
+
+    if (!this.isValidTarget(config.target)) {
+      throw new Error('Invalid domain name or IP address');
+    }
+
+    // Address literals go to the command without brackets; they decide the family themselves
+    const literal = this.addressParser.parse(config.target);
+    const target = literal ? this.addressParser.format(literal) : config.target;
+    const addressFamily = literal ? literal.family : this.addressParser.normalizeFamily(family);
+    const ipFlag = addressFamily ? [`-${addressFamily}`] : [];
+    const attempts = [];
+
+    // tracert always sends three probes per hop and tracepath picks its own count
+    if (this.platform === 'win32') {
+      attempts.push(this.createAttempt('tracert', ['-d', '-h', `${maxHops}`, ...ipFlag, target], 'icmp', null, 'tracert'));
+      return attempts;
+    }
+
+    const probePort = port || this.defaultPorts[protocol] || null;
+    // ICMP echo has no ports to hold constant, so Paris mode probes with UDP instead
+    const parisPort = protocol === 'tcp' ? probePort : (protocol === 'udp' && port) || this.defaultPorts.udp;
+
+    if (this.platform === 'linux') {
+      const base = ['-n', '-q', `${probesPerHop}`, '-m', `${maxHops}`, ...ipFlag];
+      if (paris) {
+        const sourcePort = this.parisBasePort + flowId;
+        const flow = { paris: true, sourcePort };
+        if (protocol === 'tcp') {
+          attempts.push(this.createAttempt('traceroute', [...base, '-T', '-p', `${parisPort}`, `--sport=${sourcePort}`, target], 'tcp', parisPort, 'traceroute', flow));
+        }
+        const udpPort = protocol === 'tcp' ? this.defaultPorts.udp : parisPort;
+        attempts.push(this.createAttempt('traceroute', [...base, '-U', '-p', `${udpPort}`, `--sport=${sourcePort}`, target], 'udp', udpPort, 'traceroute', flow));
+      } else if (protocol === 'icmp') {
+        attempts.push(this.createAttempt('traceroute', [...base, '-I', target], 'icmp', null, 'traceroute'));
+      } else if (protocol === 'tcp') {
+        attempts.push(this.createAttempt('traceroute', [...base, '-T', '-p', `${probePort}`, target], 'tcp', probePort, 'traceroute'));
+      } else if (port) {
+        attempts.push(this.createAttempt('traceroute', [...base, '-U', '-p', `${port}`, target], 'udp', port, 'traceroute'));
+      }
+
+      // Classic UDP probes to incrementing ports need no privileges
+      attempts.push(this.createAttempt('traceroute', [...base, target], 'udp', null, 'traceroute'));
+      attempts.push(this.createAttempt(
+        'tracepath',
+        ['-n', '-m', `${maxHops}`, ...ipFlag, ...(protocol === 'udp' && port ? ['-p', `${port}`] : []), target],
+        'udp',
+        protocol === 'udp' && port ? port : null,
+        'tracepath'
+      ));
+    } else {
+      // BSD ships IPv6 as a separate traceroute6 binary
+      const command = addressFamily === 6 ? 'traceroute6' : 'traceroute';
+      const base = ['-n', '-q', `${probesPerHop}`, '-m', `${maxHops}`];
+      if (paris) {
+        // -e holds the destination port, but the source port comes from the
+        // process ID, so only UDP can tie its flow to flowId (via the
+        // destination port); TCP must stay on the service port
+        if (protocol === 'tcp') {
+          attempts.push(this.createAttempt(command, [...base, '-e', '-P', 'tcp', '-p', `${parisPort}`, target], 'tcp', parisPort, 'traceroute'));
+        }
+        const udpPort = (protocol === 'tcp' ? this.defaultPorts.udp : parisPort) + flowId;
+        attempts.push(this.createAttempt(command, [...base, '-e', '-p', `${udpPort}`, target], 'udp', udpPort, 'traceroute', { paris: true }));
+      } else if (protocol === 'icmp') {
+        attempts.push(this.createAttempt(command, [...base, '-I', target], 'icmp', null, 'traceroute'));
+      } else if (protocol === 'tcp') {
+        attempts.push(this.createAttempt(command, [...base, '-P', 'tcp', '-p', `${probePort}`, target], 'tcp', probePort, 'traceroute'));
+      } else if (port) {
+        // LBL traceroute treats -p as the base port and adds one per probe
+        attempts.push(this.createAttempt(command, [...base, '-p', `${port}`, target], 'udp', port, 'traceroute', { basePort: true }));
+      }
+
+      attempts.push(this.createAttempt(command, [...base, target], 'udp', null, 'traceroute'));
+    }
+
+    // Drop duplicates (e.g. plain UDP requested without a port)
+    const seen = new Set();
+    return attempts.filter((attempt) => {
+      const key = `${attempt.command} ${attempt.args.join(' ')}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  createAttempt(command, args, protocol, port, parser, options = {}) {
+    return {
+      command,
+      args,
+      protocol,
+      port,
+      parser,
+      paris: !!options.paris,
+      sourcePort: options.sourcePort || null,
+      description: this.describe(protocol, port, options)
+    };
+  }
+
+  /**
+   * Human-readable probe description, e.g. "TCP SYN to port 443"
+   */
+  describe(protocol, port, options = {}) {
+    const flow = options.paris
+      ? (options.sourcePort ? `, fixed flow from source port ${options.sourcePort}` : ', fixed flow')
+      : '';
+    if (protocol === 'icmp') return 'ICMP echo';
+    if (protocol === 'tcp') return `TCP SYN to port ${port}${flow}`;
+    if (!port) return 'UDP to incrementing ports';
+    return options.basePort ? `UDP from base port ${port}` : `UDP to port ${port}${flow}`;
+  }
+
+  /**
+   * Hostnames and IP literals only - anything else could be read as an option
+   */
+  isValidTarget(target) {
+    if (!target || typeof target !== 'string') return false;
+    if (this.addressParser.isIP(target)) return true;
+    return target.length <= 253 && /^[a-zA-Z0-9][a-zA-Z0-9.-]*$/.test(target);
+  }
+
+  /**
+   * Resolved destination from the header line, or null
+   */
+  parseDestination(line, attempt) {
+    if (attempt.parser === 'tracert') {
+      const match = line.match(/^Tracing route to (\S+)(?: \[([0-9a-fA-F:.]+)\])?/);
+      return match ? (match[2] || match[1]) : null;
+    }
+
+    if (attempt.parser === 'traceroute') {
+      const match = line.match(/^traceroute6? to \S+ \(([0-9a-fA-F:.]+)\)/);
+      return match ? match[1] : null;
+    }
+
+    // tracepath has no header - the final "reached" hop is the destination
+    const match = line.match(/^\s*\d+:\s+([0-9a-fA-F:.]+)\s+.*\breached\b/);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * One hop line as { hop, ip, rtt1, probes } where probes holds every probe's
+   * responder and RTT ({ ip: null, rtt: null } when it timed out); ip and rtt1
+   * are the first answer, or '*' when nothing answered
+   */
+  parseHop(line, attempt) {
+    if (attempt.parser === 'tracert') {
+      const match = line.match(/^\s*(\d+)\s+(<?\d+ ms|\*)\s+(<?\d+ ms|\*)\s+(<?\d+ ms|\*)\s+(.+)$/);
+      if (!match) return null;
+
+      // tracert prints one address for all three probes
+      const ip = match[5].trim();
+      const responder = this.addressParser.isIP(ip) ? ip : null;
+      const probes = [match[2], match[3], match[4]].map(time => (
+        time === '*' || !responder ? { ip: null, rtt: null } : { ip: responder, rtt: parseFloat(time.replace('<', '')) }
+      ));
+      return this.buildHop(parseInt(match[1], 10), probes);
+    }
+
+    if (attempt.parser === 'traceroute') {
+      // " 5  10.0.0.1  5.123 ms 10.0.0.2  5.301 ms *" - an address applies to the RTTs after it
+      const match = line.match(/^\s*(\d+)\s+(.*)$/);
+      if (!match) return null;
+
+      const tokens = match[2].trim().split(/\s+/);
+      const probes = [];
+      let responder = null;
+      for (let i = 0; i < tokens.length; i++) {
+        if (tokens[i] === '*') {
+          probes.push({ ip: null, rtt: null });
+        } else if (tokens[i + 1] === 'ms' && !isNaN(parseFloat(tokens[i]))) {
+          probes.push({ ip: responder, rtt: parseFloat(tokens[i]) });
+          i++;
+        } else if (this.addressParser.isIP(tokens[i])) {
+          responder = tokens[i];
+        }
+        // Annotations such as !H, !N or !X are ignored
+      }
+
+      return probes.length ? this.buildHop(parseInt(match[1], 10), probes) : null;
+    }
+
+    // tracepath: "1?: [LOCALHOST] pmtu 1500", " 2:  10.0.0.1  3.138ms", " 3:  no reply"
+    // Each line is one probe; the executor merges lines for the same TTL
+    const match = line.match(/^\s*(\d+)\??:\s+(?:(no reply)|([0-9a-fA-F:.]+)\s+([\d.]+)ms)/);
+    if (!match) return null;
+
+    return this.buildHop(parseInt(match[1], 10), [
+      match[2] ? { ip: null, rtt: null } : { ip: match[3], rtt: parseFloat(match[4]) }
+    ]);
+  }
+
+  /**
+   * Raw hop from its probes - ip/rtt1 keep the single-probe format HopProcessor reads
+   */
+  buildHop(hop, probes) {
+    const first = probes.find(probe => probe.ip);
+    return {
+      hop,
+      ip: first ? first.ip : '*',
+      rtt1: first && first.rtt !== null ? `${first.rtt} ms` : '*',
+      probes
+    };
+  }
+}
+
+module.exports = TracerouteCommand;
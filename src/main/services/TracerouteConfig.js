@@ -1,20 +1,27 @@
-const dns = require('dns').promises;
+const AddressParser = require('./AddressParser');
 
 /**
  * Configuration management for traceroute operations
  */
 class TracerouteConfig {
-  constructor() {
+  constructor(options = {}) {
+    this.addressParser = options.addressParser || new AddressParser();
     this.defaultConfig = {
       maxHops: 30,
       timeout: 0, // No timeout by default
       protocol: 'icmp',
+      family: 'auto', // 'auto' | 'ipv4' | 'ipv6'
+      probesPerHop: 3, // Probes sent per TTL - more probes reveal load-balanced paths
+      paris: false, // Keep the flow identifiers constant so every TTL follows one ECMP path
+      maxFlows: 16, // Multipath discovery: most flow IDs to try
       resolveHosts: true,
       hostnameTimeout: 5000, // 5 seconds timeout for hostname resolution
+      enrichHops: true, // Annotate hops with location and origin AS
       pingHops: true,
       realTime: true,
       continuousPing: true,
       interval: 1000, // For continuous mode - faster for better user experience
+      probeTimeout: 1000, // MTR mode: wait per hop probe
       // Hop filtering options for faster results
       skipSlowHops: true, // Enable automatic slow hop skipping
       slowHopThreshold: 50, // Skip hops with latency > 50ms
@@ -34,11 +41,17 @@ class TracerouteConfig {
       timeout = this.defaultConfig.timeout,
       protocol = this.defaultConfig.protocol,
       port = null,
+      family = this.defaultConfig.family,
+      probesPerHop = this.defaultConfig.probesPerHop,
+      paris = this.defaultConfig.paris,
+      maxFlows = this.defaultConfig.maxFlows,
       resolveHosts = this.defaultConfig.resolveHosts,
       hostnameTimeout = this.defaultConfig.hostnameTimeout,
+      enrichHops = this.defaultConfig.enrichHops,
       pingHops = this.defaultConfig.pingHops,
       realTime = this.defaultConfig.realTime,
       interval = this.defaultConfig.interval,
+      probeTimeout = this.defaultConfig.probeTimeout,
       skipSlowHops = this.defaultConfig.skipSlowHops,
       slowHopThreshold = this.defaultConfig.slowHopThreshold,
       skipPacketLoss = this.defaultConfig.skipPacketLoss,
@@ -60,6 +73,14 @@ class TracerouteConfig {
       throw new Error('Timeout must be non-negative');
     }
 
+    if (probesPerHop < 1 || probesPerHop > 10) {
+      throw new Error('Probes per hop must be between 1 and 10');
+    }
+
+    if (maxFlows < 1 || maxFlows > 96) {
+      throw new Error('Max flows must be between 1 and 96');
+    }
+
     // Validate hostnameTimeout
     if (hostnameTimeout < 1000 || hostnameTimeout > 30000) {
       throw new Error('Hostname timeout must be between 1000 and 30000 ms');
@@ -77,12 +98,19 @@ class TracerouteConfig {
       }
     }
 
+    if (probeTimeout < 100 || probeTimeout > 10000) {
+      throw new Error('Probe timeout must be between 100 and 10000 ms');
+    }
+
     // Validate protocol
     const validProtocols = ['icmp', 'udp', 'tcp'];
     if (!validProtocols.includes(protocol)) {
       throw new Error(`Protocol must be one of: ${validProtocols.join(', ')}`);
     }
 
+    // Validate address family - throws for anything but auto/ipv4/ipv6
+    const addressFamily = this.addressParser.normalizeFamily(family);
+
     // Validate port for TCP/UDP
     if ((protocol === 'tcp' || protocol === 'udp') && port) {
       if (port < 1 || port > 65535) {
@@ -96,11 +124,17 @@ class TracerouteConfig {
       timeout: parseInt(timeout),
       protocol,
       port: port ? parseInt(port) : null,
+      family: addressFamily,
+      probesPerHop: parseInt(probesPerHop),
+      paris: Boolean(paris),
+      maxFlows: parseInt(maxFlows),
       resolveHosts: Boolean(resolveHosts),
       hostnameTimeout: parseInt(hostnameTimeout),
+      enrichHops: Boolean(enrichHops),
       pingHops: Boolean(pingHops),
       realTime: Boolean(realTime),
       interval: parseInt(interval),
+      probeTimeout: parseInt(probeTimeout),
       skipSlowHops: Boolean(skipSlowHops),
       slowHopThreshold: parseInt(slowHopThreshold),
       skipPacketLoss: Boolean(skipPacketLoss),
@@ -110,29 +144,11 @@ class TracerouteConfig {
   }
 
   /**
-   * Resolve domain to IP address
+   * Resolve domain to IP address in the requested family ('auto', 'ipv4', 'ipv6' or 0/4/6)
    */
-  async resolveTarget(target) {
-    if (this.isIPAddress(target)) {
-      return { ip: target, hostname: null };
-    }
-
-    try {
-      const resolved = await dns.lookup(target);
-      return { ip: resolved.address, hostname: target };
-    } catch (error) {
-      throw new Error(`Cannot resolve ${target}: ${error.message}`);
-    }
-  }
-
-  /**
-   * Check if string is a valid IP address
-   */
-  isIPAddress(str) {
-    const ipv4Regex = /^(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/;
-    const ipv6Regex = /^(?:[0-9a-fA-F]{1,4}:){7}[0-9a-fA-F]{1,4}$/;
-    
-    return ipv4Regex.test(str) || ipv6Regex.test(str);
+  async resolveTarget(target, family = 'auto') {
+    const resolved = await this.addressParser.resolve(target, family);
+    return { ip: resolved.address, hostname: resolved.hostname, family: resolved.family };
   }
 
   /**
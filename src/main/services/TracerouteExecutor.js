@@ -1,15 +1,24 @@
-const Traceroute = require('nodejs-traceroute');
+const { spawn } = require('child_process');
+const readline = require('readline');
+const TracerouteCommand = require('./TracerouteCommand');
 
 /**
  * Handles core traceroute execution
  */
 class TracerouteExecutor {
-  constructor() {
+  constructor(options = {}) {
     this.activeProcesses = new Map(); // Track active traceroute processes
+    this.commandBuilder = options.commandBuilder || new TracerouteCommand();
+    // stderr from a traceroute that lacks privileges or doesn't know the probe option
+    this.unsupportedPattern = /permi|privilege|root|not allowed|bad option|invalid option|unknown option|illegal option|usage:/i;
   }
 
   /**
    * Execute a single traceroute operation
+   * Tries the system command for the requested protocol/port first and falls
+   * back to unprivileged methods; result.method records what was really used
+   * paris/flowId ask for flow-stable probes; processId lets the caller stop
+   * this run with cleanupProcess()
    */
   async execute(config, onHopUpdate = null) {
     const {
@@ -18,150 +27,293 @@ class TracerouteExecutor {
       timeout = 0,
       protocol = 'icmp',
       port = null,
-      resolveHosts = true,
-      pingHops = true,
-      realTime = true
+      probesPerHop = 3,
+      family = 0,
+      paris = false,
+      flowId = 0
     } = config;
 
     if (!target) {
       return { success: false, error: 'Target is required' };
     }
 
-    return new Promise((resolve, reject) => {
-      const hops = [];
-      let destination = null;
-      let pid = null;
-      let isCompleted = false;
-      let processId = null;
+    let attempts;
+    try {
+      attempts = this.commandBuilder.buildAttempts({ target, maxHops, protocol, port, probesPerHop, family, paris, flowId });
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
 
-      const tracer = new Traceroute();
+    // Store process reference
+    const processId = config.processId || `traceroute_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    this.activeProcesses.set(processId, {
+      child: null,
+      isCompleted: false,
+      startTime: Date.now()
+    });
 
-      // Set up timeout if specified
+    const deadline = timeout > 0 ? Date.now() + timeout : null;
+    const failures = [];
+
+    for (const attempt of attempts) {
+      if (!this.activeProcesses.has(processId)) {
+        return { success: false, error: 'Traceroute was stopped' };
+      }
+
+      const remaining = deadline ? deadline - Date.now() : 0;
+      if (deadline && remaining <= 0) {
+        this.cleanupProcess(processId);
+        return { success: false, error: 'Traceroute operation timed out' };
+      }
+
+      console.log(`🚀 [TracerouteExecutor] Starting traceroute to ${target}: ${attempt.command} ${attempt.args.join(' ')}`);
+      const run = await this.runAttempt(processId, attempt, maxHops, remaining, onHopUpdate);
+
+      if (!this.activeProcesses.has(processId)) {
+        return { success: false, error: 'Traceroute was stopped' };
+      }
+
+      if (run.timedOut) {
+        this.cleanupProcess(processId);
+        return { success: false, error: 'Traceroute operation timed out' };
+      }
+
+      if (run.hops.length > 0 || (run.exitCode === 0 && !run.error)) {
+        const addressFamily = this.commandBuilder.addressParser.getFamily(run.destination) || null;
+        const result = {
+          success: true,
+          target: target,
+          ipAddress: run.destination,
+          family: addressFamily,
+          rawHops: run.hops,
+          totalHops: run.hops.length,
+          pid: run.pid,
+          exitCode: run.exitCode,
+          method: {
+            ...this.describeMethod(attempt, { protocol, port, paris }, failures),
+            family: addressFamily,
+            flowId: attempt.sourcePort ? flowId : null
+          }
+        };
+
+        this.cleanupProcess(processId);
+
+        // Send final update
+        if (onHopUpdate && typeof onHopUpdate === 'function') {
+          onHopUpdate({
+            type: 'complete',
+            data: result
+          });
+        }
+
+        return result;
+      }
+
+      const reason = run.error
+        ? (run.error.code === 'ENOENT' ? `${attempt.command} is not installed` : run.error.message)
+        : (this.summarizeStderr(run.stderr) || `${attempt.command} exited with code ${run.exitCode}`);
+      failures.push({ command: attempt.command, description: attempt.description, reason });
+
+      if (!this.shouldFallBack(run)) {
+        break;
+      }
+      console.log(`⚠️ [TracerouteExecutor] ${attempt.description} via ${attempt.command} unavailable (${reason}), trying next method`);
+    }
+
+    this.cleanupProcess(processId);
+    console.error('❌ [TracerouteExecutor] Traceroute failed:', failures.map(failure => failure.reason).join('; '));
+    return {
+      success: false,
+      error: `Traceroute failed: ${failures[failures.length - 1].reason}`,
+      attempts: failures
+    };
+  }
+
+  /**
+   * Run one command line to completion, streaming parsed hops to onHopUpdate
+   * Resolves { hops, destination, pid, exitCode, stderr, error, timedOut }
+   */
+  runAttempt(processId, attempt, maxHops, timeout, onHopUpdate) {
+    return new Promise((resolve) => {
+      const run = { hops: [], destination: null, pid: null, exitCode: null, stderr: '', error: null, timedOut: false };
+      const seenHops = new Set();
+      let pendingHop = null; // tracepath hop still collecting probe lines
+      let settled = false;
       let timeoutId = null;
+
+      const finish = () => {
+        if (settled) return;
+        settled = true;
+        if (timeoutId) clearTimeout(timeoutId);
+        resolve(run);
+      };
+
+      let child;
+      try {
+        child = spawn(attempt.command, attempt.args);
+      } catch (error) {
+        run.error = error;
+        finish();
+        return;
+      }
+
+      run.pid = child.pid;
+      const processInfo = this.activeProcesses.get(processId);
+      if (processInfo) {
+        processInfo.child = child;
+      }
+      if (child.pid) {
+        console.log(`🚀 [TracerouteExecutor] Process started with PID: ${child.pid}`);
+      }
+
+      // Set up timeout if specified
       if (timeout > 0) {
         timeoutId = setTimeout(() => {
-          if (!isCompleted) {
-            isCompleted = true;
-            this.cleanupProcess(processId);
-            resolve({
-              success: false,
-              error: 'Traceroute operation timed out'
-            });
-          }
+          run.timedOut = true;
+          child.kill();
+          finish();
         }, timeout);
       }
 
-      // Store process reference
-      processId = `traceroute_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      this.activeProcesses.set(processId, {
-        tracer,
-        isCompleted: false,
-        startTime: Date.now()
-      });
+      const emitHop = (hop) => {
+        if (seenHops.has(hop.hop)) return;
+        seenHops.add(hop.hop);
 
-      tracer
-        .on('pid', (processId) => {
-          pid = processId;
-          console.log(`🚀 [TracerouteExecutor] Process started with PID: ${pid}`);
-        })
-        .on('destination', (dest) => {
-          destination = dest;
-          console.log(`🎯 [TracerouteExecutor] Destination reached: ${dest}`);
-        })
-        .on('hop', async (hop) => {
-          try {
-            // Send raw hop data to callback for processing
-            if (onHopUpdate && typeof onHopUpdate === 'function') {
-              onHopUpdate({
-                type: 'hop',
-                rawData: hop,
-                progress: {
-                  current: hops.length + 1,
-                  total: maxHops,
-                  percentage: Math.round(((hops.length + 1) / maxHops) * 100)
-                }
-              });
-            }
+        try {
+          // Send raw hop data to callback for processing
+          if (onHopUpdate && typeof onHopUpdate === 'function') {
+            onHopUpdate({
+              type: 'hop',
+              rawData: hop,
+              progress: {
+                current: run.hops.length + 1,
+                total: maxHops,
+                percentage: Math.round(((run.hops.length + 1) / maxHops) * 100)
+              }
+            });
+          }
 
-            // Store raw hop data
-            hops.push(hop);
+          // Store raw hop data
+          run.hops.push(hop);
 
-          } catch (error) {
-            console.error('❌ [TracerouteExecutor] Error processing hop:', error);
+        } catch (error) {
+          console.error('❌ [TracerouteExecutor] Error processing hop:', error);
+        }
+      };
+
+      readline.createInterface({ input: child.stdout, terminal: false })
+        .on('line', (line) => {
+          if (!run.destination) {
+            const destination = this.commandBuilder.parseDestination(line, attempt);
+            if (destination) {
+              run.destination = destination;
+              console.log(`🎯 [TracerouteExecutor] Destination: ${destination}`);
+            }
           }
-        })
-        .on('close', (code) => {
-          if (timeoutId) clearTimeout(timeoutId);
-          
-          if (!isCompleted) {
-            isCompleted = true;
-            this.cleanupProcess(processId);
-            
-            if (code === 0 || hops.length > 0) {
-              const result = {
-                success: true,
-                target: target,
-                ipAddress: destination,
-                rawHops: hops,
-                totalHops: hops.length,
-                pid: pid,
-                exitCode: code
-              };
-
-              // Send final update
-              if (onHopUpdate && typeof onHopUpdate === 'function') {
-                onHopUpdate({
-                  type: 'complete',
-                  data: result
-                });
-              }
 
-              resolve(result);
+          const hop = this.commandBuilder.parseHop(line, attempt);
+          if (!hop) return;
+
+          // tracepath prints a line per probe - collect them until the TTL changes
+          if (attempt.parser === 'tracepath') {
+            if (pendingHop && pendingHop.hop === hop.hop) {
+              pendingHop = this.commandBuilder.buildHop(hop.hop, [...pendingHop.probes, ...hop.probes]);
             } else {
-              resolve({
-                success: false,
-                error: `Traceroute failed with exit code ${code}`
-              });
+              if (pendingHop) emitHop(pendingHop);
+              pendingHop = hop;
             }
+            return;
           }
-        })
-        .on('error', (error) => {
-          if (timeoutId) clearTimeout(timeoutId);
-          
-          if (!isCompleted) {
-            isCompleted = true;
-            this.cleanupProcess(processId);
-            console.error('❌ [TracerouteExecutor] Traceroute error:', error);
-            resolve({
-              success: false,
-              error: error.message || 'Traceroute failed'
-            });
-          }
+
+          emitHop(hop);
         });
 
-      // Start the traceroute
-      try {
-        console.log(`🚀 [TracerouteExecutor] Starting traceroute to ${target}`);
-        tracer.trace(target);
-      } catch (error) {
-        this.cleanupProcess(processId);
-        reject(error);
-      }
+      child.stderr.on('data', (chunk) => {
+        if (run.stderr.length < 2048) {
+          run.stderr += chunk.toString();
+        }
+      });
+
+      child.on('error', (error) => {
+        run.error = error;
+        finish();
+      });
+
+      child.on('close', (code) => {
+        if (pendingHop) {
+          emitHop(pendingHop);
+          pendingHop = null;
+        }
+        run.exitCode = code;
+        finish();
+      });
     });
   }
 
+  /**
+   * Only move on to the next method when this one is missing, needs
+   * privileges or isn't supported by the installed traceroute - not for
+   * ordinary failures such as an unresolvable host
+   */
+  shouldFallBack(run) {
+    if (run.error) {
+      return run.error.code === 'ENOENT' || run.error.code === 'EACCES';
+    }
+    return this.unsupportedPattern.test(run.stderr);
+  }
+
+  /**
+   * The most telling stderr line - the privilege/option complaint if there is one
+   */
+  summarizeStderr(stderr) {
+    const lines = stderr.split('\n').map(line => line.trim()).filter(Boolean);
+    return lines.find(line => this.unsupportedPattern.test(line)) || lines[0] || '';
+  }
+
+  /**
+   * Record of the probing method a run really used, next to what was requested
+   */
+  describeMethod(attempt, requested, failures) {
+    const matchesRequest = attempt.protocol === requested.protocol &&
+      (!requested.port || attempt.port === requested.port) &&
+      (!requested.paris || attempt.paris);
+
+    // The first failure is why the requested method itself couldn't run
+    let fallbackReason = null;
+    if (failures.length > 0) {
+      fallbackReason = failures[0].reason;
+    } else if (requested.paris && !attempt.paris) {
+      fallbackReason = `${attempt.command} can't hold the flow (Paris mode) for ${attempt.description}`;
+    } else if (requested.paris && requested.protocol === 'icmp') {
+      fallbackReason = 'Paris mode holds the flow constant for UDP and TCP probes only';
+    } else if (!matchesRequest) {
+      fallbackReason = `${attempt.command} only supports ${attempt.description}`;
+    }
+
+    return {
+      protocol: attempt.protocol,
+      port: attempt.port,
+      description: attempt.description,
+      command: attempt.command,
+      commandLine: `${attempt.command} ${attempt.args.join(' ')}`,
+      requested: { protocol: requested.protocol, port: requested.port || null, paris: !!requested.paris },
+      flowStable: attempt.paris,
+      sourcePort: attempt.sourcePort,
+      matchesRequest,
+      fallbackReason
+    };
+  }
+
   /**
    * Clean up a traceroute process
    */
   cleanupProcess(processId) {
     if (processId && this.activeProcesses.has(processId)) {
       const process = this.activeProcesses.get(processId);
-      if (process.tracer && !process.isCompleted) {
+      if (process.child && process.child.exitCode === null && !process.child.killed) {
         try {
-          // Attempt to stop the traceroute process
-          if (process.tracer.stop) {
-            process.tracer.stop();
-          }
+          // Stop the traceroute process if it is still running
+          process.child.kill();
         } catch (error) {
           console.log(`⚠️ [TracerouteExecutor] Error stopping process ${processId}:`, error);
         }
@@ -3,23 +3,31 @@ const TracerouteExecutor = require('./TracerouteExecutor');
 const HopProcessor = require('./HopProcessor');
 const TracerouteStatistics = require('./TracerouteStatistics');
 const ContinuousTracerouteManager = require('./ContinuousTracerouteManager');
+const MtrSessionManager = require('./MtrSessionManager');
+const MultipathDiscovery = require('./MultipathDiscovery');
 
 /**
  * Main TracerouteService that orchestrates all traceroute operations
  * Uses dependency injection pattern for better testability and modularity
  */
 class TracerouteService {
-  constructor() {
+  constructor(options = {}) {
     // Initialize dependencies
     this.configManager = new TracerouteConfig();
     this.executor = new TracerouteExecutor();
-    this.hopProcessor = new HopProcessor();
+    this.hopProcessor = new HopProcessor({ geoIpService: options.geoIpService });
     this.statisticsCalculator = new TracerouteStatistics();
     this.continuousManager = new ContinuousTracerouteManager(
       this.executor,
       this.hopProcessor,
       this.statisticsCalculator
     );
+    this.mtrManager = new MtrSessionManager(
+      this.executor,
+      this.hopProcessor,
+      this.statisticsCalculator
+    );
+    this.multipathDiscovery = new MultipathDiscovery(this.executor, this.hopProcessor);
   }
 
   /**
@@ -32,7 +40,7 @@ class TracerouteService {
       const validatedConfig = this.configManager.validateConfig(config);
       
       // Resolve target if needed
-      const resolvedTarget = await this.configManager.resolveTarget(validatedConfig.target);
+      const resolvedTarget = await this.configManager.resolveTarget(validatedConfig.target, validatedConfig.family);
       
       console.log(`🚀 [TracerouteService] Starting traceroute to ${resolvedTarget.ip}`);
 
@@ -191,9 +199,11 @@ class TracerouteService {
                 success: true,
                 target: validatedConfig.target,
                 ipAddress: destination || resolvedTarget.ip,
+                family: update.data.family || resolvedTarget.family,
                 hops: hops,
                 totalHops: hops.length,
                 pid: pid,
+                method: update.data.method,
                 statistics: stats
               };
 
@@ -214,6 +224,12 @@ class TracerouteService {
               reject(error);
             }
           }
+        }).then(result => {
+          // Failures never produce a 'complete' update
+          if (!result.success && !isCompleted) {
+            isCompleted = true;
+            resolve(result);
+          }
         }).catch(error => {
           console.error('❌ [TracerouteService] Traceroute execution failed:', error);
           if (!isCompleted) {
@@ -240,6 +256,8 @@ class TracerouteService {
     try {
       // Validate and normalize configuration for continuous mode
       const validatedConfig = this.configManager.validateContinuousConfig(config);
+      // Fails early for an unresolvable target or a literal of the other family
+      await this.configManager.resolveTarget(validatedConfig.target, validatedConfig.family);
       
       console.log(`🔄 [TracerouteService] Starting continuous traceroute to ${validatedConfig.target}`);
 
@@ -269,6 +287,77 @@ class TracerouteService {
     }
   }
 
+  /**
+   * Start an MTR session: discover the path once, then probe every hop each interval
+   */
+  async startMtr(config, onUpdate = null) {
+    try {
+      const validatedConfig = this.configManager.validateContinuousConfig(config);
+      await this.configManager.resolveTarget(validatedConfig.target, validatedConfig.family);
+
+      console.log(`📡 [TracerouteService] Starting MTR session to ${validatedConfig.target}`);
+
+      return await this.mtrManager.startSession(validatedConfig, onUpdate);
+    } catch (error) {
+      console.error('❌ [TracerouteService] Error starting MTR session:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Stop an MTR session by session ID
+   */
+  stopMtr(sessionId) {
+    try {
+      return this.mtrManager.stopSession(sessionId);
+    } catch (error) {
+      console.error('❌ [TracerouteService] Error stopping MTR session:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * mtr --report style text for an MTR session
+   */
+  getMtrReport(sessionId) {
+    try {
+      return this.mtrManager.getReport(sessionId);
+    } catch (error) {
+      console.error('❌ [TracerouteService] Error building MTR report:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Start multipath discovery: Paris traceroutes with varying flow IDs until
+   * every load-balanced path has most likely been seen
+   */
+  async startMultipath(config, onUpdate = null) {
+    try {
+      const validatedConfig = this.configManager.validateConfig({ ...config, paris: true });
+      await this.configManager.resolveTarget(validatedConfig.target, validatedConfig.family);
+
+      console.log(`🔀 [TracerouteService] Starting multipath discovery to ${validatedConfig.target} (up to ${validatedConfig.maxFlows} flows)`);
+
+      return await this.multipathDiscovery.startSession(validatedConfig, onUpdate);
+    } catch (error) {
+      console.error('❌ [TracerouteService] Error starting multipath discovery:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Stop a multipath discovery by session ID
+   */
+  stopMultipath(sessionId) {
+    try {
+      return this.multipathDiscovery.stopSession(sessionId);
+    } catch (error) {
+      console.error('❌ [TracerouteService] Error stopping multipath discovery:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Get all active continuous traceroutes
    * Maintains backward compatibility with existing API
@@ -366,6 +455,8 @@ class TracerouteService {
       console.log('🛑 [TracerouteService] Stopping all active operations');
       this.executor.stopAllProcesses();
       this.continuousManager.stopAllSessions();
+      this.mtrManager.stopAllSessions();
+      this.multipathDiscovery.stopAllSessions();
     } catch (error) {
       console.error('❌ [TracerouteService] Error stopping all operations:', error);
     }
@@ -20,10 +20,13 @@ class TracerouteStatistics {
       maxPingLatency: 0,
       minPingLatency: Infinity,
       packetLossRate: 0,
+      loadBalancedHops: 0,
+      loadBalancing: {},
       hopDistribution: {
         reachable: [],
         unreachable: [],
-        pingable: []
+        pingable: [],
+        loadBalanced: []
       }
     };
 
@@ -75,9 +78,57 @@ class TracerouteStatistics {
     const successfulPings = hops.filter(h => h.isReachable === true).length;
     stats.packetLossRate = totalPings > 0 ? ((totalPings - successfulPings) / totalPings) * 100 : 0;
 
+    // Per-hop load balancing (ECMP) indicator
+    stats.loadBalancing = this.calculateLoadBalancing(hops);
+    Object.values(stats.loadBalancing).forEach(entry => {
+      if (entry.isLoadBalanced) {
+        stats.loadBalancedHops++;
+        stats.hopDistribution.loadBalanced.push(entry.hop);
+      }
+    });
+
     return stats;
   }
 
+  /**
+   * Responders per TTL, keyed by hop number
+   * A TTL answered by more than one address sits on a load-balanced path.
+   * Continuous mode keeps one entry per hop/IP, so entries for the same TTL
+   * are combined; share is the fraction of answered probes per address.
+   */
+  calculateLoadBalancing(hops) {
+    const byHop = new Map();
+
+    hops.forEach(hop => {
+      if (!byHop.has(hop.hop)) {
+        byHop.set(hop.hop, new Map());
+      }
+      const counts = byHop.get(hop.hop);
+      const responders = hop.responders || (hop.ip ? [{ ip: hop.ip, times: hop.times || [] }] : []);
+
+      responders.forEach(responder => {
+        counts.set(responder.ip, (counts.get(responder.ip) || 0) + Math.max(1, responder.times.length));
+      });
+    });
+
+    const loadBalancing = {};
+    byHop.forEach((counts, hopNumber) => {
+      const total = Array.from(counts.values()).reduce((a, b) => a + b, 0);
+      loadBalancing[hopNumber] = {
+        hop: hopNumber,
+        isLoadBalanced: counts.size > 1,
+        responderCount: counts.size,
+        responders: Array.from(counts.entries()).map(([ip, answers]) => ({
+          ip,
+          answers,
+          share: total > 0 ? (answers / total) * 100 : 0
+        }))
+      };
+    });
+
+    return loadBalancing;
+  }
+
   /**
    * Calculate statistics for continuous mode
    */
@@ -139,6 +190,109 @@ class TracerouteStatistics {
     return trends;
   }
 
+  /**
+   * Running per-hop counters for MTR mode - constant size however long the session runs
+   */
+  createMtrCounters() {
+    return {
+      sent: 0,
+      received: 0,
+      last: null,
+      best: null,
+      worst: null,
+      mean: 0,
+      m2: 0, // Sum of squared deviations (Welford)
+      jitterMean: 0,
+      jitterCount: 0
+    };
+  }
+
+  /**
+   * Record one probe: rtt in ms, or null when it was lost
+   * Jitter is the absolute difference from the previous answered probe, as in mtr
+   */
+  recordMtrProbe(counters, rtt) {
+    counters.sent++;
+    if (typeof rtt !== 'number' || isNaN(rtt)) {
+      return counters;
+    }
+
+    if (counters.last !== null) {
+      const jitter = Math.abs(rtt - counters.last);
+      counters.jitterCount++;
+      counters.jitterMean += (jitter - counters.jitterMean) / counters.jitterCount;
+    }
+
+    counters.received++;
+    const delta = rtt - counters.mean;
+    counters.mean += delta / counters.received;
+    counters.m2 += delta * (rtt - counters.mean);
+
+    counters.last = rtt;
+    counters.best = counters.best === null ? rtt : Math.min(counters.best, rtt);
+    counters.worst = counters.worst === null ? rtt : Math.max(counters.worst, rtt);
+    return counters;
+  }
+
+  /**
+   * mtr columns from the running counters: Snt, Loss%, Last, Avg, Best, Wrst, StDev, Javg
+   */
+  getMtrStatistics(counters) {
+    const received = counters.received;
+    return {
+      sent: counters.sent,
+      received,
+      loss: counters.sent > 0 ? ((counters.sent - received) / counters.sent) * 100 : 0,
+      last: counters.last,
+      avg: received > 0 ? counters.mean : null,
+      best: counters.best,
+      worst: counters.worst,
+      stdev: received > 1 ? Math.sqrt(counters.m2 / (received - 1)) : (received === 1 ? 0 : null),
+      javg: counters.jitterCount > 0 ? counters.jitterMean : (received > 0 ? 0 : null)
+    };
+  }
+
+  /**
+   * Plain-text report in the layout of `mtr --report -o "LSNABWVM"`
+   * hops: [{ hop, host, extraHosts, stats }] with stats from getMtrStatistics
+   */
+  formatMtrReport({ localHostname, startTime, hops }) {
+    const fixed = value => (typeof value === 'number' ? value : 0).toFixed(1);
+    const columns = [
+      { title: 'Loss%', width: 6, value: stats => `${stats.loss.toFixed(1)}%` },
+      { title: 'Snt', width: 6, value: stats => `${stats.sent}` },
+      { title: 'Last', width: 6, value: stats => fixed(stats.last) },
+      { title: 'Avg', width: 6, value: stats => fixed(stats.avg) },
+      { title: 'Best', width: 6, value: stats => fixed(stats.best) },
+      { title: 'Wrst', width: 6, value: stats => fixed(stats.worst) },
+      { title: 'StDev', width: 6, value: stats => fixed(stats.stdev) },
+      { title: 'Javg', width: 6, value: stats => fixed(stats.javg) }
+    ];
+
+    const hostWidth = Math.max(25, ...hops.map(hop => hop.host.length));
+    const start = new Date(startTime);
+    const offset = -start.getTimezoneOffset();
+    const pad = value => String(Math.floor(Math.abs(value))).padStart(2, '0');
+    const localTime = new Date(start.getTime() + offset * 60000).toISOString().slice(0, 19);
+    const zone = `${offset >= 0 ? '+' : '-'}${pad(offset / 60)}${pad(offset % 60)}`;
+
+    const lines = [
+      `Start: ${localTime}${zone}`,
+      `HOST: ${localHostname.padEnd(hostWidth + 1)}${columns.map(column => column.title.padStart(column.width)).join('')}`
+    ];
+
+    hops.forEach(hop => {
+      const prefix = `${String(hop.hop).padStart(3)}.|-- `;
+      lines.push(`${prefix}${hop.host.padEnd(hostWidth)}${columns.map(column => column.value(hop.stats).padStart(column.width)).join('')}`);
+      // Other addresses seen at this TTL (load-balanced paths)
+      (hop.extraHosts || []).forEach(host => {
+        lines.push(`    |  \`|-- ${host}`);
+      });
+    });
+
+    return `${lines.join('\n')}\n`;
+  }
+
   /**
    * Calculate variance of a dataset
    */
@@ -224,6 +378,9 @@ class TracerouteStatistics {
     if (stats.unreachableHops > stats.totalHops * 0.3) {
       summary.recommendations.push('Many unreachable hops. Network path may be unstable.');
     }
+    if (stats.loadBalancedHops > 0) {
+      summary.recommendations.push('Load-balanced hops detected. Per-probe latency may vary with the path taken.');
+    }
 
     return summary;
   }
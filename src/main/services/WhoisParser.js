@@ -0,0 +1,179 @@
+/**
+ * Turns raw WHOIS text into structured fields
+ *
+ * Understands ICANN-style "Key: value" domain records (registries and
+ * registrars), ARIN's network/ASN records and the RPSL objects served by
+ * RIPE, APNIC, AFRINIC and LACNIC. Each field lists its known keys in
+ * priority order - the first key present in the response wins.
+ */
+class WhoisParser {
+  constructor() {
+    this.domainFields = {
+      domainName: ['domain name', 'domain', 'domain_name'],
+      registrar: ['registrar', 'sponsoring registrar', 'registrar name', 'registrar organization'],
+      registrarUrl: ['registrar url', 'referral url'],
+      registrarIanaId: ['registrar iana id'],
+      whoisServer: ['registrar whois server', 'whois server'],
+      createdDate: ['creation date', 'created', 'created on', 'registered on', 'registration time', 'domain registration date'],
+      updatedDate: ['updated date', 'last updated', 'last-modified', 'last modified', 'updated on', 'changed'],
+      expiryDate: [
+        'registry expiry date', 'registrar registration expiration date', 'expiration date',
+        'expiry date', 'expires', 'expires on', 'expire date', 'paid-till', 'expiration time'
+      ],
+      nameServers: ['name server', 'nserver', 'nameserver', 'name servers'],
+      status: ['domain status', 'status', 'state'],
+      dnssec: ['dnssec'],
+      registrantOrganization: ['registrant organization', 'registrant organisation', 'registrant'],
+      registrantCountry: ['registrant country', 'registrant country/economy'],
+      abuseEmail: ['registrar abuse contact email', 'abuse-mailbox']
+    };
+
+    this.networkFields = {
+      netRange: ['netrange', 'inetnum', 'inet6num'],
+      cidr: ['cidr', 'route', 'route6'],
+      netName: ['netname'],
+      organization: ['orgname', 'org-name', 'organization', 'owner', 'descr'],
+      country: ['country'],
+      asn: ['originas', 'origin'],
+      abuseEmail: ['orgabuseemail', 'abuse-mailbox', 'orgtechemail'],
+      createdDate: ['regdate', 'created'],
+      updatedDate: ['updated', 'last-modified', 'changed']
+    };
+
+    this.asnFields = {
+      asn: ['asnumber', 'aut-num'],
+      asName: ['asname', 'as-name'],
+      organization: ['orgname', 'org-name', 'organization', 'owner', 'descr'],
+      country: ['country'],
+      abuseEmail: ['orgabuseemail', 'abuse-mailbox', 'orgtechemail'],
+      createdDate: ['regdate', 'created'],
+      updatedDate: ['updated', 'last-modified', 'changed']
+    };
+
+    this.listFields = ['nameServers', 'status'];
+    this.dateFields = ['createdDate', 'updatedDate', 'expiryDate'];
+    this.notFoundPattern = /^(no match|not found|no entries found|no data found|%?\s*no (?:object|objects) found|domain not found|status:\s*free)/im;
+  }
+
+  /**
+   * Parse one WHOIS response for a domain, ip or asn query
+   */
+  parse(raw, type = 'domain') {
+    const entries = this.readEntries(raw || '');
+    const fields = type === 'ip' ? this.networkFields : type === 'asn' ? this.asnFields : this.domainFields;
+    const parsed = {};
+
+    for (const [field, keys] of Object.entries(fields)) {
+      const values = this.pickValues(entries, keys);
+      if (!values.length) continue;
+
+      if (this.listFields.includes(field)) {
+        parsed[field] = this.normalizeList(field, values);
+      } else if (this.dateFields.includes(field)) {
+        parsed[field] = this.normalizeDate(values[0]);
+      } else {
+        parsed[field] = values[0];
+      }
+    }
+
+    if (parsed.asn) {
+      parsed.asn = this.normalizeAsn(parsed.asn);
+    }
+
+    parsed.found = Object.keys(parsed).length > 0 && !this.isNotFound(raw);
+    return parsed;
+  }
+
+  /**
+   * Merge the parsed responses along a referral chain - later (more
+   * authoritative) servers override earlier ones, gaps are filled from earlier
+   */
+  merge(parsedList) {
+    const merged = {};
+    for (const parsed of parsedList) {
+      for (const [field, value] of Object.entries(parsed)) {
+        if (field === 'found') continue;
+        if (Array.isArray(value) ? value.length : value) {
+          merged[field] = value;
+        }
+      }
+    }
+    merged.found = parsedList.some(parsed => parsed.found);
+    return merged;
+  }
+
+  /**
+   * Collect "key: value" pairs into a Map of lower-case key -> values
+   * Comment lines (%, #) and the ICANN footer (>>> ...) are skipped
+   */
+  readEntries(raw) {
+    const entries = new Map();
+
+    for (const rawLine of raw.replace(/\r/g, '').split('\n')) {
+      const line = rawLine.trim();
+      if (!line || line.startsWith('%') || line.startsWith('#') || line.startsWith('>>>')) {
+        continue;
+      }
+
+      const match = line.match(/^([A-Za-z][\w \/.()-]*?)\s*:\s*(.*)$/);
+      if (!match || /^https?$/i.test(match[1])) continue;
+
+      const key = match[1].trim().toLowerCase();
+      const value = match[2].trim();
+      if (!value) continue;
+
+      if (!entries.has(key)) {
+        entries.set(key, []);
+      }
+      entries.get(key).push(value);
+    }
+
+    return entries;
+  }
+
+  /**
+   * Values of the first key (in priority order) present in the response
+   */
+  pickValues(entries, keys) {
+    for (const key of keys) {
+      if (entries.has(key)) {
+        return entries.get(key);
+      }
+    }
+    return [];
+  }
+
+  /**
+   * Name servers: lower-case host only; statuses: EPP code without the ICANN URL
+   */
+  normalizeList(field, values) {
+    const items = values
+      .flatMap(value => field === 'nameServers' ? value.split(/[\s,]+/).slice(0, 1) : [value.split(/\s+/)[0]])
+      .map(value => field === 'nameServers' ? value.toLowerCase().replace(/\.$/, '') : value)
+      .filter(Boolean);
+    return [...new Set(items)];
+  }
+
+  /**
+   * ISO 8601 when the date parses, the raw text otherwise
+   */
+  normalizeDate(value) {
+    const cleaned = value.replace(/\s*\(.*\)$/, '').trim();
+    const time = Date.parse(cleaned);
+    return isNaN(time) ? value : new Date(time).toISOString();
+  }
+
+  /**
+   * "15169", "AS15169" and "AS15169 GOOGLE" all become "AS15169"
+   */
+  normalizeAsn(value) {
+    const match = String(value).match(/(?:AS)?(\d+)/i);
+    return match ? `AS${match[1]}` : value;
+  }
+
+  isNotFound(raw) {
+    return this.notFoundPattern.test(raw || '');
+  }
+}
+
+module.exports = WhoisParser;
@@ -4,7 +4,9 @@ import Sidebar from './components/Sidebar';
 import Dashboard from './pages/Dashboard';
 import PingTool from './pages/PingTool';
 import TracerouteTool from './pages/TracerouteTool';
+import PmtuTool from './pages/PmtuTool';
 import PortScanner from './pages/PortScanner';
+import HostDiscovery from './pages/HostDiscovery';
 import NetworkInfo from './pages/NetworkInfo';
 import DnsLookup from './pages/DnsLookup';
 
@@ -19,7 +21,9 @@ function App() {
               <Route path="/" element={<Dashboard />} />
               <Route path="/ping" element={<PingTool />} />
               <Route path="/traceroute" element={<TracerouteTool />} />
+              <Route path="/pmtu" element={<PmtuTool />} />
               <Route path="/port-scanner" element={<PortScanner />} />
+              <Route path="/host-discovery" element={<HostDiscovery />} />
               <Route path="/network-info" element={<NetworkInfo />} />
               <Route path="/dns-lookup" element={<DnsLookup />} />
             </Routes>
@@ -0,0 +1,65 @@
+import React from 'react';
+
+const formatMs = (value) => (typeof value === 'number' ? value.toFixed(1) : '—');
+
+const columns = [
+  { key: 'loss', label: 'Loss%', format: stats => `${stats.loss.toFixed(1)}%` },
+  { key: 'sent', label: 'Snt', format: stats => stats.sent },
+  { key: 'last', label: 'Last', format: stats => formatMs(stats.last) },
+  { key: 'avg', label: 'Avg', format: stats => formatMs(stats.avg) },
+  { key: 'best', label: 'Best', format: stats => formatMs(stats.best) },
+  { key: 'worst', label: 'Wrst', format: stats => formatMs(stats.worst) },
+  { key: 'stdev', label: 'StDev', format: stats => formatMs(stats.stdev) },
+  { key: 'javg', label: 'Javg', format: stats => formatMs(stats.javg) }
+];
+
+const getLossColor = (loss, sent) => {
+  if (sent === 0) return 'text-gray-500';
+  if (loss === 0) return 'text-green-400';
+  if (loss < 5) return 'text-yellow-400';
+  if (loss < 50) return 'text-orange-400';
+  return 'text-red-400';
+};
+
+/**
+ * MTR figures per hop - rows are keyed by TTL so each cycle updates them in place
+ */
+const MtrTable = ({ hops }) => (
+  <div className="overflow-x-auto">
+    <table className="w-full text-sm">
+      <thead>
+        <tr className="text-gray-400 border-b border-dark-600">
+          <th className="text-left font-medium py-2 pr-2 w-10">#</th>
+          <th className="text-left font-medium py-2 pr-4">Host</th>
+          {columns.map(column => (
+            <th key={column.key} className="text-right font-medium py-2 px-2">{column.label}</th>
+          ))}
+        </tr>
+      </thead>
+      <tbody className="font-mono">
+        {hops.map(hop => (
+          <tr key={hop.hop} className="border-b border-dark-700 hover:bg-dark-700">
+            <td className="py-2 pr-2 text-gray-400">{hop.hop}.</td>
+            <td className="py-2 pr-4">
+              <div className={hop.ip ? 'text-white' : 'text-gray-500'}>{hop.hostname || hop.ip || '???'}</div>
+              {hop.hostname && hop.ip && <div className="text-xs text-gray-500">{hop.ip}</div>}
+              {(hop.responders || []).filter(responder => responder.ip !== hop.ip).map(responder => (
+                <div key={responder.ip} className="text-xs text-gray-500">`-- {responder.hostname || responder.ip}</div>
+              ))}
+            </td>
+            {columns.map(column => (
+              <td
+                key={column.key}
+                className={`py-2 px-2 text-right ${column.key === 'loss' ? getLossColor(hop.stats.loss, hop.stats.sent) : 'text-gray-300'}`}
+              >
+                {column.format(hop.stats)}
+              </td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+export default MtrTable;
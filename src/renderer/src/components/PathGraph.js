@@ -0,0 +1,131 @@
+import React, { useMemo } from 'react';
+
+const WIDTH = 960;
+const ROW_HEIGHT = 70;
+const TOP = 28;
+const GUTTER = 70; // TTL labels
+const NODE_RADIUS = 6;
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length - 1)}…` : text);
+
+/**
+ * Load-balanced paths found by multipath discovery, one row per answering
+ * TTL. Rows wider than one node are ECMP branch points; edge width follows
+ * the share of flows that took it and dashed edges span silent TTLs.
+ */
+const PathGraph = ({ graph }) => {
+  const layout = useMemo(() => {
+    if (!graph) return null;
+
+    const hops = [...new Set(graph.nodes.map(node => node.hop))].sort((a, b) => a - b);
+    const positions = new Map();
+    const flowCount = graph.nodes.find(node => node.id === 'source')?.flows.length || 1;
+
+    // Place each row under its predecessors to keep edges from crossing
+    hops.forEach((hop, rowIndex) => {
+      const row = graph.nodes
+        .filter(node => node.hop === hop)
+        .map((node) => {
+          const parents = graph.edges.filter(edge => edge.to === node.id && positions.has(edge.from));
+          const anchor = parents.length
+            ? parents.reduce((sum, edge) => sum + positions.get(edge.from).x, 0) / parents.length
+            : WIDTH / 2;
+          return { node, anchor };
+        })
+        .sort((a, b) => a.anchor - b.anchor || (a.node.ip || '').localeCompare(b.node.ip || ''));
+
+      const span = WIDTH - GUTTER * 2;
+      row.forEach(({ node }, index) => {
+        positions.set(node.id, {
+          x: GUTTER + (span * (index + 1)) / (row.length + 1),
+          y: TOP + rowIndex * ROW_HEIGHT
+        });
+      });
+    });
+
+    return {
+      hops,
+      positions,
+      flowCount,
+      height: TOP * 2 + (hops.length - 1) * ROW_HEIGHT + 12
+    };
+  }, [graph]);
+
+  if (!layout || graph.nodes.length <= 1) return null;
+
+  const { hops, positions, flowCount, height } = layout;
+  const branching = new Set(graph.branchingHops);
+
+  return (
+    <div>
+      <div className="bg-dark-900 rounded-lg overflow-x-auto border border-dark-700">
+        <svg viewBox={`0 0 ${WIDTH} ${height}`} className="w-full h-auto" style={{ minWidth: 640 }}>
+          {hops.map((hop, rowIndex) => (
+            <text key={hop} x={12} y={TOP + rowIndex * ROW_HEIGHT + 4} fill="#6b7280" fontSize="11" fontFamily="monospace">
+              {hop === 0 ? 'src' : `TTL ${hop}`}
+            </text>
+          ))}
+
+          {graph.edges.map((edge) => {
+            const from = positions.get(edge.from);
+            const to = positions.get(edge.to);
+            return (
+              <g key={`${edge.from}>${edge.to}`}>
+                <title>
+                  {`${edge.flows.length} of ${flowCount} flows${edge.gap > 0 ? ` · ${edge.gap} silent hop${edge.gap === 1 ? '' : 's'}` : ''}`}
+                </title>
+                <line
+                  x1={from.x}
+                  y1={from.y + NODE_RADIUS}
+                  x2={to.x}
+                  y2={to.y - NODE_RADIUS}
+                  stroke={edge.gap > 0 ? '#64748b' : '#60a5fa'}
+                  strokeWidth={1 + (3 * edge.flows.length) / flowCount}
+                  strokeDasharray={edge.gap > 0 ? '6 4' : undefined}
+                  strokeLinecap="round"
+                />
+              </g>
+            );
+          })}
+
+          {graph.nodes.map((node) => {
+            const { x, y } = positions.get(node.id);
+            const label = node.id === 'source' ? 'This host' : (node.hostname || node.ip);
+            const fill = node.isDestination ? '#22c55e' : branching.has(node.hop) ? '#facc15' : '#e5e7eb';
+            return (
+              <g key={node.id}>
+                <title>
+                  {node.id === 'source'
+                    ? `${flowCount} flows`
+                    : `${node.ip}${node.hostname ? ` (${node.hostname})` : ''}\nTTL ${node.hop} · ${node.flows.length} of ${flowCount} flows`}
+                </title>
+                <circle cx={x} cy={y} r={NODE_RADIUS} fill={fill} stroke="#0f172a" strokeWidth="1.5" />
+                <text x={x} y={y + NODE_RADIUS + 13} textAnchor="middle" fill="#e5e7eb" fontSize="10" fontFamily="monospace">
+                  {truncate(label, 24)}
+                </text>
+              </g>
+            );
+          })}
+        </svg>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-4 mt-3 text-xs text-gray-400">
+        <span className="flex items-center">
+          <span className="inline-block w-2.5 h-2.5 rounded-full mr-1" style={{ backgroundColor: '#facc15' }} />
+          Load-balanced hop
+        </span>
+        <span className="flex items-center">
+          <span className="inline-block w-2.5 h-2.5 rounded-full mr-1" style={{ backgroundColor: '#22c55e' }} />
+          Destination
+        </span>
+        <span className="flex items-center">
+          <span className="inline-block w-4 border-t-2 border-dashed mr-1" style={{ borderColor: '#64748b' }} />
+          Spans silent hops
+        </span>
+        <span>Edge width follows the share of flows that took it</span>
+      </div>
+    </div>
+  );
+};
+
+export default PathGraph;
@@ -0,0 +1,145 @@
+import React, { useState } from 'react';
+
+const formatRuns = (entry) => (
+  entry.fromRun === entry.toRun ? `run ${entry.fromRun}` : `runs ${entry.fromRun}–${entry.toRun}`
+);
+
+const formatAddress = (entry) => {
+  if (!entry) return '—';
+  if (!entry.ip) return '*';
+  const others = entry.responders.filter(ip => ip !== entry.ip);
+  return others.length ? `${entry.ip} (+${others.length})` : entry.ip;
+};
+
+// Same rule as the main process: lost probes and load-balanced responders
+// don't count, a TTL present in only one path does
+const isChanged = (before, after) => {
+  if (before && before.ip && after && after.ip) {
+    return !before.responders.includes(after.ip) && !after.responders.includes(before.ip);
+  }
+  return (!before && !!after?.ip) || (!after && !!before?.ip);
+};
+
+/**
+ * Path versions seen by a continuous session, with a TTL-by-TTL diff of any two
+ */
+const RouteDiff = ({ history, changes }) => {
+  const [fromVersion, setFromVersion] = useState(null);
+  const [toVersion, setToVersion] = useState(null);
+
+  const { versions = [], timeline = [], currentVersion } = history || {};
+  if (versions.length === 0) return null;
+
+  // Default to the change that led to the current path
+  const previousEntry = timeline.length > 1 ? timeline[timeline.length - 2] : null;
+  const selectedTo = versions.find(version => version.version === toVersion) ? toVersion : currentVersion;
+  const selectedFrom = versions.find(version => version.version === fromVersion)
+    ? fromVersion
+    : (previousEntry ? previousEntry.version : history.baselineVersion);
+
+  const from = versions.find(version => version.version === selectedFrom);
+  const to = versions.find(version => version.version === selectedTo);
+  const fromByHop = new Map(from.path.map(entry => [entry.hop, entry]));
+  const toByHop = new Map(to.path.map(entry => [entry.hop, entry]));
+  const hopNumbers = [...new Set([...fromByHop.keys(), ...toByHop.keys()])].sort((a, b) => a - b);
+  const changedCount = hopNumbers.filter(hop => isChanged(fromByHop.get(hop), toByHop.get(hop))).length;
+
+  const versionOptions = versions.map(version => (
+    <option key={version.version} value={version.version}>
+      v{version.version}{version.version === history.baselineVersion ? ' (baseline)' : ''}{version.version === currentVersion ? ' (current)' : ''}
+    </option>
+  ));
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <div className="text-sm text-gray-400 mb-2">Timeline</div>
+        <div className="flex flex-wrap gap-2">
+          {timeline.map(entry => (
+            <button
+              key={`${entry.version}-${entry.fromRun}`}
+              onClick={() => setToVersion(entry.version)}
+              title={`Since ${new Date(entry.startedAt).toLocaleTimeString()}`}
+              className={`px-2 py-1 rounded text-xs font-mono ${
+                entry.version === selectedTo
+                  ? 'bg-primary-600 text-white'
+                  : 'bg-dark-700 text-gray-400 hover:text-white'
+              }`}
+            >
+              v{entry.version} · {formatRuns(entry)}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3 text-sm">
+        <span className="text-gray-400">Compare</span>
+        <select
+          value={selectedFrom}
+          onChange={(e) => setFromVersion(parseInt(e.target.value))}
+          className="bg-dark-700 border border-dark-600 rounded px-2 py-1 text-white"
+        >
+          {versionOptions}
+        </select>
+        <span className="text-gray-400">with</span>
+        <select
+          value={selectedTo}
+          onChange={(e) => setToVersion(parseInt(e.target.value))}
+          className="bg-dark-700 border border-dark-600 rounded px-2 py-1 text-white"
+        >
+          {versionOptions}
+        </select>
+        <span className={changedCount > 0 ? 'text-yellow-400' : 'text-gray-500'}>
+          {selectedFrom === selectedTo ? 'same version' : `${changedCount} hop${changedCount === 1 ? '' : 's'} differ`}
+        </span>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-gray-400 border-b border-dark-600">
+              <th className="text-left font-medium py-2 pr-2 w-10">#</th>
+              <th className="text-left font-medium py-2 pr-4">v{selectedFrom}</th>
+              <th className="text-left font-medium py-2">v{selectedTo}</th>
+            </tr>
+          </thead>
+          <tbody className="font-mono">
+            {hopNumbers.map((hop) => {
+              const before = fromByHop.get(hop);
+              const after = toByHop.get(hop);
+              const changed = isChanged(before, after);
+              return (
+                <tr key={hop} className={`border-b border-dark-700 ${changed ? 'bg-yellow-500/10' : ''}`}>
+                  <td className="py-1.5 pr-2 text-gray-400">{hop}.</td>
+                  <td className={`py-1.5 pr-4 ${changed ? 'text-red-400' : 'text-gray-300'}`}>{formatAddress(before)}</td>
+                  <td className={`py-1.5 ${changed ? 'text-green-400' : 'text-gray-300'}`}>{formatAddress(after)}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {changes && changes.length > 0 && (
+        <div>
+          <div className="text-sm text-gray-400 mb-2">Recent changes</div>
+          <div className="space-y-1 text-xs font-mono">
+            {[...changes].reverse().map(change => (
+              <div key={`${change.runNumber}-${change.timestamp}`} className="text-gray-400">
+                <span className="text-gray-500">{new Date(change.timestamp).toLocaleTimeString()}</span>
+                {` run ${change.runNumber} · v${change.previousVersion} → v${change.version} · `}
+                {change.changes.map(hop => `${hop.hop}: ${hop.from || '—'} → ${hop.to || '—'}`).join(', ')}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <p className="text-xs text-gray-500">
+        Hops that timed out or answered from another load-balanced address aren't counted as changes; (+n) marks extra responders seen at that hop.
+      </p>
+    </div>
+  );
+};
+
+export default RouteDiff;
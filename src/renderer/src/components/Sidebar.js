@@ -4,8 +4,10 @@ import {
   Wifi, 
   Route, 
   Search, 
+  Radar,
   Network, 
   Globe,
+  Ruler,
   Activity,
   AlertTriangle,
   Loader,
@@ -22,7 +24,9 @@ const Sidebar = () => {
     { path: '/', icon: Home, label: 'Dashboard' },
     { path: '/ping', icon: Activity, label: 'Ping Tool' },
     { path: '/traceroute', icon: Route, label: 'Traceroute' },
+    { path: '/pmtu', icon: Ruler, label: 'Path MTU' },
     { path: '/port-scanner', icon: Search, label: 'Port Scanner' },
+    { path: '/host-discovery', icon: Radar, label: 'Host Discovery' },
     { path: '/network-info', icon: Network, label: 'Network Info' },
     { path: '/dns-lookup', icon: Globe, label: 'DNS Lookup' },
   ];
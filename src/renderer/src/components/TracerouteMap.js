@@ -0,0 +1,225 @@
+import React, { useMemo } from 'react';
+import world from '../data/world-110m.json';
+
+// Equirectangular projection cropped to the inhabited latitudes
+const WIDTH = 960;
+const LAT_TOP = 84;
+const LAT_BOTTOM = -58;
+const HEIGHT = Math.round(WIDTH * (LAT_TOP - LAT_BOTTOM) / 360);
+
+const project = (lon, lat) => [
+  ((lon + 180) / 360) * WIDTH,
+  ((LAT_TOP - Math.max(LAT_BOTTOM, Math.min(LAT_TOP, lat))) / (LAT_TOP - LAT_BOTTOM)) * HEIGHT
+];
+
+const toPath = (lines, close) => lines
+  .map(line => line.map(([lon, lat], index) => {
+    const [x, y] = project(lon, lat);
+    return `${index === 0 ? 'M' : 'L'}${x.toFixed(1)},${y.toFixed(1)}`;
+  }).join('') + (close ? 'Z' : ''))
+  .join('');
+
+// The geometry never changes - build the path strings once per session
+let worldPaths = null;
+const getWorldPaths = () => {
+  if (!worldPaths) {
+    const graticule = [];
+    for (let lon = -150; lon <= 150; lon += 30) graticule.push([[lon, LAT_BOTTOM], [lon, LAT_TOP]]);
+    for (let lat = -30; lat <= 60; lat += 30) graticule.push([[-180, lat], [180, lat]]);
+
+    worldPaths = {
+      land: toPath(world.land, true),
+      borders: toPath(world.borders, false),
+      graticule: toPath(graticule, false)
+    };
+  }
+  return worldPaths;
+};
+
+const deltaColors = [
+  { max: 10, color: '#22c55e', label: '< 10 ms' },
+  { max: 50, color: '#eab308', label: '10–50 ms' },
+  { max: 100, color: '#f97316', label: '50–100 ms' },
+  { max: Infinity, color: '#ef4444', label: '≥ 100 ms' }
+];
+
+/**
+ * Best latency figure available for a hop: ping average, then probe times, then ping history
+ */
+const getHopLatency = (hop) => {
+  if (typeof hop.avgLatency === 'number' && !isNaN(hop.avgLatency)) return hop.avgLatency;
+
+  const times = (hop.times || []).filter(time => typeof time === 'number' && !isNaN(time));
+  if (times.length) return times.reduce((sum, time) => sum + time, 0) / times.length;
+
+  const pings = (hop.pingHistory || []).filter(ping => typeof ping.latency === 'number');
+  return pings.length ? pings[pings.length - 1].latency : null;
+};
+
+const getDeltaColor = (delta) => {
+  if (delta === null) return '#6b7280';
+  return deltaColors.find(entry => delta < entry.max).color;
+};
+
+/**
+ * Split a segment that is shorter going across the antimeridian into two
+ * pieces that leave and re-enter at the map edges
+ */
+const buildSegmentPaths = (from, to) => {
+  if (Math.abs(to.lon - from.lon) <= 180) {
+    return [toPath([[[from.lon, from.lat], [to.lon, to.lat]]], false)];
+  }
+
+  const edge = from.lon > 0 ? 180 : -180;
+  const wrappedTo = to.lon + (edge > 0 ? 360 : -360);
+  const edgeLat = from.lat + (to.lat - from.lat) * ((edge - from.lon) / (wrappedTo - from.lon));
+  return [
+    toPath([[[from.lon, from.lat], [edge, edgeLat]]], false),
+    toPath([[[-edge, edgeLat], [to.lon, to.lat]]], false)
+  ];
+};
+
+const describeHop = (hop) => {
+  if (!hop.ip) return 'no response';
+  if (hop.geo && hop.geo.scope === 'private') return `${hop.ip}, private`;
+  return hop.geo ? hop.ip : `${hop.ip}, not located`;
+};
+
+const TracerouteMap = ({ hops }) => {
+  const paths = getWorldPaths();
+
+  const { points, segments, unlocated, lastHop } = useMemo(() => {
+    // Continuous mode keeps one entry per hop/IP; show the latest responder per TTL
+    const byHop = new Map();
+    [...(hops || [])]
+      .sort((a, b) => a.hop - b.hop)
+      .forEach(hop => byHop.set(hop.hop, hop));
+
+    const located = [];
+    const missing = [];
+    byHop.forEach((hop) => {
+      if (hop.geo && typeof hop.geo.latitude === 'number' && typeof hop.geo.longitude === 'number') {
+        located.push({ hop, lat: hop.geo.latitude, lon: hop.geo.longitude, latency: getHopLatency(hop) });
+      } else {
+        missing.push(hop);
+      }
+    });
+
+    // Hops that share coordinates (same city or country centroid) share one marker
+    const markers = new Map();
+    located.forEach((point) => {
+      const key = `${point.lat},${point.lon}`;
+      if (!markers.has(key)) {
+        markers.set(key, { ...point, hops: [] });
+      }
+      markers.get(key).hops.push(point.hop);
+    });
+
+    const pathSegments = [];
+    for (let i = 1; i < located.length; i++) {
+      const from = located[i - 1];
+      const to = located[i];
+      if (from.lat === to.lat && from.lon === to.lon) continue;
+
+      const delta = from.latency !== null && to.latency !== null ? Math.max(0, to.latency - from.latency) : null;
+      pathSegments.push({
+        key: `${from.hop.hop}-${to.hop.hop}`,
+        paths: buildSegmentPaths(from, to),
+        color: getDeltaColor(delta),
+        // Dashed when unlocated hops sit between the two ends
+        dashed: to.hop.hop - from.hop.hop > 1,
+        title: `Hop ${from.hop.hop} → ${to.hop.hop}: ${delta === null ? 'latency unknown' : `+${delta.toFixed(1)} ms`}`
+      });
+    }
+
+    return {
+      points: [...markers.values()],
+      segments: pathSegments,
+      unlocated: missing,
+      lastHop: located.length ? located[located.length - 1].hop : null
+    };
+  }, [hops]);
+
+  return (
+    <div>
+      <div className="bg-dark-900 rounded-lg overflow-hidden border border-dark-700">
+        <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto">
+          <rect width={WIDTH} height={HEIGHT} fill="#0f172a" />
+          <path d={paths.graticule} fill="none" stroke="#1f2937" strokeWidth="0.5" />
+          <path d={paths.land} fill="#1e293b" stroke="#334155" strokeWidth="0.5" />
+          <path d={paths.borders} fill="none" stroke="#334155" strokeWidth="0.4" />
+
+          {segments.map(segment => (
+            <g key={segment.key}>
+              <title>{segment.title}</title>
+              {segment.paths.map((d, index) => (
+                <path
+                  key={index}
+                  d={d}
+                  fill="none"
+                  stroke={segment.color}
+                  strokeWidth="2"
+                  strokeLinecap="round"
+                  strokeDasharray={segment.dashed ? '6 4' : undefined}
+                />
+              ))}
+            </g>
+          ))}
+
+          {points.map((point) => {
+            const [x, y] = project(point.lon, point.lat);
+            const isLast = point.hops.includes(lastHop);
+            const label = point.hops.map(hop => hop.hop).join(',');
+            const location = [point.hop.geo.city, point.hop.geo.country].filter(Boolean).join(', ');
+            return (
+              <g key={`${point.lat},${point.lon}`}>
+                <title>
+                  {`Hop ${label}${location ? ` · ${location}` : ''}\n${point.hops.map(hop => `${hop.ip}${hop.geo.asn ? ` (${hop.geo.asn})` : ''}`).join('\n')}`}
+                </title>
+                <circle cx={x} cy={y} r={isLast ? 6 : 4.5} fill={isLast ? '#3b82f6' : '#e5e7eb'} stroke="#0f172a" strokeWidth="1.5" />
+                <text x={x + 8} y={y - 6} fill="#e5e7eb" fontSize="11" fontFamily="monospace">{label}</text>
+              </g>
+            );
+          })}
+
+          {points.length === 0 && (
+            <text x={WIDTH / 2} y={HEIGHT / 2} textAnchor="middle" fill="#6b7280" fontSize="14">
+              No hops with a known location yet
+            </text>
+          )}
+        </svg>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-4 mt-3 text-xs text-gray-400">
+        <span>Latency added per segment:</span>
+        {deltaColors.map(entry => (
+          <span key={entry.label} className="flex items-center">
+            <span className="inline-block w-4 h-1 rounded mr-1" style={{ backgroundColor: entry.color }} />
+            {entry.label}
+          </span>
+        ))}
+        <span className="flex items-center">
+          <span className="inline-block w-4 border-t-2 border-dashed border-gray-400 mr-1" />
+          skips unlocated hops
+        </span>
+      </div>
+
+      {unlocated.length > 0 && (
+        <div className="flex flex-wrap gap-2 mt-3 text-xs">
+          <span className="text-gray-400">Not on map:</span>
+          {unlocated.map(hop => (
+            <span key={hop.hopKey || hop.hop} className="px-2 py-0.5 rounded bg-dark-700 text-gray-400 font-mono">
+              {hop.hop} ({describeHop(hop)})
+            </span>
+          ))}
+        </div>
+      )}
+
+      <p className="mt-2 text-xs text-gray-500">
+        Locations come from the bundled GeoIP database and are often only country-level; router interfaces may be placed at their operator's registered address.
+      </p>
+    </div>
+  );
+};
+
+export default TracerouteMap;
@@ -4,8 +4,10 @@ import {
   Activity, 
   Route, 
   Search, 
+  Radar,
   Network, 
   Globe, 
+  Ruler,
   Wifi,
   Clock,
   TrendingUp
@@ -49,6 +51,14 @@ const Dashboard = () => {
       color: 'bg-green-500',
       features: ['Hop-by-hop analysis', 'Latency measurement', 'Path visualization']
     },
+    {
+      title: 'Path MTU',
+      description: 'Find the largest packet a path carries',
+      icon: Ruler,
+      path: '/pmtu',
+      color: 'bg-yellow-500',
+      features: ['DF binary search', 'MTU per hop', 'Black-hole detection']
+    },
     {
       title: 'Port Scanner',
       description: 'Discover open ports and services',
@@ -57,6 +67,14 @@ const Dashboard = () => {
       color: 'bg-purple-500',
       features: ['TCP/UDP scanning', 'Service detection', 'Concurrent scanning']
     },
+    {
+      title: 'Host Discovery',
+      description: 'Find live hosts on a network',
+      icon: Radar,
+      path: '/host-discovery',
+      color: 'bg-teal-500',
+      features: ['ICMP sweep', 'TCP probes', 'ARP & vendor lookup']
+    },
     {
       title: 'Network Info',
       description: 'View system network interfaces',
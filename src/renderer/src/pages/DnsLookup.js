@@ -1,5 +1,5 @@
-import React, { useState } from 'react';
-import { Globe, Search, Settings, FileText } from 'lucide-react';
+import React, { useState, useEffect } from 'react';
+import { Globe, Search, Settings, FileText, GitCompare, ListTree, Square, Route, ShieldCheck } from 'lucide-react';
 
 const DnsLookup = () => {
   const [domain, setDomain] = useState('');
@@ -8,7 +8,68 @@ const DnsLookup = () => {
   const [whoisResults, setWhoisResults] = useState(null);
   const [dnsLoading, setDnsLoading] = useState(false);
   const [whoisLoading, setWhoisLoading] = useState(false);
+  const [showWhoisRaw, setShowWhoisRaw] = useState(false);
+  const [whoisProtocol, setWhoisProtocol] = useState('whois');
+  const [rdapBootstrap, setRdapBootstrap] = useState(null);
+  const [rdapRefreshing, setRdapRefreshing] = useState(false);
   const [error, setError] = useState('');
+  const [selectedTypes, setSelectedTypes] = useState(['A', 'AAAA', 'MX', 'NS', 'TXT', 'CNAME', 'SOA', 'CAA']);
+  const [activeTab, setActiveTab] = useState(null);
+  const [resolver, setResolver] = useState('system');
+  const [customResolver, setCustomResolver] = useState('');
+  const [transport, setTransport] = useState('udp');
+  const [compareType, setCompareType] = useState('A');
+  const [compareServers, setCompareServers] = useState(['system', '1.1.1.1', '8.8.8.8', '9.9.9.9']);
+  const [compareCustom, setCompareCustom] = useState('');
+  const [compareResults, setCompareResults] = useState(null);
+  const [compareLoading, setCompareLoading] = useState(false);
+  const [dnssecType, setDnssecType] = useState('A');
+  const [dnssecResults, setDnssecResults] = useState(null);
+  const [dnssecLoading, setDnssecLoading] = useState(false);
+  const [traceType, setTraceType] = useState('A');
+  const [traceResults, setTraceResults] = useState(null);
+  const [traceLoading, setTraceLoading] = useState(false);
+  const [reverseTargets, setReverseTargets] = useState('');
+  const [reverseResults, setReverseResults] = useState([]);
+  const [reverseProgress, setReverseProgress] = useState(null);
+  const [reverseSummary, setReverseSummary] = useState(null);
+  const [reverseLoading, setReverseLoading] = useState(false);
+  const [reverseSessionId, setReverseSessionId] = useState(null);
+
+  // Clean up on unmount
+  useEffect(() => {
+    return () => {
+      if (window.electronAPI && window.electronAPI.removeReverseLookupUpdate) {
+        window.electronAPI.removeReverseLookupUpdate();
+      }
+    };
+  }, []);
+
+  const resolverPresets = [
+    { value: 'system', label: 'System resolver' },
+    { value: '1.1.1.1', label: 'Cloudflare (1.1.1.1)' },
+    { value: '8.8.8.8', label: 'Google (8.8.8.8)' },
+    { value: '9.9.9.9', label: 'Quad9 (9.9.9.9)' },
+    { value: '208.67.222.222', label: 'OpenDNS (208.67.222.222)' }
+  ];
+
+  // Only offered in the comparison panel - the lookup panel picks a transport instead
+  const encryptedPresets = [
+    { value: 'tls://1.1.1.1', label: 'Cloudflare DoT' },
+    { value: 'https://dns.google/dns-query', label: 'Google DoH' }
+  ];
+
+  const transportOptions = [
+    { value: 'udp', label: 'Plain DNS (UDP/53)' },
+    { value: 'dot', label: 'DNS-over-TLS' },
+    { value: 'doh', label: 'DNS-over-HTTPS' },
+    { value: 'doh-json', label: 'DoH (JSON API)' }
+  ];
+
+  const transportLabels = { udp: 'UDP', dot: 'DoT', doh: 'DoH', 'doh-json': 'DoH JSON' };
+
+  const commonTypes = ['A', 'AAAA', 'MX', 'NS', 'TXT', 'CNAME', 'SOA', 'CAA'];
+  const allTypes = ['A', 'AAAA', 'MX', 'NS', 'TXT', 'CNAME', 'SOA', 'SRV', 'CAA', 'PTR', 'NAPTR', 'DS', 'DNSKEY', 'ANY'];
 
   const handleDnsLookup = async () => {
     console.log('🚀 [DNS] Button clicked - Starting DNS lookup operation');
@@ -20,6 +81,11 @@ const DnsLookup = () => {
       return;
     }
 
+    if (!selectedTypes.length) {
+      setError('Please select at least one record type');
+      return;
+    }
+
     console.log('⏳ [DNS] Setting loading state and clearing previous results');
     setDnsLoading(true);
     setError('');
@@ -27,12 +93,14 @@ const DnsLookup = () => {
 
     try {
       console.log('📡 [DNS] Calling DNS lookup API for domain:', domain);
-      const result = await window.electronAPI.dnsLookup(domain);
+      const server = resolver === 'custom' ? customResolver.trim() : resolver;
+      const result = await window.electronAPI.dnsLookup(domain, { types: selectedTypes, server, transport });
       console.log('✅ [DNS] DNS lookup completed:', result);
       
       if (result && result.success) {
         console.log('✅ [DNS] DNS lookup successful, data:', result.data);
         setDnsResults(result);
+        setActiveTab(result.queriedTypes.find(type => result.data[type]) || result.queriedTypes[0]);
       } else {
         console.log('❌ [DNS] DNS lookup failed:', result?.error || 'Unknown error');
         setError(result?.error || 'DNS lookup failed');
@@ -46,6 +114,209 @@ const DnsLookup = () => {
     }
   };
 
+  const handleCompare = async () => {
+    console.log('🚀 [DNS] Button clicked - Starting resolver comparison');
+
+    if (!domain.trim()) {
+      setError('Please enter a domain');
+      return;
+    }
+
+    const servers = [
+      ...compareServers,
+      ...compareCustom.split(',').map(server => server.trim()).filter(Boolean)
+    ];
+    if (servers.length < 2) {
+      setError('Select at least two resolvers to compare');
+      return;
+    }
+
+    setCompareLoading(true);
+    setError('');
+    setCompareResults(null);
+
+    try {
+      console.log('📡 [DNS] Comparing resolvers:', servers);
+      const result = await window.electronAPI.compareResolvers(domain, { type: compareType, servers });
+      console.log('✅ [DNS] Resolver comparison completed:', result);
+
+      if (result && result.success) {
+        setCompareResults(result);
+      } else {
+        setError(result?.error || 'Resolver comparison failed');
+      }
+    } catch (err) {
+      console.log('❌ [DNS] Error occurred:', err);
+      setError(err.message || 'Resolver comparison failed');
+    } finally {
+      setCompareLoading(false);
+    }
+  };
+
+  const toggleCompareServer = (server) => {
+    setCompareServers(prev => prev.includes(server) ? prev.filter(s => s !== server) : [...prev, server]);
+  };
+
+  const getResolverLabel = (server) => {
+    const preset = [...resolverPresets, ...encryptedPresets].find(p => p.value === server);
+    return preset ? preset.label : server;
+  };
+
+  const handleDnssecCheck = async () => {
+    console.log('🚀 [DNS] Button clicked - Starting DNSSEC validation');
+
+    if (!domain.trim()) {
+      setError('Please enter a domain');
+      return;
+    }
+
+    setDnssecLoading(true);
+    setError('');
+    setDnssecResults(null);
+
+    try {
+      // Signed data is fetched over plain DNS, so encrypted transports fall back to the system resolver
+      const server = transport === 'udp' ? (resolver === 'custom' ? customResolver.trim() : resolver) : 'system';
+      console.log('📡 [DNS] Validating DNSSEC for', domain, dnssecType, 'via', server);
+      const result = await window.electronAPI.dnssecCheck(domain, { type: dnssecType, server });
+      console.log('✅ [DNS] DNSSEC validation completed:', result);
+
+      if (result && result.success) {
+        setDnssecResults(result);
+      } else {
+        setError(result?.error || 'DNSSEC validation failed');
+      }
+    } catch (err) {
+      console.log('❌ [DNS] Error occurred:', err);
+      setError(err.message || 'DNSSEC validation failed');
+    } finally {
+      setDnssecLoading(false);
+    }
+  };
+
+  const getDnssecStyle = (step) => {
+    if (step.status === 'bogus') return { border: 'border-red-500', dot: 'bg-red-500', text: 'text-red-400', label: 'Bogus' };
+    if (step.status === 'insecure') return { border: 'border-yellow-500', dot: 'bg-yellow-500', text: 'text-yellow-400', label: 'Insecure' };
+    if (step.warnings.length) return { border: 'border-yellow-500', dot: 'bg-yellow-500', text: 'text-yellow-400', label: 'Secure (warnings)' };
+    return { border: 'border-green-500', dot: 'bg-green-500', text: 'text-green-400', label: 'Secure' };
+  };
+
+  const whoisFieldLabels = {
+    domainName: 'Domain',
+    registrar: 'Registrar',
+    registrarUrl: 'Registrar URL',
+    registrarIanaId: 'IANA ID',
+    whoisServer: 'WHOIS Server',
+    registrantOrganization: 'Registrant',
+    registrantCountry: 'Registrant Country',
+    netRange: 'Net Range',
+    cidr: 'CIDR',
+    netName: 'Net Name',
+    asn: 'ASN',
+    asName: 'AS Name',
+    organization: 'Organization',
+    country: 'Country',
+    createdDate: 'Created',
+    updatedDate: 'Updated',
+    expiryDate: 'Expires',
+    dnssec: 'DNSSEC',
+    abuseEmail: 'Abuse Contact',
+    nameServers: 'Name Servers',
+    status: 'Status'
+  };
+
+  const formatWhoisValue = (field, value) => {
+    if (Array.isArray(value)) return value.join('\n');
+    if (field.endsWith('Date') && !isNaN(Date.parse(value))) return value.replace('T', ' ').replace(/\.\d+Z$/, ' UTC');
+    return value;
+  };
+
+  const formatTimestamp = (seconds) => new Date(seconds * 1000).toISOString().replace('T', ' ').replace(/\.\d+Z$/, ' UTC');
+
+  const handleTrace = async () => {
+    console.log('🚀 [DNS] Button clicked - Starting delegation trace');
+
+    if (!domain.trim()) {
+      setError('Please enter a domain');
+      return;
+    }
+
+    setTraceLoading(true);
+    setError('');
+    setTraceResults(null);
+
+    try {
+      console.log('📡 [DNS] Tracing', domain, traceType);
+      const result = await window.electronAPI.traceDns(domain, { type: traceType });
+      console.log('✅ [DNS] Trace completed:', result);
+
+      if (result && result.steps) {
+        setTraceResults(result);
+      } else {
+        setError(result?.error || 'DNS trace failed');
+      }
+    } catch (err) {
+      console.log('❌ [DNS] Error occurred:', err);
+      setError(err.message || 'DNS trace failed');
+    } finally {
+      setTraceLoading(false);
+    }
+  };
+
+  const handleBulkReverse = async () => {
+    console.log('🚀 [DNS] Button clicked - Starting bulk reverse lookup');
+
+    if (!reverseTargets.trim()) {
+      setError('Please enter IP addresses or a CIDR block');
+      return;
+    }
+
+    setReverseLoading(true);
+    setError('');
+    setReverseResults([]);
+    setReverseSummary(null);
+    setReverseProgress(null);
+
+    if (window.electronAPI && window.electronAPI.onReverseLookupUpdate) {
+      window.electronAPI.removeReverseLookupUpdate();
+      window.electronAPI.onReverseLookupUpdate((update) => {
+        if (update.sessionId) {
+          setReverseSessionId(update.sessionId);
+        }
+        if (update.type === 'result') {
+          setReverseResults(prev => [...prev, update.result]);
+          setReverseProgress(update.progress);
+        }
+      });
+    }
+
+    try {
+      const server = resolver === 'custom' ? customResolver.trim() : resolver;
+      const result = await window.electronAPI.bulkReverseLookup({ targets: reverseTargets.trim(), server, transport });
+      console.log('✅ [DNS] Bulk reverse lookup completed:', result);
+
+      if (result && result.success) {
+        setReverseResults(result.results);
+        setReverseSummary(result);
+      } else {
+        setError(result?.error || 'Reverse lookup failed');
+      }
+    } catch (err) {
+      console.log('❌ [DNS] Error occurred:', err);
+      setError(err.message || 'Reverse lookup failed');
+    } finally {
+      setReverseLoading(false);
+      setReverseSessionId(null);
+      setReverseProgress(null);
+    }
+  };
+
+  const handleStopReverse = async () => {
+    if (!reverseSessionId) return;
+    console.log('🛑 [DNS] Stopping bulk reverse lookup:', reverseSessionId);
+    await window.electronAPI.stopProcess(reverseSessionId);
+  };
+
   const handleWhoisLookup = async () => {
     console.log('🚀 [WHOIS] Button clicked - Starting WHOIS lookup operation');
     console.log('📊 [WHOIS] Query:', whoisQuery);
@@ -62,8 +333,10 @@ const DnsLookup = () => {
     setWhoisResults(null);
 
     try {
-      console.log('📡 [WHOIS] Calling WHOIS lookup API for query:', whoisQuery);
-      const result = await window.electronAPI.whoisLookup(whoisQuery);
+      console.log(`📡 [WHOIS] Calling ${whoisProtocol.toUpperCase()} lookup API for query:`, whoisQuery);
+      const result = whoisProtocol === 'rdap'
+        ? await window.electronAPI.rdapLookup(whoisQuery)
+        : await window.electronAPI.whoisLookup(whoisQuery);
       console.log('✅ [WHOIS] WHOIS lookup completed:', result);
       
       if (result && result.success) {
@@ -82,6 +355,31 @@ const DnsLookup = () => {
     }
   };
 
+  const loadRdapBootstrap = async (refresh = false) => {
+    console.log(`📡 [WHOIS] ${refresh ? 'Refreshing' : 'Loading'} RDAP bootstrap registries`);
+    if (refresh) setRdapRefreshing(true);
+
+    try {
+      const result = await window.electronAPI.rdapBootstrap(refresh);
+      if (result && result.registries) {
+        setRdapBootstrap(result.registries);
+      }
+      if (result && !result.success) {
+        setError(result.error || 'RDAP bootstrap refresh failed');
+      }
+    } catch (err) {
+      console.log('❌ [WHOIS] RDAP bootstrap error:', err);
+      setError(err.message || 'RDAP bootstrap refresh failed');
+    } finally {
+      setRdapRefreshing(false);
+    }
+  };
+
+  const toggleRecordType = (type) => {
+    console.log('🔀 [DNS] Toggled record type:', type);
+    setSelectedTypes(prev => prev.includes(type) ? prev.filter(t => t !== type) : [...prev, type]);
+  };
+
   const formatRecordType = (type) => {
     const colors = {
       'A': 'text-green-400',
@@ -89,7 +387,15 @@ const DnsLookup = () => {
       'MX': 'text-purple-400',
       'NS': 'text-yellow-400',
       'TXT': 'text-orange-400',
-      'CNAME': 'text-pink-400'
+      'CNAME': 'text-pink-400',
+      'SOA': 'text-cyan-400',
+      'SRV': 'text-indigo-400',
+      'CAA': 'text-teal-400',
+      'PTR': 'text-lime-400',
+      'NAPTR': 'text-amber-400',
+      'DS': 'text-emerald-400',
+      'DNSKEY': 'text-emerald-400',
+      'ANY': 'text-gray-300'
     };
     return colors[type] || 'text-gray-400';
   };
@@ -101,11 +407,55 @@ const DnsLookup = () => {
       'MX': 'Mail Exchange Record',
       'NS': 'Name Server Record',
       'TXT': 'Text Record',
-      'CNAME': 'Canonical Name Record'
+      'CNAME': 'Canonical Name Record',
+      'SOA': 'Start of Authority Record',
+      'SRV': 'Service Locator Record',
+      'CAA': 'Certification Authority Authorization',
+      'PTR': 'Pointer Record',
+      'NAPTR': 'Naming Authority Pointer',
+      'DS': 'Delegation Signer Record',
+      'DNSKEY': 'DNSSEC Public Key',
+      'ANY': 'All Records (RFC 8482 servers may return a minimal answer)'
     };
     return descriptions[type] || 'Unknown Record Type';
   };
 
+  // Render a single record returned by dns.promises (or the wire client) as text
+  const formatRecord = (type, record) => {
+    if (typeof record === 'string') return record;
+    if (Array.isArray(record)) return record.join('');
+
+    switch (record.type && type === 'ANY' ? record.type : type) {
+      case 'A':
+      case 'AAAA':
+        return record.address;
+      case 'MX':
+        return `${record.exchange} (Priority: ${record.priority})`;
+      case 'TXT':
+        return Array.isArray(record.entries) ? record.entries.join('') : String(record.entries);
+      case 'NS':
+      case 'CNAME':
+      case 'PTR':
+        return record.value;
+      case 'SOA':
+        return `${record.nsname} ${record.hostmaster} serial ${record.serial} refresh ${record.refresh} retry ${record.retry} expire ${record.expire} minimum ${record.minttl}`;
+      case 'SRV':
+        return `${record.name}:${record.port} (Priority: ${record.priority}, Weight: ${record.weight})`;
+      case 'CAA': {
+        const tag = ['issue', 'issuewild', 'iodef', 'contactemail', 'contactphone'].find(key => record[key] !== undefined);
+        return `${record.critical ? '[critical] ' : ''}${record.tag || tag} "${record.value !== undefined ? record.value : record[tag]}"`;
+      }
+      case 'NAPTR':
+        return `${record.order} ${record.preference} "${record.flags}" "${record.service}" "${record.regexp}" ${record.replacement || '.'}`;
+      case 'DS':
+        return `Key tag ${record.keyTag} • Algorithm ${record.algorithm} • Digest type ${record.digestType} • ${record.digest}`;
+      case 'DNSKEY':
+        return `Key tag ${record.keyTag} • ${record.isKSK ? 'KSK' : 'ZSK'} (flags ${record.flags}) • Algorithm ${record.algorithm} • ${record.publicKey}`;
+      default:
+        return JSON.stringify(record);
+    }
+  };
+
   return (
     <div className="space-y-6">
       <div>
@@ -130,7 +480,7 @@ const DnsLookup = () => {
               // Clear error when user starts typing
               if (error) setError('');
             }}
-            placeholder="example.com"
+            placeholder="example.com or an IP address for reverse lookup"
             disabled={dnsLoading}
             onKeyPress={(e) => {
               if (e.key === 'Enter' && !dnsLoading && domain.trim()) {
@@ -158,51 +508,148 @@ const DnsLookup = () => {
           </button>
         </div>
 
+        {/* Record Type Selection */}
+        <div className="mb-4">
+          <div className="flex items-center justify-between mb-2">
+            <span className="text-sm font-medium text-gray-300">Record Types</span>
+            <div className="flex space-x-3 text-sm">
+              <button onClick={() => setSelectedTypes(commonTypes)} className="text-blue-400 hover:text-blue-300">Common</button>
+              <button onClick={() => setSelectedTypes(allTypes.filter(type => type !== 'ANY'))} className="text-blue-400 hover:text-blue-300">All</button>
+              <button onClick={() => setSelectedTypes([])} className="text-gray-400 hover:text-gray-300">Clear</button>
+            </div>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            {allTypes.map((type) => (
+              <button
+                key={type}
+                onClick={() => toggleRecordType(type)}
+                disabled={dnsLoading}
+                title={getRecordDescription(type)}
+                className={`px-3 py-1 text-sm font-mono rounded border transition-colors ${
+                  selectedTypes.includes(type)
+                    ? 'bg-primary-600 border-primary-500 text-white'
+                    : 'bg-dark-700 border-dark-600 text-gray-400 hover:text-white'
+                }`}
+              >
+                {type}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {/* Resolver Selection */}
+        <div className="mb-4 flex items-center space-x-4">
+          <label className="text-sm font-medium text-gray-300">Resolver</label>
+          <select
+            value={resolver}
+            onChange={(e) => {
+              console.log('🛰️ [DNS] Resolver changed to:', e.target.value);
+              setResolver(e.target.value);
+            }}
+            disabled={dnsLoading}
+            className="px-3 py-2 bg-dark-700 border border-dark-600 rounded-lg text-white text-sm focus:outline-none focus:border-primary-500"
+          >
+            {resolverPresets.map((preset) => (
+              <option key={preset.value} value={preset.value}>{preset.label}</option>
+            ))}
+            <option value="custom">Custom...</option>
+          </select>
+          <select
+            value={transport}
+            onChange={(e) => {
+              console.log('🔒 [DNS] Transport changed to:', e.target.value);
+              setTransport(e.target.value);
+            }}
+            disabled={dnsLoading}
+            className="px-3 py-2 bg-dark-700 border border-dark-600 rounded-lg text-white text-sm focus:outline-none focus:border-primary-500"
+          >
+            {transportOptions.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          {resolver === 'custom' && (
+            <input
+              type="text"
+              value={customResolver}
+              onChange={(e) => setCustomResolver(e.target.value)}
+              placeholder={transport === 'udp' ? '10.0.0.53 or 10.0.0.53:5353' : 'dns.example.net or https://dns.example.net/dns-query'}
+              disabled={dnsLoading}
+              className="flex-1 px-3 py-2 bg-dark-700 border border-dark-600 rounded-lg text-white text-sm focus:outline-none focus:border-primary-500"
+            />
+          )}
+        </div>
+
         {/* DNS Results */}
         {dnsResults && (
           <div className="mt-6">
             {dnsResults.success ? (
-              <div className="space-y-4">
-                {Object.entries(dnsResults.data).map(([recordType, records]) => (
-                  <div key={recordType} className="bg-dark-700 rounded-lg p-4">
+              <div>
+                <div className="text-sm text-gray-400 mb-3">
+                  {dnsResults.reverse && (
+                    <span>Reverse lookup of <span className="font-mono text-gray-300">{dnsResults.ptrName}</span> - </span>
+                  )}
+                  Answered by {getResolverLabel(dnsResults.resolver)}
+                  {dnsResults.servers && dnsResults.servers.length > 0 && ` (${dnsResults.servers.join(', ')})`}
+                  {' '}over {transportLabels[dnsResults.transport] || 'UDP'} in {dnsResults.latency} ms
+                </div>
+                <div className="flex flex-wrap border-b border-dark-700 mb-4">
+                  {dnsResults.queriedTypes.map((recordType) => {
+                    const count = dnsResults.data[recordType] ? dnsResults.data[recordType].length : 0;
+                    return (
+                      <button
+                        key={recordType}
+                        onClick={() => setActiveTab(recordType)}
+                        className={`px-4 py-2 text-sm font-mono border-b-2 -mb-px transition-colors ${
+                          activeTab === recordType
+                            ? `border-primary-500 ${formatRecordType(recordType)}`
+                            : `border-transparent ${count ? 'text-gray-300' : 'text-gray-600'} hover:text-white`
+                        }`}
+                      >
+                        {recordType} <span className="text-xs text-gray-500">({count})</span>
+                      </button>
+                    );
+                  })}
+                </div>
+
+                {activeTab && (
+                  <div className="bg-dark-700 rounded-lg p-4">
                     <div className="flex items-center justify-between mb-3">
-                      <h3 className={`text-lg font-semibold ${formatRecordType(recordType)}`}>
-                        {recordType}
+                      <h3 className={`text-lg font-semibold ${formatRecordType(activeTab)}`}>
+                        {activeTab}
                       </h3>
                       <span className="text-sm text-gray-400">
-                        {getRecordDescription(recordType)}
+                        {getRecordDescription(activeTab)}
                       </span>
                     </div>
+                    {dnsResults.timings && dnsResults.timings.filter(timing => timing.type === activeTab).map((timing, index) => (
+                      <div key={index} className="text-xs text-gray-400 mb-3">
+                        {transportLabels[timing.transport]} • TLS handshake {timing.handshake} ms • query {timing.query} ms
+                      </div>
+                    ))}
                     
-                    <div className="space-y-2">
-                      {Array.isArray(records) ? (
-                        records.map((record, index) => (
-                          <div key={index} className="bg-dark-600 rounded p-3">
+                    {dnsResults.data[activeTab] ? (
+                      <div className="space-y-2">
+                        {dnsResults.data[activeTab].map((record, index) => (
+                          <div key={index} className="bg-dark-600 rounded p-3 flex items-start justify-between">
                             <span className="text-white font-mono break-all">
-                              {typeof record === 'object' && record.exchange ? 
-                                `${record.exchange} (Priority: ${record.priority})` : 
-                                Array.isArray(record) ? 
-                                  record.join(' ') : 
-                                  String(record)
-                              }
+                              {activeTab === 'ANY' && record.type && (
+                                <span className={`mr-2 ${formatRecordType(record.type)}`}>{record.type}</span>
+                              )}
+                              {formatRecord(activeTab, record)}
                             </span>
+                            {record.ttl !== undefined && (
+                              <span className="text-xs text-gray-400 ml-4 whitespace-nowrap">TTL {record.ttl}s</span>
+                            )}
                           </div>
-                        ))
-                      ) : (
-                        <div className="bg-dark-600 rounded p-3">
-                          <span className="text-white font-mono break-all">
-                            {typeof records === 'object' && records.exchange ? 
-                              `${records.exchange} (Priority: ${records.priority})` : 
-                              Array.isArray(records) ? 
-                                records.join(' ') : 
-                                String(records)
-                            }
-                          </span>
-                        </div>
-                      )}
-                    </div>
+                        ))}
+                      </div>
+                    ) : (
+                      <div className="text-gray-400 text-sm">
+                        No {activeTab} records ({dnsResults.errors[activeTab] || 'no data'})
+                      </div>
+                    )}
                   </div>
-                ))}
+                )}
               </div>
             ) : (
               <div className="bg-red-500/10 border border-red-500/20 rounded-lg p-4">
@@ -213,6 +660,465 @@ const DnsLookup = () => {
         )}
       </div>
 
+      {/* DNSSEC Validation */}
+      <div className="bg-dark-800 rounded-lg p-6 border border-dark-700">
+        <h2 className="text-xl font-semibold text-white mb-4 flex items-center">
+          <ShieldCheck className="w-5 h-5 mr-2" />
+          DNSSEC Validation
+        </h2>
+
+        <div className="flex items-center space-x-4 mb-4">
+          <p className="flex-1 text-sm text-gray-400">
+            Verify the chain of trust from the root key down to {domain.trim() ? <span className="font-mono text-gray-300">{domain.trim()}</span> : 'the domain above'}
+          </p>
+          <select
+            value={dnssecType}
+            onChange={(e) => setDnssecType(e.target.value)}
+            disabled={dnssecLoading}
+            className="px-3 py-2 bg-dark-700 border border-dark-600 rounded-lg text-white text-sm font-mono focus:outline-none focus:border-primary-500"
+          >
+            {allTypes.filter(type => type !== 'ANY').map((type) => (
+              <option key={type} value={type}>{type}</option>
+            ))}
+          </select>
+          <button
+            onClick={handleDnssecCheck}
+            disabled={dnssecLoading}
+            className="px-6 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-2"
+          >
+            {dnssecLoading ? (
+              <>
+                <div className="spinner"></div>
+                <span>Validating...</span>
+              </>
+            ) : (
+              <>
+                <ShieldCheck className="w-4 h-4" />
+                <span>Validate</span>
+              </>
+            )}
+          </button>
+        </div>
+
+        {dnssecResults && (
+          <div>
+            <div className={`text-sm mb-4 ${
+              dnssecResults.status === 'secure' ? 'text-green-400' : dnssecResults.status === 'insecure' ? 'text-yellow-400' : 'text-red-400'
+            }`}>
+              {dnssecResults.status === 'secure' && `${dnssecResults.domain} ${dnssecResults.type} is signed and validates from the root`}
+              {dnssecResults.status === 'insecure' && `${dnssecResults.domain} is not DNSSEC-signed (the chain ends in an unsigned delegation)`}
+              {dnssecResults.status === 'bogus' && `Chain of trust breaks at ${dnssecResults.brokenAt}`}
+              <span className="text-gray-500"> • {dnssecResults.duration} ms via {dnssecResults.server}</span>
+            </div>
+
+            <div className="space-y-3">
+              {dnssecResults.steps.map((step, index) => {
+                const style = getDnssecStyle(step);
+                return (
+                  <div key={index} className={`bg-dark-700 rounded-lg p-4 border-l-4 ${style.border}`}>
+                    <div className="flex items-center justify-between mb-2">
+                      <div className="flex items-center space-x-2">
+                        <span className={`w-2.5 h-2.5 rounded-full ${style.dot}`}></span>
+                        <span className="font-mono text-white">{step.zone === '.' ? '. (root)' : step.zone}</span>
+                        {step.kind === 'answer' && (
+                          <span className="text-xs text-gray-400">{step.type} answer • {step.rcode}</span>
+                        )}
+                      </div>
+                      <span className={`text-sm ${style.text}`}>{style.label}</span>
+                    </div>
+
+                    {step.ds && step.ds.length > 0 && (
+                      <div className="text-xs font-mono space-y-0.5 mb-2">
+                        {step.ds.map((ds, dsIndex) => (
+                          <div key={dsIndex} className={ds.matched ? 'text-green-400' : 'text-gray-500'}>
+                            {step.zone === '.' ? 'Anchor' : 'DS'} {ds.keyTag} • algorithm {ds.algorithm} • digest type {ds.digestType}
+                            {' '}{ds.matched ? '✓ matches a DNSKEY' : ds.supported ? '✗ no matching DNSKEY' : '(unsupported)'}
+                          </div>
+                        ))}
+                      </div>
+                    )}
+
+                    {step.keys && step.keys.length > 0 && (
+                      <div className="text-xs font-mono space-y-0.5 mb-2">
+                        {step.keys.map((key) => (
+                          <div key={`${key.keyTag}-${key.flags}`} className="text-gray-300">
+                            DNSKEY {key.keyTag} • {key.isKSK ? 'KSK' : 'ZSK'} • {key.algorithmName}
+                            {key.revoked && <span className="text-red-400"> • revoked</span>}
+                            {key.trusted && <span className="text-green-400"> • trusted via DS</span>}
+                          </div>
+                        ))}
+                      </div>
+                    )}
+
+                    {step.records && step.records.length > 0 && (
+                      <div className="text-xs font-mono space-y-0.5 mb-2">
+                        {step.records.map((record, recordIndex) => (
+                          <div key={recordIndex} className="text-gray-200 break-all">
+                            {record.name} <span className={formatRecordType(record.type)}>{record.type}</span> {formatRecord(record.type, record.data)}
+                          </div>
+                        ))}
+                      </div>
+                    )}
+
+                    {step.signatures.map((signature, signatureIndex) => (
+                      <div key={signatureIndex} className={`text-xs ${signature.valid ? 'text-green-400' : 'text-red-400'}`}>
+                        RRSIG over {signature.rrset} by {signature.signer === '.' ? 'root' : signature.signer}
+                        {signature.keyTag !== undefined && ` (key ${signature.keyTag})`}
+                        {signature.valid
+                          ? ` ✓ valid until ${formatTimestamp(signature.expiration)}`
+                          : ` ✗ ${signature.error}`}
+                      </div>
+                    ))}
+
+                    {step.messages.map((message, messageIndex) => (
+                      <div key={messageIndex} className={`text-sm mt-1 ${step.status === 'bogus' ? 'text-red-300' : 'text-gray-400'}`}>{message}</div>
+                    ))}
+                    {step.warnings.map((warning, warningIndex) => (
+                      <div key={warningIndex} className="text-sm mt-1 text-yellow-400">{warning}</div>
+                    ))}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Delegation Trace */}
+      <div className="bg-dark-800 rounded-lg p-6 border border-dark-700">
+        <h2 className="text-xl font-semibold text-white mb-4 flex items-center">
+          <Route className="w-5 h-5 mr-2" />
+          Delegation Trace
+        </h2>
+
+        <div className="flex items-center space-x-4 mb-4">
+          <p className="flex-1 text-sm text-gray-400">
+            Resolve {domain.trim() ? <span className="font-mono text-gray-300">{domain.trim()}</span> : 'the domain above'} iteratively from the root servers, one query per zone cut
+          </p>
+          <select
+            value={traceType}
+            onChange={(e) => setTraceType(e.target.value)}
+            disabled={traceLoading}
+            className="px-3 py-2 bg-dark-700 border border-dark-600 rounded-lg text-white text-sm font-mono focus:outline-none focus:border-primary-500"
+          >
+            {allTypes.filter(type => type !== 'ANY').map((type) => (
+              <option key={type} value={type}>{type}</option>
+            ))}
+          </select>
+          <button
+            onClick={handleTrace}
+            disabled={traceLoading}
+            className="px-6 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-2"
+          >
+            {traceLoading ? (
+              <>
+                <div className="spinner"></div>
+                <span>Tracing...</span>
+              </>
+            ) : (
+              <>
+                <Route className="w-4 h-4" />
+                <span>Trace</span>
+              </>
+            )}
+          </button>
+        </div>
+
+        {traceResults && (
+          <div className="space-y-3">
+            <div className={`text-sm ${traceResults.success ? 'text-gray-400' : 'text-red-400'}`}>
+              {traceResults.success
+                ? `${traceResults.rcode} after ${traceResults.steps.length} steps in ${traceResults.duration} ms${traceResults.authoritative ? ' - authoritative answer' : ''}`
+                : traceResults.error}
+            </div>
+
+            {traceResults.steps.map((step, index) => (
+              <div key={index} className="bg-dark-700 rounded-lg p-4">
+                <div className="flex flex-wrap items-center gap-2 mb-2">
+                  <span className="text-xs text-gray-500">#{index + 1}</span>
+                  <span className="font-mono text-white">{step.zone === '.' ? '. (root)' : step.zone}</span>
+                  {step.server && (
+                    <span className="text-sm text-gray-400">
+                      via {step.server} ({step.address}) • {step.latency} ms • {step.transport.toUpperCase()} • {step.size} bytes
+                    </span>
+                  )}
+                  {step.rcode && (
+                    <span className={`text-xs px-2 py-0.5 rounded ${step.rcode === 'NOERROR' ? 'bg-green-500/20 text-green-400' : 'bg-red-500/20 text-red-400'}`}>
+                      {step.rcode}
+                    </span>
+                  )}
+                  {step.flags && ['aa', 'tc', 'rd', 'ra', 'ad'].map((flag) => (
+                    <span
+                      key={flag}
+                      className={`text-xs px-1.5 py-0.5 rounded font-mono ${step.flags[flag] ? 'bg-primary-600/30 text-primary-300' : 'text-gray-600'}`}
+                    >
+                      {flag.toUpperCase()}
+                    </span>
+                  ))}
+                </div>
+
+                {step.failures && step.failures.map((failure, failureIndex) => (
+                  <div key={failureIndex} className="text-xs text-yellow-400">
+                    {failure.server} ({failure.address}): {failure.error}
+                  </div>
+                ))}
+
+                {step.referral && (
+                  <div className="text-sm">
+                    <span className="text-gray-400">Referral to </span>
+                    <span className="font-mono text-yellow-400">{step.referral.zone}</span>
+                    <div className="mt-1 space-y-0.5 font-mono text-xs">
+                      {step.referral.nameservers.map((ns) => (
+                        <div key={ns.name} className="text-gray-300">
+                          {ns.name} <span className="text-gray-500">{ns.addresses.length ? ns.addresses.join(', ') : ''}{!ns.glue && ' (no glue)'}</span>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
+                {step.answers && step.answers.length > 0 && (
+                  <div className="mt-1 space-y-0.5 font-mono text-xs">
+                    {step.answers.map((answer, answerIndex) => (
+                      <div key={answerIndex} className="text-gray-200 break-all">
+                        {answer.name} <span className="text-gray-500">{answer.ttl}</span> <span className={formatRecordType(answer.type)}>{answer.type}</span> {formatRecord(answer.type, answer.data)}
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                {step.answers && !step.answers.length && !step.referral && step.authority && step.authority.filter(record => record.type === 'SOA').map((soa, soaIndex) => (
+                  <div key={soaIndex} className="mt-1 font-mono text-xs text-gray-400 break-all">
+                    No {traceResults.type} records - SOA {soa.name}: {formatRecord('SOA', soa.data)}
+                  </div>
+                ))}
+
+                {step.error && <div className="text-sm text-red-400 mt-1">{step.error}</div>}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Bulk Reverse DNS */}
+      <div className="bg-dark-800 rounded-lg p-6 border border-dark-700">
+        <h2 className="text-xl font-semibold text-white mb-4 flex items-center">
+          <ListTree className="w-5 h-5 mr-2" />
+          Bulk Reverse DNS
+        </h2>
+
+        <div className="flex space-x-4 mb-4">
+          <textarea
+            value={reverseTargets}
+            onChange={(e) => setReverseTargets(e.target.value)}
+            placeholder={'192.168.1.0/24\nor a list: 8.8.8.8, 1.1.1.1, 2606:4700:4700::1111'}
+            rows={3}
+            disabled={reverseLoading}
+            className="flex-1 px-3 py-2 bg-dark-700 border border-dark-600 rounded-lg text-white text-sm font-mono focus:outline-none focus:border-primary-500 disabled:opacity-50"
+          />
+          <div className="flex flex-col space-y-2">
+            <button
+              onClick={handleBulkReverse}
+              disabled={reverseLoading}
+              className="px-6 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-2"
+            >
+              {reverseLoading ? (
+                <>
+                  <div className="spinner"></div>
+                  <span>Resolving...</span>
+                </>
+              ) : (
+                <>
+                  <ListTree className="w-4 h-4" />
+                  <span>Resolve</span>
+                </>
+              )}
+            </button>
+            {reverseLoading && (
+              <button
+                onClick={handleStopReverse}
+                disabled={!reverseSessionId}
+                className="px-6 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50 flex items-center space-x-2"
+              >
+                <Square className="w-4 h-4" />
+                <span>Stop</span>
+              </button>
+            )}
+          </div>
+        </div>
+
+        <p className="text-xs text-gray-500 mb-4">Uses the resolver selected above. Up to 1024 addresses per run.</p>
+
+        {reverseProgress && (
+          <div className="mb-4">
+            <div className="flex justify-between text-sm text-gray-400 mb-1">
+              <span>{reverseProgress.completed} / {reverseProgress.total} addresses</span>
+              <span>{reverseProgress.resolved} with PTR records</span>
+            </div>
+            <div className="w-full bg-dark-700 rounded-full h-2">
+              <div
+                className="bg-primary-600 h-2 rounded-full transition-all"
+                style={{ width: `${reverseProgress.percentage}%` }}
+              ></div>
+            </div>
+          </div>
+        )}
+
+        {reverseSummary && (
+          <div className="text-sm text-gray-400 mb-3">
+            {reverseSummary.statistics.resolved} of {reverseSummary.statistics.completed} addresses have PTR records
+            {' '}({reverseSummary.statistics.duration} ms){reverseSummary.cancelled && ' - stopped early'}
+          </div>
+        )}
+
+        {reverseResults.length > 0 && (
+          <div className="overflow-x-auto max-h-96 overflow-y-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-400 border-b border-dark-700">
+                  <th className="py-2 pr-4">Address</th>
+                  <th className="py-2 pr-4">Hostname</th>
+                </tr>
+              </thead>
+              <tbody>
+                {reverseResults.map((result) => (
+                  <tr key={result.ip} className="border-b border-dark-700">
+                    <td className="py-2 pr-4 font-mono text-white">{result.ip}</td>
+                    <td className="py-2 pr-4 font-mono">
+                      {result.hostnames.length ? (
+                        <span className="text-lime-400 break-all">{result.hostnames.join(', ')}</span>
+                      ) : (
+                        <span className="text-gray-500">{result.error || 'No PTR record'}</span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Resolver Comparison */}
+      <div className="bg-dark-800 rounded-lg p-6 border border-dark-700">
+        <h2 className="text-xl font-semibold text-white mb-4 flex items-center">
+          <GitCompare className="w-5 h-5 mr-2" />
+          Resolver Comparison
+        </h2>
+
+        <div className="flex flex-wrap items-center gap-4 mb-4">
+          <select
+            value={compareType}
+            onChange={(e) => setCompareType(e.target.value)}
+            disabled={compareLoading}
+            className="px-3 py-2 bg-dark-700 border border-dark-600 rounded-lg text-white text-sm font-mono focus:outline-none focus:border-primary-500"
+          >
+            {allTypes.filter(type => type !== 'ANY').map((type) => (
+              <option key={type} value={type}>{type}</option>
+            ))}
+          </select>
+          {[...resolverPresets, ...encryptedPresets].map((preset) => (
+            <label key={preset.value} className="flex items-center text-sm text-gray-300">
+              <input
+                type="checkbox"
+                checked={compareServers.includes(preset.value)}
+                onChange={() => toggleCompareServer(preset.value)}
+                className="mr-2"
+              />
+              {preset.label}
+            </label>
+          ))}
+        </div>
+
+        <div className="flex space-x-4 mb-4">
+          <input
+            type="text"
+            value={compareCustom}
+            onChange={(e) => setCompareCustom(e.target.value)}
+            placeholder="Additional resolvers, comma separated (e.g. 10.0.0.53, tls://9.9.9.9, https://dns.quad9.net/dns-query)"
+            disabled={compareLoading}
+            className="flex-1 px-3 py-2 bg-dark-700 border border-dark-600 rounded-lg text-white text-sm focus:outline-none focus:border-primary-500"
+          />
+          <button
+            onClick={handleCompare}
+            disabled={compareLoading}
+            className="px-6 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-2"
+          >
+            {compareLoading ? (
+              <>
+                <div className="spinner"></div>
+                <span>Comparing...</span>
+              </>
+            ) : (
+              <>
+                <GitCompare className="w-4 h-4" />
+                <span>Compare</span>
+              </>
+            )}
+          </button>
+        </div>
+
+        {compareResults && (
+          <div>
+            <div className={`text-sm mb-3 ${compareResults.consistent ? 'text-green-400' : 'text-yellow-400'}`}>
+              {compareResults.consistent
+                ? `All resolvers agree on ${compareResults.type} ${compareResults.domain}`
+                : `Resolvers disagree on ${compareResults.type} ${compareResults.domain} - differing answers are highlighted`}
+            </div>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-400 border-b border-dark-700">
+                    <th className="py-2 pr-4">Resolver</th>
+                    <th className="py-2 pr-4">Latency</th>
+                    <th className="py-2 pr-4">Answer</th>
+                    <th className="py-2 pr-4">TTL</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {compareResults.results.map((result) => (
+                    <tr
+                      key={result.server}
+                      className={`border-b border-dark-700 ${result.differs ? 'bg-yellow-500/10' : ''}`}
+                    >
+                      <td className="py-2 pr-4 text-white">
+                        {getResolverLabel(result.server)}
+                        {result.differs && <span className="text-xs text-yellow-400 ml-2">differs</span>}
+                      </td>
+                      <td className="py-2 pr-4 text-gray-300">
+                        {result.latency} ms
+                        {result.transport && result.transport !== 'udp' && (
+                          <div className="text-xs text-gray-500">
+                            {transportLabels[result.transport]}
+                            {result.timing && ` • handshake ${result.timing.handshake} ms • query ${result.timing.query} ms`}
+                          </div>
+                        )}
+                      </td>
+                      <td className="py-2 pr-4 font-mono">
+                        {result.success ? (
+                          <div className="space-y-1">
+                            {result.records.map((record, index) => (
+                              <div key={index} className="text-gray-200 break-all">{formatRecord(compareResults.type, record)}</div>
+                            ))}
+                          </div>
+                        ) : (
+                          <span className="text-red-400">{result.error}</span>
+                        )}
+                      </td>
+                      <td className="py-2 pr-4 text-gray-400">
+                        {result.success && result.records.length && result.records[0].ttl !== undefined
+                          ? `${Math.min(...result.records.map(record => record.ttl))}s`
+                          : '—'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+      </div>
+
       {/* WHOIS Lookup */}
       <div className="bg-dark-800 rounded-lg p-6 border border-dark-700">
         <h2 className="text-xl font-semibold text-white mb-4 flex items-center">
@@ -230,7 +1136,7 @@ const DnsLookup = () => {
               // Clear error when user starts typing
               if (error) setError('');
             }}
-            placeholder="example.com or 192.168.1.1"
+            placeholder="example.com, 8.8.8.8 or AS15169"
             disabled={whoisLoading}
             onKeyPress={(e) => {
               if (e.key === 'Enter' && !whoisLoading && whoisQuery.trim()) {
@@ -239,6 +1145,21 @@ const DnsLookup = () => {
             }}
             className="flex-1 px-3 py-2 bg-dark-700 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-primary-500 disabled:opacity-50 disabled:cursor-not-allowed"
           />
+          <select
+            value={whoisProtocol}
+            onChange={(e) => {
+              console.log('🔁 [WHOIS] Protocol changed to:', e.target.value);
+              setWhoisProtocol(e.target.value);
+              if (e.target.value === 'rdap' && !rdapBootstrap) {
+                loadRdapBootstrap();
+              }
+            }}
+            disabled={whoisLoading}
+            className="px-3 py-2 bg-dark-700 border border-dark-600 rounded-lg text-white text-sm focus:outline-none focus:border-primary-500"
+          >
+            <option value="whois">WHOIS (port 43)</option>
+            <option value="rdap">RDAP (JSON)</option>
+          </select>
           <button
             onClick={handleWhoisLookup}
             disabled={whoisLoading}
@@ -252,21 +1173,85 @@ const DnsLookup = () => {
             ) : (
               <>
                 <Search className="w-4 h-4" />
-                <span>WHOIS</span>
+                <span>{whoisProtocol === 'rdap' ? 'RDAP' : 'WHOIS'}</span>
               </>
             )}
           </button>
         </div>
 
+        {whoisProtocol === 'rdap' && rdapBootstrap && (
+          <div className="flex items-center justify-between text-xs text-gray-400 mb-4">
+            <span>
+              Bootstrap: {rdapBootstrap.map(entry => `${entry.registry} ${entry.publication ? entry.publication.slice(0, 10) : 'undated'}${entry.source === 'cache' ? '' : ' (bundled)'}`).join(' · ')}
+            </span>
+            <button
+              onClick={() => loadRdapBootstrap(true)}
+              disabled={rdapRefreshing}
+              className="text-primary-400 hover:text-primary-300 disabled:opacity-50"
+            >
+              {rdapRefreshing ? 'Refreshing...' : 'Refresh from IANA'}
+            </button>
+          </div>
+        )}
+
         {/* WHOIS Results */}
         {whoisResults && (
           <div className="mt-6">
             {whoisResults.success ? (
               <div className="bg-dark-700 rounded-lg p-4">
-                <h3 className="text-lg font-semibold text-white mb-3">WHOIS Information</h3>
-                <pre className="text-sm text-gray-300 whitespace-pre-wrap overflow-x-auto">
-                  {whoisResults.data}
-                </pre>
+                <div className="flex items-center justify-between mb-3">
+                  <h3 className="text-lg font-semibold text-white">WHOIS Information</h3>
+                  <span className="text-sm text-gray-400">
+                    {whoisResults.type === 'asn' ? 'AS number' : whoisResults.type === 'ip' ? 'IP address' : 'Domain'} via {whoisResults.protocol === 'rdap' ? 'RDAP' : 'WHOIS'} from {whoisResults.server}
+                  </span>
+                </div>
+
+                {whoisResults.chain && whoisResults.chain.length > 0 && (
+                  <div className="flex flex-wrap items-center gap-2 text-xs mb-4">
+                    {whoisResults.chain.map((hop, index) => (
+                      <React.Fragment key={`${hop.server}-${index}`}>
+                        {index > 0 && <span className="text-gray-500">→</span>}
+                        <span
+                          className={`px-2 py-1 rounded font-mono ${hop.error ? 'bg-red-500/20 text-red-400' : 'bg-dark-600 text-gray-300'}`}
+                          title={hop.error || (hop.redirect ? `HTTP ${hop.status} → ${hop.redirect}` : `${hop.latency}ms`)}
+                        >
+                          {hop.server}
+                        </span>
+                      </React.Fragment>
+                    ))}
+                  </div>
+                )}
+
+                {whoisResults.parsed && !whoisResults.found && (
+                  <p className="text-yellow-400 text-sm mb-4">No matching WHOIS record found for {whoisResults.query}</p>
+                )}
+
+                {whoisResults.parsed && (
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-2 mb-4">
+                    {Object.keys(whoisFieldLabels)
+                      .filter(field => whoisResults.parsed[field] !== undefined)
+                      .map(field => (
+                        <div key={field} className="flex text-sm">
+                          <span className="w-36 flex-shrink-0 text-gray-400">{whoisFieldLabels[field]}</span>
+                          <span className="text-white font-mono break-all whitespace-pre-line">
+                            {formatWhoisValue(field, whoisResults.parsed[field])}
+                          </span>
+                        </div>
+                      ))}
+                  </div>
+                )}
+
+                <button
+                  onClick={() => setShowWhoisRaw(!showWhoisRaw)}
+                  className="text-sm text-primary-400 hover:text-primary-300"
+                >
+                  {showWhoisRaw ? 'Hide raw response' : 'Show raw response'}
+                </button>
+                {showWhoisRaw && (
+                  <pre className="mt-3 text-sm text-gray-300 whitespace-pre-wrap overflow-x-auto">
+                    {whoisResults.raw || whoisResults.data}
+                  </pre>
+                )}
               </div>
             ) : (
               <div className="bg-red-500/10 border border-red-500/20 rounded-lg p-4">
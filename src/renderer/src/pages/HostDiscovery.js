@@ -0,0 +1,379 @@
+import React, { useState, useEffect } from 'react';
+import { Radar, Settings, Square, BarChart3 } from 'lucide-react';
+
+const HostDiscovery = () => {
+  const [target, setTarget] = useState('');
+  const [methods, setMethods] = useState({ icmp: true, tcp: true, arp: true });
+  const [tcpPorts, setTcpPorts] = useState('22, 80, 443, 445, 3389');
+  const [timeout, setTimeout] = useState(1000);
+  const [concurrency, setConcurrency] = useState(32);
+  const [hosts, setHosts] = useState([]);
+  const [progress, setProgress] = useState(null);
+  const [results, setResults] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [stopping, setStopping] = useState(false);
+  const [sessionId, setSessionId] = useState(null);
+  const [error, setError] = useState('');
+
+  // Clean up on unmount
+  useEffect(() => {
+    return () => {
+      console.log('🧹 [HOSTDISCOVERY] Component unmounting - cleaning up');
+      if (window.electronAPI && window.electronAPI.removeHostDiscoveryUpdate) {
+        window.electronAPI.removeHostDiscoveryUpdate();
+      }
+    };
+  }, []);
+
+  const compareIPs = (a, b) => {
+    const toNumber = (ip) => ip.split('.').reduce((acc, octet) => acc * 256 + (parseInt(octet) || 0), 0);
+    return toNumber(a) - toNumber(b);
+  };
+
+  const handleDiscover = async () => {
+    console.log('🚀 [HOSTDISCOVERY] Button clicked - Starting host discovery');
+
+    if (!target.trim()) {
+      console.log('❌ [HOSTDISCOVERY] Error: No target specified');
+      setError('Please enter a network range');
+      return;
+    }
+
+    const selectedMethods = Object.keys(methods).filter(method => methods[method]);
+    if (!selectedMethods.length) {
+      setError('Select at least one discovery method');
+      return;
+    }
+
+    setLoading(true);
+    setStopping(false);
+    setError('');
+    setHosts([]);
+    setResults(null);
+    setProgress(null);
+
+    if (window.electronAPI && window.electronAPI.onHostDiscoveryUpdate) {
+      window.electronAPI.removeHostDiscoveryUpdate();
+      window.electronAPI.onHostDiscoveryUpdate((update) => {
+        if (update.sessionId) {
+          setSessionId(update.sessionId);
+        }
+
+        if (update.type === 'host') {
+          console.log('📡 [HOSTDISCOVERY] Live host:', update.host);
+          setHosts(prevHosts => {
+            const others = prevHosts.filter(host => host.ip !== update.host.ip);
+            return [...others, update.host].sort((a, b) => compareIPs(a.ip, b.ip));
+          });
+        } else if (update.type === 'progress') {
+          setProgress(update.progress);
+        }
+      });
+    }
+
+    try {
+      const config = {
+        target: target.trim(),
+        methods: selectedMethods,
+        tcpPorts: tcpPorts.split(',').map(port => parseInt(port.trim())).filter(port => port > 0 && port <= 65535),
+        timeout: parseInt(timeout),
+        concurrency: parseInt(concurrency)
+      };
+
+      console.log('📡 [HOSTDISCOVERY] Calling host discovery API with config:', config);
+      const result = await window.electronAPI.startHostDiscovery(config);
+      console.log('✅ [HOSTDISCOVERY] Host discovery completed:', result);
+
+      if (result.success) {
+        setResults(result);
+        setHosts(result.hosts);
+      } else {
+        setError(result.error || 'Host discovery failed');
+      }
+    } catch (err) {
+      console.log('❌ [HOSTDISCOVERY] Error occurred:', err);
+      setError(err.message || 'Host discovery failed');
+    } finally {
+      console.log('🏁 [HOSTDISCOVERY] Operation completed, setting loading to false');
+      setLoading(false);
+      setStopping(false);
+      setSessionId(null);
+      setProgress(null);
+    }
+  };
+
+  const handleStop = async () => {
+    if (!sessionId) return;
+    console.log('🛑 [HOSTDISCOVERY] Stopping discovery:', sessionId);
+    setStopping(true);
+    await window.electronAPI.stopProcess(sessionId);
+  };
+
+  const formatLatency = (latency) => {
+    if (latency === null || latency === undefined) return 'N/A';
+    if (typeof latency !== 'number' || isNaN(latency)) return 'N/A';
+    return `${latency.toFixed(2)} ms`;
+  };
+
+  const getMethodBadgeColor = (method) => {
+    switch (method) {
+      case 'icmp': return 'bg-green-500/20 text-green-400';
+      case 'tcp': return 'bg-blue-500/20 text-blue-400';
+      case 'arp': return 'bg-purple-500/20 text-purple-400';
+      default: return 'bg-gray-500/20 text-gray-400';
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-3xl font-bold text-white">Host Discovery</h1>
+        <p className="text-gray-400 mt-2">Find live hosts on a network with ICMP, TCP and ARP probes</p>
+      </div>
+
+      {/* Configuration */}
+      <div className="bg-dark-800 rounded-lg p-6 border border-dark-700">
+        <h2 className="text-xl font-semibold text-white mb-4 flex items-center">
+          <Settings className="w-5 h-5 mr-2" />
+          Configuration
+        </h2>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Network Range</label>
+            <input
+              type="text"
+              value={target}
+              onChange={(e) => {
+                console.log('🎯 [HOSTDISCOVERY] Target changed to:', e.target.value);
+                setTarget(e.target.value);
+              }}
+              placeholder="192.168.1.0/24, 10.0.0.1-50 or 2001:db8::/120"
+              className="w-full px-3 py-2 bg-dark-700 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-primary-500"
+            />
+            <p className="text-xs text-gray-500 mt-1">IPv6 prefixes must be /116 or longer (at most 4096 addresses)</p>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">TCP Probe Ports</label>
+            <input
+              type="text"
+              value={tcpPorts}
+              onChange={(e) => {
+                console.log('🔌 [HOSTDISCOVERY] TCP ports changed to:', e.target.value);
+                setTcpPorts(e.target.value);
+              }}
+              placeholder="22, 80, 443"
+              disabled={!methods.tcp}
+              className="w-full px-3 py-2 bg-dark-700 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-primary-500 disabled:opacity-50"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Timeout (ms)</label>
+            <input
+              type="number"
+              value={timeout}
+              onChange={(e) => {
+                console.log('⏱️ [HOSTDISCOVERY] Timeout changed to:', e.target.value);
+                setTimeout(e.target.value);
+              }}
+              min="500"
+              max="10000"
+              step="500"
+              className="w-full px-3 py-2 bg-dark-700 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-primary-500"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Concurrency</label>
+            <input
+              type="number"
+              value={concurrency}
+              onChange={(e) => {
+                console.log('⚡ [HOSTDISCOVERY] Concurrency changed to:', e.target.value);
+                setConcurrency(e.target.value);
+              }}
+              min="1"
+              max="256"
+              className="w-full px-3 py-2 bg-dark-700 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-primary-500"
+            />
+          </div>
+
+          <div className="md:col-span-2">
+            <label className="block text-sm font-medium text-gray-300 mb-2">Discovery Methods</label>
+            <div className="flex items-center space-x-6">
+              {[
+                { key: 'icmp', label: 'ICMP Echo' },
+                { key: 'tcp', label: 'TCP Connect' },
+                { key: 'arp', label: 'ARP Table' }
+              ].map((method) => (
+                <label key={method.key} className="flex items-center">
+                  <input
+                    type="checkbox"
+                    checked={methods[method.key]}
+                    onChange={(e) => {
+                      console.log(`🔍 [HOSTDISCOVERY] ${method.label} changed to:`, e.target.checked);
+                      setMethods(prev => ({ ...prev, [method.key]: e.target.checked }));
+                    }}
+                    className="mr-2"
+                  />
+                  <span className="text-sm text-gray-300">{method.label}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        <div className="mt-6 flex items-center space-x-3">
+          <button
+            onClick={handleDiscover}
+            disabled={loading}
+            className="flex items-center space-x-2 px-6 py-3 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            <Radar className="w-5 h-5" />
+            <span>{loading ? 'Discovering...' : 'Start Discovery'}</span>
+          </button>
+          {loading && (
+            <button
+              onClick={handleStop}
+              disabled={!sessionId || stopping}
+              className="flex items-center space-x-2 px-4 py-3 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              <Square className="w-5 h-5" />
+              <span>{stopping ? 'Stopping...' : 'Stop'}</span>
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Progress Indicator */}
+      {progress && (
+        <div className="bg-dark-800 rounded-lg p-6 border border-dark-700">
+          <div className="flex items-center justify-between mb-2">
+            <h3 className="text-lg font-semibold text-white">Sweep Progress</h3>
+            <span className="text-sm text-gray-400">
+              {progress.completed} / {progress.total} ({progress.percentage.toFixed(1)}%)
+            </span>
+          </div>
+          <div className="w-full bg-dark-700 rounded-full h-2">
+            <div
+              className="bg-primary-600 h-2 rounded-full transition-all duration-300"
+              style={{ width: `${progress.percentage}%` }}
+            ></div>
+          </div>
+          <div className="mt-2 text-sm text-gray-400">
+            {progress.alive} live hosts found
+          </div>
+        </div>
+      )}
+
+      {/* Error Display */}
+      {error && (
+        <div className="bg-red-500/10 border border-red-500/20 rounded-lg p-4">
+          <div className="text-red-400 font-medium">Error</div>
+          <div className="text-red-300 text-sm mt-1">{error}</div>
+        </div>
+      )}
+
+      {/* Statistics */}
+      {results && (
+        <div className="bg-dark-800 rounded-lg p-6 border border-dark-700">
+          <h3 className="text-lg font-semibold text-white mb-4 flex items-center">
+            <BarChart3 className="w-5 h-5 mr-2" />
+            Discovery Statistics
+          </h3>
+          {results.cancelled && (
+            <div className="text-sm text-yellow-400 mb-4">
+              Discovery was stopped - {results.statistics.scanned} of {results.statistics.total} addresses probed.
+            </div>
+          )}
+          {results.unresolved && results.unresolved.length > 0 && (
+            <div className="text-sm text-yellow-400 mb-4">
+              Skipped {results.unresolved.length} target{results.unresolved.length === 1 ? '' : 's'}: {results.unresolved.map(entry => entry.error).join('; ')}
+            </div>
+          )}
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+            <div className="text-center">
+              <div className="text-2xl font-bold text-primary-400">{results.statistics.total}</div>
+              <div className="text-sm text-gray-400">Addresses</div>
+            </div>
+            <div className="text-center">
+              <div className="text-2xl font-bold text-green-400">{results.statistics.alive}</div>
+              <div className="text-sm text-gray-400">Live Hosts</div>
+            </div>
+            <div className="text-center">
+              <div className="text-2xl font-bold text-green-400">{results.statistics.byMethod.icmp}</div>
+              <div className="text-sm text-gray-400">ICMP</div>
+            </div>
+            <div className="text-center">
+              <div className="text-2xl font-bold text-blue-400">{results.statistics.byMethod.tcp}</div>
+              <div className="text-sm text-gray-400">TCP</div>
+            </div>
+            <div className="text-center">
+              <div className="text-2xl font-bold text-purple-400">{results.statistics.byMethod.arp}</div>
+              <div className="text-sm text-gray-400">ARP</div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Live Hosts */}
+      {(hosts.length > 0 || results) && (
+        <div className="bg-dark-800 rounded-lg p-6 border border-dark-700">
+          <h3 className="text-lg font-semibold text-white mb-4">
+            Live Hosts
+            <span className="text-sm text-gray-400 ml-2">({hosts.length} found)</span>
+          </h3>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-400 border-b border-dark-700">
+                  <th className="py-2 pr-4">IP Address</th>
+                  <th className="py-2 pr-4">Latency</th>
+                  <th className="py-2 pr-4">Detected By</th>
+                  <th className="py-2 pr-4">MAC Address</th>
+                  <th className="py-2 pr-4">Vendor</th>
+                  <th className="py-2 pr-4">Open Ports</th>
+                </tr>
+              </thead>
+              <tbody>
+                {hosts.map((host) => (
+                  <tr key={host.ip} className="border-b border-dark-700">
+                    <td className="py-2 pr-4 text-white font-mono">
+                      {host.ip}
+                      {host.target !== host.ip && <span className="text-gray-400 ml-2">({host.target})</span>}
+                    </td>
+                    <td className="py-2 pr-4 text-gray-300">{formatLatency(host.latency)}</td>
+                    <td className="py-2 pr-4">
+                      <div className="flex space-x-1">
+                        {host.methods.map((method) => (
+                          <span key={method} className={`text-xs font-medium px-2 py-0.5 rounded ${getMethodBadgeColor(method)}`}>
+                            {method.toUpperCase()}
+                          </span>
+                        ))}
+                      </div>
+                    </td>
+                    <td className="py-2 pr-4 text-gray-300 font-mono">{host.mac || '—'}</td>
+                    <td className="py-2 pr-4 text-gray-300">{host.vendor || (host.mac ? 'Unknown' : '—')}</td>
+                    <td className="py-2 pr-4 text-gray-300 font-mono">
+                      {host.openPorts && host.openPorts.length > 0 ? host.openPorts.join(', ') : '—'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {hosts.length === 0 && (
+              <div className="text-center py-8 text-gray-400">
+                <div className="text-lg font-medium mb-2">No Live Hosts Found</div>
+                <div className="text-sm">No address in the range answered any of the selected probes.</div>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default HostDiscovery;
@@ -1,15 +1,67 @@
 import React, { useState, useEffect } from 'react';
-import { Network, RefreshCw, Wifi, Server, Clock } from 'lucide-react';
+import { Network, RefreshCw, Wifi, Server, Clock, Users } from 'lucide-react';
 
 const NetworkInfo = () => {
   const [networkInterfaces, setNetworkInterfaces] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const [arpTable, setArpTable] = useState(null);
+  const [arpLoading, setArpLoading] = useState(false);
+  const [arpError, setArpError] = useState('');
+  const [neighborFilter, setNeighborFilter] = useState('');
 
   useEffect(() => {
     loadNetworkInfo();
+    loadArpTable();
   }, []);
 
+  const loadArpTable = async () => {
+    console.log('📡 [NETWORKINFO] Loading neighbor table');
+    setArpLoading(true);
+    setArpError('');
+
+    try {
+      const result = await window.electronAPI.getArpTable();
+      console.log('✅ [NETWORKINFO] Neighbor table loaded:', result);
+
+      if (result.success) {
+        setArpTable(result);
+      } else {
+        setArpError(result.error || 'Failed to read neighbor table');
+      }
+    } catch (err) {
+      console.log('❌ [NETWORKINFO] Exception loading neighbor table:', err);
+      setArpError('Failed to read neighbor table');
+    } finally {
+      setArpLoading(false);
+    }
+  };
+
+  const getNeighborStateColor = (state) => {
+    switch (state) {
+      case 'reachable':
+      case 'dynamic': return 'bg-green-500/20 text-green-400';
+      case 'permanent':
+      case 'static':
+      case 'noarp': return 'bg-blue-500/20 text-blue-400';
+      case 'stale':
+      case 'delay':
+      case 'probe': return 'bg-yellow-500/20 text-yellow-400';
+      case 'failed':
+      case 'incomplete': return 'bg-red-500/20 text-red-400';
+      default: return 'bg-gray-500/20 text-gray-400';
+    }
+  };
+
+  const filteredNeighbors = arpTable
+    ? arpTable.entries.filter(entry => {
+        if (!neighborFilter) return true;
+        const query = neighborFilter.toLowerCase();
+        return [entry.ip, entry.mac, entry.vendor, entry.interface]
+          .some(value => value && value.toLowerCase().includes(query));
+      })
+    : [];
+
   const loadNetworkInfo = async () => {
     console.log('🚀 [NETWORKINFO] Button clicked - Loading network information');
     console.log('⏳ [NETWORKINFO] Setting loading state');
@@ -78,7 +130,10 @@ const NetworkInfo = () => {
           <p className="text-gray-400 mt-2">System network interfaces and configuration</p>
         </div>
         <button
-          onClick={loadNetworkInfo}
+          onClick={() => {
+            loadNetworkInfo();
+            loadArpTable();
+          }}
           disabled={loading}
           className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-2"
         >
@@ -210,6 +265,80 @@ const NetworkInfo = () => {
         </div>
       )}
 
+      {/* Neighbor (ARP) Table */}
+      <div className="bg-dark-800 rounded-lg p-6 border border-dark-700">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-semibold text-white flex items-center">
+            <Users className="w-5 h-5 mr-2" />
+            Neighbor Table
+            {arpTable && (
+              <span className="text-sm text-gray-400 font-normal ml-2">
+                ({arpTable.entries.length} entries via {arpTable.source})
+              </span>
+            )}
+          </h2>
+          <div className="flex items-center space-x-2">
+            <input
+              type="text"
+              value={neighborFilter}
+              onChange={(e) => setNeighborFilter(e.target.value)}
+              placeholder="Filter by IP, MAC, vendor..."
+              className="px-3 py-1 text-sm bg-dark-700 border border-dark-600 rounded text-white focus:outline-none focus:border-primary-500"
+            />
+            <button
+              onClick={loadArpTable}
+              disabled={arpLoading}
+              className="p-2 bg-dark-700 text-gray-300 rounded hover:bg-dark-600 disabled:opacity-50"
+            >
+              <RefreshCw className={`w-4 h-4 ${arpLoading ? 'animate-spin' : ''}`} />
+            </button>
+          </div>
+        </div>
+
+        {arpError && (
+          <div className="text-red-400 text-sm mb-4">{arpError}</div>
+        )}
+
+        {arpTable && (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-400 border-b border-dark-700">
+                  <th className="py-2 pr-4">IP Address</th>
+                  <th className="py-2 pr-4">MAC Address</th>
+                  <th className="py-2 pr-4">Vendor</th>
+                  <th className="py-2 pr-4">Interface</th>
+                  <th className="py-2 pr-4">State</th>
+                </tr>
+              </thead>
+              <tbody>
+                {filteredNeighbors.map((entry, index) => (
+                  <tr key={`${entry.ip}_${entry.interface}_${index}`} className="border-b border-dark-700">
+                    <td className="py-2 pr-4 text-white font-mono">
+                      {entry.ip}
+                      {entry.router && <span className="text-xs text-primary-400 ml-2">router</span>}
+                    </td>
+                    <td className="py-2 pr-4 text-gray-300 font-mono">{entry.mac || '—'}</td>
+                    <td className="py-2 pr-4 text-gray-300">{entry.vendor || (entry.mac ? 'Unknown' : '—')}</td>
+                    <td className="py-2 pr-4 text-gray-300">{entry.interface || '—'}</td>
+                    <td className="py-2 pr-4">
+                      <span className={`px-2 py-1 rounded text-xs ${getNeighborStateColor(entry.state)}`}>
+                        {entry.state}
+                      </span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {filteredNeighbors.length === 0 && (
+              <div className="text-center py-6 text-gray-400 text-sm">
+                {arpTable.entries.length === 0 ? 'The neighbor table is empty.' : 'No entries match the filter.'}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+
       {/* Loading State */}
       {loading && (
         <div className="bg-dark-800 rounded-lg p-6 border border-dark-700">
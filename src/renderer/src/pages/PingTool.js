@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { Activity, Globe, Wifi, Clock, BarChart3 } from 'lucide-react';
+import { Activity, Globe, Wifi, Clock, BarChart3, MapPin } from 'lucide-react';
 import usePersistentState from '../hooks/usePersistentState';
 
 const PingTool = () => {
@@ -11,6 +11,7 @@ const PingTool = () => {
   const [count, setCount] = useState(4);
   const [timeout, setTimeout] = useState(5000);
   const [interval, setInterval] = useState(1000);
+  const [addressFamily, setAddressFamily] = useState('auto');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [progress, setProgress] = useState(null);
@@ -26,12 +27,14 @@ const PingTool = () => {
   // Initialize results and statistics from persistent state
   const [results, setResults] = useState(state?.data?.results || []);
   const [statistics, setStatistics] = useState(state?.data?.statistics || null);
+  const [targetInfo, setTargetInfo] = useState(state?.data?.targetInfo || null);
 
   // Update local state when persistent state changes
   useEffect(() => {
     if (state?.data) {
       setResults(state.data.results || []);
       setStatistics(state.data.statistics || null);
+      setTargetInfo(state.data.targetInfo || null);
     }
   }, [state]);
 
@@ -70,10 +73,11 @@ const PingTool = () => {
     setError('');
     setResults([]);
     setStatistics(null);
+    setTargetInfo(null);
     setProgress(null);
 
     // Clear persistent state for new operation
-    await setData({ results: [], statistics: null });
+    await setData({ results: [], statistics: null, targetInfo: null });
 
     // Set up real-time update listener
     if (window.electronAPI && window.electronAPI.onPingUpdate) {
@@ -85,12 +89,19 @@ const PingTool = () => {
           console.log('✅ [PING] Operation completed');
           setLoading(false);
           setStatistics(update.finalResult.statistics);
+          const finalTargetInfo = {
+            ipAddress: update.finalResult.ipAddress || null,
+            family: update.finalResult.family || null,
+            geo: update.finalResult.geo || null
+          };
+          setTargetInfo(finalTargetInfo);
           setProgress(null);
           
           // Save final results to persistent state
           await setData({
             results: update.finalResult.results,
             statistics: update.finalResult.statistics,
+            targetInfo: finalTargetInfo,
             target: update.finalResult.target,
             timestamp: new Date().toISOString()
           });
@@ -128,7 +139,8 @@ const PingTool = () => {
       let config = {
         count: parseInt(count),
         timeout: parseInt(timeout),
-        interval: parseInt(interval)
+        interval: parseInt(interval),
+        family: addressFamily
       };
 
       if (pingType === 'http') {
@@ -142,6 +154,10 @@ const PingTool = () => {
         console.log('📡 [PING] Calling real-time HTTP ping API with config:', config);
         const result = await window.electronAPI.httpPingRealtime(config);
         console.log('✅ [PING] HTTP ping completed:', result);
+        if (!result.success) {
+          setError(result.error || 'HTTP ping failed');
+          setLoading(false);
+        }
       } else {
         console.log('📡 [PING] Configuring ICMP ping');
         config = {
@@ -153,6 +169,10 @@ const PingTool = () => {
         console.log('📡 [PING] Calling real-time ICMP ping API with config:', config);
         const result = await window.electronAPI.icmpPingRealtime(config);
         console.log('✅ [PING] ICMP ping completed:', result);
+        if (!result.success) {
+          setError(result.error || 'ICMP ping failed');
+          setLoading(false);
+        }
       }
     } catch (err) {
       console.log('❌ [PING] Error occurred:', err);
@@ -165,10 +185,11 @@ const PingTool = () => {
   const clearResults = () => {
     setResults([]);
     setStatistics(null);
+    setTargetInfo(null);
     setProgress(null);
     setError('');
     // Clear persistent state
-    setData({ results: [], statistics: null, progress: null });
+    setData({ results: [], statistics: null, targetInfo: null, progress: null });
   };
 
   const parseHeaders = (headerString) => {
@@ -257,11 +278,27 @@ const PingTool = () => {
                 console.log('🎯 [PING] Target changed to:', e.target.value);
                 setTarget(e.target.value);
               }}
-              placeholder={pingType === 'http' ? 'https://example.com' : '192.168.1.1 or example.com'}
+              placeholder={pingType === 'http' ? 'https://example.com' : '192.168.1.1, 2001:db8::1 or example.com'}
               className="w-full px-3 py-2 bg-dark-700 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-primary-500"
             />
           </div>
 
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Address Family</label>
+            <select
+              value={addressFamily}
+              onChange={(e) => {
+                console.log('🌐 [PING] Address family changed to:', e.target.value);
+                setAddressFamily(e.target.value);
+              }}
+              className="w-full px-3 py-2 bg-dark-700 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-primary-500"
+            >
+              <option value="auto">Auto</option>
+              <option value="ipv4">IPv4 only</option>
+              <option value="ipv6">IPv6 only</option>
+            </select>
+          </div>
+
           {/* Common Settings */}
           <div>
             <label className="block text-sm font-medium text-gray-300 mb-2">Count</label>
@@ -464,6 +501,29 @@ const PingTool = () => {
                   <p className="text-sm text-gray-400">Avg Latency</p>
                 </div>
               </div>
+
+              {targetInfo && targetInfo.ipAddress && (
+                <div className="mt-4 pt-4 border-t border-dark-700 flex flex-wrap items-center gap-x-6 gap-y-1 text-sm">
+                  <span className="text-gray-400">
+                    Address <span className="text-white font-mono ml-1">{targetInfo.ipAddress}</span>
+                    {targetInfo.family && <span className="ml-2 px-1.5 py-0.5 rounded bg-dark-700 text-xs text-gray-300">IPv{targetInfo.family}</span>}
+                  </span>
+                  {targetInfo.geo && targetInfo.geo.scope === 'private' && (
+                    <span className="text-gray-400">Private network</span>
+                  )}
+                  {targetInfo.geo && (targetInfo.geo.city || targetInfo.geo.country) && (
+                    <span className="text-gray-300 flex items-center">
+                      <MapPin className="w-3 h-3 mr-1 text-gray-500" />
+                      {[targetInfo.geo.city, targetInfo.geo.region, targetInfo.geo.country].filter(Boolean).join(', ')}
+                    </span>
+                  )}
+                  {targetInfo.geo && targetInfo.geo.asn && (
+                    <span className="text-gray-300">
+                      {targetInfo.geo.asn}{targetInfo.geo.asName ? ` · ${targetInfo.geo.asName}` : ''}
+                    </span>
+                  )}
+                </div>
+              )}
             </div>
           )}
 
@@ -0,0 +1,447 @@
+import React, { useState, useEffect } from 'react';
+import { Ruler, Settings, Square, BarChart3, AlertTriangle } from 'lucide-react';
+
+const outcomeStyles = {
+  reply: { label: 'Reply', className: 'text-green-400' },
+  'frag-needed': { label: 'Frag needed', className: 'text-yellow-400' },
+  'local-limit': { label: 'Too big for local interface', className: 'text-yellow-400' },
+  'ttl-exceeded': { label: 'Time exceeded', className: 'text-blue-400' },
+  silent: { label: 'No answer', className: 'text-red-400' }
+};
+
+const phaseLabels = {
+  search: 'Searching for the largest packet that gets through…',
+  hops: 'Reading per-hop MTU with tracepath…',
+  locate: 'Locating the black hole with TTL-limited probes…'
+};
+
+const PmtuTool = () => {
+  const [target, setTarget] = useState('');
+  const [addressFamily, setAddressFamily] = useState('auto');
+  const [maxMtu, setMaxMtu] = useState(1500);
+  const [timeout, setTimeout] = useState(2000);
+  const [attempts, setAttempts] = useState(2);
+  const [maxHops, setMaxHops] = useState(30);
+  const [perHop, setPerHop] = useState(true);
+  const [locateBlackHole, setLocateBlackHole] = useState(true);
+  const [probes, setProbes] = useState([]);
+  const [phase, setPhase] = useState(null);
+  const [results, setResults] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [stopping, setStopping] = useState(false);
+  const [sessionId, setSessionId] = useState(null);
+  const [error, setError] = useState('');
+
+  // Clean up on unmount
+  useEffect(() => {
+    return () => {
+      console.log('🧹 [PMTU] Component unmounting - cleaning up');
+      if (window.electronAPI && window.electronAPI.removePmtuUpdate) {
+        window.electronAPI.removePmtuUpdate();
+      }
+    };
+  }, []);
+
+  const handleDiscover = async () => {
+    console.log('🚀 [PMTU] Button clicked - Starting path MTU discovery');
+
+    if (!target.trim()) {
+      console.log('❌ [PMTU] Error: No target specified');
+      setError('Please enter a target');
+      return;
+    }
+
+    setLoading(true);
+    setStopping(false);
+    setError('');
+    setProbes([]);
+    setPhase(null);
+    setResults(null);
+
+    if (window.electronAPI && window.electronAPI.onPmtuUpdate) {
+      window.electronAPI.removePmtuUpdate();
+      window.electronAPI.onPmtuUpdate((update) => {
+        if (update.sessionId) {
+          setSessionId(update.sessionId);
+        }
+
+        if (update.type === 'pmtu_phase') {
+          setPhase(update.phase);
+        } else if (update.type === 'pmtu_probe') {
+          setProbes(prevProbes => [...prevProbes, { ...update.probe, locating: !!update.locating }]);
+        }
+      });
+    }
+
+    try {
+      const config = {
+        target: target.trim(),
+        family: addressFamily,
+        maxMtu: parseInt(maxMtu),
+        timeout: parseInt(timeout),
+        attempts: parseInt(attempts),
+        maxHops: parseInt(maxHops),
+        perHop,
+        locateBlackHole
+      };
+
+      console.log('📡 [PMTU] Calling path MTU API with config:', config);
+      const result = await window.electronAPI.discoverPathMtu(config);
+      console.log('✅ [PMTU] Path MTU discovery completed:', result);
+
+      if (result.success) {
+        setResults(result);
+        setProbes(prevProbes => (prevProbes.length ? prevProbes : result.probes));
+      } else {
+        setError(result.error || 'Path MTU discovery failed');
+      }
+    } catch (err) {
+      console.log('❌ [PMTU] Error occurred:', err);
+      setError(err.message || 'Path MTU discovery failed');
+    } finally {
+      console.log('🏁 [PMTU] Operation completed, setting loading to false');
+      setLoading(false);
+      setStopping(false);
+      setSessionId(null);
+      setPhase(null);
+    }
+  };
+
+  const handleStop = async () => {
+    if (!sessionId) return;
+    console.log('🛑 [PMTU] Stopping discovery:', sessionId);
+    setStopping(true);
+    await window.electronAPI.stopProcess(sessionId);
+  };
+
+  const describeReport = (report) => (
+    report.reporter === 'local'
+      ? `Local interface MTU is ${report.mtu || 'unknown'}`
+      : `${report.reporter || 'A router'} reported MTU ${report.mtu || '(not given)'} for a ${report.probeSize}-byte packet`
+  );
+
+  // TCP MSS that fits the path: MTU minus IP and TCP headers
+  const getMss = (result) => result.pathMtu - (result.family === 6 ? 60 : 40);
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-3xl font-bold text-white">Path MTU</h1>
+        <p className="text-gray-400 mt-2">Find the largest packet that reaches a target without fragmentation and spot MTU black holes</p>
+      </div>
+
+      {/* Configuration */}
+      <div className="bg-dark-800 rounded-lg p-6 border border-dark-700">
+        <h2 className="text-xl font-semibold text-white mb-4 flex items-center">
+          <Settings className="w-5 h-5 mr-2" />
+          Configuration
+        </h2>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Target Host/IP</label>
+            <input
+              type="text"
+              value={target}
+              onChange={(e) => {
+                console.log('🎯 [PMTU] Target changed to:', e.target.value);
+                setTarget(e.target.value);
+              }}
+              placeholder="vpn.example.com, 10.8.0.1 or 2001:db8::1"
+              className="w-full px-3 py-2 bg-dark-700 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-primary-500"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Address Family</label>
+            <select
+              value={addressFamily}
+              onChange={(e) => {
+                console.log('🌐 [PMTU] Address family changed to:', e.target.value);
+                setAddressFamily(e.target.value);
+              }}
+              className="w-full px-3 py-2 bg-dark-700 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-primary-500"
+            >
+              <option value="auto">Auto</option>
+              <option value="ipv4">IPv4 only</option>
+              <option value="ipv6">IPv6 only</option>
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Max MTU (bytes)</label>
+            <input
+              type="number"
+              value={maxMtu}
+              onChange={(e) => {
+                console.log('📏 [PMTU] Max MTU changed to:', e.target.value);
+                setMaxMtu(e.target.value);
+              }}
+              min="576"
+              max="9216"
+              className="w-full px-3 py-2 bg-dark-700 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-primary-500"
+            />
+            <p className="text-xs text-gray-500 mt-1">1500 for Ethernet, 9000 to check jumbo frames</p>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Timeout per Probe (ms)</label>
+            <input
+              type="number"
+              value={timeout}
+              onChange={(e) => {
+                console.log('⏱️ [PMTU] Timeout changed to:', e.target.value);
+                setTimeout(e.target.value);
+              }}
+              min="1000"
+              max="10000"
+              step="500"
+              className="w-full px-3 py-2 bg-dark-700 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-primary-500"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Attempts per Size</label>
+            <input
+              type="number"
+              value={attempts}
+              onChange={(e) => {
+                console.log('🔁 [PMTU] Attempts changed to:', e.target.value);
+                setAttempts(e.target.value);
+              }}
+              min="1"
+              max="5"
+              className="w-full px-3 py-2 bg-dark-700 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-primary-500"
+            />
+            <p className="text-xs text-gray-500 mt-1">Retries keep ordinary packet loss from looking like a size limit</p>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Max Hops</label>
+            <input
+              type="number"
+              value={maxHops}
+              onChange={(e) => {
+                console.log('🔢 [PMTU] Max hops changed to:', e.target.value);
+                setMaxHops(e.target.value);
+              }}
+              min="1"
+              max="64"
+              className="w-full px-3 py-2 bg-dark-700 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-primary-500"
+            />
+          </div>
+
+          <div className="md:col-span-2">
+            <label className="block text-sm font-medium text-gray-300 mb-2">Options</label>
+            <div className="flex items-center space-x-6">
+              <label className="flex items-center">
+                <input
+                  type="checkbox"
+                  checked={perHop}
+                  onChange={(e) => {
+                    console.log('🗺️ [PMTU] Per-hop MTU changed to:', e.target.checked);
+                    setPerHop(e.target.checked);
+                  }}
+                  className="mr-2"
+                />
+                <span className="text-sm text-gray-300">MTU per hop (tracepath, Linux)</span>
+              </label>
+              <label className="flex items-center">
+                <input
+                  type="checkbox"
+                  checked={locateBlackHole}
+                  onChange={(e) => {
+                    console.log('🕳️ [PMTU] Locate black holes changed to:', e.target.checked);
+                    setLocateBlackHole(e.target.checked);
+                  }}
+                  className="mr-2"
+                />
+                <span className="text-sm text-gray-300">Locate black holes</span>
+              </label>
+            </div>
+          </div>
+        </div>
+
+        <div className="mt-6 flex items-center space-x-3">
+          <button
+            onClick={handleDiscover}
+            disabled={loading}
+            className="flex items-center space-x-2 px-6 py-3 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            <Ruler className="w-5 h-5" />
+            <span>{loading ? 'Measuring...' : 'Measure Path MTU'}</span>
+          </button>
+          {loading && (
+            <button
+              onClick={handleStop}
+              disabled={!sessionId || stopping}
+              className="flex items-center space-x-2 px-4 py-3 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              <Square className="w-5 h-5" />
+              <span>{stopping ? 'Stopping...' : 'Stop'}</span>
+            </button>
+          )}
+        </div>
+        {loading && phase && <div className="mt-3 text-sm text-gray-400">{phaseLabels[phase]}</div>}
+      </div>
+
+      {/* Error Display */}
+      {error && (
+        <div className="bg-red-500/10 border border-red-500/20 rounded-lg p-4">
+          <div className="text-red-400 font-medium">Error</div>
+          <div className="text-red-300 text-sm mt-1">{error}</div>
+        </div>
+      )}
+
+      {/* Black Hole Warning */}
+      {results && results.blackHole.detected && (
+        <div className="bg-red-500/10 border border-red-500/20 rounded-lg p-4">
+          <div className="text-red-400 font-medium flex items-center">
+            <AlertTriangle className="w-5 h-5 mr-2" />
+            MTU black hole
+          </div>
+          <div className="text-red-300 text-sm mt-1">
+            {results.blackHole.size}-byte packets with Don't Fragment set disappear without an ICMP
+            {results.family === 6 ? ' "packet too big"' : ' "fragmentation needed"'} reply, so TCP connections can stall once they send full-size segments.
+          </div>
+          <div className="text-red-300 text-sm mt-1">
+            {results.blackHole.location
+              ? `Dropped at TTL ${results.blackHole.location.hop}, on the link ${results.blackHole.location.previousRouter ? `from ${results.blackHole.location.previousRouter} ` : ''}to ${results.blackHole.location.router}.`
+              : 'The dropping link could not be located - routers along the path did not answer TTL-limited probes.'}
+          </div>
+        </div>
+      )}
+
+      {/* Summary */}
+      {results && (
+        <div className="bg-dark-800 rounded-lg p-6 border border-dark-700">
+          <h3 className="text-lg font-semibold text-white mb-4 flex items-center">
+            <BarChart3 className="w-5 h-5 mr-2" />
+            Path MTU to {results.target}
+            {results.ipAddress !== results.target && <span className="text-sm text-gray-400 font-mono ml-2">({results.ipAddress})</span>}
+          </h3>
+          {results.cancelled && (
+            <div className="text-sm text-yellow-400 mb-4">
+              Discovery was stopped - the figures below are only what was measured so far.
+            </div>
+          )}
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <div className="text-center">
+              <div className="text-2xl font-bold text-primary-400">{results.pathMtu}</div>
+              <div className="text-sm text-gray-400">Path MTU (bytes){results.reachedMax ? ' or more' : ''}</div>
+            </div>
+            <div className="text-center">
+              <div className="text-2xl font-bold text-green-400">{results.pathMtu - results.headerSize}</div>
+              <div className="text-sm text-gray-400">Largest ping payload</div>
+            </div>
+            <div className="text-center">
+              <div className="text-2xl font-bold text-blue-400">{getMss(results)}</div>
+              <div className="text-sm text-gray-400">TCP MSS that fits</div>
+            </div>
+            <div className="text-center">
+              <div className={`text-2xl font-bold ${results.blackHole.detected ? 'text-red-400' : 'text-green-400'}`}>
+                {results.blackHole.detected ? 'Yes' : 'No'}
+              </div>
+              <div className="text-sm text-gray-400">Black hole</div>
+            </div>
+          </div>
+          <div className="mt-4 space-y-1 text-sm text-gray-400">
+            <div>IPv{results.family} · {results.probes.length} probes · {(results.duration / 1000).toFixed(1)}s</div>
+            {results.fragNeeded.map((report, index) => (
+              <div key={index}>{describeReport(report)}</div>
+            ))}
+            {results.reachedMax && (
+              <div>The largest size tried got through; raise Max MTU to look further.</div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Per-hop MTU */}
+      {results && (results.hops || results.hopsNote) && (
+        <div className="bg-dark-800 rounded-lg p-6 border border-dark-700">
+          <h3 className="text-lg font-semibold text-white mb-4">MTU per Hop</h3>
+          {results.hops ? (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-400 border-b border-dark-700">
+                    <th className="py-2 pr-4 w-10">#</th>
+                    <th className="py-2 pr-4">Address</th>
+                    <th className="py-2 pr-4">RTT</th>
+                    <th className="py-2 pr-4">MTU</th>
+                  </tr>
+                </thead>
+                <tbody className="font-mono">
+                  {results.hops.map((hop) => (
+                    <tr key={hop.hop} className={`border-b border-dark-700 ${hop.mtuChanged ? 'bg-yellow-500/10' : ''}`}>
+                      <td className="py-2 pr-4 text-gray-400">{hop.hop}.</td>
+                      <td className={`py-2 pr-4 ${hop.ip ? 'text-white' : 'text-gray-500'}`}>
+                        {hop.ip || 'no reply'}
+                        {hop.reached && <span className="text-green-400 ml-2">(destination)</span>}
+                      </td>
+                      <td className="py-2 pr-4 text-gray-300">{hop.rtt !== null ? `${hop.rtt.toFixed(1)} ms` : '—'}</td>
+                      <td className={`py-2 pr-4 ${hop.mtuChanged ? 'text-yellow-400' : 'text-gray-300'}`}>
+                        {hop.mtu || '—'}{hop.mtuChanged ? ' ↓' : ''}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : null}
+          {results.hopsNote && <div className="text-sm text-gray-400 mt-3">{results.hopsNote}</div>}
+        </div>
+      )}
+
+      {/* Probe Log */}
+      {probes.length > 0 && (
+        <div className="bg-dark-800 rounded-lg p-6 border border-dark-700">
+          <h3 className="text-lg font-semibold text-white mb-4">
+            Probes
+            <span className="text-sm text-gray-400 ml-2">({probes.length})</span>
+          </h3>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-400 border-b border-dark-700">
+                  <th className="py-2 pr-4">Size</th>
+                  <th className="py-2 pr-4">Payload</th>
+                  <th className="py-2 pr-4">TTL</th>
+                  <th className="py-2 pr-4">Result</th>
+                  <th className="py-2 pr-4">Details</th>
+                </tr>
+              </thead>
+              <tbody className="font-mono">
+                {probes.map((probe, index) => {
+                  const style = outcomeStyles[probe.outcome] || outcomeStyles.silent;
+                  return (
+                    <tr key={index} className="border-b border-dark-700">
+                      <td className="py-2 pr-4 text-white">{probe.mtu}</td>
+                      <td className="py-2 pr-4 text-gray-300">{probe.payload}</td>
+                      <td className="py-2 pr-4 text-gray-400">{probe.ttl || '—'}</td>
+                      <td className={`py-2 pr-4 ${style.className}`}>{style.label}</td>
+                      <td className="py-2 pr-4 text-gray-400">
+                        {[
+                          probe.rtt !== null && probe.rtt !== undefined ? `${probe.rtt} ms` : null,
+                          probe.reporter && probe.reporter !== 'local' ? `from ${probe.reporter}` : null,
+                          probe.reportedMtu ? `mtu ${probe.reportedMtu}` : null,
+                          probe.attempt > 1 ? `attempt ${probe.attempt}` : null
+                        ].filter(Boolean).join(' · ') || '—'}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+          <p className="text-xs text-gray-500 mt-3">
+            Sizes are whole IP packets: the ping payload plus {results?.family === 6 ? '48' : '28'} bytes of IP and ICMP headers.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PmtuTool;
@@ -1,22 +1,39 @@
 import React, { useState, useEffect } from 'react';
-import { Search, Settings, BarChart3, Clock } from 'lucide-react';
+import { Search, Settings, BarChart3, Clock, Server, Pause, Play, Square, Trash2 } from 'lucide-react';
 
 const PortScanner = () => {
   const [target, setTarget] = useState('');
   const [ports, setPorts] = useState('1-1024');
   const [scanType, setScanType] = useState('connect');
+  const [addressFamily, setAddressFamily] = useState('auto');
   const [timeout, setTimeout] = useState(5000);
   const [concurrency, setConcurrency] = useState(10);
+  const [maxRate, setMaxRate] = useState(0);
   const [serviceDetection, setServiceDetection] = useState(false);
   const [results, setResults] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [progress, setProgress] = useState(null);
   const [openPorts, setOpenPorts] = useState([]);
-  const [showOnlyOpen, setShowOnlyOpen] = useState(true);
+  const [stateFilter, setStateFilter] = useState('open');
+  const [hostFilter, setHostFilter] = useState('all');
+  const [sessionId, setSessionId] = useState(null);
+  const [controlPending, setControlPending] = useState(null);
+  const [pausedScans, setPausedScans] = useState([]);
 
-  // Clean up on unmount
+  const loadPausedScans = async () => {
+    if (!window.electronAPI || !window.electronAPI.getPausedPortScans) return;
+    try {
+      const scans = await window.electronAPI.getPausedPortScans();
+      setPausedScans(Array.isArray(scans) ? scans : []);
+    } catch (err) {
+      console.log('❌ [PORTSCANNER] Failed to load paused scans:', err);
+    }
+  };
+
+  // Load scans paused in a previous session and clean up on unmount
   useEffect(() => {
+    loadPausedScans();
     return () => {
       console.log('🧹 [PORTSCANNER] Component unmounting - cleaning up');
       if (window.electronAPI && window.electronAPI.removePortScanUpdate) {
@@ -33,6 +50,7 @@ const PortScanner = () => {
       scanType,
       timeout,
       concurrency,
+      maxRate,
       serviceDetection
     });
 
@@ -44,36 +62,86 @@ const PortScanner = () => {
 
     // Check if this is a large port scan and ask for confirmation
     const portCount = calculatePortCount(ports);
-    if (portCount > 1000) {
+    const hostCount = estimateHostCount(target);
+    if (portCount * hostCount > 1000) {
       const confirmed = window.confirm(
-        `This will scan ${portCount} ports, which may take a long time and could be detected by security systems. Do you want to continue?`
+        `This will scan ${portCount} ports on ${hostCount} host${hostCount === 1 ? '' : 's'} (${portCount * hostCount} probes), which may take a long time and could be detected by security systems. Do you want to continue?`
       );
       if (!confirmed) {
         return;
       }
     }
 
+    console.log('🔧 [PORTSCANNER] Building configuration object');
+    const config = {
+      target: target.trim(),
+      ports: ports,
+      scanType: scanType,
+      timeout: parseInt(timeout),
+      concurrency: parseInt(concurrency),
+      maxRate: parseInt(maxRate) || 0,
+      serviceDetection: serviceDetection,
+      family: addressFamily
+    };
+
+    console.log('📡 [PORTSCANNER] Calling real-time port scan API with config:', config);
+    await runScan(() => window.electronAPI.portScanRealtime(config));
+  };
+
+  const handleResume = async (pausedSessionId) => {
+    console.log('▶️ [PORTSCANNER] Resuming paused scan:', pausedSessionId);
+    setSessionId(pausedSessionId);
+    await runScan(() => window.electronAPI.resumePortScan(pausedSessionId));
+  };
+
+  const handleDiscard = async (pausedSessionId) => {
+    console.log('🗑️ [PORTSCANNER] Discarding paused scan:', pausedSessionId);
+    await window.electronAPI.discardPausedPortScan(pausedSessionId);
+    loadPausedScans();
+  };
+
+  const handlePause = async () => {
+    if (!sessionId) return;
+    console.log('⏸️ [PORTSCANNER] Pausing scan:', sessionId);
+    setControlPending('pause');
+    await window.electronAPI.pausePortScan(sessionId);
+  };
+
+  const handleStop = async () => {
+    if (!sessionId) return;
+    console.log('🛑 [PORTSCANNER] Stopping scan:', sessionId);
+    setControlPending('stop');
+    await window.electronAPI.stopProcess(sessionId);
+  };
+
+  const runScan = async (startScan) => {
     console.log('⏳ [PORTSCANNER] Setting loading state and clearing previous results');
     setLoading(true);
     setError('');
     setResults(null);
     setProgress(null);
     setOpenPorts([]);
+    setHostFilter('all');
+    setControlPending(null);
 
     // Set up real-time update listener
     if (window.electronAPI && window.electronAPI.onPortScanUpdate) {
+      window.electronAPI.removePortScanUpdate();
       window.electronAPI.onPortScanUpdate((update) => {
         console.log('📡 [PORTSCANNER] Received real-time update:', update);
         
         setProgress(update);
+        if (update.sessionId) {
+          setSessionId(update.sessionId);
+        }
         
         // Update open ports list with newly discovered open ports
         if (update.recentResults) {
           const newOpenPorts = update.recentResults.filter(port => port.state === 'open');
           if (newOpenPorts.length > 0) {
             setOpenPorts(prevOpenPorts => {
-              const existingPorts = new Set(prevOpenPorts.map(p => p.port));
-              const uniqueNewPorts = newOpenPorts.filter(port => !existingPorts.has(port.port));
+              const existingPorts = new Set(prevOpenPorts.map(p => `${p.host}:${p.port}`));
+              const uniqueNewPorts = newOpenPorts.filter(port => !existingPorts.has(`${port.host}:${port.port}`));
               return [...prevOpenPorts, ...uniqueNewPorts];
             });
           }
@@ -82,18 +150,7 @@ const PortScanner = () => {
     }
 
     try {
-      console.log('🔧 [PORTSCANNER] Building configuration object');
-      const config = {
-        target: target.trim(),
-        ports: ports,
-        scanType: scanType,
-        timeout: parseInt(timeout),
-        concurrency: parseInt(concurrency),
-        serviceDetection: serviceDetection
-      };
-
-      console.log('📡 [PORTSCANNER] Calling real-time port scan API with config:', config);
-      const result = await window.electronAPI.portScanRealtime(config);
+      const result = await startScan();
       console.log('✅ [PORTSCANNER] Port scan completed:', result);
 
       if (result.success) {
@@ -111,6 +168,9 @@ const PortScanner = () => {
       console.log('🏁 [PORTSCANNER] Operation completed, setting loading to false');
       setLoading(false);
       setProgress(null);
+      setSessionId(null);
+      setControlPending(null);
+      loadPausedScans();
     }
   };
 
@@ -120,6 +180,23 @@ const PortScanner = () => {
     return `${latency.toFixed(2)} ms`;
   };
 
+  const formatGeo = (geo) => {
+    if (!geo) return null;
+    if (geo.scope === 'private') return 'Private network';
+    const location = [geo.city, geo.country].filter(Boolean).join(', ');
+    const origin = geo.asn ? `${geo.asn}${geo.asName ? ` ${geo.asName}` : ''}` : '';
+    return [location, origin].filter(Boolean).join(' · ') || null;
+  };
+
+  const formatDuration = (ms) => {
+    if (ms === null || ms === undefined) return 'N/A';
+    const seconds = Math.round(ms / 1000);
+    if (seconds < 60) return `${seconds}s`;
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+  };
+
   const calculatePortCount = (portString) => {
     if (!portString) return 0;
     
@@ -143,10 +220,75 @@ const PortScanner = () => {
     return total;
   };
 
+  const estimateHostCount = (targetString) => {
+    let total = 0;
+    const parts = targetString.split(/[\s,]+/).filter(Boolean);
+
+    for (const part of parts) {
+      const cidr = part.match(/\/(\d{1,2})$/);
+      const range = part.match(/^\d{1,3}(?:\.\d{1,3}){3}-(\S+)$/);
+      if (cidr) {
+        const prefix = parseInt(cidr[1]);
+        total += prefix >= 31 ? Math.pow(2, 32 - prefix) : Math.pow(2, 32 - prefix) - 2;
+      } else if (range && /^\d{1,3}$/.test(range[1])) {
+        const start = parseInt(part.split('-')[0].split('.')[3]);
+        total += Math.max(parseInt(range[1]) - start + 1, 1);
+      } else {
+        total += 1;
+      }
+    }
+
+    return Math.max(total, 1);
+  };
+
+  const portStates = ['open', 'closed', 'filtered', 'unreachable', 'open|filtered', 'error'];
+
+  const getStateLabel = (state) => {
+    const labels = {
+      open: 'Open',
+      closed: 'Closed',
+      filtered: 'Filtered',
+      unreachable: 'Unreachable',
+      'open|filtered': 'Open|Filtered',
+      error: 'Error'
+    };
+    return labels[state] || state;
+  };
+
+  const isMultiHost = results && results.hosts && results.hosts.length > 1;
+
+  const hostScopedResults = results
+    ? (hostFilter === 'all' ? results.results : results.results.filter(port => port.host === hostFilter))
+    : [];
+
+  const filteredResults = stateFilter === 'all'
+    ? hostScopedResults
+    : hostScopedResults.filter(port => port.state === stateFilter);
+
+  const getStateDescription = (port) => {
+    switch (port.state) {
+      case 'open':
+        return port.protocol === 'udp' ? 'Port replied to a UDP probe' : 'Port is open and accepting connections';
+      case 'closed':
+        return port.protocol === 'udp' ? 'ICMP port unreachable received' : 'Connection refused by host';
+      case 'open|filtered':
+        return 'No response - port is open or filtered';
+      case 'filtered':
+        return port.errorCode === 'ETIMEDOUT' ? 'No response before timeout - probably firewalled' : 'Probe blocked';
+      case 'unreachable':
+        return 'Host or network unreachable';
+      default:
+        return 'Connection error';
+    }
+  };
+
   const getStateBgColor = (state) => {
     switch (state) {
       case 'open': return 'bg-green-500/20 text-green-400';
       case 'closed': return 'bg-red-500/20 text-red-400';
+      case 'open|filtered': return 'bg-blue-500/20 text-blue-400';
+      case 'filtered': return 'bg-orange-500/20 text-orange-400';
+      case 'unreachable': return 'bg-purple-500/20 text-purple-400';
       case 'error': return 'bg-yellow-500/20 text-yellow-400';
       default: return 'bg-gray-500/20 text-gray-400';
     }
@@ -168,7 +310,7 @@ const PortScanner = () => {
         
         <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
           <div>
-            <label className="block text-sm font-medium text-gray-300 mb-2">Target Host/IP</label>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Target Hosts/IPs</label>
             <input
               type="text"
               value={target}
@@ -176,7 +318,7 @@ const PortScanner = () => {
                 console.log('🎯 [PORTSCANNER] Target changed to:', e.target.value);
                 setTarget(e.target.value);
               }}
-              placeholder="example.com or 192.168.1.1"
+              placeholder="example.com, 192.168.1.1, 2001:db8::1, 10.0.0.0/24 or 10.0.0.1-50"
               className="w-full px-3 py-2 bg-dark-700 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-primary-500"
             />
           </div>
@@ -211,6 +353,22 @@ const PortScanner = () => {
             </select>
           </div>
 
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Address Family</label>
+            <select
+              value={addressFamily}
+              onChange={(e) => {
+                console.log('🌐 [PORTSCANNER] Address family changed to:', e.target.value);
+                setAddressFamily(e.target.value);
+              }}
+              className="w-full px-3 py-2 bg-dark-700 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-primary-500"
+            >
+              <option value="auto">Auto</option>
+              <option value="ipv4">IPv4 only</option>
+              <option value="ipv6">IPv6 only</option>
+            </select>
+          </div>
+
           <div>
             <label className="block text-sm font-medium text-gray-300 mb-2">Timeout (ms)</label>
             <input
@@ -242,6 +400,21 @@ const PortScanner = () => {
             />
           </div>
 
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Max Rate (probes/sec, 0 = unlimited)</label>
+            <input
+              type="number"
+              value={maxRate}
+              onChange={(e) => {
+                console.log('🚦 [PORTSCANNER] Max rate changed to:', e.target.value);
+                setMaxRate(e.target.value);
+              }}
+              min="0"
+              max="10000"
+              className="w-full px-3 py-2 bg-dark-700 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-primary-500"
+            />
+          </div>
+
           <div className="flex items-center">
             <label className="flex items-center">
               <input
@@ -258,7 +431,7 @@ const PortScanner = () => {
           </div>
         </div>
 
-        <div className="mt-6">
+        <div className="mt-6 flex items-center space-x-3">
           <button
             onClick={handleScan}
             disabled={loading}
@@ -267,9 +440,73 @@ const PortScanner = () => {
             <Search className="w-5 h-5" />
             <span>{loading ? 'Scanning in Real-time...' : 'Start Real-time Scan'}</span>
           </button>
+          {loading && (
+            <>
+              <button
+                onClick={handlePause}
+                disabled={!sessionId || controlPending !== null}
+                className="flex items-center space-x-2 px-4 py-3 bg-dark-700 text-gray-200 rounded-lg hover:bg-dark-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                <Pause className="w-5 h-5" />
+                <span>{controlPending === 'pause' ? 'Pausing...' : 'Pause'}</span>
+              </button>
+              <button
+                onClick={handleStop}
+                disabled={!sessionId || controlPending !== null}
+                className="flex items-center space-x-2 px-4 py-3 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                <Square className="w-5 h-5" />
+                <span>{controlPending === 'stop' ? 'Stopping...' : 'Stop'}</span>
+              </button>
+            </>
+          )}
         </div>
       </div>
 
+      {/* Paused Scans */}
+      {pausedScans.length > 0 && !loading && (
+        <div className="bg-dark-800 rounded-lg p-6 border border-dark-700">
+          <h3 className="text-lg font-semibold text-white mb-4 flex items-center">
+            <Pause className="w-5 h-5 mr-2" />
+            Paused Scans
+          </h3>
+          <div className="space-y-2">
+            {pausedScans.map((scan) => (
+              <div key={scan.sessionId} className="flex items-center justify-between p-3 bg-dark-700 rounded-lg">
+                <div>
+                  <div className="text-white font-medium">
+                    {scan.target}
+                    <span className="text-sm text-gray-400 ml-2">
+                      {scan.scanType.toUpperCase()} • {scan.ports} ports{scan.hosts > 1 ? ` × ${scan.hosts} hosts` : ''}
+                    </span>
+                  </div>
+                  <div className="text-sm text-gray-400">
+                    {scan.completed} / {scan.total} probes done ({((scan.completed / scan.total) * 100).toFixed(1)}%)
+                    {' '}• {scan.open} open • paused {new Date(scan.pausedAt).toLocaleString()}
+                  </div>
+                </div>
+                <div className="flex items-center space-x-2">
+                  <button
+                    onClick={() => handleResume(scan.sessionId)}
+                    className="flex items-center space-x-1 px-3 py-1 text-sm bg-primary-600 text-white rounded hover:bg-primary-700 transition-colors"
+                  >
+                    <Play className="w-4 h-4" />
+                    <span>Resume</span>
+                  </button>
+                  <button
+                    onClick={() => handleDiscard(scan.sessionId)}
+                    className="flex items-center space-x-1 px-3 py-1 text-sm bg-dark-600 text-gray-300 rounded hover:bg-red-600 hover:text-white transition-colors"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                    <span>Discard</span>
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Progress Indicator */}
       {progress && (
         <div className="bg-dark-800 rounded-lg p-6 border border-dark-700">
@@ -286,7 +523,10 @@ const PortScanner = () => {
             ></div>
           </div>
           <div className="mt-2 text-sm text-gray-400">
-            Chunk {progress.currentChunk} of {progress.totalChunks} • {openPorts.length} open ports found
+            {progress.inFlight} in flight (window {progress.concurrency}) • {progress.rate.toFixed(0)} probes/s
+            {progress.estimatedRemaining !== null && ` • ~${formatDuration(progress.estimatedRemaining)} remaining`}
+            {progress.totalHosts > 1 && ` • ${progress.totalHosts} hosts, now at ${progress.currentHost}`}
+            {' '}• {openPorts.length} open ports found
           </div>
         </div>
       )}
@@ -302,6 +542,17 @@ const PortScanner = () => {
       {/* Results Display */}
       {results && (
         <div className="space-y-6">
+          {(results.paused || results.cancelled) && (
+            <div className="bg-yellow-500/10 border border-yellow-500/20 rounded-lg p-4">
+              <div className="text-yellow-400 font-medium">
+                {results.paused ? 'Scan paused' : 'Scan stopped'}
+              </div>
+              <div className="text-yellow-300 text-sm mt-1">
+                Showing partial results - {results.pending} probes {results.paused ? 'are pending and can be resumed from Paused Scans' : 'were skipped'}.
+              </div>
+            </div>
+          )}
+
           {/* Statistics */}
           <div className="bg-dark-800 rounded-lg p-6 border border-dark-700">
             <h3 className="text-lg font-semibold text-white mb-4 flex items-center">
@@ -309,9 +560,17 @@ const PortScanner = () => {
               Scan Statistics
             </h3>
             <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              {isMultiHost && (
+                <div className="text-center">
+                  <div className="text-2xl font-bold text-primary-400">
+                    {results.statistics.hostsWithOpenPorts} / {results.statistics.hosts}
+                  </div>
+                  <div className="text-sm text-gray-400">Hosts with Open Ports</div>
+                </div>
+              )}
               <div className="text-center">
                 <div className="text-2xl font-bold text-primary-400">{results.statistics.total}</div>
-                <div className="text-sm text-gray-400">Total Ports</div>
+                <div className="text-sm text-gray-400">{isMultiHost ? 'Total Probes' : 'Total Ports'}</div>
               </div>
               <div className="text-center">
                 <div className="text-2xl font-bold text-green-400">{results.statistics.open}</div>
@@ -321,6 +580,20 @@ const PortScanner = () => {
                 <div className="text-2xl font-bold text-red-400">{results.statistics.closed}</div>
                 <div className="text-sm text-gray-400">Closed</div>
               </div>
+              <div className="text-center">
+                <div className="text-2xl font-bold text-orange-400">{results.statistics.filtered}</div>
+                <div className="text-sm text-gray-400">Filtered</div>
+              </div>
+              <div className="text-center">
+                <div className="text-2xl font-bold text-purple-400">{results.statistics.unreachable}</div>
+                <div className="text-sm text-gray-400">Unreachable</div>
+              </div>
+              {results.scanType === 'udp' && (
+                <div className="text-center">
+                  <div className="text-2xl font-bold text-blue-400">{results.statistics.openFiltered}</div>
+                  <div className="text-sm text-gray-400">Open|Filtered</div>
+                </div>
+              )}
               <div className="text-center">
                 <div className="text-2xl font-bold text-yellow-400">{results.statistics.error}</div>
                 <div className="text-sm text-gray-400">Errors</div>
@@ -336,39 +609,129 @@ const PortScanner = () => {
             )}
           </div>
 
+          {/* Per-host Summary */}
+          {isMultiHost && (
+            <div className="bg-dark-800 rounded-lg p-6 border border-dark-700">
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-semibold text-white flex items-center">
+                  <Server className="w-5 h-5 mr-2" />
+                  Hosts
+                  <span className="text-sm text-gray-400 ml-2">({results.hosts.length} scanned)</span>
+                </h3>
+                {hostFilter !== 'all' && (
+                  <button
+                    onClick={() => setHostFilter('all')}
+                    className="px-3 py-1 text-sm bg-dark-700 text-gray-300 rounded hover:bg-dark-600 transition-colors"
+                  >
+                    Show all hosts
+                  </button>
+                )}
+              </div>
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-400 border-b border-dark-700">
+                      <th className="py-2 pr-4">Host</th>
+                      <th className="py-2 pr-4">IP Address</th>
+                      <th className="py-2 pr-4">Location / AS</th>
+                      <th className="py-2 pr-4 text-right">Open</th>
+                      <th className="py-2 pr-4 text-right">Closed</th>
+                      <th className="py-2 pr-4 text-right">Filtered</th>
+                      <th className="py-2 pr-4 text-right">Unreachable</th>
+                      <th className="py-2 pr-4">Open Ports</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {results.hosts.map((host) => (
+                      <tr
+                        key={host.target}
+                        onClick={() => host.ipAddress && setHostFilter(host.ipAddress)}
+                        className={`border-b border-dark-700 cursor-pointer hover:bg-dark-700 ${hostFilter === host.ipAddress ? 'bg-dark-700' : ''}`}
+                      >
+                        <td className="py-2 pr-4 text-white">{host.target}</td>
+                        <td className="py-2 pr-4 text-gray-300 font-mono">
+                          {host.ipAddress || host.error}
+                          {host.family && <span className="ml-2 text-xs text-gray-500">IPv{host.family}</span>}
+                        </td>
+                        <td className="py-2 pr-4 text-gray-400 max-w-xs truncate">{formatGeo(host.geo) || '—'}</td>
+                        <td className="py-2 pr-4 text-right text-green-400">{host.statistics.open}</td>
+                        <td className="py-2 pr-4 text-right text-red-400">{host.statistics.closed}</td>
+                        <td className="py-2 pr-4 text-right text-orange-400">{host.statistics.filtered}</td>
+                        <td className="py-2 pr-4 text-right text-purple-400">{host.statistics.unreachable}</td>
+                        <td className="py-2 pr-4 text-gray-300 font-mono">
+                          {host.results.filter(port => port.state === 'open').map(port => port.port).join(', ') || '—'}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
           {/* Port Results */}
           <div className="bg-dark-800 rounded-lg p-6 border border-dark-700">
             <div className="flex items-center justify-between mb-4">
               <h3 className="text-lg font-semibold text-white">
-                {showOnlyOpen ? 'Open Ports' : 'All Port Results'} 
-                {showOnlyOpen && openPorts.length > 0 && (
-                  <span className="text-sm text-gray-400 ml-2">({openPorts.length} found)</span>
-                )}
+                {stateFilter === 'all' ? 'All Port Results' : `${getStateLabel(stateFilter)} Ports`}
+                {hostFilter !== 'all' && <span className="text-primary-400 ml-2">on {hostFilter}</span>}
+                <span className="text-sm text-gray-400 ml-2">({filteredResults.length} found)</span>
               </h3>
-              <button
-                onClick={() => setShowOnlyOpen(!showOnlyOpen)}
-                className="px-3 py-1 text-sm bg-dark-700 text-gray-300 rounded hover:bg-dark-600 transition-colors"
+              <select
+                value={stateFilter}
+                onChange={(e) => setStateFilter(e.target.value)}
+                className="px-3 py-1 text-sm bg-dark-700 border border-dark-600 text-gray-300 rounded focus:outline-none focus:border-primary-500"
               >
-                {showOnlyOpen ? 'Show All' : 'Show Open Only'}
-              </button>
+                <option value="all">All ({hostScopedResults.length})</option>
+                {portStates.map((state) => (
+                  <option key={state} value={state}>
+                    {getStateLabel(state)} ({hostScopedResults.filter(r => r.state === state).length})
+                  </option>
+                ))}
+              </select>
             </div>
             
             <div className="space-y-2">
-              {(showOnlyOpen ? openPorts : results.results).map((port, index) => (
+              {filteredResults.map((port, index) => (
                 <div key={index} className="flex items-center justify-between p-3 bg-dark-700 rounded-lg">
                   <div className="flex items-center space-x-4">
+                    {isMultiHost && (
+                      <div className="w-32 text-sm text-gray-300 font-mono truncate" title={port.target}>
+                        {port.host}
+                      </div>
+                    )}
                     <div className="w-16 text-sm text-gray-400 font-mono">
                       {port.port}
                     </div>
-                    <div className="flex-1">
+                    <div className="flex-1 min-w-0">
                       <div className="text-white font-medium">
                         {port.service || 'Unknown Service'}
+                        {port.product && (
+                          <span className="text-primary-400 font-normal ml-2">
+                            {port.product}{port.version ? ` ${port.version}` : ''}
+                          </span>
+                        )}
+                        {port.detectionMethod && (
+                          <span className="text-xs text-gray-500 font-normal ml-2">
+                            via {port.detectionMethod}
+                          </span>
+                        )}
                       </div>
                       <div className="text-sm text-gray-400">
-                        {port.state === 'open' ? 'Port is open and accepting connections' : 
-                         port.state === 'closed' ? 'Port is closed' : 
-                         'Connection error'}
+                        {getStateDescription(port)}
                       </div>
+                      {port.tls && (
+                        <div className="text-xs text-gray-400 mt-1">
+                          {port.tls.protocol} · {port.tls.cipher}
+                          {port.tls.subject && ` · CN=${port.tls.subject}`}
+                          {port.tls.issuer && ` · issued by ${port.tls.issuer}`}
+                        </div>
+                      )}
+                      {port.banner && (
+                        <pre className="text-xs text-gray-300 font-mono bg-dark-800 rounded p-2 mt-2 max-w-2xl max-h-24 overflow-auto whitespace-pre-wrap break-all">
+                          {port.banner}
+                        </pre>
+                      )}
                     </div>
                   </div>
                   <div className="text-right">
@@ -380,14 +743,21 @@ const PortScanner = () => {
                         {formatLatency(port.latency)}
                       </div>
                     )}
+                    {port.errorCode && (
+                      <div className="text-xs text-gray-500 font-mono mt-1">
+                        {port.errorCode}
+                      </div>
+                    )}
                   </div>
                 </div>
               ))}
               
-              {showOnlyOpen && openPorts.length === 0 && (
+              {filteredResults.length === 0 && (
                 <div className="text-center py-8 text-gray-400">
-                  <div className="text-lg font-medium mb-2">No Open Ports Found</div>
-                  <div className="text-sm">All scanned ports appear to be closed or filtered.</div>
+                  <div className="text-lg font-medium mb-2">
+                    No {stateFilter === 'all' ? '' : `${getStateLabel(stateFilter)} `}Ports Found
+                  </div>
+                  <div className="text-sm">No scanned ports match the selected state.</div>
                 </div>
               )}
             </div>
@@ -405,13 +775,38 @@ const PortScanner = () => {
                 <span className="text-white ml-2">{results.target}</span>
               </div>
               <div>
-                <span className="text-gray-400">IP Address:</span>
-                <span className="text-white ml-2">{results.ipAddress}</span>
+                <span className="text-gray-400">{isMultiHost ? 'Hosts:' : 'IP Address:'}</span>
+                <span className="text-white ml-2">{isMultiHost ? results.hosts.length : results.ipAddress}</span>
+                {!isMultiHost && results.family && <span className="text-gray-400 ml-2">(IPv{results.family})</span>}
               </div>
+              {!isMultiHost && results.hosts && results.hosts[0] && formatGeo(results.hosts[0].geo) && (
+                <div>
+                  <span className="text-gray-400">Location / AS:</span>
+                  <span className="text-white ml-2">{formatGeo(results.hosts[0].geo)}</span>
+                </div>
+              )}
               <div>
                 <span className="text-gray-400">Scan Type:</span>
                 <span className="text-white ml-2">{results.scanType}</span>
               </div>
+              {results.performance && (
+                <>
+                  <div>
+                    <span className="text-gray-400">Duration:</span>
+                    <span className="text-white ml-2">
+                      {formatDuration(results.performance.duration)} ({results.performance.averageRate.toFixed(0)} probes/s)
+                    </span>
+                  </div>
+                  <div>
+                    <span className="text-gray-400">Concurrency:</span>
+                    <span className="text-white ml-2">
+                      {results.performance.finalConcurrency}
+                      {results.performance.backoffs > 0 && ` (backed off ${results.performance.backoffs}× due to timeouts)`}
+                      {results.performance.maxRate && ` • capped at ${results.performance.maxRate} probes/s`}
+                    </span>
+                  </div>
+                </>
+              )}
               <div>
                 <span className="text-gray-400">Timestamp:</span>
                 <span className="text-white ml-2">{new Date(results.timestamp).toLocaleString()}</span>
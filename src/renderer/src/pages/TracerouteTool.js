@@ -1,6 +1,10 @@
-import React, { useState, useEffect } from 'react';
-import { Route, Settings, BarChart3, Activity, Maximize2, Minimize2, Globe, Wifi, Zap, RotateCcw, BarChart, TrendingUp } from 'lucide-react';
+import React, { useState, useEffect, useRef } from 'react';
+import { Route, Settings, BarChart3, Activity, Maximize2, Minimize2, Globe, Wifi, Zap, RotateCcw, BarChart, TrendingUp, MapPin, Layers, Map as MapIcon, GitFork, Gauge, Copy, Download, GitCompare, Waypoints, Network } from 'lucide-react';
 import HopChart from '../components/HopChart';
+import TracerouteMap from '../components/TracerouteMap';
+import MtrTable from '../components/MtrTable';
+import RouteDiff from '../components/RouteDiff';
+import PathGraph from '../components/PathGraph';
 import usePersistentState from '../hooks/usePersistentState';
 
 const TracerouteTool = () => {
@@ -11,12 +15,34 @@ const TracerouteTool = () => {
   const [maxHops, setMaxHops] = useState(30);
   const [timeout] = useState(0); // No timeout by default
   const [protocol, setProtocol] = useState('icmp');
+  const [addressFamily, setAddressFamily] = useState('auto');
   const [port, setPort] = useState('');
+  const [probesPerHop, setProbesPerHop] = useState(3);
   const [resolveHosts, setResolveHosts] = useState(true);
   const [hostnameTimeout, setHostnameTimeout] = useState(5000);
   const [pingHops, setPingHops] = useState(true);
+  const [enrichHops, setEnrichHops] = useState(true);
+  const [groupByAs, setGroupByAs] = useState(false);
+  const [showMap, setShowMap] = useState(true);
+  // Hops received so far in the current real-time run; the update listener is
+  // registered once per run, so it can't read currentHops from its closure
+  const liveHopsRef = useRef([]);
   const [realTime, setRealTime] = useState(true);
   const [continuous, setContinuous] = useState(false);
+  const [mtrMode, setMtrMode] = useState(false);
+  // 'idle' | 'discovering' | 'running' | 'stopped' - a stopped session can still be exported
+  const [mtrStatus, setMtrStatus] = useState('idle');
+  const [mtrSessionId, setMtrSessionId] = useState(null);
+  const [mtrCycle, setMtrCycle] = useState(0);
+  const [mtrNotice, setMtrNotice] = useState('');
+  // Updates from an earlier session can still arrive after a restart
+  const mtrSessionRef = useRef(null);
+  const [paris, setParis] = useState(false);
+  const [multipathMode, setMultipathMode] = useState(false);
+  const [maxFlows, setMaxFlows] = useState(16);
+  // 'idle' | 'running' | 'done'
+  const [multipathStatus, setMultipathStatus] = useState('idle');
+  const multipathSessionRef = useRef(null);
   const [interval, setInterval] = useState(5000);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
@@ -39,6 +65,14 @@ const TracerouteTool = () => {
   const [results, setResults] = useState(state?.data?.results || null);
   const [currentHops, setCurrentHops] = useState(state?.data?.currentHops || []);
   const [continuousData, setContinuousData] = useState(state?.data?.continuousData || []);
+  const [mtrHops, setMtrHops] = useState(state?.data?.mtrHops || []);
+  const [traceMethod, setTraceMethod] = useState(state?.data?.traceMethod || null);
+  // Latest path graph of a multipath discovery with its flow counts
+  const [multipath, setMultipath] = useState(state?.data?.multipath || null);
+  // Path versions of the continuous session and the most recent route changes
+  const [routeHistory, setRouteHistory] = useState(state?.data?.routeHistory || null);
+  const [routeChanges, setRouteChanges] = useState(state?.data?.routeChanges || []);
+  const routeChangesRef = useRef(state?.data?.routeChanges || []);
 
   // Update local state when persistent state changes
   useEffect(() => {
@@ -46,10 +80,94 @@ const TracerouteTool = () => {
       setResults(state.data.results || null);
       setCurrentHops(state.data.currentHops || []);
       setContinuousData(state.data.continuousData || []);
+      setMtrHops(state.data.mtrHops || []);
+      setTraceMethod(state.data.traceMethod || null);
+      setMultipath(state.data.multipath || null);
+      setRouteHistory(state.data.routeHistory || null);
+      setRouteChanges(state.data.routeChanges || []);
+      routeChangesRef.current = state.data.routeChanges || [];
       setShowGraph(!!state.data.results);
     }
   }, [state]);
 
+  // MTR updates replace the per-hop figures in place
+  useEffect(() => {
+    window.electronAPI.onMtrUpdate((update) => {
+      if (update.sessionId !== mtrSessionRef.current) return;
+
+      if (update.type === 'mtr_discovering') {
+        setMtrStatus('discovering');
+      } else if (update.type === 'mtr_update') {
+        setMtrStatus('running');
+        setMtrHops(update.hops);
+        setMtrCycle(update.cycle);
+        setTraceMethod(update.method || null);
+        setData({
+          mtrHops: update.hops,
+          traceMethod: update.method || null,
+          target: update.target,
+          timestamp: new Date().toISOString()
+        });
+      } else if (update.type === 'mtr_error') {
+        console.log('❌ [TRACEROUTE] MTR session failed:', update.error);
+        setError(update.error || 'MTR session failed');
+        setMtrStatus('idle');
+        mtrSessionRef.current = null;
+      }
+    });
+
+    return () => {
+      window.electronAPI.removeMtrListeners();
+      if (mtrSessionRef.current) {
+        console.log('🔄 [TRACEROUTE] Stopping MTR session on unmount');
+        window.electronAPI.stopMtr(mtrSessionRef.current);
+      }
+    };
+  }, []);
+
+  // Multipath discovery redraws the path graph after every batch of flows
+  useEffect(() => {
+    window.electronAPI.onMultipathUpdate((update) => {
+      if (update.sessionId !== multipathSessionRef.current) return;
+
+      if (update.type === 'multipath_flow' || update.type === 'multipath_complete') {
+        const snapshot = {
+          graph: update.graph,
+          method: update.method || null,
+          completed: update.completed,
+          planned: update.planned,
+          failed: update.failed,
+          stoppedBy: update.stoppedBy || null
+        };
+        setMultipath(snapshot);
+        setTraceMethod(update.method || null);
+        if (update.type === 'multipath_complete') {
+          setMultipathStatus('done');
+          multipathSessionRef.current = null;
+        }
+        setData({
+          multipath: snapshot,
+          traceMethod: update.method || null,
+          target: update.target,
+          timestamp: new Date().toISOString()
+        });
+      } else if (update.type === 'multipath_error') {
+        console.log('❌ [TRACEROUTE] Multipath discovery failed:', update.error);
+        setError(update.error || 'Multipath discovery failed');
+        setMultipathStatus('idle');
+        multipathSessionRef.current = null;
+      }
+    });
+
+    return () => {
+      window.electronAPI.removeMultipathListeners();
+      if (multipathSessionRef.current) {
+        console.log('🔄 [TRACEROUTE] Stopping multipath discovery on unmount');
+        window.electronAPI.stopMultipath(multipathSessionRef.current);
+      }
+    };
+  }, []);
+
   // Clean up listeners and processes on unmount
   useEffect(() => {
     return () => {
@@ -92,12 +210,51 @@ const TracerouteTool = () => {
 
     window.electronAPI.onContinuousTracerouteComplete(async (update) => {
       console.log('✅ [TRACEROUTE] Continuous traceroute completed:', update);
+
+      if (update.type === 'route_changed') {
+        // Keep the last 20 changes for the diff view
+        const changes = [...routeChangesRef.current, {
+          runNumber: update.runNumber,
+          timestamp: update.timestamp,
+          version: update.version,
+          previousVersion: update.previousVersion,
+          changes: update.changes
+        }].slice(-20);
+        routeChangesRef.current = changes;
+        setRouteChanges(changes);
+        setRouteHistory(update.routeHistory);
+        setContinuousData(update.allHops);
+
+        await setData({
+          routeChanges: changes,
+          routeHistory: update.routeHistory,
+          continuousData: update.allHops,
+          timestamp: new Date().toISOString()
+        });
+        return;
+      }
+
       setLoading(false);
+      if (update.type === 'run_error') {
+        return;
+      }
+
+      // Failed runs carry no method - keep showing the last one used
+      const method = update.result?.method;
+      if (method) {
+        setTraceMethod(method);
+      }
+      if (update.routeHistory) {
+        setRouteHistory(update.routeHistory);
+      }
+      setContinuousData(update.allHops);
       
       // Save final results to persistent state
       await setData({
         results: update.data,
         continuousData: update.allHops,
+        ...(method ? { traceMethod: method } : {}),
+        ...(update.routeHistory ? { routeHistory: update.routeHistory } : {}),
         loading: false,
         target: target,
         timestamp: new Date().toISOString()
@@ -109,7 +266,8 @@ const TracerouteTool = () => {
       console.log('📡 [TRACEROUTE] Real-time update received:', update);
       
       if (update.type === 'hop') {
-        const newCurrentHops = [...currentHops, update.data];
+        const newCurrentHops = [...liveHopsRef.current, update.data];
+        liveHopsRef.current = newCurrentHops;
         setCurrentHops(newCurrentHops);
         setProgress(update.progress);
         
@@ -122,12 +280,14 @@ const TracerouteTool = () => {
         });
       } else if (update.type === 'complete') {
         setResults(update.data);
+        setTraceMethod(update.data.method || null);
         setLoading(false);
         setShowGraph(true);
         
         // Save final results to persistent state
         await setData({
           results: update.data,
+          traceMethod: update.data.method || null,
           currentHops: currentHops,
           loading: false,
           showGraph: true,
@@ -166,10 +326,17 @@ const TracerouteTool = () => {
       timeout,
       protocol,
       port,
+      addressFamily,
+      probesPerHop,
       resolveHosts,
       pingHops,
+      enrichHops,
       realTime,
       continuous,
+      mtrMode,
+      paris,
+      multipathMode,
+      maxFlows,
       interval
     });
 
@@ -180,7 +347,7 @@ const TracerouteTool = () => {
     }
 
     // Ask for confirmation for continuous mode
-    if (continuous) {
+    if (continuous || mtrMode) {
       const confirmed = window.confirm(
         'Continuous mode will run indefinitely until manually stopped. This may generate significant network traffic. Do you want to continue?'
       );
@@ -195,12 +362,27 @@ const TracerouteTool = () => {
     setResults(null);
     setProgress(null);
     setCurrentHops([]);
+    liveHopsRef.current = [];
+    setTraceMethod(null);
     setShowGraph(false);
     
     if (continuous) {
       setContinuousData([]);
       setRunCount(0);
       setSessionDuration(0);
+      setRouteHistory(null);
+      setRouteChanges([]);
+      routeChangesRef.current = [];
+    }
+
+    if (mtrMode) {
+      setMtrHops([]);
+      setMtrCycle(0);
+      setMtrNotice('');
+    }
+
+    if (multipathMode) {
+      setMultipath(null);
     }
 
     // Clear persistent state for new operation
@@ -208,6 +390,11 @@ const TracerouteTool = () => {
       results: null,
       currentHops: [],
       continuousData: continuous ? [] : undefined,
+      routeHistory: continuous ? null : undefined,
+      routeChanges: continuous ? [] : undefined,
+      mtrHops: mtrMode ? [] : undefined,
+      multipath: multipathMode ? null : undefined,
+      traceMethod: null,
       progress: null,
       loading: true
     });
@@ -224,9 +411,14 @@ const TracerouteTool = () => {
         timeout: parseInt(timeout),
         protocol: protocol,
         port: port ? parseInt(port) : null,
+        family: addressFamily,
+        probesPerHop: parseInt(probesPerHop),
+        paris: paris,
+        maxFlows: parseInt(maxFlows),
         resolveHosts: resolveHosts,
         hostnameTimeout: parseInt(hostnameTimeout),
         pingHops: pingHops,
+        enrichHops: enrichHops,
         realTime: realTime,
         interval: parseInt(interval),
         skipSlowHops: skipSlowHops,
@@ -238,7 +430,30 @@ const TracerouteTool = () => {
 
       console.log('📡 [TRACEROUTE] Calling traceroute API with config:', config);
       
-      if (continuous) {
+      if (multipathMode) {
+        // Paris traceroutes with a new flow ID each until no new paths are likely
+        const result = await window.electronAPI.startMultipath(config);
+        console.log('✅ [TRACEROUTE] Multipath discovery started:', result);
+        if (result.success) {
+          multipathSessionRef.current = result.sessionId;
+          setMultipathStatus('running');
+        } else {
+          setError(result.error || 'Multipath discovery failed');
+        }
+        setLoading(false);
+      } else if (mtrMode) {
+        // Discover the path once, then probe every hop each interval
+        const result = await window.electronAPI.startMtr(config);
+        console.log('✅ [TRACEROUTE] MTR session started:', result);
+        if (result.success) {
+          mtrSessionRef.current = result.sessionId;
+          setMtrSessionId(result.sessionId);
+          setMtrStatus('discovering');
+        } else {
+          setError(result.error || 'MTR session failed');
+        }
+        setLoading(false);
+      } else if (continuous) {
         // Use continuous traceroute
         const result = await window.electronAPI.startContinuousTraceroute(config);
         console.log('✅ [TRACEROUTE] Continuous traceroute started:', result);
@@ -263,6 +478,7 @@ const TracerouteTool = () => {
         const result = await window.electronAPI.traceroute(config);
         console.log('✅ [TRACEROUTE] Traceroute completed:', result);
         setResults(result);
+        setTraceMethod(result.method || null);
         setLoading(false);
         setShowGraph(true);
       }
@@ -295,6 +511,57 @@ const TracerouteTool = () => {
     }
   };
 
+  const handleStopMtr = async () => {
+    console.log('🛑 [TRACEROUTE] Stopping MTR session');
+    const sessionId = mtrSessionRef.current;
+    mtrSessionRef.current = null;
+    setMtrStatus(mtrHops.length > 0 ? 'stopped' : 'idle');
+
+    if (sessionId) {
+      try {
+        await window.electronAPI.stopMtr(sessionId);
+      } catch (err) {
+        console.log('❌ [TRACEROUTE] Error stopping MTR session:', err);
+        setError('Failed to stop MTR session');
+      }
+    }
+  };
+
+  const handleStopMultipath = async () => {
+    console.log('🛑 [TRACEROUTE] Stopping multipath discovery');
+    const sessionId = multipathSessionRef.current;
+    multipathSessionRef.current = null;
+    setMultipathStatus(multipath ? 'done' : 'idle');
+
+    if (sessionId) {
+      try {
+        await window.electronAPI.stopMultipath(sessionId);
+      } catch (err) {
+        console.log('❌ [TRACEROUTE] Error stopping multipath discovery:', err);
+        setError('Failed to stop multipath discovery');
+      }
+    }
+  };
+
+  const handleCopyMtrReport = async () => {
+    const result = await window.electronAPI.getMtrReport(mtrSessionId);
+    if (!result.success) {
+      setError(result.error || 'Could not build MTR report');
+      return;
+    }
+    await navigator.clipboard.writeText(result.report);
+    setMtrNotice('Report copied to clipboard');
+  };
+
+  const handleExportMtrReport = async () => {
+    const result = await window.electronAPI.exportMtrReport(mtrSessionId);
+    if (result.success) {
+      setMtrNotice(`Report saved to ${result.filePath}`);
+    } else if (!result.canceled) {
+      setError(result.error || 'Could not export MTR report');
+    }
+  };
+
   const handleForceReset = () => {
     console.log('🔄 [TRACEROUTE] Force reset triggered');
     setLoading(false);
@@ -307,12 +574,32 @@ const TracerouteTool = () => {
     setRunCount(0);
     setSessionDuration(0);
     setContinuousSession(null);
+    setRouteHistory(null);
+    setRouteChanges([]);
+    routeChangesRef.current = [];
+    if (mtrSessionRef.current) {
+      window.electronAPI.stopMtr(mtrSessionRef.current);
+      mtrSessionRef.current = null;
+    }
+    setMtrStatus('idle');
+    setMtrHops([]);
+    setMtrCycle(0);
+    if (multipathSessionRef.current) {
+      window.electronAPI.stopMultipath(multipathSessionRef.current);
+      multipathSessionRef.current = null;
+    }
+    setMultipathStatus('idle');
+    setMultipath(null);
     
     // Clear persistent state
     setData({
       results: null,
       currentHops: [],
       continuousData: [],
+      routeHistory: null,
+      routeChanges: [],
+      mtrHops: [],
+      multipath: null,
       progress: null
     });
   };
@@ -321,6 +608,10 @@ const TracerouteTool = () => {
     setResults(null);
     setCurrentHops([]);
     setContinuousData([]);
+    setRouteHistory(null);
+    setRouteChanges([]);
+    routeChangesRef.current = [];
+    setMultipath(null);
     setShowGraph(false);
     setRunCount(0);
     setSessionDuration(0);
@@ -332,10 +623,61 @@ const TracerouteTool = () => {
       results: null,
       currentHops: [],
       continuousData: [],
+      routeHistory: null,
+      routeChanges: [],
+      multipath: null,
       progress: null
     });
   };
 
+  const describeRequestedMethod = (requested) => {
+    if (!requested) return 'method';
+    const name = requested.protocol.toUpperCase();
+    const flow = requested.paris ? ' (Paris)' : '';
+    return requested.port ? `${name} port ${requested.port}${flow}` : `${name}${flow}`;
+  };
+
+  // Responders at this TTL - from the run statistics when available, which
+  // also combine the per-IP entries continuous mode keeps for one TTL
+  const getHopResponders = (hop) => {
+    const entry = results?.statistics?.loadBalancing?.[hop.hop];
+    if (entry) return entry.responders.map(responder => responder.ip);
+    return (hop.responders || []).map(responder => responder.ip);
+  };
+
+  const formatProbes = (probes) => probes
+    .map(probe => (typeof probe.rtt === 'number' ? probe.rtt.toFixed(1) : '*'))
+    .join(' / ');
+
+  const formatLocation = (geo) => {
+    if (!geo) return null;
+    if (geo.scope === 'private') return 'Private network';
+    return [geo.city, geo.region, geo.country].filter(Boolean).join(', ') || null;
+  };
+
+  // Consecutive hops announced by the same AS form one group; private and
+  // unanswered hops get their own groups so they don't merge unrelated networks
+  const groupHopsByAs = (hops) => {
+    const groups = [];
+    hops.forEach((hop) => {
+      const key = hop.geo?.asn || (hop.geo?.scope === 'private' ? 'private' : hop.ip ? 'unknown' : 'timeout');
+      const last = groups[groups.length - 1];
+      if (last && last.key === key) {
+        last.hops.push(hop);
+      } else {
+        groups.push({ key, asn: hop.geo?.asn || null, asName: hop.geo?.asName || null, hops: [hop] });
+      }
+    });
+    return groups;
+  };
+
+  const describeAsGroup = (group) => {
+    if (group.asn) return `${group.asn}${group.asName ? ` · ${group.asName}` : ''}`;
+    if (group.key === 'private') return 'Private network';
+    if (group.key === 'timeout') return 'No response';
+    return 'Unknown AS';
+  };
+
   const formatLatency = (times) => {
     if (!times || times.length === 0) return 'N/A';
     const validTimes = times.filter(t => typeof t === 'number' && !isNaN(t));
@@ -477,7 +819,12 @@ const TracerouteTool = () => {
     );
   };
 
-  const displayHops = continuous ? continuousData : (realTime && loading ? currentHops : (results?.hops || []));
+  const lastRouteChange = routeChanges.length ? routeChanges[routeChanges.length - 1] : null;
+  const displayHops = mtrMode || multipathMode ? [] : continuous ? continuousData : (realTime && loading ? currentHops : (results?.hops || []));
+  // The map plots MTR hops by their running average
+  const mapHops = mtrMode ? mtrHops.map(hop => ({ ...hop, avgLatency: hop.stats.avg })) : displayHops;
+  const mtrActive = mtrStatus === 'discovering' || mtrStatus === 'running';
+  const multipathActive = multipathStatus === 'running';
 
   return (
     <div className="space-y-6">
@@ -503,7 +850,7 @@ const TracerouteTool = () => {
                 console.log('🎯 [TRACEROUTE] Target changed to:', e.target.value);
                 setTarget(e.target.value);
               }}
-              placeholder="example.com or 192.168.1.1"
+              placeholder="example.com, 192.168.1.1 or 2001:db8::1"
               className="w-full px-3 py-2 bg-dark-700 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-primary-500"
             />
           </div>
@@ -539,6 +886,22 @@ const TracerouteTool = () => {
             </select>
           </div>
 
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Address Family</label>
+            <select
+              value={addressFamily}
+              onChange={(e) => {
+                console.log('🌐 [TRACEROUTE] Address family changed to:', e.target.value);
+                setAddressFamily(e.target.value);
+              }}
+              className="w-full px-3 py-2 bg-dark-700 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-primary-500"
+            >
+              <option value="auto">Auto</option>
+              <option value="ipv4">IPv4 only</option>
+              <option value="ipv6">IPv6 only</option>
+            </select>
+          </div>
+
           <div>
             <label className="block text-sm font-medium text-gray-300 mb-2">Port (for TCP/UDP)</label>
             <input
@@ -548,11 +911,28 @@ const TracerouteTool = () => {
                 console.log('🔌 [TRACEROUTE] Port changed to:', e.target.value);
                 setPort(e.target.value);
               }}
-              placeholder="80"
+              placeholder={protocol === 'tcp' ? '80' : protocol === 'udp' ? 'Incrementing' : 'Not used for ICMP'}
+              disabled={protocol === 'icmp'}
               min="1"
               max="65535"
+              className="w-full px-3 py-2 bg-dark-700 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-primary-500 disabled:opacity-50"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Probes per Hop</label>
+            <input
+              type="number"
+              value={probesPerHop}
+              onChange={(e) => {
+                console.log('🔁 [TRACEROUTE] Probes per hop changed to:', e.target.value);
+                setProbesPerHop(e.target.value);
+              }}
+              min="1"
+              max="10"
               className="w-full px-3 py-2 bg-dark-700 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-primary-500"
             />
+            <p className="text-xs text-gray-500 mt-1">More probes reveal load-balanced (ECMP) paths</p>
           </div>
 
           <div className="bg-dark-700 rounded-lg p-6 border border-dark-600 col-span-full">
@@ -594,6 +974,40 @@ const TracerouteTool = () => {
                       Ping Each Hop
                     </span>
                   </button>
+                  <button
+                    onClick={() => {
+                      console.log('📍 [TRACEROUTE] Locate hops changed to:', !enrichHops);
+                      setEnrichHops(!enrichHops);
+                    }}
+                    className={`px-4 py-2 rounded-lg text-sm font-medium transition-all duration-300 transform hover:scale-105 ${
+                      enrichHops
+                        ? 'bg-primary-600 text-white shadow-lg shadow-primary-600/25'
+                        : 'bg-dark-600 text-gray-400 border border-dark-500 hover:bg-dark-500 hover:text-gray-300'
+                    }`}
+                  >
+                    <span className="flex items-center">
+                      <MapPin className={`w-4 h-4 mr-2 ${enrichHops ? 'text-white' : 'text-gray-500'}`} />
+                      Location &amp; ASN
+                    </span>
+                  </button>
+                  <button
+                    onClick={() => {
+                      console.log('🧭 [TRACEROUTE] Paris mode changed to:', !paris);
+                      setParis(!paris);
+                    }}
+                    disabled={multipathMode}
+                    title="Keep the flow identifiers constant so load balancers send every probe down the same path"
+                    className={`px-4 py-2 rounded-lg text-sm font-medium transition-all duration-300 transform hover:scale-105 disabled:opacity-50 ${
+                      paris || multipathMode
+                        ? 'bg-primary-600 text-white shadow-lg shadow-primary-600/25'
+                        : 'bg-dark-600 text-gray-400 border border-dark-500 hover:bg-dark-500 hover:text-gray-300'
+                    }`}
+                  >
+                    <span className="flex items-center">
+                      <Waypoints className={`w-4 h-4 mr-2 ${paris || multipathMode ? 'text-white' : 'text-gray-500'}`} />
+                      Paris (Fixed Flow)
+                    </span>
+                  </button>
                 </div>
               </div>
 
@@ -621,6 +1035,10 @@ const TracerouteTool = () => {
                     onClick={() => {
                       console.log('🔄 [TRACEROUTE] Continuous mode changed to:', !continuous);
                       setContinuous(!continuous);
+                      if (!continuous) {
+                        setMtrMode(false);
+                        setMultipathMode(false);
+                      }
                     }}
                     className={`px-4 py-2 rounded-lg text-sm font-medium transition-all duration-300 transform hover:scale-105 ${
                       continuous
@@ -633,6 +1051,48 @@ const TracerouteTool = () => {
                       Continuous Mode
                     </span>
                   </button>
+                  <button
+                    onClick={() => {
+                      console.log('📡 [TRACEROUTE] MTR mode changed to:', !mtrMode);
+                      setMtrMode(!mtrMode);
+                      if (!mtrMode) {
+                        setContinuous(false);
+                        setMultipathMode(false);
+                      }
+                    }}
+                    disabled={mtrActive}
+                    className={`px-4 py-2 rounded-lg text-sm font-medium transition-all duration-300 transform hover:scale-105 disabled:opacity-50 ${
+                      mtrMode
+                        ? 'bg-primary-600 text-white shadow-lg shadow-primary-600/25'
+                        : 'bg-dark-600 text-gray-400 border border-dark-500 hover:bg-dark-500 hover:text-gray-300'
+                    }`}
+                  >
+                    <span className="flex items-center">
+                      <Gauge className={`w-4 h-4 mr-2 ${mtrMode ? 'text-white' : 'text-gray-500'}`} />
+                      MTR Mode
+                    </span>
+                  </button>
+                  <button
+                    onClick={() => {
+                      console.log('🔀 [TRACEROUTE] Multipath mode changed to:', !multipathMode);
+                      setMultipathMode(!multipathMode);
+                      if (!multipathMode) {
+                        setContinuous(false);
+                        setMtrMode(false);
+                      }
+                    }}
+                    disabled={multipathActive}
+                    className={`px-4 py-2 rounded-lg text-sm font-medium transition-all duration-300 transform hover:scale-105 disabled:opacity-50 ${
+                      multipathMode
+                        ? 'bg-primary-600 text-white shadow-lg shadow-primary-600/25'
+                        : 'bg-dark-600 text-gray-400 border border-dark-500 hover:bg-dark-500 hover:text-gray-300'
+                    }`}
+                  >
+                    <span className="flex items-center">
+                      <Network className={`w-4 h-4 mr-2 ${multipathMode ? 'text-white' : 'text-gray-500'}`} />
+                      Multipath Discovery
+                    </span>
+                  </button>
                 </div>
               </div>
 
@@ -732,9 +1192,9 @@ const TracerouteTool = () => {
             </div>
           </div>
 
-          {continuous && (
+          {(continuous || mtrMode) && (
             <div>
-              <label className="block text-sm font-medium text-gray-300 mb-2">Update Interval (ms)</label>
+              <label className="block text-sm font-medium text-gray-300 mb-2">{mtrMode ? 'Probe Interval (ms)' : 'Update Interval (ms)'}</label>
               <input
                 type="number"
                 value={interval}
@@ -750,6 +1210,24 @@ const TracerouteTool = () => {
             </div>
           )}
 
+          {multipathMode && (
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-2">Max Flows</label>
+              <input
+                type="number"
+                value={maxFlows}
+                onChange={(e) => {
+                  console.log('🔀 [TRACEROUTE] Max flows changed to:', e.target.value);
+                  setMaxFlows(e.target.value);
+                }}
+                min="1"
+                max="96"
+                className="w-full px-3 py-2 bg-dark-700 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-primary-500"
+              />
+              <p className="text-xs text-gray-500 mt-1">Discovery usually stops earlier, once another path is unlikely</p>
+            </div>
+          )}
+
           {resolveHosts && (
             <div>
               <label className="block text-sm font-medium text-gray-300 mb-2">Hostname Resolution Timeout (ms)</label>
@@ -804,14 +1282,30 @@ const TracerouteTool = () => {
         </div>
 
         <div className="mt-6 flex space-x-4">
-          {!continuous || !continuousSession ? (
+          {multipathMode && multipathActive ? (
+            <button
+              onClick={handleStopMultipath}
+              className="flex items-center space-x-2 px-6 py-3 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors"
+            >
+              <Activity className="w-5 h-5" />
+              <span>Stop Discovery</span>
+            </button>
+          ) : mtrMode && mtrActive ? (
+            <button
+              onClick={handleStopMtr}
+              className="flex items-center space-x-2 px-6 py-3 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors"
+            >
+              <Activity className="w-5 h-5" />
+              <span>Stop MTR</span>
+            </button>
+          ) : !continuous || !continuousSession ? (
             <button
               onClick={handleTraceroute}
               disabled={loading}
               className="flex items-center space-x-2 px-6 py-3 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
             >
               <Route className="w-5 h-5" />
-              <span>{loading ? 'Running...' : 'Start Traceroute'}</span>
+              <span>{loading ? 'Running...' : multipathMode ? 'Discover Paths' : mtrMode ? 'Start MTR' : 'Start Traceroute'}</span>
             </button>
           ) : (
             <button
@@ -858,6 +1352,25 @@ const TracerouteTool = () => {
               <div className="text-sm text-gray-400">Session Duration</div>
             </div>
           </div>
+          {lastRouteChange && (
+            <div className="mt-4 bg-yellow-500/10 border border-yellow-500/20 rounded-lg p-3 text-sm text-yellow-300">
+              Route changed in run {lastRouteChange.runNumber} (v{lastRouteChange.previousVersion} → v{lastRouteChange.version}) at hop{lastRouteChange.changes.length === 1 ? '' : 's'} {lastRouteChange.changes.map(change => change.hop).join(', ')}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Route Changes */}
+      {continuous && routeHistory && routeHistory.versions.length > 0 && (
+        <div className="bg-dark-800 rounded-lg p-6 border border-dark-700">
+          <h3 className="text-lg font-semibold text-white mb-4 flex items-center">
+            <GitCompare className="w-5 h-5 mr-2" />
+            Route Versions
+            <span className="ml-2 text-sm font-normal text-gray-400">
+              {routeHistory.versions.length} path{routeHistory.versions.length === 1 ? '' : 's'} seen · {routeChanges.length} change{routeChanges.length === 1 ? '' : 's'}
+            </span>
+          </h3>
+          <RouteDiff history={routeHistory} changes={routeChanges} />
         </div>
       )}
 
@@ -895,60 +1408,239 @@ const TracerouteTool = () => {
       {/* Results Display */}
       {displayHops && displayHops.length > 0 && (
         <div className="bg-dark-800 rounded-lg p-6 border border-dark-700">
-          <h3 className="text-lg font-semibold text-white mb-4">Traceroute Results</h3>
-          <div className="space-y-2">
-            {displayHops.map((hop, index) => (
-              <div key={index} className="flex items-center space-x-4 p-3 bg-dark-700 rounded-lg">
-                <div className="w-12 text-sm text-gray-400 font-mono">
-                  {hop.hop}
-                </div>
-                <div className="flex-1">
-                  <div className="text-white font-medium">
-                    {hop.hostname || hop.ip || 'Unknown'}
-                  </div>
-                  {hop.ip && hop.hostname && (
-                    <div className="text-sm text-gray-400">{hop.ip}</div>
-                  )}
+          <div className="flex items-center justify-between mb-4">
+            <div>
+              <h3 className="text-lg font-semibold text-white">Traceroute Results</h3>
+              {traceMethod && (
+                <div className="text-sm text-gray-400 mt-1" title={traceMethod.commandLine}>
+                  Probes: <span className="text-gray-300">{traceMethod.description}{traceMethod.family ? ` over IPv${traceMethod.family}` : ''}</span>
+                  <span className="font-mono text-gray-500"> · {traceMethod.commandLine}</span>
                 </div>
-                <div className="text-right">
-                  <div className={`text-sm font-medium ${getStatusColor(getHopStatus(hop))}`}>
-                    {formatLatency(hop.times)}
-                  </div>
-                  <div className={`text-xs px-2 py-1 rounded ${getStatusBgColor(getHopStatus(hop))}`}>
-                    {getHopStatus(hop)}
-                  </div>
+              )}
+              {traceMethod && traceMethod.fallbackReason && (
+                <div className="text-sm text-yellow-400 mt-1">
+                  Requested {describeRequestedMethod(traceMethod.requested)}; fell back because {traceMethod.fallbackReason}
                 </div>
-                
-                {/* Hop Details for Continuous Mode */}
-                {continuous && hop.history && hop.history.length > 0 && (
-                  <div className="text-sm text-gray-400">
-                    <div>Last seen: Run #{hop.history[hop.history.length - 1].runNumber}</div>
-                    <div>History: {hop.history.length} entries</div>
+              )}
+            </div>
+            <button
+              onClick={() => setGroupByAs(!groupByAs)}
+              className={`px-3 py-1 rounded-lg text-sm flex items-center ${
+                groupByAs ? 'bg-primary-600 text-white' : 'bg-dark-700 text-gray-400 hover:text-white'
+              }`}
+            >
+              <Layers className="w-4 h-4 mr-2" />
+              Group by AS
+            </button>
+          </div>
+          <div className="space-y-2">
+            {(groupByAs ? groupHopsByAs(displayHops) : [{ key: 'all', hops: displayHops }]).map((group, groupIndex) => (
+              <div key={`${group.key}_${groupIndex}`} className={groupByAs ? 'border-l-2 border-primary-500 pl-3 space-y-2' : 'space-y-2'}>
+                {groupByAs && (
+                  <div className="flex items-center justify-between text-sm">
+                    <span className="text-primary-400 font-medium">{describeAsGroup(group)}</span>
+                    <span className="text-gray-500">
+                      {group.hops.length === 1 ? `Hop ${group.hops[0].hop}` : `Hops ${group.hops[0].hop}–${group.hops[group.hops.length - 1].hop}`}
+                    </span>
                   </div>
                 )}
-                
-                {/* Ping Results */}
-                {hop.avgLatency && typeof hop.avgLatency === 'number' && !isNaN(hop.avgLatency) && (
-                  <div className="text-sm text-gray-400">
-                    <div>Ping: {hop.avgLatency.toFixed(1)}ms</div>
-                    {hop.pingCount && (
-                      <div className="text-primary-400 font-semibold">P#{hop.pingCount}</div>
+                {group.hops.map((hop, index) => (
+                  <div key={hop.hopKey || index} className="flex items-center space-x-4 p-3 bg-dark-700 rounded-lg">
+                    <div className="w-12 text-sm text-gray-400 font-mono">
+                      {hop.hop}
+                    </div>
+                    <div className="flex-1">
+                      <div className="text-white font-medium flex items-center">
+                        {hop.hostname || hop.ip || 'Unknown'}
+                        {getHopResponders(hop).length > 1 && (
+                          <span
+                            className="ml-2 px-2 py-0.5 rounded text-xs bg-purple-500/20 text-purple-300 flex items-center"
+                            title={`Load balanced: ${getHopResponders(hop).join(', ')}`}
+                          >
+                            <GitFork className="w-3 h-3 mr-1" />
+                            ECMP · {getHopResponders(hop).length} paths
+                          </span>
+                        )}
+                      </div>
+                      {hop.ip && hop.hostname && (
+                        <div className="text-sm text-gray-400">{hop.ip}</div>
+                      )}
+                      {(hop.responders || []).filter(responder => responder.ip !== hop.ip).map(responder => (
+                        <div key={responder.ip} className="text-sm text-gray-400">
+                          <span className="text-gray-300">{responder.hostname || responder.ip}</span>
+                          {responder.hostname && <span> ({responder.ip})</span>}
+                          <span className="text-gray-500">
+                            {' · '}{responder.times.length}/{(hop.probes || []).length} probes
+                            {responder.times.length > 0 && `, ${formatLatency(responder.times)}`}
+                          </span>
+                        </div>
+                      ))}
+                    </div>
+                    {hop.geo && (
+                      <div className="w-56 text-sm">
+                        {formatLocation(hop.geo) && (
+                          <div className="text-gray-300 flex items-center truncate" title={hop.geo.timezone || ''}>
+                            <MapPin className="w-3 h-3 mr-1 flex-shrink-0 text-gray-500" />
+                            {formatLocation(hop.geo)}
+                          </div>
+                        )}
+                        {hop.geo.asn && (
+                          <div className="text-gray-400 truncate" title={hop.geo.prefix ? `${hop.geo.prefix} (${hop.geo.registry})` : ''}>
+                            {hop.geo.asn}{hop.geo.asName ? ` · ${hop.geo.asName}` : ''}
+                          </div>
+                        )}
+                      </div>
                     )}
-                    {/* Hop Filtering Status */}
-                    {hop.networkBehavior && hop.networkBehavior.slowHop && hop.networkBehavior.slowHop.shouldSkip && (
-                      <div className="text-red-400 text-xs font-medium">⏭️ SKIPPED</div>
+                    <div className="text-right">
+                      <div className={`text-sm font-medium ${getStatusColor(getHopStatus(hop))}`}>
+                        {formatLatency(hop.times)}
+                      </div>
+                      {hop.probes && hop.probes.length > 1 && (
+                        <div className="text-xs text-gray-500 font-mono" title="Per-probe RTT (ms)">
+                          {formatProbes(hop.probes)}
+                        </div>
+                      )}
+                      <div className={`text-xs px-2 py-1 rounded ${getStatusBgColor(getHopStatus(hop))}`}>
+                        {getHopStatus(hop)}
+                      </div>
+                    </div>
+                    
+                    {/* Hop Details for Continuous Mode */}
+                    {continuous && hop.history && hop.history.length > 0 && (
+                      <div className="text-sm text-gray-400">
+                        <div>Last seen: Run #{hop.history[hop.history.length - 1].runNumber}</div>
+                        <div>History: {hop.history.length} entries</div>
+                      </div>
                     )}
-                    {hop.networkBehavior && hop.networkBehavior.behavior === 'LIMITED_BY_MAX_HOPS' && (
-                      <div className="text-yellow-400 text-xs font-medium">📊 LIMITED</div>
+                    
+                    {/* Ping Results */}
+                    {hop.avgLatency && typeof hop.avgLatency === 'number' && !isNaN(hop.avgLatency) && (
+                      <div className="text-sm text-gray-400">
+                        <div>Ping: {hop.avgLatency.toFixed(1)}ms</div>
+                        {hop.pingCount && (
+                          <div className="text-primary-400 font-semibold">P#{hop.pingCount}</div>
+                        )}
+                        {/* Hop Filtering Status */}
+                        {hop.networkBehavior && hop.networkBehavior.slowHop && hop.networkBehavior.slowHop.shouldSkip && (
+                          <div className="text-red-400 text-xs font-medium">⏭️ SKIPPED</div>
+                        )}
+                        {hop.networkBehavior && hop.networkBehavior.behavior === 'LIMITED_BY_MAX_HOPS' && (
+                          <div className="text-yellow-400 text-xs font-medium">📊 LIMITED</div>
+                        )}
+                      </div>
                     )}
                   </div>
-                )}
+                ))}
               </div>
             ))}
           </div>
         </div>
       )}
 
+      {/* MTR Figures */}
+      {mtrMode && (mtrActive || mtrHops.length > 0) && (
+        <div className="bg-dark-800 rounded-lg p-6 border border-dark-700">
+          <div className="flex items-center justify-between mb-4">
+            <div>
+              <h3 className="text-lg font-semibold text-white flex items-center">
+                <Gauge className="w-5 h-5 mr-2" />
+                MTR
+              </h3>
+              <div className="text-sm text-gray-400 mt-1">
+                {mtrStatus === 'discovering' && 'Discovering path…'}
+                {mtrStatus === 'running' && `Cycle ${mtrCycle} · probing ${mtrHops.length} hops every ${interval} ms`}
+                {mtrStatus === 'stopped' && `Stopped after ${mtrCycle} cycles`}
+                {traceMethod && mtrStatus !== 'discovering' && ` · path traced with ${traceMethod.description}${traceMethod.family ? ` over IPv${traceMethod.family}` : ''}`}
+              </div>
+            </div>
+            <div className="flex space-x-2">
+              <button
+                onClick={handleCopyMtrReport}
+                disabled={!mtrSessionId || mtrHops.length === 0}
+                className="px-3 py-1 rounded-lg text-sm flex items-center bg-dark-700 text-gray-400 hover:text-white disabled:opacity-50"
+              >
+                <Copy className="w-4 h-4 mr-2" />
+                Copy Report
+              </button>
+              <button
+                onClick={handleExportMtrReport}
+                disabled={!mtrSessionId || mtrHops.length === 0}
+                className="px-3 py-1 rounded-lg text-sm flex items-center bg-dark-700 text-gray-400 hover:text-white disabled:opacity-50"
+              >
+                <Download className="w-4 h-4 mr-2" />
+                Export Report
+              </button>
+            </div>
+          </div>
+          {mtrHops.length > 0 && <MtrTable hops={mtrHops} />}
+          {mtrNotice && <div className="text-sm text-gray-400 mt-3">{mtrNotice}</div>}
+          <p className="text-xs text-gray-500 mt-3">
+            Each hop is probed with an ICMP echo to its address; hops that did not answer during path discovery are counted as lost.
+          </p>
+        </div>
+      )}
+
+      {/* Multipath Graph */}
+      {multipathMode && (multipathActive || multipath) && (
+        <div className="bg-dark-800 rounded-lg p-6 border border-dark-700">
+          <div className="mb-4">
+            <h3 className="text-lg font-semibold text-white flex items-center">
+              <Network className="w-5 h-5 mr-2" />
+              Path Graph
+            </h3>
+            <div className="text-sm text-gray-400 mt-1">
+              {!multipath && 'Tracing the first flow…'}
+              {multipath && multipathActive && `Traced ${multipath.completed} of ${multipath.planned} flows · ${multipath.graph.distinctPaths} distinct path${multipath.graph.distinctPaths === 1 ? '' : 's'} so far`}
+              {multipath && !multipathActive && `${multipath.graph.distinctPaths} distinct path${multipath.graph.distinctPaths === 1 ? '' : 's'} across ${multipath.completed} flows`}
+              {multipath?.failed > 0 && ` · ${multipath.failed} failed`}
+              {multipath?.method && ` · ${multipath.method.sourcePort
+                ? `${multipath.method.protocol.toUpperCase()} to port ${multipath.method.port}, one source port per flow`
+                : multipath.method.description}${multipath.method.family ? ` over IPv${multipath.method.family}` : ''}`}
+            </div>
+            {multipath?.stoppedBy === 'confidence' && (
+              <div className="text-xs text-gray-500 mt-1">
+                Stopped once another path was unlikely to turn up (95% confidence at the widest hop)
+              </div>
+            )}
+            {multipath?.stoppedBy === 'max-flows' && (
+              <div className="text-xs text-yellow-400 mt-1">
+                Reached the {multipath.planned}-flow limit; hops this wide may hide more paths
+              </div>
+            )}
+            {multipath?.stoppedBy === 'not-flow-stable' && (
+              <div className="text-xs text-yellow-400 mt-1">
+                Only one flow traced: {multipath.method?.fallbackReason || 'this traceroute cannot hold a flow constant'}
+              </div>
+            )}
+          </div>
+          {multipath && <PathGraph graph={multipath.graph} />}
+          {multipath?.graph.branchingHops.length > 0 && (
+            <p className="text-xs text-gray-500 mt-3">
+              Load balancing at TTL {multipath.graph.branchingHops.join(', ')}. Each flow keeps its source port for every TTL (Paris traceroute), so these branches are real alternative paths rather than probes scattered by per-flow hashing.
+            </p>
+          )}
+        </div>
+      )}
+
+      {/* Path Map */}
+      {mapHops && mapHops.length > 0 && enrichHops && (
+        <div className="bg-dark-800 rounded-lg p-6 border border-dark-700">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold text-white flex items-center">
+              <MapIcon className="w-5 h-5 mr-2" />
+              Path Map
+            </h3>
+            <button
+              onClick={() => setShowMap(!showMap)}
+              className="text-gray-400 hover:text-white transition-colors"
+            >
+              {showMap ? <Minimize2 className="w-5 h-5" /> : <Maximize2 className="w-5 h-5" />}
+            </button>
+          </div>
+          {showMap && <TracerouteMap hops={mapHops} />}
+        </div>
+      )}
+
       {/* Hop Charts */}
       {showHopCharts && displayHops && displayHops.length > 0 && (
         <div className="bg-dark-800 rounded-lg p-6 border border-dark-700">